@@ -250,6 +250,25 @@ async function mockSupabase(page) {
     return json(route, 200, []);
   });
 
+  // ── REST: shift_corrections ──
+  await page.route('**/rest/v1/shift_corrections**', async (route) => {
+    if (route.request().method() === 'POST') {
+      let body;
+      try { body = route.request().postDataJSON(); } catch { body = {}; }
+      return json(route, 201, [{ id: 'corr-new', ...body, created_at: new Date().toISOString() }]);
+    }
+    return json(route, 200, []);
+  });
+
+  // ── REST: app_settings ──
+  await page.route('**/rest/v1/app_settings**', async (route) => {
+    return json(route, 200, [{
+      id: true,
+      default_expected_shift_minutes: 240,
+      default_max_shift_minutes: 720,
+    }]);
+  });
+
   // ── REST: RPC endpoints ──
   await page.route('**/rest/v1/rpc/**', async (route) => {
     const url = route.request().url();
@@ -0,0 +1,311 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 012 — Shift Correction Requests
+-- ============================================================
+-- Run this AFTER 011_fix_all_admin_policies.sql
+-- Lets students propose new start/end times for a completed
+-- shift. Corrections go through the same supervisor → admin
+-- chain as manual logs; only admin approval rewrites the shift.
+-- The original times stay on the correction row for audit.
+-- ============================================================
+
+-- ─── 1. Shift duration is owned by a trigger ───
+-- duration_minutes used to be filled in on check-out only. Corrections
+-- change start_time/end_time after the fact, so the duration must be
+-- recomputed on every change of either column. If the column was
+-- created as GENERATED, convert it to a plain column first.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'shifts'
+      AND column_name = 'duration_minutes' AND is_generated = 'ALWAYS'
+  ) THEN
+    ALTER TABLE shifts ALTER COLUMN duration_minutes DROP EXPRESSION;
+  END IF;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.compute_shift_duration()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.end_time IS NOT NULL THEN
+    NEW.duration_minutes := ROUND(EXTRACT(EPOCH FROM (NEW.end_time - NEW.start_time)) / 60.0, 2);
+    IF NEW.status = 'active' THEN
+      NEW.status := 'completed';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_compute_shift_duration ON shifts;
+CREATE TRIGGER trg_compute_shift_duration
+  BEFORE INSERT OR UPDATE OF start_time, end_time ON shifts
+  FOR EACH ROW EXECUTE FUNCTION public.compute_shift_duration();
+
+-- ─── 2. shift_corrections table ───
+CREATE TABLE IF NOT EXISTS shift_corrections (
+  id                      uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shift_id                uuid NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  user_id                 uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  site_id                 uuid REFERENCES sites(id) ON DELETE SET NULL,
+  original_start_time     timestamptz NOT NULL,
+  original_end_time       timestamptz NOT NULL,
+  proposed_start_time     timestamptz NOT NULL,
+  proposed_end_time       timestamptz NOT NULL,
+  reason                  text NOT NULL,
+  status                  text NOT NULL DEFAULT 'pending'
+                            CHECK (status IN ('pending', 'approved', 'rejected')),
+  supervisor_status       text DEFAULT NULL
+                            CHECK (supervisor_status IS NULL OR supervisor_status IN ('pending_supervisor', 'supervisor_approved', 'supervisor_rejected')),
+  supervisor_reviewed_by  uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  supervisor_reviewed_at  timestamptz,
+  reviewed_by             uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  reviewed_at             timestamptz,
+  rejection_reason        text,
+  created_at              timestamptz NOT NULL DEFAULT now(),
+  CHECK (proposed_end_time > proposed_start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_corrections_shift ON shift_corrections(shift_id);
+CREATE INDEX IF NOT EXISTS idx_shift_corrections_user ON shift_corrections(user_id);
+CREATE INDEX IF NOT EXISTS idx_shift_corrections_pending ON shift_corrections(status) WHERE status = 'pending';
+
+-- Only one open correction per shift at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shift_corrections_one_pending
+  ON shift_corrections(shift_id) WHERE status = 'pending';
+
+-- ─── 3. RLS ───
+ALTER TABLE shift_corrections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "shift_corrections_select_own"
+  ON shift_corrections FOR SELECT TO authenticated
+  USING (user_id = auth.uid());
+
+-- Students may only file a pending correction against their own completed shift
+CREATE POLICY "shift_corrections_insert_own"
+  ON shift_corrections FOR INSERT TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND status = 'pending'
+    AND EXISTS (
+      SELECT 1 FROM shifts sh
+      WHERE sh.id = shift_corrections.shift_id
+        AND sh.user_id = auth.uid()
+        AND sh.status = 'completed'
+    )
+  );
+
+-- The original times, site and review chain are taken from the shift,
+-- whatever the client sent: a site-linked correction always starts at
+-- the supervisor.
+CREATE OR REPLACE FUNCTION public.prepare_shift_correction()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_shift shifts%ROWTYPE;
+BEGIN
+  SELECT * INTO v_shift FROM shifts WHERE id = NEW.shift_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Shift not found';
+  END IF;
+
+  NEW.user_id := v_shift.user_id;
+  NEW.site_id := v_shift.site_id;
+  NEW.original_start_time := v_shift.start_time;
+  NEW.original_end_time := v_shift.end_time;
+  NEW.status := 'pending';
+  NEW.supervisor_status := CASE WHEN v_shift.site_id IS NOT NULL THEN 'pending_supervisor' END;
+  NEW.supervisor_reviewed_by := NULL;
+  NEW.supervisor_reviewed_at := NULL;
+  NEW.reviewed_by := NULL;
+  NEW.reviewed_at := NULL;
+  NEW.rejection_reason := NULL;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_prepare_shift_correction ON shift_corrections;
+CREATE TRIGGER trg_prepare_shift_correction
+  BEFORE INSERT ON shift_corrections
+  FOR EACH ROW EXECUTE FUNCTION public.prepare_shift_correction();
+
+CREATE POLICY "shift_corrections_select_supervisor"
+  ON shift_corrections FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM site_supervisors ss
+      WHERE ss.supervisor_id = auth.uid()
+        AND ss.site_id = shift_corrections.site_id
+    )
+  );
+
+CREATE POLICY "shift_corrections_select_admin"
+  ON shift_corrections FOR SELECT TO authenticated
+  USING (public.is_admin());
+
+CREATE POLICY "shift_corrections_update_admin"
+  ON shift_corrections FOR UPDATE TO authenticated
+  USING (public.is_admin());
+
+-- ─── 4. RPC: get_supervisor_pending_corrections ───
+CREATE OR REPLACE FUNCTION get_supervisor_pending_corrections(p_supervisor_id uuid)
+RETURNS TABLE (
+  correction_id uuid,
+  shift_id uuid,
+  student_name text,
+  student_id uuid,
+  site_name text,
+  original_start_time timestamptz,
+  original_end_time timestamptz,
+  proposed_start_time timestamptz,
+  proposed_end_time timestamptz,
+  reason text,
+  created_at timestamptz
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    sc.id AS correction_id,
+    sc.shift_id,
+    p.full_name AS student_name,
+    sc.user_id AS student_id,
+    si.name AS site_name,
+    sc.original_start_time,
+    sc.original_end_time,
+    sc.proposed_start_time,
+    sc.proposed_end_time,
+    sc.reason,
+    sc.created_at
+  FROM shift_corrections sc
+  INNER JOIN profiles p ON p.id = sc.user_id
+  INNER JOIN site_supervisors ss ON ss.site_id = sc.site_id AND ss.supervisor_id = p_supervisor_id
+  INNER JOIN sites si ON si.id = sc.site_id
+  WHERE sc.supervisor_status = 'pending_supervisor'
+  ORDER BY sc.created_at ASC;
+$$;
+
+-- ─── 5. RPC: supervisor_approve_correction ───
+CREATE OR REPLACE FUNCTION supervisor_approve_correction(p_correction_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE shift_corrections
+  SET
+    supervisor_status = 'supervisor_approved',
+    supervisor_reviewed_by = auth.uid(),
+    supervisor_reviewed_at = now()
+  WHERE id = p_correction_id
+    AND supervisor_status = 'pending_supervisor'
+    AND site_id IN (
+      SELECT site_id FROM site_supervisors WHERE supervisor_id = auth.uid()
+    );
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Correction not found or not authorized';
+  END IF;
+END;
+$$;
+
+-- ─── 6. RPC: supervisor_reject_correction (reason shown to the student) ───
+DROP FUNCTION IF EXISTS supervisor_reject_correction(uuid);
+
+CREATE OR REPLACE FUNCTION supervisor_reject_correction(p_correction_id uuid, p_reason text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF COALESCE(trim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'יש לציין סיבת דחייה';
+  END IF;
+
+  UPDATE shift_corrections
+  SET
+    supervisor_status = 'supervisor_rejected',
+    supervisor_reviewed_by = auth.uid(),
+    supervisor_reviewed_at = now(),
+    status = 'rejected',
+    rejection_reason = trim(p_reason)
+  WHERE id = p_correction_id
+    AND supervisor_status = 'pending_supervisor'
+    AND site_id IN (
+      SELECT site_id FROM site_supervisors WHERE supervisor_id = auth.uid()
+    );
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Correction not found or not authorized';
+  END IF;
+END;
+$$;
+
+-- ─── 7. RPC: approve_shift_correction (admin) ───
+-- Applies the proposed times to the shift in the same transaction.
+-- The trigger from step 1 recomputes duration_minutes, so
+-- get_all_students_summary and calculateProgress pick up the
+-- corrected duration without any change of their own.
+CREATE OR REPLACE FUNCTION approve_shift_correction(p_correction_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_corr shift_corrections%ROWTYPE;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  SELECT * INTO v_corr
+  FROM shift_corrections
+  WHERE id = p_correction_id
+    AND status = 'pending'
+    AND (supervisor_status IS NULL OR supervisor_status = 'supervisor_approved')
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Correction not found or still awaiting supervisor';
+  END IF;
+
+  UPDATE shifts
+  SET start_time = v_corr.proposed_start_time,
+      end_time   = v_corr.proposed_end_time
+  WHERE id = v_corr.shift_id;
+
+  UPDATE shift_corrections
+  SET status = 'approved',
+      reviewed_by = auth.uid(),
+      reviewed_at = now()
+  WHERE id = p_correction_id;
+END;
+$$;
+
+-- ─── 8. RPC: reject_shift_correction (admin, reason shown to the student) ───
+CREATE OR REPLACE FUNCTION reject_shift_correction(p_correction_id uuid, p_reason text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF COALESCE(trim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'יש לציין סיבת דחייה';
+  END IF;
+
+  UPDATE shift_corrections
+  SET status = 'rejected',
+      reviewed_by = auth.uid(),
+      reviewed_at = now(),
+      rejection_reason = trim(p_reason)
+  WHERE id = p_correction_id
+    AND status = 'pending';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Correction not found or already reviewed';
+  END IF;
+END;
+$$;
+
+-- ─── 9. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,157 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 013 — Shift Length Caps & Stale-Shift Auto-Close
+-- ============================================================
+-- Run this AFTER 012_shift_corrections.sql
+-- An active shift used to stay open forever if the student forgot
+-- to check out. Each site may now define an expected and a maximum
+-- shift length (falling back to global defaults). Shifts running
+-- past the maximum are closed at the cap and flagged auto_closed
+-- so an admin can review them.
+-- ============================================================
+
+-- ─── 1. Global settings (single row) ───
+CREATE TABLE IF NOT EXISTS app_settings (
+  id                              boolean PRIMARY KEY DEFAULT true CHECK (id),
+  default_expected_shift_minutes  integer NOT NULL DEFAULT 240 CHECK (default_expected_shift_minutes > 0),
+  default_max_shift_minutes       integer NOT NULL DEFAULT 720 CHECK (default_max_shift_minutes > 0),
+  updated_at                      timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO app_settings (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE app_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "app_settings_select_authenticated"
+  ON app_settings FOR SELECT TO authenticated
+  USING (true);
+
+CREATE POLICY "app_settings_update_admin"
+  ON app_settings FOR UPDATE TO authenticated
+  USING (public.is_admin());
+
+-- ─── 2. Per-site overrides (NULL = use global default) ───
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS expected_shift_minutes integer
+  CHECK (expected_shift_minutes IS NULL OR expected_shift_minutes > 0);
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS max_shift_minutes integer
+  CHECK (max_shift_minutes IS NULL OR max_shift_minutes > 0);
+
+-- ─── 3. Auto-close flag on shifts ───
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS auto_closed boolean NOT NULL DEFAULT false;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS auto_close_reviewed_by uuid REFERENCES profiles(id) ON DELETE SET NULL;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS auto_close_reviewed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_shifts_auto_closed_unreviewed
+  ON shifts(start_time) WHERE auto_closed = true AND auto_close_reviewed_at IS NULL;
+
+-- True for pg_cron (runs as postgres) and the service role key; false
+-- for every PostgREST caller with the anon key or a user JWT, whose
+-- auth.uid() may also be NULL.
+CREATE OR REPLACE FUNCTION public.is_service_call()
+RETURNS boolean
+LANGUAGE sql STABLE
+AS $$
+  SELECT session_user = 'postgres' OR COALESCE(auth.role(), '') = 'service_role';
+$$;
+
+-- ─── 4. RPC: close_stale_shifts ───
+-- Closes every active shift that has run past its cap, setting
+-- end_time = start_time + cap. duration_minutes is recomputed by
+-- trg_compute_shift_duration (migration 012).
+-- Called by pg_cron for everyone, and by the student dashboard on
+-- load for the caller's own shifts only.
+CREATE OR REPLACE FUNCTION close_stale_shifts()
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_closed integer;
+BEGIN
+  UPDATE shifts s
+  SET
+    end_time = s.start_time + make_interval(mins => c.cap),
+    status = 'completed',
+    auto_closed = true
+  FROM (
+    SELECT sh.id, COALESCE(si.max_shift_minutes, cfg.default_max_shift_minutes) AS cap
+    FROM shifts sh
+    CROSS JOIN app_settings cfg
+    LEFT JOIN sites si ON si.id = sh.site_id
+    WHERE sh.status = 'active'
+  ) c
+  WHERE s.id = c.id
+    AND now() > s.start_time + make_interval(mins => c.cap)
+    AND (public.is_service_call() OR public.is_admin() OR s.user_id = auth.uid());
+
+  GET DIAGNOSTICS v_closed = ROW_COUNT;
+  RETURN v_closed;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION close_stale_shifts() FROM anon, public;
+GRANT EXECUTE ON FUNCTION close_stale_shifts() TO authenticated, service_role;
+
+-- ─── 5. RPC: get_auto_closed_shifts (admin review queue) ───
+CREATE OR REPLACE FUNCTION get_auto_closed_shifts()
+RETURNS TABLE (
+  shift_id uuid,
+  student_id uuid,
+  student_name text,
+  site_name text,
+  task_description text,
+  start_time timestamptz,
+  end_time timestamptz,
+  duration_minutes numeric
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    s.id AS shift_id,
+    s.user_id AS student_id,
+    p.full_name AS student_name,
+    si.name AS site_name,
+    s.task_description,
+    s.start_time,
+    s.end_time,
+    s.duration_minutes::numeric
+  FROM shifts s
+  INNER JOIN profiles p ON p.id = s.user_id
+  LEFT JOIN sites si ON si.id = s.site_id
+  WHERE s.auto_closed = true
+    AND s.auto_close_reviewed_at IS NULL
+    AND public.is_admin()
+  ORDER BY s.start_time ASC;
+$$;
+
+-- ─── 6. RPC: review_auto_closed_shift ───
+CREATE OR REPLACE FUNCTION review_auto_closed_shift(p_shift_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  UPDATE shifts
+  SET auto_close_reviewed_by = auth.uid(),
+      auto_close_reviewed_at = now()
+  WHERE id = p_shift_id
+    AND auto_closed = true;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Shift not found or not auto-closed';
+  END IF;
+END;
+$$;
+
+-- ─── 7. Schedule (only where pg_cron is enabled) ───
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.unschedule(jobid) FROM cron.job WHERE jobname = 'close-stale-shifts';
+    PERFORM cron.schedule('close-stale-shifts', '*/15 * * * *', 'SELECT public.close_stale_shifts()');
+  END IF;
+END $$;
+
+-- ─── 8. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,150 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 014 — Breaks Inside a Shift
+-- ============================================================
+-- Run this AFTER 013_shift_caps.sql
+-- Students can pause an active shift (e.g. lunch) instead of
+-- checking out and back in. Break intervals live in shift_breaks;
+-- shifts.duration_minutes becomes worked time net of breaks, and
+-- shifts.break_minutes holds the total break time for display.
+-- ============================================================
+
+-- ─── 1. shift_breaks table ───
+CREATE TABLE IF NOT EXISTS shift_breaks (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shift_id    uuid NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  start_time  timestamptz NOT NULL DEFAULT now(),
+  end_time    timestamptz,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  CHECK (end_time IS NULL OR end_time >= start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_breaks_shift ON shift_breaks(shift_id);
+
+-- At most one open break per shift
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shift_breaks_one_open
+  ON shift_breaks(shift_id) WHERE end_time IS NULL;
+
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS break_minutes numeric NOT NULL DEFAULT 0;
+
+-- ─── 2. Duration trigger now subtracts breaks ───
+-- Breaks are clamped to the shift window, so an open break at
+-- check-out (or a break outside corrected times) counts only up to
+-- the shift's end.
+CREATE OR REPLACE FUNCTION public.compute_shift_duration()
+RETURNS trigger AS $$
+DECLARE
+  v_break_minutes numeric;
+BEGIN
+  IF NEW.end_time IS NOT NULL THEN
+    SELECT COALESCE(SUM(
+      GREATEST(EXTRACT(EPOCH FROM (
+        LEAST(COALESCE(b.end_time, NEW.end_time), NEW.end_time)
+        - GREATEST(b.start_time, NEW.start_time)
+      )), 0)
+    ) / 60.0, 0)
+    INTO v_break_minutes
+    FROM shift_breaks b
+    WHERE b.shift_id = NEW.id;
+
+    NEW.break_minutes := ROUND(v_break_minutes, 2);
+    NEW.duration_minutes := ROUND(EXTRACT(EPOCH FROM (NEW.end_time - NEW.start_time)) / 60.0 - v_break_minutes, 2);
+    IF NEW.status = 'active' THEN
+      NEW.status := 'completed';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ─── 3. Close any open break when the shift ends ───
+CREATE OR REPLACE FUNCTION public.close_open_breaks()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.end_time IS NOT NULL THEN
+    UPDATE shift_breaks
+    SET end_time = NEW.end_time
+    WHERE shift_id = NEW.id AND end_time IS NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_close_open_breaks ON shifts;
+CREATE TRIGGER trg_close_open_breaks
+  AFTER UPDATE OF end_time ON shifts
+  FOR EACH ROW EXECUTE FUNCTION public.close_open_breaks();
+
+-- ─── 4. Recompute a completed shift when its breaks change ───
+CREATE OR REPLACE FUNCTION public.recompute_shift_after_break()
+RETURNS trigger AS $$
+BEGIN
+  -- Nested call from trg_close_open_breaks: the shift row is already current
+  IF pg_trigger_depth() > 1 THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE shifts
+  SET end_time = end_time
+  WHERE id = COALESCE(NEW.shift_id, OLD.shift_id)
+    AND end_time IS NOT NULL;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_recompute_shift_after_break ON shift_breaks;
+CREATE TRIGGER trg_recompute_shift_after_break
+  AFTER INSERT OR UPDATE OR DELETE ON shift_breaks
+  FOR EACH ROW EXECUTE FUNCTION public.recompute_shift_after_break();
+
+-- ─── 5. RLS ───
+ALTER TABLE shift_breaks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "shift_breaks_select_own"
+  ON shift_breaks FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM shifts sh
+      WHERE sh.id = shift_breaks.shift_id AND sh.user_id = auth.uid()
+    )
+  );
+
+-- Students may only open/close breaks on their own active shift
+CREATE POLICY "shift_breaks_insert_own"
+  ON shift_breaks FOR INSERT TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM shifts sh
+      WHERE sh.id = shift_breaks.shift_id
+        AND sh.user_id = auth.uid()
+        AND sh.status = 'active'
+    )
+  );
+
+CREATE POLICY "shift_breaks_update_own"
+  ON shift_breaks FOR UPDATE TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM shifts sh
+      WHERE sh.id = shift_breaks.shift_id
+        AND sh.user_id = auth.uid()
+        AND sh.status = 'active'
+    )
+  );
+
+CREATE POLICY "shift_breaks_select_supervisor"
+  ON shift_breaks FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM shifts sh
+      INNER JOIN site_supervisors ss ON ss.site_id = sh.site_id
+      WHERE sh.id = shift_breaks.shift_id
+        AND ss.supervisor_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "shift_breaks_select_admin"
+  ON shift_breaks FOR SELECT TO authenticated
+  USING (public.is_admin());
+
+-- ─── 6. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
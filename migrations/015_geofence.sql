@@ -0,0 +1,255 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 015 — Geofenced Check-In
+-- ============================================================
+-- Run this AFTER 014_shift_breaks.sql
+-- Sites get coordinates and a radius. The client sends the
+-- browser's location on check-in/out; the distance is computed
+-- here, not trusted from the client. A site shift started outside
+-- the radius (or without a location) completes as 'needs_review'
+-- and does not count toward the goal until the site supervisor
+-- approves it. All summaries already count status = 'completed' only.
+-- ============================================================
+
+-- ─── 1. Site coordinates ───
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS latitude double precision
+  CHECK (latitude IS NULL OR latitude BETWEEN -90 AND 90);
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS longitude double precision
+  CHECK (longitude IS NULL OR longitude BETWEEN -180 AND 180);
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS geofence_radius_m integer NOT NULL DEFAULT 200
+  CHECK (geofence_radius_m > 0);
+
+-- ─── 2. Location and review columns on shifts ───
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS check_in_lat double precision;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS check_in_lng double precision;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS check_in_accuracy_m numeric;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS check_out_lat double precision;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS check_out_lng double precision;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS check_out_accuracy_m numeric;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS check_in_distance_m numeric;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS outside_geofence boolean NOT NULL DEFAULT false;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS reviewed_by uuid REFERENCES profiles(id) ON DELETE SET NULL;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS reviewed_at timestamptz;
+
+-- ─── 3. Allow the new shift statuses ───
+DO $$
+DECLARE
+  v_con record;
+BEGIN
+  FOR v_con IN
+    SELECT conname FROM pg_constraint
+    WHERE conrelid = 'public.shifts'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ILIKE '%status%'
+  LOOP
+    EXECUTE format('ALTER TABLE shifts DROP CONSTRAINT %I', v_con.conname);
+  END LOOP;
+END $$;
+
+ALTER TABLE shifts ADD CONSTRAINT shifts_status_check
+  CHECK (status IN ('active', 'completed', 'needs_review', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS idx_shifts_needs_review ON shifts(site_id) WHERE status = 'needs_review';
+
+-- ─── 4. Great-circle distance in meters ───
+CREATE OR REPLACE FUNCTION public.geo_distance_m(
+  lat1 double precision, lng1 double precision,
+  lat2 double precision, lng2 double precision
+)
+RETURNS double precision
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT 2 * 6371000 * asin(sqrt(
+    power(sin(radians(lat2 - lat1) / 2), 2)
+    + cos(radians(lat1)) * cos(radians(lat2)) * power(sin(radians(lng2 - lng1) / 2), 2)
+  ));
+$$;
+
+-- ─── 5. Evaluate geofence on check-in ───
+CREATE OR REPLACE FUNCTION public.evaluate_shift_geofence()
+RETURNS trigger AS $$
+DECLARE
+  v_site sites%ROWTYPE;
+BEGIN
+  NEW.outside_geofence := false;
+  NEW.check_in_distance_m := NULL;
+
+  IF NEW.site_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_site FROM sites WHERE id = NEW.site_id;
+  IF v_site.latitude IS NULL OR v_site.longitude IS NULL THEN
+    RETURN NEW;  -- site has no coordinates: nothing to check against
+  END IF;
+
+  IF NEW.check_in_lat IS NULL OR NEW.check_in_lng IS NULL THEN
+    NEW.outside_geofence := true;  -- location unavailable or denied
+    RETURN NEW;
+  END IF;
+
+  NEW.check_in_distance_m := ROUND(public.geo_distance_m(
+    NEW.check_in_lat, NEW.check_in_lng, v_site.latitude, v_site.longitude
+  )::numeric, 1);
+  NEW.outside_geofence := NEW.check_in_distance_m > v_site.geofence_radius_m;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_evaluate_shift_geofence ON shifts;
+CREATE TRIGGER trg_evaluate_shift_geofence
+  BEFORE INSERT ON shifts
+  FOR EACH ROW EXECUTE FUNCTION public.evaluate_shift_geofence();
+
+-- The check-in location and its verdict are set once, on insert.
+-- Students update their shift directly only to check out or change
+-- the category; status, outside_geofence and the check-in coordinates
+-- change through the triggers and RPCs (owner privileges) only.
+REVOKE UPDATE ON shifts FROM anon, authenticated;
+GRANT UPDATE (end_time, check_out_lat, check_out_lng, check_out_accuracy_m, category)
+  ON shifts TO authenticated;
+
+-- A shift written straight through the API (anon / authenticated, as
+-- opposed to a trigger or RPC running as the owner) starts now and
+-- open, and its end time is set once, on check-out. Finished shifts
+-- change through a correction request (012).
+CREATE OR REPLACE FUNCTION public.check_shift_client_write()
+RETURNS trigger AS $$
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.start_time := now();
+    NEW.end_time := NULL;
+    NEW.duration_minutes := NULL;
+    NEW.status := 'active';
+  ELSIF NEW.end_time IS DISTINCT FROM OLD.end_time AND OLD.status <> 'active' THEN
+    RAISE EXCEPTION 'לא ניתן לשנות את שעת הסיום של משמרת שהסתיימה. יש להגיש בקשת תיקון';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Named to run before trg_compute_shift_duration (triggers fire by name)
+DROP TRIGGER IF EXISTS trg_check_shift_client_write ON shifts;
+CREATE TRIGGER trg_check_shift_client_write
+  BEFORE INSERT OR UPDATE ON shifts
+  FOR EACH ROW EXECUTE FUNCTION public.check_shift_client_write();
+
+-- ─── 6. Completion sends out-of-radius shifts to review ───
+CREATE OR REPLACE FUNCTION public.compute_shift_duration()
+RETURNS trigger AS $$
+DECLARE
+  v_break_minutes numeric;
+BEGIN
+  IF NEW.end_time IS NOT NULL THEN
+    SELECT COALESCE(SUM(
+      GREATEST(EXTRACT(EPOCH FROM (
+        LEAST(COALESCE(b.end_time, NEW.end_time), NEW.end_time)
+        - GREATEST(b.start_time, NEW.start_time)
+      )), 0)
+    ) / 60.0, 0)
+    INTO v_break_minutes
+    FROM shift_breaks b
+    WHERE b.shift_id = NEW.id;
+
+    NEW.break_minutes := ROUND(v_break_minutes, 2);
+    NEW.duration_minutes := ROUND(EXTRACT(EPOCH FROM (NEW.end_time - NEW.start_time)) / 60.0 - v_break_minutes, 2);
+    IF NEW.status = 'active' THEN
+      NEW.status := CASE WHEN NEW.outside_geofence THEN 'needs_review' ELSE 'completed' END;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- close_stale_shifts no longer forces 'completed'; the trigger above decides
+CREATE OR REPLACE FUNCTION close_stale_shifts()
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_closed integer;
+BEGIN
+  UPDATE shifts s
+  SET
+    end_time = s.start_time + make_interval(mins => c.cap),
+    auto_closed = true
+  FROM (
+    SELECT sh.id, COALESCE(si.max_shift_minutes, cfg.default_max_shift_minutes) AS cap
+    FROM shifts sh
+    CROSS JOIN app_settings cfg
+    LEFT JOIN sites si ON si.id = sh.site_id
+    WHERE sh.status = 'active'
+  ) c
+  WHERE s.id = c.id
+    AND now() > s.start_time + make_interval(mins => c.cap)
+    AND (public.is_service_call() OR public.is_admin() OR s.user_id = auth.uid());
+
+  GET DIAGNOSTICS v_closed = ROW_COUNT;
+  RETURN v_closed;
+END;
+$$;
+
+-- ─── 7. RPC: get_supervisor_review_shifts ───
+CREATE OR REPLACE FUNCTION get_supervisor_review_shifts(p_supervisor_id uuid)
+RETURNS TABLE (
+  shift_id uuid,
+  student_name text,
+  student_id uuid,
+  site_name text,
+  task_description text,
+  start_time timestamptz,
+  end_time timestamptz,
+  duration_minutes numeric,
+  check_in_distance_m numeric,
+  geofence_radius_m integer
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    s.id AS shift_id,
+    p.full_name AS student_name,
+    s.user_id AS student_id,
+    si.name AS site_name,
+    s.task_description,
+    s.start_time,
+    s.end_time,
+    s.duration_minutes::numeric,
+    s.check_in_distance_m,
+    si.geofence_radius_m
+  FROM shifts s
+  INNER JOIN profiles p ON p.id = s.user_id
+  INNER JOIN site_supervisors ss ON ss.site_id = s.site_id AND ss.supervisor_id = p_supervisor_id
+  INNER JOIN sites si ON si.id = s.site_id
+  WHERE s.status = 'needs_review'
+  ORDER BY s.start_time ASC;
+$$;
+
+-- ─── 8. RPC: supervisor_review_shift ───
+CREATE OR REPLACE FUNCTION supervisor_review_shift(p_shift_id uuid, p_approve boolean)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE shifts
+  SET
+    status = CASE WHEN p_approve THEN 'completed' ELSE 'rejected' END,
+    reviewed_by = auth.uid(),
+    reviewed_at = now()
+  WHERE id = p_shift_id
+    AND status = 'needs_review'
+    AND site_id IN (
+      SELECT site_id FROM site_supervisors WHERE supervisor_id = auth.uid()
+    );
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Shift not found or not authorized';
+  END IF;
+END;
+$$;
+
+-- ─── 9. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,173 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 016 — QR Check-In at the Site
+-- ============================================================
+-- Run this AFTER 015_geofence.sql
+-- A site supervisor shows a rotating QR code (plus a 6-digit code
+-- for manual entry). Each token lives 90 seconds; the panel rotates
+-- it every 60. The student's check-in is created server-side by
+-- qr_check_in only after the token is validated, so a QR shift is
+-- attendance proof and skips the GPS geofence check. A student gets 5
+-- wrong codes per 10 minutes, so the 6-digit code can't be guessed.
+-- ============================================================
+
+-- ─── 1. Check-in tokens ───
+CREATE TABLE IF NOT EXISTS site_checkin_tokens (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id     uuid NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  token       text NOT NULL UNIQUE,
+  code        text NOT NULL,
+  created_by  uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  expires_at  timestamptz NOT NULL,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_checkin_tokens_site ON site_checkin_tokens(site_id, expires_at);
+CREATE INDEX IF NOT EXISTS idx_site_checkin_tokens_code ON site_checkin_tokens(code);
+
+-- Only reachable through the RPCs below
+ALTER TABLE site_checkin_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Wrong codes per student (rate limit for qr_check_in)
+CREATE TABLE IF NOT EXISTS qr_check_in_attempts (
+  user_id       uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  attempted_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_qr_check_in_attempts_user ON qr_check_in_attempts(user_id, attempted_at);
+
+ALTER TABLE qr_check_in_attempts ENABLE ROW LEVEL SECURITY;
+
+-- ─── 2. How the shift was started ───
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS check_in_method text NOT NULL DEFAULT 'manual'
+  CHECK (check_in_method IN ('manual', 'qr'));
+
+-- ─── 3. QR shifts skip the geofence ───
+-- check_in_method is client-writable on insert, so 'qr' is trusted
+-- only inside qr_check_in, which sets a transaction-local flag.
+CREATE OR REPLACE FUNCTION public.evaluate_shift_geofence()
+RETURNS trigger AS $$
+DECLARE
+  v_site sites%ROWTYPE;
+BEGIN
+  IF NEW.check_in_method = 'qr'
+     AND current_setting('kazzaz.qr_check_in', true) IS DISTINCT FROM 'on' THEN
+    NEW.check_in_method := 'manual';
+  END IF;
+
+  NEW.outside_geofence := false;
+  NEW.check_in_distance_m := NULL;
+
+  IF NEW.site_id IS NULL OR NEW.check_in_method = 'qr' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_site FROM sites WHERE id = NEW.site_id;
+  IF v_site.latitude IS NULL OR v_site.longitude IS NULL THEN
+    RETURN NEW;  -- site has no coordinates: nothing to check against
+  END IF;
+
+  IF NEW.check_in_lat IS NULL OR NEW.check_in_lng IS NULL THEN
+    NEW.outside_geofence := true;  -- location unavailable or denied
+    RETURN NEW;
+  END IF;
+
+  NEW.check_in_distance_m := ROUND(public.geo_distance_m(
+    NEW.check_in_lat, NEW.check_in_lng, v_site.latitude, v_site.longitude
+  )::numeric, 1);
+  NEW.outside_geofence := NEW.check_in_distance_m > v_site.geofence_radius_m;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ─── 4. RPC: create_site_checkin_token (supervisor of the site / admin) ───
+CREATE OR REPLACE FUNCTION create_site_checkin_token(p_site_id uuid)
+RETURNS TABLE (token text, code text, expires_at timestamptz)
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() AND NOT EXISTS (
+    SELECT 1 FROM site_supervisors
+    WHERE site_id = p_site_id AND supervisor_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  DELETE FROM site_checkin_tokens t
+  WHERE t.site_id = p_site_id AND t.expires_at < now();
+
+  RETURN QUERY
+  INSERT INTO site_checkin_tokens (site_id, token, code, created_by, expires_at)
+  VALUES (
+    p_site_id,
+    replace(gen_random_uuid()::text, '-', ''),
+    lpad(floor(random() * 1000000)::int::text, 6, '0'),
+    auth.uid(),
+    now() + interval '90 seconds'
+  )
+  RETURNING site_checkin_tokens.token, site_checkin_tokens.code, site_checkin_tokens.expires_at;
+END;
+$$;
+
+-- ─── 5. RPC: qr_check_in (student) ───
+-- p_code is either the QR token or the 6-digit code. The code is
+-- matched only against sites the student is actively placed at.
+-- A wrong code returns NULL rather than raising, so the attempt row
+-- survives; the client shows the error.
+CREATE OR REPLACE FUNCTION qr_check_in(
+  p_code text,
+  p_task_description text,
+  p_category text DEFAULT 'other'
+)
+RETURNS shifts
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_site_id uuid;
+  v_shift shifts%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF p_category NOT IN ('tutoring', 'mentoring', 'community_service', 'office_work', 'event_support', 'other') THEN
+    RAISE EXCEPTION 'קטגוריה לא חוקית';
+  END IF;
+
+  DELETE FROM qr_check_in_attempts WHERE attempted_at < now() - interval '1 day';
+
+  IF (
+    SELECT COUNT(*) FROM qr_check_in_attempts
+    WHERE user_id = auth.uid() AND attempted_at > now() - interval '10 minutes'
+  ) >= 5 THEN
+    RAISE EXCEPTION 'יותר מדי ניסיונות עם קוד שגוי. נא לנסות שוב בעוד כמה דקות';
+  END IF;
+
+  SELECT t.site_id INTO v_site_id
+  FROM site_checkin_tokens t
+  INNER JOIN student_placements sp
+    ON sp.site_id = t.site_id AND sp.student_id = auth.uid() AND sp.status = 'active'
+  WHERE (t.token = p_code OR t.code = p_code)
+    AND t.expires_at > now()
+  LIMIT 1;
+
+  IF v_site_id IS NULL THEN
+    INSERT INTO qr_check_in_attempts (user_id) VALUES (auth.uid());
+    RETURN NULL;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM shifts WHERE user_id = auth.uid() AND status = 'active') THEN
+    RAISE EXCEPTION 'כבר יש לך משמרת פעילה. צא מהמשמרת הנוכחית לפני שתתחיל חדשה.';
+  END IF;
+
+  PERFORM set_config('kazzaz.qr_check_in', 'on', true);
+  INSERT INTO shifts (user_id, category, task_description, start_time, status, site_id, check_in_method)
+  VALUES (auth.uid(), p_category, p_task_description, now(), 'active', v_site_id, 'qr')
+  RETURNING * INTO v_shift;
+  PERFORM set_config('kazzaz.qr_check_in', 'off', true);
+
+  RETURN v_shift;
+END;
+$$;
+
+-- ─── 6. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
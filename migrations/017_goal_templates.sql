@@ -0,0 +1,264 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 017 — Per-Category Goal Templates
+-- ============================================================
+-- Run this AFTER 016_qr_checkin.sql
+-- A goal template is a set of per-category rules on top of
+-- profiles.total_goal, e.g. "at least 40h tutoring, at most 20h
+-- office work". A template applies to a cohort (the academic year
+-- of the student's active placement) or directly to one student;
+-- the per-student assignment wins.
+--
+-- Hours above a category maximum do not count toward the total.
+-- The goal is complete only when every category minimum is met.
+-- ============================================================
+
+-- ─── 1. Templates and their category rules ───
+CREATE TABLE IF NOT EXISTS goal_templates (
+  id             uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name           text NOT NULL,
+  academic_year  text UNIQUE,  -- cohort this template applies to (NULL = assign per student only)
+  created_at     timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS goal_template_requirements (
+  id           uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_id  uuid NOT NULL REFERENCES goal_templates(id) ON DELETE CASCADE,
+  category     text NOT NULL,
+  min_hours    numeric CHECK (min_hours IS NULL OR min_hours >= 0),
+  max_hours    numeric CHECK (max_hours IS NULL OR max_hours > 0),
+  UNIQUE (template_id, category),
+  CHECK (min_hours IS NOT NULL OR max_hours IS NOT NULL),
+  CHECK (min_hours IS NULL OR max_hours IS NULL OR max_hours >= min_hours)
+);
+
+CREATE INDEX IF NOT EXISTS idx_goal_template_requirements_template ON goal_template_requirements(template_id);
+
+-- ─── 2. Per-student override ───
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS goal_template_id uuid
+  REFERENCES goal_templates(id) ON DELETE SET NULL;
+
+-- ─── 3. RLS (admin manages; everyone else reads through the RPCs) ───
+ALTER TABLE goal_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE goal_template_requirements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "goal_templates_all_admin"
+  ON goal_templates FOR ALL TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+CREATE POLICY "goal_template_requirements_all_admin"
+  ON goal_template_requirements FOR ALL TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+-- ─── 4. Which template applies to a student ───
+CREATE OR REPLACE FUNCTION public.student_goal_template_id(p_student_id uuid)
+RETURNS uuid
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT COALESCE(
+    (SELECT goal_template_id FROM profiles WHERE id = p_student_id),
+    (
+      SELECT gt.id
+      FROM student_placements sp
+      INNER JOIN goal_templates gt ON gt.academic_year = sp.academic_year
+      WHERE sp.student_id = p_student_id AND sp.status = 'active'
+      LIMIT 1
+    )
+  );
+$$;
+
+-- ─── 5. Counted hours per category (completed shifts + approved logs) ───
+CREATE OR REPLACE FUNCTION public.student_category_hours(p_student_id uuid)
+RETURNS TABLE (category text, hours numeric)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT COALESCE(x.category, 'other') AS category, SUM(x.minutes) / 60.0 AS hours
+  FROM (
+    SELECT s.category, s.duration_minutes::numeric AS minutes
+    FROM shifts s
+    WHERE s.user_id = p_student_id AND s.status = 'completed' AND s.duration_minutes IS NOT NULL
+    UNION ALL
+    SELECT ml.category, ml.duration_minutes::numeric
+    FROM manual_logs ml
+    WHERE ml.user_id = p_student_id AND ml.status = 'approved'
+  ) x
+  GROUP BY COALESCE(x.category, 'other');
+$$;
+
+-- ─── 6. Goal status: capped total + per-category requirement check ───
+CREATE OR REPLACE FUNCTION public.student_goal_status(p_student_id uuid)
+RETURNS TABLE (counted_hours numeric, requirements jsonb, requirements_met boolean)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH hrs AS (
+    SELECT * FROM public.student_category_hours(p_student_id)
+  ),
+  req AS (
+    SELECT r.category, r.min_hours, r.max_hours, COALESCE(h.hours, 0) AS hours
+    FROM goal_template_requirements r
+    LEFT JOIN hrs h ON h.category = r.category
+    WHERE r.template_id = public.student_goal_template_id(p_student_id)
+  )
+  SELECT
+    (
+      SELECT COALESCE(SUM(LEAST(h.hours, COALESCE(r.max_hours, h.hours))), 0)
+      FROM hrs h
+      LEFT JOIN req r ON r.category = h.category
+    ) AS counted_hours,
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'category',  category,
+        'min_hours', min_hours,
+        'max_hours', max_hours,
+        'hours',     ROUND(hours, 2),
+        'met',       hours >= COALESCE(min_hours, 0)
+      ) ORDER BY category)
+      FROM req
+    ), '[]'::jsonb) AS requirements,
+    NOT EXISTS (SELECT 1 FROM req WHERE hours < COALESCE(min_hours, 0)) AS requirements_met;
+$$;
+
+-- ─── 7. RPC: get_student_goal_requirements (student / supervisor / admin) ───
+CREATE OR REPLACE FUNCTION get_student_goal_requirements(p_student_id uuid)
+RETURNS TABLE (category text, min_hours numeric, max_hours numeric)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT r.category, r.min_hours, r.max_hours
+  FROM goal_template_requirements r
+  WHERE r.template_id = public.student_goal_template_id(p_student_id)
+    AND (
+      p_student_id = auth.uid()
+      OR public.is_admin()
+      OR EXISTS (
+        SELECT 1 FROM student_placements sp
+        INNER JOIN site_supervisors ss ON ss.site_id = sp.site_id
+        WHERE sp.student_id = p_student_id AND sp.status = 'active'
+          AND ss.supervisor_id = auth.uid()
+      )
+    )
+  ORDER BY r.category;
+$$;
+
+-- ─── 8. Summaries report the capped total and requirements ───
+-- Must DROP first because return type is changing
+DROP FUNCTION IF EXISTS get_all_students_summary();
+
+CREATE OR REPLACE FUNCTION get_all_students_summary()
+RETURNS TABLE (
+  student_id uuid,
+  full_name text,
+  total_goal integer,
+  shift_hours numeric,
+  approved_manual_hours numeric,
+  pending_logs bigint,
+  total_hours numeric,
+  counted_hours numeric,
+  progress_percent numeric,
+  requirements jsonb,
+  requirements_met boolean,
+  goal_template_id uuid,
+  site_name text,
+  site_id uuid,
+  is_active boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    p.id AS student_id,
+    p.full_name,
+    p.total_goal,
+    COALESCE(sh.shift_hours, 0) AS shift_hours,
+    COALESCE(ml.approved_hours, 0) AS approved_manual_hours,
+    COALESCE(ml.pending_count, 0) AS pending_logs,
+    COALESCE(sh.shift_hours, 0) + COALESCE(ml.approved_hours, 0) AS total_hours,
+    gs.counted_hours,
+    LEAST(gs.counted_hours / GREATEST(p.total_goal, 1) * 100, 100) AS progress_percent,
+    gs.requirements,
+    gs.requirements_met,
+    p.goal_template_id,
+    s.name AS site_name,
+    sp.site_id,
+    p.is_active
+  FROM profiles p
+  CROSS JOIN LATERAL public.student_goal_status(p.id) gs
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(duration_minutes) / 60.0 AS shift_hours
+    FROM shifts
+    WHERE status = 'completed' AND duration_minutes IS NOT NULL
+    GROUP BY user_id
+  ) sh ON sh.user_id = p.id
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(CASE WHEN status = 'approved' THEN duration_minutes ELSE 0 END) / 60.0 AS approved_hours,
+           COUNT(CASE WHEN status = 'pending' THEN 1 END) AS pending_count
+    FROM manual_logs
+    GROUP BY user_id
+  ) ml ON ml.user_id = p.id
+  LEFT JOIN student_placements sp ON sp.student_id = p.id AND sp.status = 'active'
+  LEFT JOIN sites s ON s.id = sp.site_id
+  WHERE p.role = 'student'
+  ORDER BY p.is_active DESC, p.full_name;
+$$;
+
+DROP FUNCTION IF EXISTS get_supervisor_students(uuid);
+
+CREATE OR REPLACE FUNCTION get_supervisor_students(p_supervisor_id uuid)
+RETURNS TABLE (
+  student_id uuid,
+  full_name text,
+  total_goal integer,
+  site_name text,
+  site_id uuid,
+  shift_hours numeric,
+  approved_manual_hours numeric,
+  pending_supervisor_logs bigint,
+  total_hours numeric,
+  counted_hours numeric,
+  progress_percent numeric,
+  requirements jsonb,
+  requirements_met boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    p.id AS student_id,
+    p.full_name,
+    p.total_goal,
+    si.name AS site_name,
+    sp.site_id,
+    COALESCE(sh.shift_hours, 0) AS shift_hours,
+    COALESCE(ml.approved_hours, 0) AS approved_manual_hours,
+    COALESCE(ml.pending_sup_count, 0) AS pending_supervisor_logs,
+    COALESCE(sh.shift_hours, 0) + COALESCE(ml.approved_hours, 0) AS total_hours,
+    gs.counted_hours,
+    LEAST(gs.counted_hours / GREATEST(p.total_goal, 1) * 100, 100) AS progress_percent,
+    gs.requirements,
+    gs.requirements_met
+  FROM profiles p
+  INNER JOIN student_placements sp ON sp.student_id = p.id AND sp.status = 'active'
+  INNER JOIN site_supervisors ss ON ss.site_id = sp.site_id AND ss.supervisor_id = p_supervisor_id
+  INNER JOIN sites si ON si.id = sp.site_id
+  CROSS JOIN LATERAL public.student_goal_status(p.id) gs
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(duration_minutes) / 60.0 AS shift_hours
+    FROM shifts
+    WHERE status = 'completed' AND duration_minutes IS NOT NULL
+    GROUP BY user_id
+  ) sh ON sh.user_id = p.id
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(CASE WHEN status = 'approved' THEN duration_minutes ELSE 0 END) / 60.0 AS approved_hours,
+           COUNT(CASE WHEN supervisor_status = 'pending_supervisor' THEN 1 END) AS pending_sup_count
+    FROM manual_logs
+    GROUP BY user_id
+  ) ml ON ml.user_id = p.id
+  WHERE p.role = 'student'
+    AND p.is_active = true
+  ORDER BY p.full_name;
+$$;
+
+-- ─── 9. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
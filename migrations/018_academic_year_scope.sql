@@ -0,0 +1,336 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 018 — Hours and Goals per Academic Year
+-- ============================================================
+-- Run this AFTER 017_goal_templates.sql
+-- Hours used to be summed across all time, so a returning scholar
+-- started year two already "complete". Every hours calculation now
+-- takes an academic year ('2025-2026', starting September 1st,
+-- Israel time). NULL means the current year.
+--
+-- A shift belongs to the year of its start_time; a manual log to
+-- the year of its date. Goals can be set per year in
+-- student_year_goals; profiles.total_goal is the fallback. A student's
+-- goal template override is per year as well (student_goal_templates).
+-- ============================================================
+
+-- ─── 1. Academic year helpers ───
+CREATE OR REPLACE FUNCTION public.academic_year_of(p_local timestamp)
+RETURNS text
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN EXTRACT(MONTH FROM p_local) >= 9
+      THEN EXTRACT(YEAR FROM p_local)::int || '-' || (EXTRACT(YEAR FROM p_local)::int + 1)
+    ELSE (EXTRACT(YEAR FROM p_local)::int - 1) || '-' || EXTRACT(YEAR FROM p_local)::int
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.current_academic_year()
+RETURNS text
+LANGUAGE sql STABLE
+AS $$
+  SELECT public.academic_year_of(now() AT TIME ZONE 'Asia/Jerusalem');
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_shifts_user_academic_year
+  ON shifts(user_id, public.academic_year_of(start_time AT TIME ZONE 'Asia/Jerusalem'));
+CREATE INDEX IF NOT EXISTS idx_manual_logs_user_academic_year
+  ON manual_logs(user_id, public.academic_year_of(date::timestamp));
+
+-- ─── 2. Per-year goals ───
+CREATE TABLE IF NOT EXISTS student_year_goals (
+  student_id     uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  academic_year  text NOT NULL,
+  total_goal     integer NOT NULL CHECK (total_goal > 0),
+  updated_at     timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (student_id, academic_year)
+);
+
+ALTER TABLE student_year_goals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "student_year_goals_select_own"
+  ON student_year_goals FOR SELECT TO authenticated
+  USING (student_id = auth.uid());
+
+CREATE POLICY "student_year_goals_all_admin"
+  ON student_year_goals FOR ALL TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+-- Per-year template override (replaces profiles.goal_template_id from
+-- 017, which applied to every year)
+CREATE TABLE IF NOT EXISTS student_goal_templates (
+  student_id     uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  academic_year  text NOT NULL,
+  template_id    uuid NOT NULL REFERENCES goal_templates(id) ON DELETE CASCADE,
+  updated_at     timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (student_id, academic_year)
+);
+
+ALTER TABLE student_goal_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "student_goal_templates_select_own"
+  ON student_goal_templates FOR SELECT TO authenticated
+  USING (student_id = auth.uid());
+
+CREATE POLICY "student_goal_templates_all_admin"
+  ON student_goal_templates FOR ALL TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+-- An existing override is kept for the current year only
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'profiles' AND column_name = 'goal_template_id'
+  ) THEN
+    INSERT INTO student_goal_templates (student_id, academic_year, template_id)
+    SELECT id, public.current_academic_year(), goal_template_id
+    FROM profiles
+    WHERE goal_template_id IS NOT NULL
+    ON CONFLICT DO NOTHING;
+  END IF;
+END $$;
+
+ALTER TABLE profiles DROP COLUMN IF EXISTS goal_template_id;
+
+-- ─── 3. Replace the year-less goal helpers from 017 ───
+DROP FUNCTION IF EXISTS get_student_goal_requirements(uuid);
+DROP FUNCTION IF EXISTS public.student_goal_status(uuid);
+DROP FUNCTION IF EXISTS public.student_category_hours(uuid);
+DROP FUNCTION IF EXISTS public.student_goal_template_id(uuid);
+
+-- The student's override for the year, else the cohort template (the
+-- template for the year the student is placed in)
+CREATE OR REPLACE FUNCTION public.student_goal_template_id(p_student_id uuid, p_academic_year text)
+RETURNS uuid
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT COALESCE(
+    (
+      SELECT template_id FROM student_goal_templates
+      WHERE student_id = p_student_id AND academic_year = p_academic_year
+    ),
+    (
+      SELECT gt.id
+      FROM student_placements sp
+      INNER JOIN goal_templates gt ON gt.academic_year = sp.academic_year
+      WHERE sp.student_id = p_student_id AND sp.academic_year = p_academic_year
+      LIMIT 1
+    )
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.student_category_hours(p_student_id uuid, p_academic_year text)
+RETURNS TABLE (category text, hours numeric)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT COALESCE(x.category, 'other') AS category, SUM(x.minutes) / 60.0 AS hours
+  FROM (
+    SELECT s.category, s.duration_minutes::numeric AS minutes
+    FROM shifts s
+    WHERE s.user_id = p_student_id AND s.status = 'completed' AND s.duration_minutes IS NOT NULL
+      AND public.academic_year_of(s.start_time AT TIME ZONE 'Asia/Jerusalem') = p_academic_year
+    UNION ALL
+    SELECT ml.category, ml.duration_minutes::numeric
+    FROM manual_logs ml
+    WHERE ml.user_id = p_student_id AND ml.status = 'approved'
+      AND public.academic_year_of(ml.date::timestamp) = p_academic_year
+  ) x
+  GROUP BY COALESCE(x.category, 'other');
+$$;
+
+CREATE OR REPLACE FUNCTION public.student_goal_status(p_student_id uuid, p_academic_year text)
+RETURNS TABLE (counted_hours numeric, requirements jsonb, requirements_met boolean)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH hrs AS (
+    SELECT * FROM public.student_category_hours(p_student_id, p_academic_year)
+  ),
+  req AS (
+    SELECT r.category, r.min_hours, r.max_hours, COALESCE(h.hours, 0) AS hours
+    FROM goal_template_requirements r
+    LEFT JOIN hrs h ON h.category = r.category
+    WHERE r.template_id = public.student_goal_template_id(p_student_id, p_academic_year)
+  )
+  SELECT
+    (
+      SELECT COALESCE(SUM(LEAST(h.hours, COALESCE(r.max_hours, h.hours))), 0)
+      FROM hrs h
+      LEFT JOIN req r ON r.category = h.category
+    ) AS counted_hours,
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'category',  category,
+        'min_hours', min_hours,
+        'max_hours', max_hours,
+        'hours',     ROUND(hours, 2),
+        'met',       hours >= COALESCE(min_hours, 0)
+      ) ORDER BY category)
+      FROM req
+    ), '[]'::jsonb) AS requirements,
+    NOT EXISTS (SELECT 1 FROM req WHERE hours < COALESCE(min_hours, 0)) AS requirements_met;
+$$;
+
+-- ─── 4. RPC: get_student_goal_requirements ───
+CREATE OR REPLACE FUNCTION get_student_goal_requirements(p_student_id uuid, p_academic_year text DEFAULT NULL)
+RETURNS TABLE (category text, min_hours numeric, max_hours numeric)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT r.category, r.min_hours, r.max_hours
+  FROM goal_template_requirements r
+  WHERE r.template_id = public.student_goal_template_id(
+      p_student_id, COALESCE(p_academic_year, public.current_academic_year())
+    )
+    AND (
+      p_student_id = auth.uid()
+      OR public.is_admin()
+      OR EXISTS (
+        SELECT 1 FROM student_placements sp
+        INNER JOIN site_supervisors ss ON ss.site_id = sp.site_id
+        WHERE sp.student_id = p_student_id AND sp.status = 'active'
+          AND ss.supervisor_id = auth.uid()
+      )
+    )
+  ORDER BY r.category;
+$$;
+
+-- ─── 5. Summaries scoped to a year ───
+DROP FUNCTION IF EXISTS get_all_students_summary();
+
+CREATE OR REPLACE FUNCTION get_all_students_summary(p_academic_year text DEFAULT NULL)
+RETURNS TABLE (
+  student_id uuid,
+  full_name text,
+  total_goal integer,
+  shift_hours numeric,
+  approved_manual_hours numeric,
+  pending_logs bigint,
+  total_hours numeric,
+  counted_hours numeric,
+  progress_percent numeric,
+  requirements jsonb,
+  requirements_met boolean,
+  goal_template_id uuid,
+  academic_year text,
+  site_name text,
+  site_id uuid,
+  is_active boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  )
+  SELECT
+    p.id AS student_id,
+    p.full_name,
+    COALESCE(yg.total_goal, p.total_goal) AS total_goal,
+    COALESCE(sh.shift_hours, 0) AS shift_hours,
+    COALESCE(ml.approved_hours, 0) AS approved_manual_hours,
+    COALESCE(ml.pending_count, 0) AS pending_logs,
+    COALESCE(sh.shift_hours, 0) + COALESCE(ml.approved_hours, 0) AS total_hours,
+    gs.counted_hours,
+    LEAST(gs.counted_hours / GREATEST(COALESCE(yg.total_goal, p.total_goal), 1) * 100, 100) AS progress_percent,
+    gs.requirements,
+    gs.requirements_met,
+    sgt.template_id AS goal_template_id,
+    yr.y AS academic_year,
+    s.name AS site_name,
+    sp.site_id,
+    p.is_active
+  FROM profiles p
+  CROSS JOIN yr
+  CROSS JOIN LATERAL public.student_goal_status(p.id, yr.y) gs
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = yr.y
+  LEFT JOIN student_goal_templates sgt ON sgt.student_id = p.id AND sgt.academic_year = yr.y
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(duration_minutes) / 60.0 AS shift_hours
+    FROM shifts, yr
+    WHERE status = 'completed' AND duration_minutes IS NOT NULL
+      AND public.academic_year_of(start_time AT TIME ZONE 'Asia/Jerusalem') = yr.y
+    GROUP BY user_id
+  ) sh ON sh.user_id = p.id
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(CASE WHEN status = 'approved' THEN duration_minutes ELSE 0 END) / 60.0 AS approved_hours,
+           COUNT(CASE WHEN status = 'pending' THEN 1 END) AS pending_count
+    FROM manual_logs, yr
+    WHERE public.academic_year_of(date::timestamp) = yr.y
+    GROUP BY user_id
+  ) ml ON ml.user_id = p.id
+  LEFT JOIN student_placements sp ON sp.student_id = p.id AND sp.academic_year = yr.y
+  LEFT JOIN sites s ON s.id = sp.site_id
+  WHERE p.role = 'student'
+  ORDER BY p.is_active DESC, p.full_name;
+$$;
+
+DROP FUNCTION IF EXISTS get_supervisor_students(uuid);
+
+CREATE OR REPLACE FUNCTION get_supervisor_students(p_supervisor_id uuid, p_academic_year text DEFAULT NULL)
+RETURNS TABLE (
+  student_id uuid,
+  full_name text,
+  total_goal integer,
+  site_name text,
+  site_id uuid,
+  shift_hours numeric,
+  approved_manual_hours numeric,
+  pending_supervisor_logs bigint,
+  total_hours numeric,
+  counted_hours numeric,
+  progress_percent numeric,
+  requirements jsonb,
+  requirements_met boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  )
+  SELECT
+    p.id AS student_id,
+    p.full_name,
+    COALESCE(yg.total_goal, p.total_goal) AS total_goal,
+    si.name AS site_name,
+    sp.site_id,
+    COALESCE(sh.shift_hours, 0) AS shift_hours,
+    COALESCE(ml.approved_hours, 0) AS approved_manual_hours,
+    COALESCE(ml.pending_sup_count, 0) AS pending_supervisor_logs,
+    COALESCE(sh.shift_hours, 0) + COALESCE(ml.approved_hours, 0) AS total_hours,
+    gs.counted_hours,
+    LEAST(gs.counted_hours / GREATEST(COALESCE(yg.total_goal, p.total_goal), 1) * 100, 100) AS progress_percent,
+    gs.requirements,
+    gs.requirements_met
+  FROM profiles p
+  CROSS JOIN yr
+  INNER JOIN student_placements sp ON sp.student_id = p.id AND sp.status = 'active'
+  INNER JOIN site_supervisors ss ON ss.site_id = sp.site_id AND ss.supervisor_id = p_supervisor_id
+  INNER JOIN sites si ON si.id = sp.site_id
+  CROSS JOIN LATERAL public.student_goal_status(p.id, yr.y) gs
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = yr.y
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(duration_minutes) / 60.0 AS shift_hours
+    FROM shifts, yr
+    WHERE status = 'completed' AND duration_minutes IS NOT NULL
+      AND public.academic_year_of(start_time AT TIME ZONE 'Asia/Jerusalem') = yr.y
+    GROUP BY user_id
+  ) sh ON sh.user_id = p.id
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(CASE WHEN status = 'approved' THEN duration_minutes ELSE 0 END) / 60.0 AS approved_hours,
+           COUNT(CASE WHEN supervisor_status = 'pending_supervisor' THEN 1 END) AS pending_sup_count
+    FROM manual_logs, yr
+    WHERE public.academic_year_of(date::timestamp) = yr.y
+    GROUP BY user_id
+  ) ml ON ml.user_id = p.id
+  WHERE p.role = 'student'
+    AND p.is_active = true
+  ORDER BY p.full_name;
+$$;
+
+-- ─── 6. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
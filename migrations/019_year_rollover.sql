@@ -0,0 +1,81 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 019 — Academic-Year Rollover
+-- ============================================================
+-- Run this AFTER 018_academic_year_scope.sql
+-- Moves the active placements of one academic year into the next
+-- in a single transaction. The admin decides per placement:
+--   continue — same site next year
+--   move     — a different site next year
+--   complete — no placement next year
+-- Every decided placement is closed as 'completed', and the old
+-- year's general events are archived (is_active = false).
+-- A student who is already placed in the new year is skipped.
+-- ============================================================
+
+-- ─── 1. RPC: rollover_academic_year (admin only) ───
+-- p_decisions: [{ "placement_id": uuid, "action": text, "site_id": uuid }]
+CREATE OR REPLACE FUNCTION rollover_academic_year(
+  p_from_year text,
+  p_to_year text,
+  p_decisions jsonb
+)
+RETURNS TABLE (created_placements integer, completed_placements integer, archived_events integer)
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_created integer;
+  v_completed integer;
+  v_archived integer;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF p_from_year = p_to_year THEN
+    RAISE EXCEPTION 'שנת היעד חייבת להיות שונה משנת המקור';
+  END IF;
+
+  CREATE TEMP TABLE rollover_decisions ON COMMIT DROP AS
+  SELECT
+    sp.id AS placement_id,
+    sp.student_id,
+    d.action,
+    CASE WHEN d.action = 'move' THEN d.site_id ELSE sp.site_id END AS site_id
+  FROM jsonb_to_recordset(p_decisions) AS d(placement_id uuid, action text, site_id uuid)
+  INNER JOIN student_placements sp
+    ON sp.id = d.placement_id AND sp.academic_year = p_from_year AND sp.status = 'active';
+
+  IF EXISTS (SELECT 1 FROM rollover_decisions WHERE action NOT IN ('continue', 'move', 'complete')) THEN
+    RAISE EXCEPTION 'פעולה לא חוקית במעבר שנה';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM rollover_decisions WHERE action = 'move' AND site_id IS NULL) THEN
+    RAISE EXCEPTION 'יש לבחור אתר חדש לכל סטודנט שעובר אתר';
+  END IF;
+
+  INSERT INTO student_placements (student_id, site_id, academic_year, status)
+  SELECT student_id, site_id, p_to_year, 'active'
+  FROM rollover_decisions
+  WHERE action IN ('continue', 'move')
+  ON CONFLICT (student_id, academic_year) DO NOTHING;
+  GET DIAGNOSTICS v_created = ROW_COUNT;
+
+  UPDATE student_placements
+  SET status = 'completed'
+  WHERE id IN (SELECT placement_id FROM rollover_decisions);
+  GET DIAGNOSTICS v_completed = ROW_COUNT;
+
+  UPDATE general_events
+  SET is_active = false
+  WHERE is_active = true
+    AND public.academic_year_of(
+      COALESCE(event_date::timestamp, created_at AT TIME ZONE 'Asia/Jerusalem')
+    ) = p_from_year;
+  GET DIAGNOSTICS v_archived = ROW_COUNT;
+
+  RETURN QUERY SELECT v_created, v_completed, v_archived;
+END;
+$$;
+
+-- ─── 2. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,180 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 020 — Hours Export for Accounting
+-- ============================================================
+-- Run this AFTER 019_year_rollover.sql
+-- The admin overview exports approved hours to CSV / XLSX for the
+-- finance department. get_all_students_summary gains the student's
+-- email and an optional date range (inclusive, Israel time) inside
+-- the academic year; get_hours_export_detail returns every shift
+-- and manual log behind those totals.
+-- ============================================================
+
+-- ─── 1. Summary with email and date range ───
+-- Admin only: it now carries every student's email
+-- Must DROP first because the signature and return type are changing
+DROP FUNCTION IF EXISTS get_all_students_summary(text);
+
+CREATE OR REPLACE FUNCTION get_all_students_summary(
+  p_academic_year text DEFAULT NULL,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL
+)
+RETURNS TABLE (
+  student_id uuid,
+  full_name text,
+  email text,
+  total_goal integer,
+  shift_hours numeric,
+  approved_manual_hours numeric,
+  pending_logs bigint,
+  total_hours numeric,
+  counted_hours numeric,
+  progress_percent numeric,
+  requirements jsonb,
+  requirements_met boolean,
+  goal_template_id uuid,
+  academic_year text,
+  site_name text,
+  site_id uuid,
+  is_active boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  )
+  SELECT
+    p.id AS student_id,
+    p.full_name,
+    p.email,
+    COALESCE(yg.total_goal, p.total_goal) AS total_goal,
+    COALESCE(sh.shift_hours, 0) AS shift_hours,
+    COALESCE(ml.approved_hours, 0) AS approved_manual_hours,
+    COALESCE(ml.pending_count, 0) AS pending_logs,
+    COALESCE(sh.shift_hours, 0) + COALESCE(ml.approved_hours, 0) AS total_hours,
+    gs.counted_hours,
+    LEAST(gs.counted_hours / GREATEST(COALESCE(yg.total_goal, p.total_goal), 1) * 100, 100) AS progress_percent,
+    gs.requirements,
+    gs.requirements_met,
+    sgt.template_id AS goal_template_id,
+    yr.y AS academic_year,
+    s.name AS site_name,
+    sp.site_id,
+    p.is_active
+  FROM profiles p
+  CROSS JOIN yr
+  CROSS JOIN LATERAL public.student_goal_status(p.id, yr.y) gs
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = yr.y
+  LEFT JOIN student_goal_templates sgt ON sgt.student_id = p.id AND sgt.academic_year = yr.y
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(duration_minutes) / 60.0 AS shift_hours
+    FROM shifts, yr
+    WHERE status = 'completed' AND duration_minutes IS NOT NULL
+      AND public.academic_year_of(start_time AT TIME ZONE 'Asia/Jerusalem') = yr.y
+      AND (p_from IS NULL OR (start_time AT TIME ZONE 'Asia/Jerusalem')::date >= p_from)
+      AND (p_to IS NULL OR (start_time AT TIME ZONE 'Asia/Jerusalem')::date <= p_to)
+    GROUP BY user_id
+  ) sh ON sh.user_id = p.id
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(CASE WHEN status = 'approved' THEN duration_minutes ELSE 0 END) / 60.0 AS approved_hours,
+           COUNT(CASE WHEN status = 'pending' THEN 1 END) AS pending_count
+    FROM manual_logs, yr
+    WHERE public.academic_year_of(date::timestamp) = yr.y
+      AND (p_from IS NULL OR date >= p_from)
+      AND (p_to IS NULL OR date <= p_to)
+    GROUP BY user_id
+  ) ml ON ml.user_id = p.id
+  LEFT JOIN student_placements sp ON sp.student_id = p.id AND sp.academic_year = yr.y
+  LEFT JOIN sites s ON s.id = sp.site_id
+  WHERE p.role = 'student'
+    AND public.is_admin()
+  ORDER BY p.is_active DESC, p.full_name;
+$$;
+
+-- ─── 2. RPC: get_hours_export_detail (admin only) ───
+-- One row per shift (except active ones) and per manual log.
+-- p_site_id filters by the student's placement site for the year.
+CREATE OR REPLACE FUNCTION get_hours_export_detail(
+  p_academic_year text DEFAULT NULL,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL,
+  p_site_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  record_type text,
+  student_id uuid,
+  full_name text,
+  email text,
+  site_name text,
+  work_date date,
+  start_time timestamptz,
+  end_time timestamptz,
+  duration_minutes numeric,
+  category text,
+  description text,
+  status text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  ),
+  students AS (
+    SELECT p.id, p.full_name, p.email
+    FROM profiles p
+    CROSS JOIN yr
+    LEFT JOIN student_placements sp ON sp.student_id = p.id AND sp.academic_year = yr.y
+    WHERE p.role = 'student'
+      AND public.is_admin()
+      AND (p_site_id IS NULL OR sp.site_id = p_site_id)
+  ),
+  records AS (
+    SELECT
+      'shift'::text AS record_type,
+      st.id AS student_id,
+      st.full_name,
+      st.email,
+      si.name AS site_name,
+      (s.start_time AT TIME ZONE 'Asia/Jerusalem')::date AS work_date,
+      s.start_time,
+      s.end_time,
+      s.duration_minutes::numeric AS duration_minutes,
+      s.category,
+      s.task_description AS description,
+      s.status
+    FROM shifts s
+    INNER JOIN students st ON st.id = s.user_id
+    LEFT JOIN sites si ON si.id = s.site_id
+    WHERE s.status <> 'active'
+
+    UNION ALL
+
+    SELECT
+      'manual',
+      st.id,
+      st.full_name,
+      st.email,
+      si.name,
+      ml.date,
+      NULL,
+      NULL,
+      ml.duration_minutes::numeric,
+      ml.category,
+      ml.description,
+      ml.status
+    FROM manual_logs ml
+    INNER JOIN students st ON st.id = ml.user_id
+    LEFT JOIN sites si ON si.id = ml.site_id
+  )
+  SELECT r.*
+  FROM records r, yr
+  WHERE public.academic_year_of(r.work_date::timestamp) = yr.y
+    AND (p_from IS NULL OR r.work_date >= p_from)
+    AND (p_to IS NULL OR r.work_date <= p_to)
+  ORDER BY r.full_name, r.work_date, r.start_time NULLS LAST;
+$$;
+
+-- ─── 3. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,152 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 021 — Hours Certificates
+-- ============================================================
+-- Run this AFTER 020_hours_export.sql
+-- A student who completed the year's goal (counted hours >= goal
+-- and every category minimum met) can download a PDF certificate
+-- for the scholarship fund. The certificate contents are frozen in
+-- hours_certificates.snapshot when first issued, together with a
+-- verification code an admin can look up to confirm it is genuine.
+-- One certificate per student per academic year; issuing again
+-- returns the existing one.
+-- ============================================================
+
+-- ─── 1. Certificates ───
+CREATE TABLE IF NOT EXISTS hours_certificates (
+  id                 uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id         uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  academic_year      text NOT NULL,
+  verification_code  text NOT NULL UNIQUE,
+  snapshot           jsonb NOT NULL,
+  issued_by          uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  issued_at          timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (student_id, academic_year)
+);
+
+ALTER TABLE hours_certificates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "hours_certificates_select_own"
+  ON hours_certificates FOR SELECT TO authenticated
+  USING (student_id = auth.uid());
+
+CREATE POLICY "hours_certificates_all_admin"
+  ON hours_certificates FOR ALL TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+-- ─── 2. RPC: issue_hours_certificate (the student / admin) ───
+CREATE OR REPLACE FUNCTION issue_hours_certificate(
+  p_student_id uuid,
+  p_academic_year text DEFAULT NULL
+)
+RETURNS hours_certificates
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_year text := COALESCE(p_academic_year, public.current_academic_year());
+  v_cert hours_certificates%ROWTYPE;
+  v_goal integer;
+  v_status record;
+  v_snapshot jsonb;
+BEGIN
+  IF p_student_id <> auth.uid() AND NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  SELECT * INTO v_cert
+  FROM hours_certificates
+  WHERE student_id = p_student_id AND academic_year = v_year;
+  IF FOUND THEN
+    RETURN v_cert;
+  END IF;
+
+  SELECT COALESCE(yg.total_goal, p.total_goal) INTO v_goal
+  FROM profiles p
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = v_year
+  WHERE p.id = p_student_id;
+
+  SELECT * INTO v_status FROM public.student_goal_status(p_student_id, v_year);
+
+  IF v_goal IS NULL OR v_status.counted_hours < v_goal OR NOT v_status.requirements_met THEN
+    RAISE EXCEPTION 'יעד השעות לשנה זו עדיין לא הושלם';
+  END IF;
+
+  SELECT jsonb_build_object(
+    'full_name',     p.full_name,
+    'academic_year', v_year,
+    'site_name',     (
+      SELECT s.name FROM student_placements sp
+      INNER JOIN sites s ON s.id = sp.site_id
+      WHERE sp.student_id = p_student_id AND sp.academic_year = v_year
+      LIMIT 1
+    ),
+    'goal',          v_goal,
+    'counted_hours', ROUND(v_status.counted_hours, 2),
+    'total_hours',   (
+      SELECT ROUND(COALESCE(SUM(hours), 0), 2)
+      FROM public.student_category_hours(p_student_id, v_year)
+    ),
+    'categories',    (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'category', category,
+        'hours',    ROUND(hours, 2)
+      ) ORDER BY hours DESC), '[]'::jsonb)
+      FROM public.student_category_hours(p_student_id, v_year)
+    ),
+    -- Everyone who signed off on hours this year: site supervisors
+    -- (manual logs, geofence reviews) and the admins who approved logs
+    'approvals',     (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'name', a.full_name,
+        'role', a.role
+      ) ORDER BY a.role DESC, a.full_name), '[]'::jsonb)
+      FROM (
+        SELECT DISTINCT pr.full_name, pr.role
+        FROM profiles pr
+        WHERE pr.id IN (
+          SELECT ml.supervisor_reviewed_by FROM manual_logs ml
+          WHERE ml.user_id = p_student_id AND ml.status = 'approved'
+            AND public.academic_year_of(ml.date::timestamp) = v_year
+          UNION
+          SELECT ml.reviewed_by FROM manual_logs ml
+          WHERE ml.user_id = p_student_id AND ml.status = 'approved'
+            AND public.academic_year_of(ml.date::timestamp) = v_year
+          UNION
+          SELECT s.reviewed_by FROM shifts s
+          WHERE s.user_id = p_student_id AND s.status = 'completed'
+            AND public.academic_year_of(s.start_time AT TIME ZONE 'Asia/Jerusalem') = v_year
+        )
+      ) a
+    )
+  ) INTO v_snapshot
+  FROM profiles p
+  WHERE p.id = p_student_id;
+
+  INSERT INTO hours_certificates (student_id, academic_year, verification_code, snapshot, issued_by)
+  VALUES (
+    p_student_id,
+    v_year,
+    -- e.g. 'K7F2Q-9XA3M'
+    upper(substr(md5(gen_random_uuid()::text), 1, 5) || '-' || substr(md5(gen_random_uuid()::text), 1, 5)),
+    v_snapshot,
+    auth.uid()
+  )
+  RETURNING * INTO v_cert;
+
+  RETURN v_cert;
+END;
+$$;
+
+-- ─── 3. RPC: verify_hours_certificate (admin only) ───
+CREATE OR REPLACE FUNCTION verify_hours_certificate(p_code text)
+RETURNS SETOF hours_certificates
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT *
+  FROM hours_certificates
+  WHERE verification_code = upper(trim(p_code))
+    AND public.is_admin();
+$$;
+
+-- ─── 4. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,281 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 022 — Monthly Timesheets with Supervisor Sign-Off
+-- ============================================================
+-- Run this AFTER 021_hours_certificates.sql
+-- Sites need a monthly attendance sheet signed by the supervisor.
+-- The timesheet of a student for a month (Israel time) lists every
+-- completed shift and approved manual log; a site supervisor sees and
+-- signs only the records at their own site. Once signed, that site's
+-- records for the month are locked: they can't be edited, deleted or
+-- corrected, and no new manual log can be added there. A month can't
+-- be signed while any of its records at the site still wait for review.
+-- ============================================================
+
+-- ─── 1. Sign-offs (one per student, site and month) ───
+CREATE TABLE IF NOT EXISTS timesheet_signoffs (
+  id             uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id     uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  site_id        uuid REFERENCES sites(id) ON DELETE SET NULL,
+  month          date NOT NULL CHECK (month = date_trunc('month', month)::date),
+  total_minutes  numeric NOT NULL,
+  signed_by      uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  signed_at      timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (student_id, site_id, month)
+);
+
+ALTER TABLE timesheet_signoffs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "timesheet_signoffs_select_own"
+  ON timesheet_signoffs FOR SELECT TO authenticated
+  USING (student_id = auth.uid());
+
+CREATE POLICY "timesheet_signoffs_select_supervisor"
+  ON timesheet_signoffs FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM site_supervisors ss
+      WHERE ss.supervisor_id = auth.uid() AND ss.site_id = timesheet_signoffs.site_id
+    )
+  );
+
+CREATE POLICY "timesheet_signoffs_all_admin"
+  ON timesheet_signoffs FOR ALL TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+-- ─── 2. Is the student's month at the site signed? ───
+-- Records without a site (general events) are never part of a sign-off.
+CREATE OR REPLACE FUNCTION public.timesheet_locked(p_student_id uuid, p_site_id uuid, p_day date)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM timesheet_signoffs
+    WHERE student_id = p_student_id
+      AND site_id = p_site_id
+      AND month = date_trunc('month', p_day)::date
+  );
+$$;
+
+-- ─── 3. Lock signed records ───
+-- Only the columns that make up the signed hours are locked on shifts,
+-- so bookkeeping such as the admin review of an auto-closed shift
+-- (review_auto_closed_shift) still works on a signed month.
+CREATE OR REPLACE FUNCTION public.enforce_timesheet_lock()
+RETURNS trigger AS $$
+DECLARE
+  v_locked boolean := false;
+BEGIN
+  IF TG_TABLE_NAME = 'shifts' THEN
+    v_locked := OLD.status = 'completed'
+      AND (
+        TG_OP = 'DELETE'
+        OR (NEW.start_time, NEW.end_time, NEW.status, NEW.site_id, NEW.user_id, NEW.category)
+           IS DISTINCT FROM (OLD.start_time, OLD.end_time, OLD.status, OLD.site_id, OLD.user_id, OLD.category)
+      )
+      AND public.timesheet_locked(OLD.user_id, OLD.site_id, (OLD.start_time AT TIME ZONE 'Asia/Jerusalem')::date);
+  ELSIF TG_TABLE_NAME = 'manual_logs' AND TG_OP = 'INSERT' THEN
+    v_locked := public.timesheet_locked(NEW.user_id, NEW.site_id, NEW.date);
+  ELSIF TG_TABLE_NAME = 'manual_logs' THEN
+    v_locked := OLD.status = 'approved' AND public.timesheet_locked(OLD.user_id, OLD.site_id, OLD.date);
+  ELSIF TG_TABLE_NAME = 'shift_corrections' THEN
+    SELECT s.status = 'completed'
+      AND public.timesheet_locked(s.user_id, s.site_id, (s.start_time AT TIME ZONE 'Asia/Jerusalem')::date)
+    INTO v_locked
+    FROM shifts s WHERE s.id = NEW.shift_id;
+  END IF;
+
+  IF v_locked THEN
+    RAISE EXCEPTION 'הדוח החודשי נחתם על ידי האחראי/ת באתר ולא ניתן לשנות אותו';
+  END IF;
+
+  RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_timesheet_lock ON shifts;
+CREATE TRIGGER trg_timesheet_lock
+  BEFORE UPDATE OR DELETE ON shifts
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_timesheet_lock();
+
+DROP TRIGGER IF EXISTS trg_timesheet_lock ON manual_logs;
+CREATE TRIGGER trg_timesheet_lock
+  BEFORE INSERT OR UPDATE OR DELETE ON manual_logs
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_timesheet_lock();
+
+DROP TRIGGER IF EXISTS trg_timesheet_lock ON shift_corrections;
+CREATE TRIGGER trg_timesheet_lock
+  BEFORE INSERT ON shift_corrections
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_timesheet_lock();
+
+-- ─── 4. Who may see / sign a student's timesheet ───
+CREATE OR REPLACE FUNCTION public.supervises_student(p_student_id uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM student_placements sp
+    INNER JOIN site_supervisors ss ON ss.site_id = sp.site_id
+    WHERE sp.student_id = p_student_id AND sp.status = 'active'
+      AND ss.supervisor_id = auth.uid()
+  );
+$$;
+
+-- ─── 5. The month's counted records (no access check; used by the RPCs) ───
+-- p_month: any day in the month
+CREATE OR REPLACE FUNCTION public.monthly_timesheet_records(p_student_id uuid, p_month date)
+RETURNS TABLE (
+  record_type text,
+  record_id uuid,
+  site_id uuid,
+  work_date date,
+  start_time timestamptz,
+  end_time timestamptz,
+  break_minutes numeric,
+  duration_minutes numeric,
+  category text,
+  description text,
+  site_name text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    'shift'::text,
+    s.id,
+    s.site_id,
+    (s.start_time AT TIME ZONE 'Asia/Jerusalem')::date,
+    s.start_time,
+    s.end_time,
+    s.break_minutes::numeric,
+    s.duration_minutes::numeric,
+    s.category,
+    s.task_description,
+    si.name
+  FROM shifts s
+  LEFT JOIN sites si ON si.id = s.site_id
+  WHERE s.user_id = p_student_id AND s.status = 'completed'
+    AND date_trunc('month', s.start_time AT TIME ZONE 'Asia/Jerusalem')::date = date_trunc('month', p_month)::date
+
+  UNION ALL
+
+  SELECT
+    'manual',
+    ml.id,
+    ml.site_id,
+    ml.date,
+    NULL,
+    NULL,
+    NULL,
+    ml.duration_minutes::numeric,
+    ml.category,
+    ml.description,
+    si.name
+  FROM manual_logs ml
+  LEFT JOIN sites si ON si.id = ml.site_id
+  WHERE ml.user_id = p_student_id AND ml.status = 'approved'
+    AND date_trunc('month', ml.date)::date = date_trunc('month', p_month)::date;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.monthly_timesheet_records(uuid, date) FROM anon, authenticated, public;
+
+-- ─── 6. RPC: get_monthly_timesheet (student / supervisor / admin) ───
+-- The student and admins see the whole month; a site supervisor sees
+-- only the records at the sites they supervise.
+DROP FUNCTION IF EXISTS get_monthly_timesheet(uuid, date);
+CREATE OR REPLACE FUNCTION get_monthly_timesheet(p_student_id uuid, p_month date)
+RETURNS TABLE (
+  record_type text,
+  record_id uuid,
+  work_date date,
+  start_time timestamptz,
+  end_time timestamptz,
+  break_minutes numeric,
+  duration_minutes numeric,
+  category text,
+  description text,
+  site_id uuid,
+  site_name text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    t.record_type, t.record_id, t.work_date, t.start_time, t.end_time,
+    t.break_minutes, t.duration_minutes, t.category, t.description, t.site_id, t.site_name
+  FROM public.monthly_timesheet_records(p_student_id, p_month) t
+  WHERE p_student_id = auth.uid()
+     OR public.is_admin()
+     OR (
+       public.supervises_student(p_student_id)
+       AND t.site_id IN (SELECT ss.site_id FROM site_supervisors ss WHERE ss.supervisor_id = auth.uid())
+     )
+  ORDER BY t.work_date, t.start_time NULLS LAST;
+$$;
+
+-- ─── 7. RPC: sign_monthly_timesheet (site supervisor of the student) ───
+DROP FUNCTION IF EXISTS sign_monthly_timesheet(uuid, date);
+CREATE OR REPLACE FUNCTION sign_monthly_timesheet(p_student_id uuid, p_site_id uuid, p_month date)
+RETURNS timesheet_signoffs
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_month date := date_trunc('month', p_month)::date;
+  v_signoff timesheet_signoffs%ROWTYPE;
+BEGIN
+  -- One sign-off per site: the caller must supervise the given site and
+  -- the student must be placed there
+  IF NOT EXISTS (
+    SELECT 1 FROM student_placements sp
+    INNER JOIN site_supervisors ss ON ss.site_id = sp.site_id
+    WHERE sp.student_id = p_student_id AND sp.site_id = p_site_id
+      AND sp.status = 'active' AND ss.supervisor_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF v_month > (now() AT TIME ZONE 'Asia/Jerusalem')::date THEN
+    RAISE EXCEPTION 'לא ניתן לחתום על חודש עתידי';
+  END IF;
+
+  IF public.timesheet_locked(p_student_id, p_site_id, v_month) THEN
+    RAISE EXCEPTION 'הדוח לחודש זה כבר נחתם';
+  END IF;
+
+  -- A signed total must not change later: nothing may still be in review
+  IF EXISTS (
+    SELECT 1 FROM shifts s
+    WHERE s.user_id = p_student_id AND s.site_id = p_site_id
+      AND s.status IN ('active', 'needs_review')
+      AND date_trunc('month', s.start_time AT TIME ZONE 'Asia/Jerusalem')::date = v_month
+  ) OR EXISTS (
+    SELECT 1 FROM manual_logs ml
+    WHERE ml.user_id = p_student_id AND ml.site_id = p_site_id
+      AND ml.status = 'pending'
+      AND date_trunc('month', ml.date)::date = v_month
+  ) OR EXISTS (
+    SELECT 1 FROM shift_corrections sc
+    INNER JOIN shifts s ON s.id = sc.shift_id
+    WHERE s.user_id = p_student_id AND s.site_id = p_site_id
+      AND sc.status = 'pending'
+      AND date_trunc('month', s.start_time AT TIME ZONE 'Asia/Jerusalem')::date = v_month
+  ) THEN
+    RAISE EXCEPTION 'יש בחודש זה משמרות, דיווחים או תיקונים שממתינים לאישור. יש לטפל בהם לפני החתימה';
+  END IF;
+
+  INSERT INTO timesheet_signoffs (student_id, site_id, month, total_minutes, signed_by)
+  VALUES (
+    p_student_id,
+    p_site_id,
+    v_month,
+    (SELECT COALESCE(SUM(t.duration_minutes), 0)
+     FROM public.monthly_timesheet_records(p_student_id, v_month) t
+     WHERE t.site_id = p_site_id),
+    auth.uid()
+  )
+  RETURNING * INTO v_signoff;
+
+  RETURN v_signoff;
+END;
+$$;
+
+-- ─── 8. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
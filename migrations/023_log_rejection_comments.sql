@@ -0,0 +1,221 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 023 — Rejection Reasons, Comments & Resubmission
+-- ============================================================
+-- Run this AFTER 022_monthly_timesheets.sql
+-- Rejecting a manual log (admin or site supervisor) now requires a
+-- reason. Every manual log gets a comment thread the student, the
+-- site supervisor and admins can write in; rejections and
+-- resubmissions are posted to the same thread so the history of a
+-- log survives edits. A student can edit a rejected log and send it
+-- again: it re-enters the pending_supervisor / pending flow.
+-- ============================================================
+
+-- ─── 1. Current rejection reason on the log ───
+ALTER TABLE manual_logs ADD COLUMN IF NOT EXISTS rejection_reason text;
+
+-- ─── 2. Comment thread ───
+CREATE TABLE IF NOT EXISTS manual_log_comments (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  log_id      uuid NOT NULL REFERENCES manual_logs(id) ON DELETE CASCADE,
+  author_id   uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  kind        text NOT NULL DEFAULT 'comment'
+                CHECK (kind IN ('comment', 'rejection', 'resubmission')),
+  body        text NOT NULL CHECK (length(trim(body)) > 0),
+  -- resubmission: the log's values before the edit
+  previous    jsonb,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_manual_log_comments_log ON manual_log_comments(log_id, created_at);
+
+-- Owner of the log, a supervisor of its site, or an admin
+CREATE OR REPLACE FUNCTION public.can_access_manual_log(p_log_id uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM manual_logs ml
+    WHERE ml.id = p_log_id
+      AND (
+        ml.user_id = auth.uid()
+        OR public.is_admin()
+        OR EXISTS (
+          SELECT 1 FROM site_supervisors ss
+          WHERE ss.site_id = ml.site_id AND ss.supervisor_id = auth.uid()
+        )
+      )
+  );
+$$;
+
+ALTER TABLE manual_log_comments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "manual_log_comments_select"
+  ON manual_log_comments FOR SELECT TO authenticated
+  USING (public.can_access_manual_log(log_id));
+
+-- Writes go through the RPCs below
+
+-- ─── 3. RPC: add_manual_log_comment ───
+CREATE OR REPLACE FUNCTION add_manual_log_comment(p_log_id uuid, p_body text)
+RETURNS manual_log_comments
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_comment manual_log_comments%ROWTYPE;
+BEGIN
+  IF NOT public.can_access_manual_log(p_log_id) THEN
+    RAISE EXCEPTION 'Log not found or not authorized';
+  END IF;
+
+  IF COALESCE(trim(p_body), '') = '' THEN
+    RAISE EXCEPTION 'נא להזין תגובה';
+  END IF;
+
+  INSERT INTO manual_log_comments (log_id, author_id, kind, body)
+  VALUES (p_log_id, auth.uid(), 'comment', trim(p_body))
+  RETURNING * INTO v_comment;
+
+  RETURN v_comment;
+END;
+$$;
+
+-- ─── 4. RPC: reject_manual_log (admin, reason required) ───
+CREATE OR REPLACE FUNCTION reject_manual_log(p_log_id uuid, p_reason text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF COALESCE(trim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'יש לציין סיבת דחייה';
+  END IF;
+
+  UPDATE manual_logs
+  SET
+    status = 'rejected',
+    reviewed_by = auth.uid(),
+    reviewed_at = now(),
+    rejection_reason = trim(p_reason)
+  WHERE id = p_log_id
+    AND status = 'pending';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Log not found or not authorized';
+  END IF;
+
+  INSERT INTO manual_log_comments (log_id, author_id, kind, body)
+  VALUES (p_log_id, auth.uid(), 'rejection', trim(p_reason));
+END;
+$$;
+
+-- ─── 5. RPC: supervisor_reject_log (now takes a reason) ───
+DROP FUNCTION IF EXISTS supervisor_reject_log(uuid);
+
+CREATE OR REPLACE FUNCTION supervisor_reject_log(p_log_id uuid, p_reason text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF COALESCE(trim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'יש לציין סיבת דחייה';
+  END IF;
+
+  UPDATE manual_logs
+  SET
+    supervisor_status = 'supervisor_rejected',
+    supervisor_reviewed_by = auth.uid(),
+    supervisor_reviewed_at = now(),
+    status = 'rejected',
+    rejection_reason = trim(p_reason)
+  WHERE id = p_log_id
+    AND supervisor_status = 'pending_supervisor'
+    AND site_id IN (
+      SELECT site_id FROM site_supervisors WHERE supervisor_id = auth.uid()
+    );
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Log not found or not authorized';
+  END IF;
+
+  INSERT INTO manual_log_comments (log_id, author_id, kind, body)
+  VALUES (p_log_id, auth.uid(), 'rejection', trim(p_reason));
+END;
+$$;
+
+-- ─── 6. RPC: resubmit_manual_log (the student, rejected logs only) ───
+CREATE OR REPLACE FUNCTION resubmit_manual_log(
+  p_log_id uuid,
+  p_date date,
+  p_duration_minutes integer,
+  p_description text,
+  p_category text,
+  p_note text DEFAULT NULL
+)
+RETURNS manual_logs
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_log manual_logs%ROWTYPE;
+BEGIN
+  SELECT * INTO v_log
+  FROM manual_logs
+  WHERE id = p_log_id AND user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Log not found or not authorized';
+  END IF;
+
+  IF v_log.status <> 'rejected' THEN
+    RAISE EXCEPTION 'ניתן לשלוח מחדש רק דיווח שנדחה';
+  END IF;
+
+  IF p_duration_minutes IS NULL OR p_duration_minutes <= 0 THEN
+    RAISE EXCEPTION 'נא להזין משך זמן תקין';
+  END IF;
+
+  IF public.timesheet_locked(v_log.user_id, v_log.site_id, p_date) THEN
+    RAISE EXCEPTION 'הדוח החודשי נחתם על ידי האחראי/ת באתר ולא ניתן לשנות אותו';
+  END IF;
+
+  INSERT INTO manual_log_comments (log_id, author_id, kind, body, previous)
+  VALUES (
+    p_log_id,
+    auth.uid(),
+    'resubmission',
+    COALESCE(NULLIF(trim(p_note), ''), 'הדיווח עודכן ונשלח מחדש'),
+    jsonb_build_object(
+      'date',             v_log.date,
+      'duration_minutes', v_log.duration_minutes,
+      'description',      v_log.description,
+      'category',         v_log.category,
+      'rejection_reason', v_log.rejection_reason
+    )
+  );
+
+  -- Site logs go back to the supervisor; event logs straight to admin
+  UPDATE manual_logs
+  SET
+    date = p_date,
+    duration_minutes = p_duration_minutes,
+    description = trim(p_description),
+    category = p_category,
+    status = 'pending',
+    supervisor_status = CASE WHEN site_id IS NOT NULL THEN 'pending_supervisor' END,
+    supervisor_reviewed_by = NULL,
+    supervisor_reviewed_at = NULL,
+    reviewed_by = NULL,
+    reviewed_at = NULL,
+    rejection_reason = NULL
+  WHERE id = p_log_id
+  RETURNING * INTO v_log;
+
+  RETURN v_log;
+END;
+$$;
+
+-- ─── 7. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
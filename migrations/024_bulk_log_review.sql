@@ -0,0 +1,76 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 024 — Bulk Review of Manual Logs
+-- ============================================================
+-- Run this AFTER 023_log_rejection_comments.sql
+-- At the end of a semester admins face hundreds of pending logs.
+-- review_manual_logs_bulk approves or rejects a batch in one
+-- transaction and reports the outcome per log: logs reviewed in the
+-- meantime (or deleted) are skipped, not failed. A rejection reason
+-- is shared by the whole batch and posted to each log's thread.
+-- ============================================================
+
+-- ─── 1. RPC: review_manual_logs_bulk (admin only) ───
+-- result: 'approved' | 'rejected' | 'already_reviewed' | 'not_found'
+CREATE OR REPLACE FUNCTION review_manual_logs_bulk(
+  p_log_ids uuid[],
+  p_approve boolean,
+  p_reason text DEFAULT NULL
+)
+RETURNS TABLE (log_id uuid, result text)
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_done uuid[];
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF NOT p_approve AND COALESCE(trim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'יש לציין סיבת דחייה';
+  END IF;
+
+  IF p_approve THEN
+    WITH updated AS (
+      UPDATE manual_logs
+      SET
+        status = 'approved',
+        reviewed_by = auth.uid(),
+        reviewed_at = now()
+      WHERE id = ANY(p_log_ids) AND status = 'pending'
+      RETURNING id
+    )
+    SELECT COALESCE(array_agg(id), '{}') INTO v_done FROM updated;
+  ELSE
+    WITH updated AS (
+      UPDATE manual_logs
+      SET
+        status = 'rejected',
+        reviewed_by = auth.uid(),
+        reviewed_at = now(),
+        rejection_reason = trim(p_reason)
+      WHERE id = ANY(p_log_ids) AND status = 'pending'
+      RETURNING id
+    )
+    SELECT COALESCE(array_agg(id), '{}') INTO v_done FROM updated;
+
+    INSERT INTO manual_log_comments (log_id, author_id, kind, body)
+    SELECT d.id, auth.uid(), 'rejection', trim(p_reason)
+    FROM unnest(v_done) AS d(id);
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    r.id,
+    CASE
+      WHEN r.id = ANY(v_done) THEN CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END
+      WHEN ml.id IS NULL THEN 'not_found'
+      ELSE 'already_reviewed'
+    END
+  FROM (SELECT DISTINCT unnest(p_log_ids) AS id) r
+  LEFT JOIN manual_logs ml ON ml.id = r.id;
+END;
+$$;
+
+-- ─── 2. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
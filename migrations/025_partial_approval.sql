@@ -0,0 +1,438 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 025 — Partial Approval of Manual Logs
+-- ============================================================
+-- Run this AFTER 024_bulk_log_review.sql
+-- An approver (site supervisor or admin) may approve fewer minutes
+-- than the student reported. manual_logs.duration_minutes keeps the
+-- requested value; approved_minutes holds the approved one (NULL =
+-- approved as requested) and approval_note tells the student why.
+-- Every total counts COALESCE(approved_minutes, duration_minutes),
+-- so the summary functions below are re-created with that change
+-- only. A resubmitted log starts over without an approved value.
+-- ============================================================
+
+-- ─── 1. Approved minutes + note ───
+ALTER TABLE manual_logs
+  ADD COLUMN IF NOT EXISTS approved_minutes numeric,
+  ADD COLUMN IF NOT EXISTS approval_note text;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'manual_logs_approved_minutes_check'
+  ) THEN
+    ALTER TABLE manual_logs ADD CONSTRAINT manual_logs_approved_minutes_check
+      CHECK (approved_minutes IS NULL OR (approved_minutes > 0 AND approved_minutes <= duration_minutes));
+  END IF;
+END $$;
+
+-- ─── 2. Resubmission clears the previous approval ───
+CREATE OR REPLACE FUNCTION public.reset_log_approval()
+RETURNS trigger AS $$
+BEGIN
+  NEW.approved_minutes := NULL;
+  NEW.approval_note := NULL;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_reset_log_approval ON manual_logs;
+CREATE TRIGGER trg_reset_log_approval
+  BEFORE UPDATE OF status ON manual_logs
+  FOR EACH ROW
+  WHEN (OLD.status = 'rejected' AND NEW.status = 'pending')
+  EXECUTE FUNCTION public.reset_log_approval();
+
+-- ─── 3. Shared check for both approval paths ───
+-- Returns the value to store: NULL when the full duration is approved
+CREATE OR REPLACE FUNCTION public.validate_approved_minutes(
+  p_requested numeric,
+  p_approved numeric,
+  p_note text
+)
+RETURNS numeric
+LANGUAGE plpgsql IMMUTABLE
+AS $$
+BEGIN
+  IF p_approved IS NULL OR p_approved = p_requested THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_approved <= 0 OR p_approved > p_requested THEN
+    RAISE EXCEPTION 'המשך המאושר חייב להיות גדול מאפס ולא יותר מהמשך המדווח';
+  END IF;
+
+  IF COALESCE(trim(p_note), '') = '' THEN
+    RAISE EXCEPTION 'יש להוסיף הערה לסטודנט/ית על השעות שאושרו';
+  END IF;
+
+  RETURN p_approved;
+END;
+$$;
+
+-- ─── 4. RPC: supervisor_approve_log (optional approved minutes) ───
+DROP FUNCTION IF EXISTS supervisor_approve_log(uuid);
+
+CREATE OR REPLACE FUNCTION supervisor_approve_log(
+  p_log_id uuid,
+  p_approved_minutes numeric DEFAULT NULL,
+  p_note text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE manual_logs
+  SET
+    supervisor_status = 'supervisor_approved',
+    supervisor_reviewed_by = auth.uid(),
+    supervisor_reviewed_at = now(),
+    approved_minutes = public.validate_approved_minutes(duration_minutes, p_approved_minutes, p_note),
+    approval_note = CASE WHEN p_approved_minutes IS NOT NULL AND p_approved_minutes <> duration_minutes
+                         THEN trim(p_note) END
+  WHERE id = p_log_id
+    AND supervisor_status = 'pending_supervisor'
+    AND site_id IN (
+      SELECT site_id FROM site_supervisors WHERE supervisor_id = auth.uid()
+    );
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Log not found or not authorized';
+  END IF;
+END;
+$$;
+
+-- ─── 5. RPC: approve_manual_log (admin, optional approved minutes) ───
+-- Without p_approved_minutes a supervisor's adjustment is kept.
+CREATE OR REPLACE FUNCTION approve_manual_log(
+  p_log_id uuid,
+  p_approved_minutes numeric DEFAULT NULL,
+  p_note text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  UPDATE manual_logs
+  SET
+    status = 'approved',
+    reviewed_by = auth.uid(),
+    reviewed_at = now(),
+    approved_minutes = CASE WHEN p_approved_minutes IS NULL THEN approved_minutes
+                            ELSE public.validate_approved_minutes(duration_minutes, p_approved_minutes, p_note) END,
+    approval_note = CASE WHEN p_approved_minutes IS NULL THEN approval_note
+                         WHEN p_approved_minutes <> duration_minutes THEN trim(p_note) END
+  WHERE id = p_log_id
+    AND status = 'pending';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Log not found or not authorized';
+  END IF;
+END;
+$$;
+
+-- ─── 6. Category hours (goal status, certificates) ───
+CREATE OR REPLACE FUNCTION public.student_category_hours(p_student_id uuid, p_academic_year text)
+RETURNS TABLE (category text, hours numeric)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT COALESCE(x.category, 'other') AS category, SUM(x.minutes) / 60.0 AS hours
+  FROM (
+    SELECT s.category, s.duration_minutes::numeric AS minutes
+    FROM shifts s
+    WHERE s.user_id = p_student_id AND s.status = 'completed' AND s.duration_minutes IS NOT NULL
+      AND public.academic_year_of(s.start_time AT TIME ZONE 'Asia/Jerusalem') = p_academic_year
+    UNION ALL
+    SELECT ml.category, COALESCE(ml.approved_minutes, ml.duration_minutes)::numeric
+    FROM manual_logs ml
+    WHERE ml.user_id = p_student_id AND ml.status = 'approved'
+      AND public.academic_year_of(ml.date::timestamp) = p_academic_year
+  ) x
+  GROUP BY COALESCE(x.category, 'other');
+$$;
+
+-- ─── 7. Supervisor students ───
+CREATE OR REPLACE FUNCTION get_supervisor_students(p_supervisor_id uuid, p_academic_year text DEFAULT NULL)
+RETURNS TABLE (
+  student_id uuid,
+  full_name text,
+  total_goal integer,
+  site_name text,
+  site_id uuid,
+  shift_hours numeric,
+  approved_manual_hours numeric,
+  pending_supervisor_logs bigint,
+  total_hours numeric,
+  counted_hours numeric,
+  progress_percent numeric,
+  requirements jsonb,
+  requirements_met boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  )
+  SELECT
+    p.id AS student_id,
+    p.full_name,
+    COALESCE(yg.total_goal, p.total_goal) AS total_goal,
+    si.name AS site_name,
+    sp.site_id,
+    COALESCE(sh.shift_hours, 0) AS shift_hours,
+    COALESCE(ml.approved_hours, 0) AS approved_manual_hours,
+    COALESCE(ml.pending_sup_count, 0) AS pending_supervisor_logs,
+    COALESCE(sh.shift_hours, 0) + COALESCE(ml.approved_hours, 0) AS total_hours,
+    gs.counted_hours,
+    LEAST(gs.counted_hours / GREATEST(COALESCE(yg.total_goal, p.total_goal), 1) * 100, 100) AS progress_percent,
+    gs.requirements,
+    gs.requirements_met
+  FROM profiles p
+  CROSS JOIN yr
+  INNER JOIN student_placements sp ON sp.student_id = p.id AND sp.status = 'active'
+  INNER JOIN site_supervisors ss ON ss.site_id = sp.site_id AND ss.supervisor_id = p_supervisor_id
+  INNER JOIN sites si ON si.id = sp.site_id
+  CROSS JOIN LATERAL public.student_goal_status(p.id, yr.y) gs
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = yr.y
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(duration_minutes) / 60.0 AS shift_hours
+    FROM shifts, yr
+    WHERE status = 'completed' AND duration_minutes IS NOT NULL
+      AND public.academic_year_of(start_time AT TIME ZONE 'Asia/Jerusalem') = yr.y
+    GROUP BY user_id
+  ) sh ON sh.user_id = p.id
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(CASE WHEN status = 'approved' THEN COALESCE(approved_minutes, duration_minutes) ELSE 0 END) / 60.0 AS approved_hours,
+           COUNT(CASE WHEN supervisor_status = 'pending_supervisor' THEN 1 END) AS pending_sup_count
+    FROM manual_logs, yr
+    WHERE public.academic_year_of(date::timestamp) = yr.y
+    GROUP BY user_id
+  ) ml ON ml.user_id = p.id
+  WHERE p.role = 'student'
+    AND p.is_active = true
+  ORDER BY p.full_name;
+$$;
+
+-- ─── 8. Admin summary ───
+CREATE OR REPLACE FUNCTION get_all_students_summary(
+  p_academic_year text DEFAULT NULL,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL
+)
+RETURNS TABLE (
+  student_id uuid,
+  full_name text,
+  email text,
+  total_goal integer,
+  shift_hours numeric,
+  approved_manual_hours numeric,
+  pending_logs bigint,
+  total_hours numeric,
+  counted_hours numeric,
+  progress_percent numeric,
+  requirements jsonb,
+  requirements_met boolean,
+  goal_template_id uuid,
+  academic_year text,
+  site_name text,
+  site_id uuid,
+  is_active boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  )
+  SELECT
+    p.id AS student_id,
+    p.full_name,
+    p.email,
+    COALESCE(yg.total_goal, p.total_goal) AS total_goal,
+    COALESCE(sh.shift_hours, 0) AS shift_hours,
+    COALESCE(ml.approved_hours, 0) AS approved_manual_hours,
+    COALESCE(ml.pending_count, 0) AS pending_logs,
+    COALESCE(sh.shift_hours, 0) + COALESCE(ml.approved_hours, 0) AS total_hours,
+    gs.counted_hours,
+    LEAST(gs.counted_hours / GREATEST(COALESCE(yg.total_goal, p.total_goal), 1) * 100, 100) AS progress_percent,
+    gs.requirements,
+    gs.requirements_met,
+    sgt.template_id AS goal_template_id,
+    yr.y AS academic_year,
+    s.name AS site_name,
+    sp.site_id,
+    p.is_active
+  FROM profiles p
+  CROSS JOIN yr
+  CROSS JOIN LATERAL public.student_goal_status(p.id, yr.y) gs
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = yr.y
+  LEFT JOIN student_goal_templates sgt ON sgt.student_id = p.id AND sgt.academic_year = yr.y
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(duration_minutes) / 60.0 AS shift_hours
+    FROM shifts, yr
+    WHERE status = 'completed' AND duration_minutes IS NOT NULL
+      AND public.academic_year_of(start_time AT TIME ZONE 'Asia/Jerusalem') = yr.y
+      AND (p_from IS NULL OR (start_time AT TIME ZONE 'Asia/Jerusalem')::date >= p_from)
+      AND (p_to IS NULL OR (start_time AT TIME ZONE 'Asia/Jerusalem')::date <= p_to)
+    GROUP BY user_id
+  ) sh ON sh.user_id = p.id
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(CASE WHEN status = 'approved' THEN COALESCE(approved_minutes, duration_minutes) ELSE 0 END) / 60.0 AS approved_hours,
+           COUNT(CASE WHEN status = 'pending' THEN 1 END) AS pending_count
+    FROM manual_logs, yr
+    WHERE public.academic_year_of(date::timestamp) = yr.y
+      AND (p_from IS NULL OR date >= p_from)
+      AND (p_to IS NULL OR date <= p_to)
+    GROUP BY user_id
+  ) ml ON ml.user_id = p.id
+  LEFT JOIN student_placements sp ON sp.student_id = p.id AND sp.academic_year = yr.y
+  LEFT JOIN sites s ON s.id = sp.site_id
+  WHERE p.role = 'student'
+    AND public.is_admin()
+  ORDER BY p.is_active DESC, p.full_name;
+$$;
+
+-- ─── 9. Export detail ───
+CREATE OR REPLACE FUNCTION get_hours_export_detail(
+  p_academic_year text DEFAULT NULL,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL,
+  p_site_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  record_type text,
+  student_id uuid,
+  full_name text,
+  email text,
+  site_name text,
+  work_date date,
+  start_time timestamptz,
+  end_time timestamptz,
+  duration_minutes numeric,
+  category text,
+  description text,
+  status text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  ),
+  students AS (
+    SELECT p.id, p.full_name, p.email
+    FROM profiles p
+    CROSS JOIN yr
+    LEFT JOIN student_placements sp ON sp.student_id = p.id AND sp.academic_year = yr.y
+    WHERE p.role = 'student'
+      AND public.is_admin()
+      AND (p_site_id IS NULL OR sp.site_id = p_site_id)
+  ),
+  records AS (
+    SELECT
+      'shift'::text AS record_type,
+      st.id AS student_id,
+      st.full_name,
+      st.email,
+      si.name AS site_name,
+      (s.start_time AT TIME ZONE 'Asia/Jerusalem')::date AS work_date,
+      s.start_time,
+      s.end_time,
+      s.duration_minutes::numeric AS duration_minutes,
+      s.category,
+      s.task_description AS description,
+      s.status
+    FROM shifts s
+    INNER JOIN students st ON st.id = s.user_id
+    LEFT JOIN sites si ON si.id = s.site_id
+    WHERE s.status <> 'active'
+
+    UNION ALL
+
+    SELECT
+      'manual',
+      st.id,
+      st.full_name,
+      st.email,
+      si.name,
+      ml.date,
+      NULL,
+      NULL,
+      COALESCE(ml.approved_minutes, ml.duration_minutes)::numeric,
+      ml.category,
+      ml.description,
+      ml.status
+    FROM manual_logs ml
+    INNER JOIN students st ON st.id = ml.user_id
+    LEFT JOIN sites si ON si.id = ml.site_id
+  )
+  SELECT r.*
+  FROM records r, yr
+  WHERE public.academic_year_of(r.work_date::timestamp) = yr.y
+    AND (p_from IS NULL OR r.work_date >= p_from)
+    AND (p_to IS NULL OR r.work_date <= p_to)
+  ORDER BY r.full_name, r.work_date, r.start_time NULLS LAST;
+$$;
+
+-- ─── 10. Monthly timesheet ───
+CREATE OR REPLACE FUNCTION public.monthly_timesheet_records(p_student_id uuid, p_month date)
+RETURNS TABLE (
+  record_type text,
+  record_id uuid,
+  site_id uuid,
+  work_date date,
+  start_time timestamptz,
+  end_time timestamptz,
+  break_minutes numeric,
+  duration_minutes numeric,
+  category text,
+  description text,
+  site_name text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    'shift'::text,
+    s.id,
+    s.site_id,
+    (s.start_time AT TIME ZONE 'Asia/Jerusalem')::date,
+    s.start_time,
+    s.end_time,
+    s.break_minutes::numeric,
+    s.duration_minutes::numeric,
+    s.category,
+    s.task_description,
+    si.name
+  FROM shifts s
+  LEFT JOIN sites si ON si.id = s.site_id
+  WHERE s.user_id = p_student_id AND s.status = 'completed'
+    AND date_trunc('month', s.start_time AT TIME ZONE 'Asia/Jerusalem')::date = date_trunc('month', p_month)::date
+
+  UNION ALL
+
+  SELECT
+    'manual',
+    ml.id,
+    ml.site_id,
+    ml.date,
+    NULL,
+    NULL,
+    NULL,
+    COALESCE(ml.approved_minutes, ml.duration_minutes)::numeric,
+    ml.category,
+    ml.description,
+    si.name
+  FROM manual_logs ml
+  LEFT JOIN sites si ON si.id = ml.site_id
+  WHERE ml.user_id = p_student_id AND ml.status = 'approved'
+    AND date_trunc('month', ml.date)::date = date_trunc('month', p_month)::date;
+$$;
+
+-- ─── 11. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
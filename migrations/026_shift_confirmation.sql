@@ -0,0 +1,92 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 026 — Supervisor Confirmation of Shifts
+-- ============================================================
+-- Run this AFTER 025_partial_approval.sql
+-- A site may require its supervisor to confirm every clocked shift,
+-- not only the ones started outside the geofence. Such shifts
+-- complete as 'needs_review' and go to the same supervisor queue
+-- (get_supervisor_review_shifts / supervisor_review_shift, see 015).
+-- Every summary already counts status = 'completed' only, so an
+-- unconfirmed shift at these sites is not counted until approved.
+-- ============================================================
+
+-- ─── 1. Site policy ───
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS require_shift_confirmation boolean NOT NULL DEFAULT false;
+
+-- ─── 2. Completion sends shifts at those sites to review ───
+-- SECURITY DEFINER: reads the site policy on the student's check-out
+CREATE OR REPLACE FUNCTION public.compute_shift_duration()
+RETURNS trigger AS $$
+DECLARE
+  v_break_minutes numeric;
+  v_needs_confirmation boolean;
+BEGIN
+  IF NEW.end_time IS NOT NULL THEN
+    SELECT COALESCE(SUM(
+      GREATEST(EXTRACT(EPOCH FROM (
+        LEAST(COALESCE(b.end_time, NEW.end_time), NEW.end_time)
+        - GREATEST(b.start_time, NEW.start_time)
+      )), 0)
+    ) / 60.0, 0)
+    INTO v_break_minutes
+    FROM shift_breaks b
+    WHERE b.shift_id = NEW.id;
+
+    NEW.break_minutes := ROUND(v_break_minutes, 2);
+    NEW.duration_minutes := ROUND(EXTRACT(EPOCH FROM (NEW.end_time - NEW.start_time)) / 60.0 - v_break_minutes, 2);
+    IF NEW.status = 'active' THEN
+      SELECT COALESCE(si.require_shift_confirmation, false) INTO v_needs_confirmation
+      FROM sites si
+      WHERE si.id = NEW.site_id;
+
+      NEW.status := CASE
+        WHEN NEW.outside_geofence OR COALESCE(v_needs_confirmation, false) THEN 'needs_review'
+        ELSE 'completed'
+      END;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ─── 3. RPC: get_supervisor_review_shifts (+ why the shift is in review) ───
+DROP FUNCTION IF EXISTS get_supervisor_review_shifts(uuid);
+
+CREATE OR REPLACE FUNCTION get_supervisor_review_shifts(p_supervisor_id uuid)
+RETURNS TABLE (
+  shift_id uuid,
+  student_name text,
+  student_id uuid,
+  site_name text,
+  task_description text,
+  start_time timestamptz,
+  end_time timestamptz,
+  duration_minutes numeric,
+  check_in_distance_m numeric,
+  geofence_radius_m integer,
+  outside_geofence boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    s.id AS shift_id,
+    p.full_name AS student_name,
+    s.user_id AS student_id,
+    si.name AS site_name,
+    s.task_description,
+    s.start_time,
+    s.end_time,
+    s.duration_minutes::numeric,
+    s.check_in_distance_m,
+    si.geofence_radius_m,
+    s.outside_geofence
+  FROM shifts s
+  INNER JOIN profiles p ON p.id = s.user_id
+  INNER JOIN site_supervisors ss ON ss.site_id = s.site_id AND ss.supervisor_id = p_supervisor_id
+  INNER JOIN sites si ON si.id = s.site_id
+  WHERE s.status = 'needs_review'
+  ORDER BY s.start_time ASC;
+$$;
+
+-- ─── 4. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
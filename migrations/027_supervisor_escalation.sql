@@ -0,0 +1,299 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 027 — Escalation of Stale Supervisor Approvals
+-- ============================================================
+-- Run this AFTER 026_shift_confirmation.sql
+-- A site log waits for its supervisor for a limited time: the site's
+-- supervisor_sla_days, or the global default (7). When the log enters
+-- pending_supervisor its supervisor_due_at is fixed. Until then an
+-- admin cannot approve it; after that the log is escalated and the
+-- admin may approve it directly (supervisor_status = 'escalated').
+-- Overdue logs are reminded to their supervisors once a day by the
+-- send-supervisor-reminders edge function, and admins get a
+-- per-supervisor backlog.
+-- ============================================================
+
+-- ─── 1. SLA settings (NULL on a site = use the global default) ───
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS default_supervisor_sla_days integer NOT NULL DEFAULT 7
+  CHECK (default_supervisor_sla_days > 0);
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS supervisor_sla_days integer
+  CHECK (supervisor_sla_days IS NULL OR supervisor_sla_days > 0);
+
+-- ─── 2. Due date and reminder stamp on manual logs ───
+ALTER TABLE manual_logs ADD COLUMN IF NOT EXISTS supervisor_due_at timestamptz;
+ALTER TABLE manual_logs ADD COLUMN IF NOT EXISTS supervisor_reminded_at timestamptz;
+
+CREATE OR REPLACE FUNCTION public.supervisor_sla_days(p_site_id uuid)
+RETURNS integer
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT COALESCE(
+    (SELECT supervisor_sla_days FROM sites WHERE id = p_site_id),
+    (SELECT default_supervisor_sla_days FROM app_settings WHERE id),
+    7
+  );
+$$;
+
+UPDATE manual_logs
+SET supervisor_due_at = created_at + make_interval(days => public.supervisor_sla_days(site_id))
+WHERE supervisor_status = 'pending_supervisor' AND supervisor_due_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_manual_logs_supervisor_due
+  ON manual_logs(supervisor_due_at) WHERE supervisor_status = 'pending_supervisor';
+
+-- New submissions and resubmissions start a fresh SLA
+CREATE OR REPLACE FUNCTION public.set_supervisor_due_at()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.supervisor_status = 'pending_supervisor'
+     AND (TG_OP = 'INSERT'
+          OR OLD.supervisor_status IS DISTINCT FROM 'pending_supervisor'
+          OR (OLD.status = 'rejected' AND NEW.status = 'pending')) THEN
+    NEW.supervisor_due_at := now() + make_interval(days => public.supervisor_sla_days(NEW.site_id));
+    NEW.supervisor_reminded_at := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_set_supervisor_due_at ON manual_logs;
+CREATE TRIGGER trg_set_supervisor_due_at
+  BEFORE INSERT OR UPDATE OF supervisor_status, status ON manual_logs
+  FOR EACH ROW EXECUTE FUNCTION public.set_supervisor_due_at();
+
+-- ─── 3. Allow supervisor_status = 'escalated' ───
+DO $$
+DECLARE
+  v_con record;
+BEGIN
+  FOR v_con IN
+    SELECT conname FROM pg_constraint
+    WHERE conrelid = 'public.manual_logs'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ILIKE '%supervisor_status%'
+  LOOP
+    EXECUTE format('ALTER TABLE manual_logs DROP CONSTRAINT %I', v_con.conname);
+  END LOOP;
+END $$;
+
+ALTER TABLE manual_logs ADD CONSTRAINT manual_logs_supervisor_status_check
+  CHECK (supervisor_status IS NULL OR supervisor_status IN (
+    'pending_supervisor', 'supervisor_approved', 'supervisor_rejected', 'escalated'
+  ));
+
+-- ─── 4. Admin approval waits for the supervisor until the SLA passes ───
+-- Covers the admin PATCH, approve_manual_log and the bulk RPC alike.
+CREATE OR REPLACE FUNCTION public.enforce_supervisor_sla()
+RETURNS trigger AS $$
+BEGIN
+  IF OLD.supervisor_due_at IS NOT NULL AND OLD.supervisor_due_at > now() THEN
+    RAISE EXCEPTION 'הדיווח ממתין לאישור מפקח האתר';
+  END IF;
+  NEW.supervisor_status := 'escalated';
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_enforce_supervisor_sla ON manual_logs;
+CREATE TRIGGER trg_enforce_supervisor_sla
+  BEFORE UPDATE OF status ON manual_logs
+  FOR EACH ROW
+  WHEN (OLD.status = 'pending' AND NEW.status = 'approved'
+        AND OLD.supervisor_status = 'pending_supervisor'
+        AND NEW.supervisor_status = 'pending_supervisor')
+  EXECUTE FUNCTION public.enforce_supervisor_sla();
+
+-- ─── 5. RPC: get_supervisor_pending_logs (open logs only, + due date) ───
+-- An admin may reject a log the supervisor has not seen yet; it must
+-- then leave the supervisor's queue.
+DROP FUNCTION IF EXISTS get_supervisor_pending_logs(uuid);
+
+CREATE OR REPLACE FUNCTION get_supervisor_pending_logs(p_supervisor_id uuid)
+RETURNS TABLE (
+  log_id uuid,
+  student_name text,
+  student_id uuid,
+  site_name text,
+  date date,
+  duration_minutes integer,
+  description text,
+  category text,
+  created_at timestamptz,
+  supervisor_status text,
+  supervisor_due_at timestamptz
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    ml.id AS log_id,
+    p.full_name AS student_name,
+    ml.user_id AS student_id,
+    si.name AS site_name,
+    ml.date,
+    ml.duration_minutes,
+    ml.description,
+    ml.category,
+    ml.created_at,
+    ml.supervisor_status,
+    ml.supervisor_due_at
+  FROM manual_logs ml
+  INNER JOIN profiles p ON p.id = ml.user_id
+  INNER JOIN site_supervisors ss ON ss.site_id = ml.site_id AND ss.supervisor_id = p_supervisor_id
+  INNER JOIN sites si ON si.id = ml.site_id
+  WHERE ml.supervisor_status = 'pending_supervisor'
+    AND ml.status = 'pending'
+  ORDER BY ml.created_at ASC;
+$$;
+
+-- ─── 6. RPC: review_manual_logs_bulk (skips logs still with the supervisor) ───
+-- result: 'approved' | 'rejected' | 'already_reviewed' | 'not_found' | 'awaiting_supervisor'
+CREATE OR REPLACE FUNCTION review_manual_logs_bulk(
+  p_log_ids uuid[],
+  p_approve boolean,
+  p_reason text DEFAULT NULL
+)
+RETURNS TABLE (log_id uuid, result text)
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_done uuid[];
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF NOT p_approve AND COALESCE(trim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'יש לציין סיבת דחייה';
+  END IF;
+
+  IF p_approve THEN
+    WITH updated AS (
+      UPDATE manual_logs
+      SET
+        status = 'approved',
+        reviewed_by = auth.uid(),
+        reviewed_at = now()
+      WHERE id = ANY(p_log_ids) AND status = 'pending'
+        AND (supervisor_status IS DISTINCT FROM 'pending_supervisor'
+             OR supervisor_due_at IS NULL OR supervisor_due_at <= now())
+      RETURNING id
+    )
+    SELECT COALESCE(array_agg(id), '{}') INTO v_done FROM updated;
+  ELSE
+    WITH updated AS (
+      UPDATE manual_logs
+      SET
+        status = 'rejected',
+        reviewed_by = auth.uid(),
+        reviewed_at = now(),
+        rejection_reason = trim(p_reason)
+      WHERE id = ANY(p_log_ids) AND status = 'pending'
+      RETURNING id
+    )
+    SELECT COALESCE(array_agg(id), '{}') INTO v_done FROM updated;
+
+    INSERT INTO manual_log_comments (log_id, author_id, kind, body)
+    SELECT d.id, auth.uid(), 'rejection', trim(p_reason)
+    FROM unnest(v_done) AS d(id);
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    r.id,
+    CASE
+      WHEN r.id = ANY(v_done) THEN CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END
+      WHEN ml.id IS NULL THEN 'not_found'
+      WHEN ml.status = 'pending' THEN 'awaiting_supervisor'
+      ELSE 'already_reviewed'
+    END
+  FROM (SELECT DISTINCT unnest(p_log_ids) AS id) r
+  LEFT JOIN manual_logs ml ON ml.id = r.id;
+END;
+$$;
+
+-- ─── 7. RPC: get_supervisor_backlog (admin overview) ───
+CREATE OR REPLACE FUNCTION get_supervisor_backlog()
+RETURNS TABLE (
+  supervisor_id uuid,
+  supervisor_name text,
+  site_names text,
+  pending_count bigint,
+  overdue_count bigint,
+  oldest_pending_at timestamptz,
+  last_reminded_at timestamptz
+)
+LANGUAGE plpgsql STABLE SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    p.id,
+    p.full_name,
+    string_agg(DISTINCT si.name, ', '),
+    COUNT(DISTINCT ml.id),
+    COUNT(DISTINCT ml.id) FILTER (WHERE ml.supervisor_due_at <= now()),
+    MIN(ml.created_at),
+    MAX(ml.supervisor_reminded_at)
+  FROM manual_logs ml
+  INNER JOIN site_supervisors ss ON ss.site_id = ml.site_id
+  INNER JOIN profiles p ON p.id = ss.supervisor_id
+  INNER JOIN sites si ON si.id = ml.site_id
+  WHERE ml.supervisor_status = 'pending_supervisor'
+    AND ml.status = 'pending'
+  GROUP BY p.id, p.full_name
+  ORDER BY MIN(ml.created_at) ASC;
+END;
+$$;
+
+-- ─── 8. RPC: claim_supervisor_reminders (edge function, daily) ───
+-- Returns one row per supervisor with overdue logs not reminded in
+-- the last day, and stamps those logs. Service role or admin only.
+CREATE OR REPLACE FUNCTION claim_supervisor_reminders()
+RETURNS TABLE (
+  supervisor_id uuid,
+  supervisor_email text,
+  supervisor_name text,
+  overdue_count bigint,
+  oldest_pending_at timestamptz
+)
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_log_ids uuid[];
+BEGIN
+  IF NOT (public.is_service_call() OR public.is_admin()) THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  SELECT COALESCE(array_agg(id), '{}') INTO v_log_ids
+  FROM manual_logs
+  WHERE supervisor_status = 'pending_supervisor'
+    AND status = 'pending'
+    AND supervisor_due_at <= now()
+    AND (supervisor_reminded_at IS NULL OR supervisor_reminded_at < now() - interval '1 day');
+
+  UPDATE manual_logs SET supervisor_reminded_at = now() WHERE id = ANY(v_log_ids);
+
+  RETURN QUERY
+  SELECT
+    p.id,
+    p.email,
+    p.full_name,
+    COUNT(ml.id),
+    MIN(ml.created_at)
+  FROM manual_logs ml
+  INNER JOIN site_supervisors ss ON ss.site_id = ml.site_id
+  INNER JOIN profiles p ON p.id = ss.supervisor_id
+  WHERE ml.id = ANY(v_log_ids)
+  GROUP BY p.id, p.email, p.full_name;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_supervisor_reminders() FROM anon, public;
+GRANT EXECUTE ON FUNCTION claim_supervisor_reminders() TO authenticated, service_role;
+
+-- ─── 9. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,368 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 028 — Supervisor Delegations
+-- ============================================================
+-- Run this AFTER 027_supervisor_escalation.sql
+-- A site supervisor may delegate their approval rights for a site to
+-- another supervisor for a date range (vacation, leave). While the
+-- delegation is active the delegate sees the site's students and
+-- pending logs and may approve or reject them; the log records who
+-- the delegate acted for (supervisor_on_behalf_of).
+-- A delegation lapses when it ends, is revoked, or the delegator is
+-- no longer assigned to the site. Shift corrections, shift reviews,
+-- QR check-in and timesheet signing stay with the site's supervisors.
+-- ============================================================
+
+-- ─── 1. Table: supervisor_delegations ───
+CREATE TABLE IF NOT EXISTS supervisor_delegations (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id       uuid NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  delegator_id  uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  delegate_id   uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  starts_on     date NOT NULL,
+  ends_on       date NOT NULL,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  revoked_at    timestamptz,
+  CHECK (ends_on >= starts_on),
+  CHECK (delegator_id <> delegate_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_supervisor_delegations_delegate
+  ON supervisor_delegations(delegate_id) WHERE revoked_at IS NULL;
+
+ALTER TABLE supervisor_delegations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "supervisor_delegations_select"
+  ON supervisor_delegations FOR SELECT TO authenticated
+  USING (delegator_id = auth.uid() OR delegate_id = auth.uid() OR public.is_admin());
+
+-- Writes go through the RPCs below
+
+-- ─── 2. Sites a supervisor acts for (own + active delegations) ───
+CREATE OR REPLACE FUNCTION public.supervised_site_ids(p_supervisor_id uuid)
+RETURNS SETOF uuid
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT site_id FROM site_supervisors WHERE supervisor_id = p_supervisor_id
+  UNION
+  SELECT d.site_id
+  FROM supervisor_delegations d
+  INNER JOIN site_supervisors ss ON ss.site_id = d.site_id AND ss.supervisor_id = d.delegator_id
+  WHERE d.delegate_id = p_supervisor_id
+    AND d.revoked_at IS NULL
+    AND (now() AT TIME ZONE 'Asia/Jerusalem')::date BETWEEN d.starts_on AND d.ends_on;
+$$;
+
+-- The delegator a supervisor acts for at a site; NULL for the site's own supervisors
+CREATE OR REPLACE FUNCTION public.acting_for(p_site_id uuid, p_supervisor_id uuid)
+RETURNS uuid
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT d.delegator_id
+  FROM supervisor_delegations d
+  INNER JOIN site_supervisors ss ON ss.site_id = d.site_id AND ss.supervisor_id = d.delegator_id
+  WHERE d.site_id = p_site_id
+    AND d.delegate_id = p_supervisor_id
+    AND d.revoked_at IS NULL
+    AND (now() AT TIME ZONE 'Asia/Jerusalem')::date BETWEEN d.starts_on AND d.ends_on
+    AND NOT EXISTS (
+      SELECT 1 FROM site_supervisors own
+      WHERE own.site_id = p_site_id AND own.supervisor_id = p_supervisor_id
+    )
+  ORDER BY d.created_at
+  LIMIT 1;
+$$;
+
+-- ─── 3. Who the reviewing supervisor acted for ───
+ALTER TABLE manual_logs ADD COLUMN IF NOT EXISTS supervisor_on_behalf_of uuid REFERENCES profiles(id) ON DELETE SET NULL;
+
+-- ─── 4. RPC: create_supervisor_delegation (a supervisor of the site) ───
+CREATE OR REPLACE FUNCTION create_supervisor_delegation(
+  p_site_id uuid,
+  p_delegate_id uuid,
+  p_starts_on date,
+  p_ends_on date
+)
+RETURNS supervisor_delegations
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_delegation supervisor_delegations%ROWTYPE;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM site_supervisors
+    WHERE site_id = p_site_id AND supervisor_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF p_delegate_id = auth.uid() THEN
+    RAISE EXCEPTION 'לא ניתן להאציל סמכויות לעצמך';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM profiles
+    WHERE id = p_delegate_id AND role = 'site_supervisor' AND is_active = true
+  ) THEN
+    RAISE EXCEPTION 'ממלא/ת המקום חייב/ת להיות מפקח/ת פעיל/ה';
+  END IF;
+
+  IF p_ends_on < p_starts_on THEN
+    RAISE EXCEPTION 'תאריך הסיום חייב להיות אחרי תאריך ההתחלה';
+  END IF;
+
+  IF p_ends_on < (now() AT TIME ZONE 'Asia/Jerusalem')::date THEN
+    RAISE EXCEPTION 'לא ניתן להאציל סמכויות לתקופה שהסתיימה';
+  END IF;
+
+  INSERT INTO supervisor_delegations (site_id, delegator_id, delegate_id, starts_on, ends_on)
+  VALUES (p_site_id, auth.uid(), p_delegate_id, p_starts_on, p_ends_on)
+  RETURNING * INTO v_delegation;
+
+  RETURN v_delegation;
+END;
+$$;
+
+-- ─── 5. RPC: revoke_supervisor_delegation (the delegator or an admin) ───
+CREATE OR REPLACE FUNCTION revoke_supervisor_delegation(p_delegation_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE supervisor_delegations
+  SET revoked_at = now()
+  WHERE id = p_delegation_id
+    AND revoked_at IS NULL
+    AND (delegator_id = auth.uid() OR public.is_admin());
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Delegation not found or not authorized';
+  END IF;
+END;
+$$;
+
+-- ─── 6. Supervisor students (own sites + delegated sites) ───
+CREATE OR REPLACE FUNCTION get_supervisor_students(p_supervisor_id uuid, p_academic_year text DEFAULT NULL)
+RETURNS TABLE (
+  student_id uuid,
+  full_name text,
+  total_goal integer,
+  site_name text,
+  site_id uuid,
+  shift_hours numeric,
+  approved_manual_hours numeric,
+  pending_supervisor_logs bigint,
+  total_hours numeric,
+  counted_hours numeric,
+  progress_percent numeric,
+  requirements jsonb,
+  requirements_met boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  )
+  SELECT
+    p.id AS student_id,
+    p.full_name,
+    COALESCE(yg.total_goal, p.total_goal) AS total_goal,
+    si.name AS site_name,
+    sp.site_id,
+    COALESCE(sh.shift_hours, 0) AS shift_hours,
+    COALESCE(ml.approved_hours, 0) AS approved_manual_hours,
+    COALESCE(ml.pending_sup_count, 0) AS pending_supervisor_logs,
+    COALESCE(sh.shift_hours, 0) + COALESCE(ml.approved_hours, 0) AS total_hours,
+    gs.counted_hours,
+    LEAST(gs.counted_hours / GREATEST(COALESCE(yg.total_goal, p.total_goal), 1) * 100, 100) AS progress_percent,
+    gs.requirements,
+    gs.requirements_met
+  FROM profiles p
+  CROSS JOIN yr
+  INNER JOIN student_placements sp ON sp.student_id = p.id AND sp.status = 'active'
+  INNER JOIN sites si ON si.id = sp.site_id
+  CROSS JOIN LATERAL public.student_goal_status(p.id, yr.y) gs
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = yr.y
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(duration_minutes) / 60.0 AS shift_hours
+    FROM shifts, yr
+    WHERE status = 'completed' AND duration_minutes IS NOT NULL
+      AND public.academic_year_of(start_time AT TIME ZONE 'Asia/Jerusalem') = yr.y
+    GROUP BY user_id
+  ) sh ON sh.user_id = p.id
+  LEFT JOIN (
+    SELECT user_id,
+           SUM(CASE WHEN status = 'approved' THEN COALESCE(approved_minutes, duration_minutes) ELSE 0 END) / 60.0 AS approved_hours,
+           COUNT(CASE WHEN supervisor_status = 'pending_supervisor' THEN 1 END) AS pending_sup_count
+    FROM manual_logs, yr
+    WHERE public.academic_year_of(date::timestamp) = yr.y
+    GROUP BY user_id
+  ) ml ON ml.user_id = p.id
+  WHERE p.role = 'student'
+    AND p.is_active = true
+    AND sp.site_id IN (SELECT public.supervised_site_ids(p_supervisor_id))
+  ORDER BY p.full_name;
+$$;
+
+-- ─── 7. RPC: get_supervisor_pending_logs (+ who a delegate acts for) ───
+DROP FUNCTION IF EXISTS get_supervisor_pending_logs(uuid);
+
+CREATE OR REPLACE FUNCTION get_supervisor_pending_logs(p_supervisor_id uuid)
+RETURNS TABLE (
+  log_id uuid,
+  student_name text,
+  student_id uuid,
+  site_name text,
+  date date,
+  duration_minutes integer,
+  description text,
+  category text,
+  created_at timestamptz,
+  supervisor_status text,
+  supervisor_due_at timestamptz,
+  on_behalf_of_name text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    ml.id AS log_id,
+    p.full_name AS student_name,
+    ml.user_id AS student_id,
+    si.name AS site_name,
+    ml.date,
+    ml.duration_minutes,
+    ml.description,
+    ml.category,
+    ml.created_at,
+    ml.supervisor_status,
+    ml.supervisor_due_at,
+    d.full_name AS on_behalf_of_name
+  FROM manual_logs ml
+  INNER JOIN profiles p ON p.id = ml.user_id
+  INNER JOIN sites si ON si.id = ml.site_id
+  LEFT JOIN profiles d ON d.id = public.acting_for(ml.site_id, p_supervisor_id)
+  WHERE ml.supervisor_status = 'pending_supervisor'
+    AND ml.status = 'pending'
+    AND ml.site_id IN (SELECT public.supervised_site_ids(p_supervisor_id))
+  ORDER BY ml.created_at ASC;
+$$;
+
+-- ─── 8. RPC: supervisor_approve_log (delegates too) ───
+CREATE OR REPLACE FUNCTION supervisor_approve_log(
+  p_log_id uuid,
+  p_approved_minutes numeric DEFAULT NULL,
+  p_note text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE manual_logs
+  SET
+    supervisor_status = 'supervisor_approved',
+    supervisor_reviewed_by = auth.uid(),
+    supervisor_reviewed_at = now(),
+    supervisor_on_behalf_of = public.acting_for(site_id, auth.uid()),
+    approved_minutes = public.validate_approved_minutes(duration_minutes, p_approved_minutes, p_note),
+    approval_note = CASE WHEN p_approved_minutes IS NOT NULL AND p_approved_minutes <> duration_minutes
+                         THEN trim(p_note) END
+  WHERE id = p_log_id
+    AND supervisor_status = 'pending_supervisor'
+    AND site_id IN (SELECT public.supervised_site_ids(auth.uid()));
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Log not found or not authorized';
+  END IF;
+END;
+$$;
+
+-- ─── 9. RPC: supervisor_reject_log (delegates too) ───
+CREATE OR REPLACE FUNCTION supervisor_reject_log(p_log_id uuid, p_reason text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF COALESCE(trim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'יש לציין סיבת דחייה';
+  END IF;
+
+  UPDATE manual_logs
+  SET
+    supervisor_status = 'supervisor_rejected',
+    supervisor_reviewed_by = auth.uid(),
+    supervisor_reviewed_at = now(),
+    supervisor_on_behalf_of = public.acting_for(site_id, auth.uid()),
+    status = 'rejected',
+    rejection_reason = trim(p_reason)
+  WHERE id = p_log_id
+    AND supervisor_status = 'pending_supervisor'
+    AND site_id IN (SELECT public.supervised_site_ids(auth.uid()));
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Log not found or not authorized';
+  END IF;
+
+  INSERT INTO manual_log_comments (log_id, author_id, kind, body)
+  VALUES (p_log_id, auth.uid(), 'rejection', trim(p_reason));
+END;
+$$;
+
+-- ─── 10. Log threads and timesheets are visible to delegates ───
+CREATE OR REPLACE FUNCTION public.can_access_manual_log(p_log_id uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM manual_logs ml
+    WHERE ml.id = p_log_id
+      AND (
+        ml.user_id = auth.uid()
+        OR public.is_admin()
+        OR ml.site_id IN (SELECT public.supervised_site_ids(auth.uid()))
+      )
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.supervises_student(p_student_id uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM student_placements sp
+    WHERE sp.student_id = p_student_id AND sp.status = 'active'
+      AND sp.site_id IN (SELECT public.supervised_site_ids(auth.uid()))
+  );
+$$;
+
+-- A delegate sees the timesheet records at the delegated site only
+CREATE OR REPLACE FUNCTION get_monthly_timesheet(p_student_id uuid, p_month date)
+RETURNS TABLE (
+  record_type text,
+  record_id uuid,
+  work_date date,
+  start_time timestamptz,
+  end_time timestamptz,
+  break_minutes numeric,
+  duration_minutes numeric,
+  category text,
+  description text,
+  site_id uuid,
+  site_name text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT
+    t.record_type, t.record_id, t.work_date, t.start_time, t.end_time,
+    t.break_minutes, t.duration_minutes, t.category, t.description, t.site_id, t.site_name
+  FROM public.monthly_timesheet_records(p_student_id, p_month) t
+  WHERE p_student_id = auth.uid()
+     OR public.is_admin()
+     OR (
+       public.supervises_student(p_student_id)
+       AND t.site_id IN (SELECT public.supervised_site_ids(auth.uid()))
+     )
+  ORDER BY t.work_date, t.start_time NULLS LAST;
+$$;
+
+-- ─── 11. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,163 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 029 — Audit Log
+-- ============================================================
+-- Run this AFTER 028_supervisor_delegations.sql
+-- Every insert, update and delete on profiles, shifts, shift_corrections,
+-- manual_logs, student_placements, sites, general_events and
+-- approved_scholars is recorded with the acting user (auth.uid(); NULL =
+-- the system, e.g. a scheduled job) and the values before and after.
+-- Updates keep only the columns that changed. Admins read the trail via
+-- get_audit_log.
+-- ============================================================
+
+-- ─── 1. Table: audit_log ───
+-- actor_id has no FK on purpose: the trail outlives deleted profiles.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_name  text NOT NULL,
+  record_id   uuid NOT NULL,
+  action      text NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+  actor_id    uuid,
+  old_data    jsonb,
+  new_data    jsonb,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_table ON audit_log(table_name, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(record_id);
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "audit_log_select_admin"
+  ON audit_log FOR SELECT TO authenticated
+  USING (public.is_admin());
+
+-- Rows are written by the trigger below only
+
+-- ─── 2. Trigger: record the change ───
+-- Bookkeeping columns (reminder stamps, updated_at) are not a change
+-- worth recording on their own.
+CREATE OR REPLACE FUNCTION public.audit_row_change()
+RETURNS trigger AS $$
+DECLARE
+  v_old jsonb;
+  v_new jsonb;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    v_new := to_jsonb(NEW);
+  ELSIF TG_OP = 'DELETE' THEN
+    v_old := to_jsonb(OLD);
+  ELSE
+    SELECT
+      jsonb_object_agg(n.key, to_jsonb(OLD) -> n.key),
+      jsonb_object_agg(n.key, n.value)
+    INTO v_old, v_new
+    FROM jsonb_each(to_jsonb(NEW)) n
+    WHERE (to_jsonb(OLD) -> n.key) IS DISTINCT FROM n.value
+      AND n.key NOT IN ('updated_at', 'supervisor_reminded_at');
+
+    IF v_new IS NULL THEN
+      RETURN NULL;
+    END IF;
+  END IF;
+
+  INSERT INTO audit_log (table_name, record_id, action, actor_id, old_data, new_data)
+  VALUES (
+    TG_TABLE_NAME,
+    CASE WHEN TG_OP = 'DELETE' THEN OLD.id ELSE NEW.id END,
+    lower(TG_OP),
+    auth.uid(),
+    v_old,
+    v_new
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DO $$
+DECLARE
+  v_table text;
+BEGIN
+  FOREACH v_table IN ARRAY ARRAY[
+    'profiles', 'shifts', 'shift_corrections', 'manual_logs',
+    'student_placements', 'sites', 'general_events', 'approved_scholars'
+  ]
+  LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS trg_audit_%1$s ON %1$I', v_table);
+    EXECUTE format(
+      'CREATE TRIGGER trg_audit_%1$s AFTER INSERT OR UPDATE OR DELETE ON %1$I
+         FOR EACH ROW EXECUTE FUNCTION public.audit_row_change()',
+      v_table
+    );
+  END LOOP;
+END $$;
+
+-- ─── 3. RPC: get_audit_log (admin, newest first) ───
+-- p_from / p_to are local days, inclusive. record_label names the row:
+-- the student of a shift / correction / log / placement, or the row's own name.
+CREATE OR REPLACE FUNCTION get_audit_log(
+  p_table text DEFAULT NULL,
+  p_actor_id uuid DEFAULT NULL,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL,
+  p_limit integer DEFAULT 200
+)
+RETURNS TABLE (
+  id uuid,
+  table_name text,
+  record_id uuid,
+  record_label text,
+  action text,
+  actor_id uuid,
+  actor_name text,
+  old_data jsonb,
+  new_data jsonb,
+  created_at timestamptz
+)
+LANGUAGE plpgsql STABLE SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    a.id,
+    a.table_name,
+    a.record_id,
+    COALESCE(
+      CASE a.table_name
+        WHEN 'profiles'           THEN (SELECT p.full_name FROM profiles p WHERE p.id = a.record_id)
+        WHEN 'shifts'             THEN (SELECT p.full_name FROM shifts s INNER JOIN profiles p ON p.id = s.user_id WHERE s.id = a.record_id)
+        WHEN 'shift_corrections'  THEN (SELECT p.full_name FROM shift_corrections sc INNER JOIN profiles p ON p.id = sc.user_id WHERE sc.id = a.record_id)
+        WHEN 'manual_logs'        THEN (SELECT p.full_name FROM manual_logs ml INNER JOIN profiles p ON p.id = ml.user_id WHERE ml.id = a.record_id)
+        WHEN 'student_placements' THEN (SELECT p.full_name FROM student_placements sp INNER JOIN profiles p ON p.id = sp.student_id WHERE sp.id = a.record_id)
+        WHEN 'sites'              THEN (SELECT si.name FROM sites si WHERE si.id = a.record_id)
+        WHEN 'general_events'     THEN (SELECT ge.name FROM general_events ge WHERE ge.id = a.record_id)
+        WHEN 'approved_scholars'  THEN (SELECT sc.email FROM approved_scholars sc WHERE sc.id = a.record_id)
+      END,
+      a.old_data ->> 'full_name', a.old_data ->> 'name', a.old_data ->> 'email'
+    ),
+    a.action,
+    a.actor_id,
+    actor.full_name,
+    a.old_data,
+    a.new_data,
+    a.created_at
+  FROM audit_log a
+  LEFT JOIN profiles actor ON actor.id = a.actor_id
+  WHERE (p_table IS NULL OR a.table_name = p_table)
+    AND (p_actor_id IS NULL OR a.actor_id = p_actor_id)
+    AND (p_from IS NULL OR (a.created_at AT TIME ZONE 'Asia/Jerusalem')::date >= p_from)
+    AND (p_to IS NULL OR (a.created_at AT TIME ZONE 'Asia/Jerusalem')::date <= p_to)
+  ORDER BY a.created_at DESC
+  LIMIT LEAST(GREATEST(COALESCE(p_limit, 200), 1), 1000);
+END;
+$$;
+
+-- ─── 4. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,140 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 030 — Student Activity Timeline
+-- ============================================================
+-- Run this AFTER 029_audit_log.sql
+-- One admin RPC returns everything a student did in a year, newest
+-- first: shifts, manual logs with their approval chain (supervisor,
+-- delegate, admin), placements, and placement / account status
+-- changes from the audit log (so only changes since migration 029).
+-- ============================================================
+
+-- ─── 1. RPC: get_student_timeline (admin only) ───
+-- record_type: 'shift' | 'log' | 'placement' | 'placement_change' | 'account'
+-- details holds the fields of each type; a NULL year = every year.
+CREATE OR REPLACE FUNCTION get_student_timeline(p_student_id uuid, p_academic_year text DEFAULT NULL)
+RETURNS TABLE (
+  record_type text,
+  record_id uuid,
+  occurred_at timestamptz,
+  details jsonb
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT t.record_type, t.record_id, t.occurred_at, t.details
+  FROM (
+    SELECT
+      'shift'::text,
+      s.id,
+      s.start_time,
+      jsonb_build_object(
+        'end_time',         s.end_time,
+        'duration_minutes', s.duration_minutes,
+        'break_minutes',    s.break_minutes,
+        'status',           s.status,
+        'category',         s.category,
+        'description',      s.task_description,
+        'site_name',        si.name
+      )
+    FROM shifts s
+    LEFT JOIN sites si ON si.id = s.site_id
+    WHERE s.user_id = p_student_id
+      AND (p_academic_year IS NULL
+           OR public.academic_year_of(s.start_time AT TIME ZONE 'Asia/Jerusalem') = p_academic_year)
+
+    UNION ALL
+
+    SELECT
+      'log',
+      ml.id,
+      (ml.date + time '12:00') AT TIME ZONE 'Asia/Jerusalem',
+      jsonb_build_object(
+        'date',                   ml.date,
+        'duration_minutes',       ml.duration_minutes,
+        'approved_minutes',       ml.approved_minutes,
+        'approval_note',          ml.approval_note,
+        'status',                 ml.status,
+        'category',               ml.category,
+        'description',            ml.description,
+        'site_name',              si.name,
+        'event_name',             ge.name,
+        'submitted_at',           ml.created_at,
+        'supervisor_status',      ml.supervisor_status,
+        'supervisor_name',        sup.full_name,
+        'supervisor_reviewed_at', ml.supervisor_reviewed_at,
+        'on_behalf_of_name',      obo.full_name,
+        'reviewer_name',          rev.full_name,
+        'reviewed_at',            ml.reviewed_at,
+        'rejection_reason',       ml.rejection_reason
+      )
+    FROM manual_logs ml
+    LEFT JOIN sites si ON si.id = ml.site_id
+    LEFT JOIN general_events ge ON ge.id = ml.general_event_id
+    LEFT JOIN profiles sup ON sup.id = ml.supervisor_reviewed_by
+    LEFT JOIN profiles obo ON obo.id = ml.supervisor_on_behalf_of
+    LEFT JOIN profiles rev ON rev.id = ml.reviewed_by
+    WHERE ml.user_id = p_student_id
+      AND (p_academic_year IS NULL OR public.academic_year_of(ml.date::timestamp) = p_academic_year)
+
+    UNION ALL
+
+    SELECT
+      'placement',
+      sp.id,
+      sp.created_at,
+      jsonb_build_object(
+        'site_name',     si.name,
+        'academic_year', sp.academic_year,
+        'status',        sp.status
+      )
+    FROM student_placements sp
+    LEFT JOIN sites si ON si.id = sp.site_id
+    WHERE sp.student_id = p_student_id
+      AND (p_academic_year IS NULL OR sp.academic_year = p_academic_year)
+
+    UNION ALL
+
+    SELECT
+      'placement_change',
+      a.id,
+      a.created_at,
+      jsonb_build_object(
+        'site_name',  si.name,
+        'old_status', a.old_data ->> 'status',
+        'new_status', a.new_data ->> 'status',
+        'actor_name', actor.full_name
+      )
+    FROM audit_log a
+    INNER JOIN student_placements sp ON sp.id = a.record_id
+    LEFT JOIN sites si ON si.id = sp.site_id
+    LEFT JOIN profiles actor ON actor.id = a.actor_id
+    WHERE a.table_name = 'student_placements'
+      AND a.action = 'update'
+      AND a.new_data ? 'status'
+      AND sp.student_id = p_student_id
+      AND (p_academic_year IS NULL OR sp.academic_year = p_academic_year)
+
+    UNION ALL
+
+    SELECT
+      'account',
+      a.id,
+      a.created_at,
+      jsonb_build_object(
+        'is_active',  (a.new_data ->> 'is_active')::boolean,
+        'actor_name', actor.full_name
+      )
+    FROM audit_log a
+    LEFT JOIN profiles actor ON actor.id = a.actor_id
+    WHERE a.table_name = 'profiles'
+      AND a.action = 'update'
+      AND a.new_data ? 'is_active'
+      AND a.record_id = p_student_id
+      AND (p_academic_year IS NULL
+           OR public.academic_year_of(a.created_at AT TIME ZONE 'Asia/Jerusalem') = p_academic_year)
+  ) t (record_type, record_id, occurred_at, details)
+  WHERE public.is_admin()
+  ORDER BY t.occurred_at DESC;
+$$;
+
+-- ─── 2. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,94 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 031 — Supervisor View of a Student's History
+-- ============================================================
+-- Run this AFTER 030_student_timeline.sql
+-- Every shift and manual log (any status) a student recorded at the
+-- calling supervisor's sites — their own site_supervisors rows plus
+-- active delegations (028) — so they can spot-check the hours before
+-- approving or signing. Records at other sites are never returned.
+-- ============================================================
+
+-- ─── 1. RPC: get_supervisor_student_history ───
+-- record_type: 'shift' | 'manual'; a NULL year = the current one.
+CREATE OR REPLACE FUNCTION get_supervisor_student_history(
+  p_student_id uuid,
+  p_academic_year text DEFAULT NULL
+)
+RETURNS TABLE (
+  record_type text,
+  record_id uuid,
+  site_name text,
+  work_date date,
+  start_time timestamptz,
+  end_time timestamptz,
+  break_minutes numeric,
+  duration_minutes numeric,
+  approved_minutes numeric,
+  category text,
+  description text,
+  status text,
+  supervisor_status text,
+  outside_geofence boolean
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  WITH yr AS (
+    SELECT COALESCE(p_academic_year, public.current_academic_year()) AS y
+  ),
+  my_sites AS (
+    SELECT public.supervised_site_ids(auth.uid()) AS site_id
+  )
+  SELECT *
+  FROM (
+    SELECT
+      'shift'::text,
+      s.id,
+      si.name,
+      (s.start_time AT TIME ZONE 'Asia/Jerusalem')::date,
+      s.start_time,
+      s.end_time,
+      s.break_minutes,
+      s.duration_minutes::numeric,
+      NULL::numeric,
+      s.category,
+      s.task_description,
+      s.status,
+      NULL::text,
+      s.outside_geofence
+    FROM shifts s
+    CROSS JOIN yr
+    INNER JOIN sites si ON si.id = s.site_id
+    WHERE s.user_id = p_student_id
+      AND s.site_id IN (SELECT site_id FROM my_sites)
+      AND public.academic_year_of(s.start_time AT TIME ZONE 'Asia/Jerusalem') = yr.y
+
+    UNION ALL
+
+    SELECT
+      'manual',
+      ml.id,
+      si.name,
+      ml.date,
+      NULL::timestamptz,
+      NULL::timestamptz,
+      NULL::numeric,
+      ml.duration_minutes::numeric,
+      ml.approved_minutes,
+      ml.category,
+      ml.description,
+      ml.status,
+      ml.supervisor_status,
+      NULL::boolean
+    FROM manual_logs ml
+    CROSS JOIN yr
+    INNER JOIN sites si ON si.id = ml.site_id
+    WHERE ml.user_id = p_student_id
+      AND ml.site_id IN (SELECT site_id FROM my_sites)
+      AND public.academic_year_of(ml.date::timestamp) = yr.y
+  ) t (record_type, record_id, site_name, work_date, start_time, end_time, break_minutes,
+       duration_minutes, approved_minutes, category, description, status, supervisor_status, outside_geofence)
+  ORDER BY work_date DESC, start_time DESC NULLS LAST;
+$$;
+
+-- ─── 2. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
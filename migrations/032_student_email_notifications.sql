@@ -0,0 +1,309 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 032 — Student Email Notifications
+-- ============================================================
+-- Run this AFTER 031_supervisor_student_history.sql
+-- Students are emailed when a log is approved (by the supervisor and
+-- finally by the admin), when it is rejected (with the reason), when
+-- they pass 25/50/75/100% of the year's goal, and when their account
+-- is deactivated. Triggers on the tables the approval RPCs update
+-- queue rows in email_notifications, so every path (RPC, bulk review,
+-- admin PATCH) is covered. The send-student-notifications edge
+-- function claims and sends them; it is poked through pg_net once per
+-- transaction (at commit, however many rows were queued) when the
+-- app.settings.supabase_url / service_role_key settings exist, and a
+-- pg_cron job retries whatever is left.
+-- ============================================================
+
+-- ─── 1. Outbox ───
+CREATE TABLE IF NOT EXISTS email_notifications (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  recipient_id  uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  kind          text NOT NULL CHECK (kind IN ('log_approved', 'log_rejected', 'milestone', 'account_deactivated')),
+  payload       jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  claimed_at    timestamptz,
+  sent_at       timestamptz,
+  attempts      integer NOT NULL DEFAULT 0,
+  error         text
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_notifications_unsent
+  ON email_notifications(created_at) WHERE sent_at IS NULL;
+
+ALTER TABLE email_notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "email_notifications_select_admin" ON email_notifications;
+CREATE POLICY "email_notifications_select_admin"
+  ON email_notifications FOR SELECT TO authenticated
+  USING (public.is_admin());
+
+-- ─── 2. Milestones already announced (one email per step per year) ───
+CREATE TABLE IF NOT EXISTS student_milestones (
+  student_id     uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  academic_year  text NOT NULL,
+  percent        integer NOT NULL CHECK (percent IN (25, 50, 75, 100)),
+  reached_at     timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (student_id, academic_year, percent)
+);
+
+ALTER TABLE student_milestones ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "student_milestones_select" ON student_milestones;
+CREATE POLICY "student_milestones_select"
+  ON student_milestones FOR SELECT TO authenticated
+  USING (student_id = auth.uid() OR public.is_admin());
+
+-- ─── 3. Sending: pg_net call to the edge function (when configured) ───
+CREATE OR REPLACE FUNCTION public.dispatch_email_notifications()
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_url text := current_setting('app.settings.supabase_url', true);
+  v_key text := current_setting('app.settings.service_role_key', true);
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net')
+     OR COALESCE(v_url, '') = '' OR COALESCE(v_key, '') = ''
+     OR NOT EXISTS (SELECT 1 FROM email_notifications WHERE sent_at IS NULL AND attempts < 3) THEN
+    RETURN;
+  END IF;
+
+  EXECUTE 'SELECT net.http_post(url := $1, headers := $2, body := $3)'
+  USING
+    v_url || '/functions/v1/send-student-notifications',
+    jsonb_build_object('Authorization', 'Bearer ' || v_key, 'Content-Type', 'application/json'),
+    '{}'::jsonb;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.dispatch_email_notifications() FROM anon, authenticated, public;
+
+CREATE OR REPLACE FUNCTION public.queue_student_email(p_student_id uuid, p_kind text, p_payload jsonb)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  INSERT INTO email_notifications (recipient_id, kind, payload)
+  VALUES (p_student_id, p_kind, COALESCE(p_payload, '{}'::jsonb));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.queue_student_email(uuid, text, jsonb) FROM anon, authenticated, public;
+
+-- A bulk review queues many rows; poke the edge function once, at commit.
+CREATE OR REPLACE FUNCTION public.dispatch_queued_emails()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF current_setting('kazzaz.email_dispatched', true) IS DISTINCT FROM 'on' THEN
+    PERFORM set_config('kazzaz.email_dispatched', 'on', true);
+    PERFORM public.dispatch_email_notifications();
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dispatch_queued_emails ON email_notifications;
+CREATE CONSTRAINT TRIGGER trg_dispatch_queued_emails
+  AFTER INSERT ON email_notifications
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION public.dispatch_queued_emails();
+
+-- ─── 4. Milestones: queue the highest step newly passed ───
+CREATE OR REPLACE FUNCTION public.check_student_milestones(p_student_id uuid, p_academic_year text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_goal integer;
+  v_hours numeric;
+  v_top integer;
+BEGIN
+  SELECT COALESCE(yg.total_goal, p.total_goal) INTO v_goal
+  FROM profiles p
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = p_academic_year
+  WHERE p.id = p_student_id AND p.role = 'student';
+
+  IF COALESCE(v_goal, 0) <= 0 THEN
+    RETURN;
+  END IF;
+
+  SELECT counted_hours INTO v_hours FROM public.student_goal_status(p_student_id, p_academic_year);
+
+  WITH reached AS (
+    INSERT INTO student_milestones (student_id, academic_year, percent)
+    SELECT p_student_id, p_academic_year, m.pct
+    FROM unnest(ARRAY[25, 50, 75, 100]) AS m(pct)
+    WHERE COALESCE(v_hours, 0) >= v_goal * m.pct / 100.0
+    ON CONFLICT DO NOTHING
+    RETURNING percent
+  )
+  SELECT MAX(percent) INTO v_top FROM reached;
+
+  IF v_top IS NOT NULL THEN
+    PERFORM public.queue_student_email(p_student_id, 'milestone', jsonb_build_object(
+      'percent',       v_top,
+      'hours',         round(v_hours, 1),
+      'goal',          v_goal,
+      'academic_year', p_academic_year
+    ));
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.check_student_milestones(uuid, text) FROM anon, authenticated, public;
+
+-- Steps already passed before this migration are recorded silently
+INSERT INTO student_milestones (student_id, academic_year, percent)
+SELECT p.id, public.current_academic_year(), m.pct
+FROM profiles p
+LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = public.current_academic_year()
+CROSS JOIN LATERAL public.student_goal_status(p.id, public.current_academic_year()) gs
+CROSS JOIN unnest(ARRAY[25, 50, 75, 100]) AS m(pct)
+WHERE p.role = 'student'
+  AND COALESCE(yg.total_goal, p.total_goal) > 0
+  AND gs.counted_hours >= COALESCE(yg.total_goal, p.total_goal) * m.pct / 100.0
+ON CONFLICT DO NOTHING;
+
+-- ─── 5. Trigger: manual log approved / rejected ───
+-- AFTER so the BEFORE triggers (027 escalation) have settled the row.
+CREATE OR REPLACE FUNCTION public.notify_manual_log_review()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_payload jsonb;
+BEGIN
+  v_payload := jsonb_build_object(
+    'log_id',           NEW.id,
+    'date',             NEW.date,
+    'duration_minutes', COALESCE(NEW.approved_minutes, NEW.duration_minutes),
+    'site_name',        (SELECT name FROM sites WHERE id = NEW.site_id),
+    'event_name',       (SELECT name FROM general_events WHERE id = NEW.general_event_id)
+  );
+
+  IF NEW.status = 'approved' AND OLD.status IS DISTINCT FROM 'approved' THEN
+    PERFORM public.queue_student_email(NEW.user_id, 'log_approved',
+      v_payload || jsonb_build_object('stage', 'final', 'note', NEW.approval_note));
+    PERFORM public.check_student_milestones(NEW.user_id, public.academic_year_of(NEW.date::timestamp));
+
+  ELSIF NEW.status = 'rejected' AND OLD.status IS DISTINCT FROM 'rejected' THEN
+    PERFORM public.queue_student_email(NEW.user_id, 'log_rejected',
+      v_payload || jsonb_build_object(
+        'reason', NEW.rejection_reason,
+        'by',     CASE WHEN NEW.supervisor_status = 'supervisor_rejected' THEN 'supervisor' ELSE 'admin' END
+      ));
+
+  ELSIF NEW.status = 'pending'
+        AND NEW.supervisor_status = 'supervisor_approved'
+        AND OLD.supervisor_status IS DISTINCT FROM 'supervisor_approved' THEN
+    PERFORM public.queue_student_email(NEW.user_id, 'log_approved',
+      v_payload || jsonb_build_object('stage', 'supervisor'));
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_notify_manual_log_review ON manual_logs;
+CREATE TRIGGER trg_notify_manual_log_review
+  AFTER UPDATE ON manual_logs
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status
+        OR OLD.supervisor_status IS DISTINCT FROM NEW.supervisor_status)
+  EXECUTE FUNCTION public.notify_manual_log_review();
+
+-- ─── 6. Trigger: completed shifts count toward milestones ───
+CREATE OR REPLACE FUNCTION public.notify_shift_completed()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  PERFORM public.check_student_milestones(
+    NEW.user_id, public.academic_year_of(NEW.start_time AT TIME ZONE 'Asia/Jerusalem')
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_notify_shift_completed ON shifts;
+CREATE TRIGGER trg_notify_shift_completed
+  AFTER UPDATE ON shifts
+  FOR EACH ROW
+  WHEN (NEW.status = 'completed' AND OLD.status IS DISTINCT FROM 'completed')
+  EXECUTE FUNCTION public.notify_shift_completed();
+
+-- ─── 7. Trigger: student account deactivated ───
+CREATE OR REPLACE FUNCTION public.notify_account_deactivated()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  PERFORM public.queue_student_email(NEW.id, 'account_deactivated', '{}'::jsonb);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_notify_account_deactivated ON profiles;
+CREATE TRIGGER trg_notify_account_deactivated
+  AFTER UPDATE OF is_active ON profiles
+  FOR EACH ROW
+  WHEN (OLD.is_active AND NOT NEW.is_active AND NEW.role = 'student')
+  EXECUTE FUNCTION public.notify_account_deactivated();
+
+-- ─── 8. RPC: claim_email_notifications (edge function) ───
+-- Claims up to p_limit unsent rows for 10 minutes and returns them with
+-- the recipient's address. The function sets sent_at once an email went
+-- out and releases the claim on failure; claims of a run that died
+-- expire. Rows are given up after 3 attempts. Service role or admin only.
+CREATE OR REPLACE FUNCTION claim_email_notifications(p_limit integer DEFAULT 50)
+RETURNS TABLE (
+  id uuid,
+  kind text,
+  payload jsonb,
+  recipient_email text,
+  recipient_name text,
+  attempts integer
+)
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT (public.is_service_call() OR public.is_admin()) THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  RETURN QUERY
+  WITH claimed AS (
+    UPDATE email_notifications en
+    SET claimed_at = now(), attempts = en.attempts + 1, error = NULL
+    WHERE en.id IN (
+      SELECT q.id FROM email_notifications q
+      WHERE q.sent_at IS NULL AND q.attempts < 3
+        AND (q.claimed_at IS NULL OR q.claimed_at < now() - interval '10 minutes')
+      ORDER BY q.created_at
+      LIMIT p_limit
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING en.id, en.kind, en.payload, en.recipient_id, en.attempts
+  )
+  SELECT c.id, c.kind, c.payload, p.email, p.full_name, c.attempts
+  FROM claimed c
+  INNER JOIN profiles p ON p.id = c.recipient_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_email_notifications(integer) FROM anon, public;
+GRANT EXECUTE ON FUNCTION claim_email_notifications(integer) TO authenticated, service_role;
+
+-- ─── 9. Retry schedule (only where pg_cron is enabled) ───
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.unschedule(jobid) FROM cron.job WHERE jobname = 'send-student-notifications';
+    PERFORM cron.schedule('send-student-notifications', '*/5 * * * *', 'SELECT public.dispatch_email_notifications()');
+  END IF;
+END $$;
+
+-- ─── 10. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
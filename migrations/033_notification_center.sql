@@ -0,0 +1,351 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 033 — In-App Notification Center
+-- ============================================================
+-- Run this AFTER 032_student_email_notifications.sql
+-- Every role gets a persistent list of notices behind a bell in the
+-- header, next to the short-lived toasts:
+--   student:         log approved / rejected, goal milestone, new placement
+--   site supervisor: new logs waiting at a site, delegation received
+--   admin:           new logs waiting for final approval
+-- "Logs waiting" notices are grouped: while one is unread, new logs
+-- only raise its count. Users choose per event whether it also goes
+-- out by email (notification_preferences; no row = email on). The 032
+-- triggers now post through notify_user(), which writes the notice and
+-- queues the email when wanted. Admins are emailed once per new
+-- "logs waiting" notice; supervisors keep the per-log email sent by
+-- send-supervisor-notification. Delegation notices are in-app only.
+-- ============================================================
+
+-- ─── 1. Notifications ───
+CREATE TABLE IF NOT EXISTS notifications (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  kind        text NOT NULL CHECK (kind IN (
+                'log_approved', 'log_rejected', 'milestone', 'placement_assigned',
+                'logs_waiting', 'delegation_received'
+              )),
+  data        jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  read_at     timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "notifications_select_own" ON notifications;
+CREATE POLICY "notifications_select_own"
+  ON notifications FOR SELECT TO authenticated
+  USING (user_id = auth.uid());
+
+-- Writes go through the triggers and RPCs below
+
+-- ─── 2. Email preferences ───
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id     uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  kind        text NOT NULL,
+  email       boolean NOT NULL,
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, kind)
+);
+
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "notification_preferences_select_own" ON notification_preferences;
+CREATE POLICY "notification_preferences_select_own"
+  ON notification_preferences FOR SELECT TO authenticated
+  USING (user_id = auth.uid());
+
+CREATE OR REPLACE FUNCTION public.wants_email(p_user_id uuid, p_kind text)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT COALESCE(
+    (SELECT email FROM notification_preferences WHERE user_id = p_user_id AND kind = p_kind),
+    true
+  );
+$$;
+
+-- ─── 3. Email outbox: placement emails, preferences respected ───
+ALTER TABLE email_notifications DROP CONSTRAINT IF EXISTS email_notifications_kind_check;
+ALTER TABLE email_notifications ADD CONSTRAINT email_notifications_kind_check
+  CHECK (kind IN ('log_approved', 'log_rejected', 'milestone', 'placement_assigned', 'logs_waiting', 'account_deactivated'));
+
+CREATE OR REPLACE FUNCTION public.queue_student_email(p_student_id uuid, p_kind text, p_payload jsonb)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.wants_email(p_student_id, p_kind) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO email_notifications (recipient_id, kind, payload)
+  VALUES (p_student_id, p_kind, COALESCE(p_payload, '{}'::jsonb));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.queue_student_email(uuid, text, jsonb) FROM anon, authenticated, public;
+
+-- ─── 4. notify_user: in-app notice (+ email) ───
+-- logs_waiting is grouped by data.site_id (NULL for the admin queue).
+CREATE OR REPLACE FUNCTION public.notify_user(p_user_id uuid, p_kind text, p_data jsonb)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF p_kind = 'logs_waiting' THEN
+    UPDATE notifications
+    SET data = jsonb_set(data, '{count}', to_jsonb(COALESCE((data ->> 'count')::integer, 1) + 1)),
+        created_at = now()
+    WHERE user_id = p_user_id
+      AND kind = 'logs_waiting'
+      AND read_at IS NULL
+      AND data ->> 'site_id' IS NOT DISTINCT FROM p_data ->> 'site_id';
+    IF FOUND THEN
+      RETURN;
+    END IF;
+    p_data := p_data || jsonb_build_object('count', 1);
+  END IF;
+
+  INSERT INTO notifications (user_id, kind, data)
+  VALUES (p_user_id, p_kind, COALESCE(p_data, '{}'::jsonb));
+
+  IF p_kind IN ('log_approved', 'log_rejected', 'milestone', 'placement_assigned')
+     OR (p_kind = 'logs_waiting' AND p_data ->> 'site_id' IS NULL) THEN
+    PERFORM public.queue_student_email(p_user_id, p_kind, p_data);
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.notify_user(uuid, text, jsonb) FROM anon, authenticated, public;
+
+-- ─── 5. 032 triggers post through notify_user ───
+CREATE OR REPLACE FUNCTION public.check_student_milestones(p_student_id uuid, p_academic_year text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_goal integer;
+  v_hours numeric;
+  v_top integer;
+BEGIN
+  SELECT COALESCE(yg.total_goal, p.total_goal) INTO v_goal
+  FROM profiles p
+  LEFT JOIN student_year_goals yg ON yg.student_id = p.id AND yg.academic_year = p_academic_year
+  WHERE p.id = p_student_id AND p.role = 'student';
+
+  IF COALESCE(v_goal, 0) <= 0 THEN
+    RETURN;
+  END IF;
+
+  SELECT counted_hours INTO v_hours FROM public.student_goal_status(p_student_id, p_academic_year);
+
+  WITH reached AS (
+    INSERT INTO student_milestones (student_id, academic_year, percent)
+    SELECT p_student_id, p_academic_year, m.pct
+    FROM unnest(ARRAY[25, 50, 75, 100]) AS m(pct)
+    WHERE COALESCE(v_hours, 0) >= v_goal * m.pct / 100.0
+    ON CONFLICT DO NOTHING
+    RETURNING percent
+  )
+  SELECT MAX(percent) INTO v_top FROM reached;
+
+  IF v_top IS NOT NULL THEN
+    PERFORM public.notify_user(p_student_id, 'milestone', jsonb_build_object(
+      'percent',       v_top,
+      'hours',         round(v_hours, 1),
+      'goal',          v_goal,
+      'academic_year', p_academic_year
+    ));
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.check_student_milestones(uuid, text) FROM anon, authenticated, public;
+
+CREATE OR REPLACE FUNCTION public.notify_manual_log_review()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_payload jsonb;
+  v_admin uuid;
+BEGIN
+  v_payload := jsonb_build_object(
+    'log_id',           NEW.id,
+    'date',             NEW.date,
+    'duration_minutes', COALESCE(NEW.approved_minutes, NEW.duration_minutes),
+    'site_name',        (SELECT name FROM sites WHERE id = NEW.site_id),
+    'event_name',       (SELECT name FROM general_events WHERE id = NEW.general_event_id)
+  );
+
+  IF NEW.status = 'approved' AND OLD.status IS DISTINCT FROM 'approved' THEN
+    PERFORM public.notify_user(NEW.user_id, 'log_approved',
+      v_payload || jsonb_build_object('stage', 'final', 'note', NEW.approval_note));
+    PERFORM public.check_student_milestones(NEW.user_id, public.academic_year_of(NEW.date::timestamp));
+
+  ELSIF NEW.status = 'rejected' AND OLD.status IS DISTINCT FROM 'rejected' THEN
+    PERFORM public.notify_user(NEW.user_id, 'log_rejected',
+      v_payload || jsonb_build_object(
+        'reason', NEW.rejection_reason,
+        'by',     CASE WHEN NEW.supervisor_status = 'supervisor_rejected' THEN 'supervisor' ELSE 'admin' END
+      ));
+
+  ELSIF NEW.status = 'pending'
+        AND NEW.supervisor_status = 'supervisor_approved'
+        AND OLD.supervisor_status IS DISTINCT FROM 'supervisor_approved' THEN
+    PERFORM public.notify_user(NEW.user_id, 'log_approved',
+      v_payload || jsonb_build_object('stage', 'supervisor'));
+
+    -- Now waiting for the admins
+    FOR v_admin IN SELECT id FROM profiles WHERE role = 'admin' AND is_active LOOP
+      PERFORM public.notify_user(v_admin, 'logs_waiting', '{}'::jsonb);
+    END LOOP;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+-- ─── 6. Trigger: new / resubmitted logs waiting for review ───
+-- Site logs go to the site's supervisors and their active delegates;
+-- logs without a supervisor step go straight to the admins.
+CREATE OR REPLACE FUNCTION public.notify_log_waiting()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_user uuid;
+BEGIN
+  IF NEW.supervisor_status = 'pending_supervisor' THEN
+    FOR v_user IN
+      SELECT ss.supervisor_id FROM site_supervisors ss WHERE ss.site_id = NEW.site_id
+      UNION
+      SELECT d.delegate_id
+      FROM supervisor_delegations d
+      INNER JOIN site_supervisors ss ON ss.site_id = d.site_id AND ss.supervisor_id = d.delegator_id
+      WHERE d.site_id = NEW.site_id
+        AND d.revoked_at IS NULL
+        AND (now() AT TIME ZONE 'Asia/Jerusalem')::date BETWEEN d.starts_on AND d.ends_on
+    LOOP
+      PERFORM public.notify_user(v_user, 'logs_waiting', jsonb_build_object(
+        'site_id',   NEW.site_id,
+        'site_name', (SELECT name FROM sites WHERE id = NEW.site_id)
+      ));
+    END LOOP;
+  ELSIF NEW.supervisor_status IS NULL THEN
+    FOR v_user IN SELECT id FROM profiles WHERE role = 'admin' AND is_active LOOP
+      PERFORM public.notify_user(v_user, 'logs_waiting', '{}'::jsonb);
+    END LOOP;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_notify_log_waiting ON manual_logs;
+CREATE TRIGGER trg_notify_log_waiting
+  AFTER INSERT ON manual_logs
+  FOR EACH ROW
+  WHEN (NEW.status = 'pending')
+  EXECUTE FUNCTION public.notify_log_waiting();
+
+DROP TRIGGER IF EXISTS trg_notify_log_resubmitted ON manual_logs;
+CREATE TRIGGER trg_notify_log_resubmitted
+  AFTER UPDATE OF status ON manual_logs
+  FOR EACH ROW
+  WHEN (OLD.status = 'rejected' AND NEW.status = 'pending')
+  EXECUTE FUNCTION public.notify_log_waiting();
+
+-- ─── 7. Trigger: new placement ───
+CREATE OR REPLACE FUNCTION public.notify_placement_assigned()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  PERFORM public.notify_user(NEW.student_id, 'placement_assigned', jsonb_build_object(
+    'placement_id',  NEW.id,
+    'site_name',     (SELECT name FROM sites WHERE id = NEW.site_id),
+    'academic_year', NEW.academic_year
+  ));
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_notify_placement_assigned ON student_placements;
+CREATE TRIGGER trg_notify_placement_assigned
+  AFTER INSERT ON student_placements
+  FOR EACH ROW
+  WHEN (NEW.status = 'active')
+  EXECUTE FUNCTION public.notify_placement_assigned();
+
+-- ─── 8. Trigger: delegation received ───
+CREATE OR REPLACE FUNCTION public.notify_delegation_received()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  PERFORM public.notify_user(NEW.delegate_id, 'delegation_received', jsonb_build_object(
+    'delegation_id',  NEW.id,
+    'site_name',      (SELECT name FROM sites WHERE id = NEW.site_id),
+    'delegator_name', (SELECT full_name FROM profiles WHERE id = NEW.delegator_id),
+    'starts_on',      NEW.starts_on,
+    'ends_on',        NEW.ends_on
+  ));
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_notify_delegation_received ON supervisor_delegations;
+CREATE TRIGGER trg_notify_delegation_received
+  AFTER INSERT ON supervisor_delegations
+  FOR EACH ROW EXECUTE FUNCTION public.notify_delegation_received();
+
+-- ─── 9. RPC: mark_notifications_read (NULL = all of mine) ───
+CREATE OR REPLACE FUNCTION mark_notifications_read(p_ids uuid[] DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  UPDATE notifications
+  SET read_at = now()
+  WHERE user_id = auth.uid()
+    AND read_at IS NULL
+    AND (p_ids IS NULL OR id = ANY(p_ids));
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- ─── 10. RPC: set_notification_preference ───
+CREATE OR REPLACE FUNCTION set_notification_preference(p_kind text, p_email boolean)
+RETURNS notification_preferences
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_pref notification_preferences%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF p_kind NOT IN ('log_approved', 'log_rejected', 'milestone', 'placement_assigned', 'logs_waiting') THEN
+    RAISE EXCEPTION 'סוג התראה לא ידוע';
+  END IF;
+
+  INSERT INTO notification_preferences (user_id, kind, email)
+  VALUES (auth.uid(), p_kind, p_email)
+  ON CONFLICT (user_id, kind) DO UPDATE SET email = EXCLUDED.email, updated_at = now()
+  RETURNING * INTO v_pref;
+
+  RETURN v_pref;
+END;
+$$;
+
+-- ─── 11. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,291 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 034 — Web Push Notifications
+-- ============================================================
+-- Run this AFTER 033_notification_center.sql
+-- Students and site supervisors can opt in to push notifications on
+-- each device (the PWA's service worker subscribes with the VAPID
+-- public key). Subscriptions are stored per user and endpoint.
+-- notify_user() queues a push in push_notifications for:
+--   logs_waiting       — a new log at a supervisor's site (every log,
+--                        even while the in-app notice is grouped)
+--   checkout_reminder  — the student is still checked in past the
+--                        site's expected shift length
+-- The send-push-notifications edge function claims and sends them,
+-- poked through pg_net once per transaction like the email outbox (032).
+-- The reminder job and the dispatch are cron-only.
+-- ============================================================
+
+-- ─── 1. Subscriptions (one row per browser / device) ───
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id       uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  endpoint      text NOT NULL UNIQUE,
+  p256dh        text NOT NULL,
+  auth          text NOT NULL,
+  user_agent    text,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  last_used_at  timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "push_subscriptions_select_own" ON push_subscriptions;
+CREATE POLICY "push_subscriptions_select_own"
+  ON push_subscriptions FOR SELECT TO authenticated
+  USING (user_id = auth.uid());
+
+-- Writes go through the RPCs below
+
+-- ─── 2. Push outbox ───
+CREATE TABLE IF NOT EXISTS push_notifications (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  kind        text NOT NULL CHECK (kind IN ('logs_waiting', 'checkout_reminder')),
+  payload     jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  sent_at     timestamptz,
+  attempts    integer NOT NULL DEFAULT 0,
+  error       text
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_notifications_unsent
+  ON push_notifications(created_at) WHERE sent_at IS NULL;
+
+ALTER TABLE push_notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "push_notifications_select_admin" ON push_notifications;
+CREATE POLICY "push_notifications_select_admin"
+  ON push_notifications FOR SELECT TO authenticated
+  USING (public.is_admin());
+
+-- ─── 3. Sending: pg_net call to the edge function (when configured) ───
+CREATE OR REPLACE FUNCTION public.dispatch_push_notifications()
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_url text := current_setting('app.settings.supabase_url', true);
+  v_key text := current_setting('app.settings.service_role_key', true);
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net')
+     OR COALESCE(v_url, '') = '' OR COALESCE(v_key, '') = ''
+     OR NOT EXISTS (SELECT 1 FROM push_notifications WHERE sent_at IS NULL AND attempts < 3) THEN
+    RETURN;
+  END IF;
+
+  EXECUTE 'SELECT net.http_post(url := $1, headers := $2, body := $3)'
+  USING
+    v_url || '/functions/v1/send-push-notifications',
+    jsonb_build_object('Authorization', 'Bearer ' || v_key, 'Content-Type', 'application/json'),
+    '{}'::jsonb;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.dispatch_push_notifications() FROM anon, authenticated, public;
+
+CREATE OR REPLACE FUNCTION public.dispatch_queued_pushes()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF current_setting('kazzaz.push_dispatched', true) IS DISTINCT FROM 'on' THEN
+    PERFORM set_config('kazzaz.push_dispatched', 'on', true);
+    PERFORM public.dispatch_push_notifications();
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_dispatch_queued_pushes ON push_notifications;
+CREATE CONSTRAINT TRIGGER trg_dispatch_queued_pushes
+  AFTER INSERT ON push_notifications
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION public.dispatch_queued_pushes();
+
+-- ─── 4. Check-out reminders in the notification center ───
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_kind_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_kind_check
+  CHECK (kind IN (
+    'log_approved', 'log_rejected', 'milestone', 'placement_assigned',
+    'logs_waiting', 'delegation_received', 'checkout_reminder'
+  ));
+
+-- ─── 5. notify_user: queue a push for subscribed users ───
+CREATE OR REPLACE FUNCTION public.notify_user(p_user_id uuid, p_kind text, p_data jsonb)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF p_kind IN ('logs_waiting', 'checkout_reminder')
+     AND EXISTS (SELECT 1 FROM push_subscriptions WHERE user_id = p_user_id) THEN
+    INSERT INTO push_notifications (user_id, kind, payload)
+    VALUES (p_user_id, p_kind, COALESCE(p_data, '{}'::jsonb));
+  END IF;
+
+  IF p_kind = 'logs_waiting' THEN
+    UPDATE notifications
+    SET data = jsonb_set(data, '{count}', to_jsonb(COALESCE((data ->> 'count')::integer, 1) + 1)),
+        created_at = now()
+    WHERE user_id = p_user_id
+      AND kind = 'logs_waiting'
+      AND read_at IS NULL
+      AND data ->> 'site_id' IS NOT DISTINCT FROM p_data ->> 'site_id';
+    IF FOUND THEN
+      RETURN;
+    END IF;
+    p_data := p_data || jsonb_build_object('count', 1);
+  END IF;
+
+  INSERT INTO notifications (user_id, kind, data)
+  VALUES (p_user_id, p_kind, COALESCE(p_data, '{}'::jsonb));
+
+  IF p_kind IN ('log_approved', 'log_rejected', 'milestone', 'placement_assigned')
+     OR (p_kind = 'logs_waiting' AND p_data ->> 'site_id' IS NULL) THEN
+    PERFORM public.queue_student_email(p_user_id, p_kind, p_data);
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.notify_user(uuid, text, jsonb) FROM anon, authenticated, public;
+
+-- ─── 6. Job: remind students still checked in ───
+-- Once per shift, after the site's expected length (013) has passed.
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS checkout_reminded_at timestamptz;
+
+CREATE OR REPLACE FUNCTION public.remind_open_shifts()
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_shift record;
+  v_count integer := 0;
+BEGIN
+  FOR v_shift IN
+    UPDATE shifts s
+    SET checkout_reminded_at = now()
+    FROM (
+      SELECT sh.id, si.name AS site_name,
+             COALESCE(si.expected_shift_minutes, cfg.default_expected_shift_minutes) AS expected
+      FROM shifts sh
+      CROSS JOIN app_settings cfg
+      LEFT JOIN sites si ON si.id = sh.site_id
+      WHERE sh.status = 'active' AND sh.checkout_reminded_at IS NULL
+    ) c
+    WHERE s.id = c.id
+      AND now() > s.start_time + make_interval(mins => c.expected)
+    RETURNING s.id, s.user_id, s.start_time, c.site_name
+  LOOP
+    PERFORM public.notify_user(v_shift.user_id, 'checkout_reminder', jsonb_build_object(
+      'shift_id',   v_shift.id,
+      'start_time', v_shift.start_time,
+      'site_name',  v_shift.site_name
+    ));
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.remind_open_shifts() FROM anon, authenticated, public;
+
+-- ─── 7. RPC: save_push_subscription / delete_push_subscription ───
+-- The caller's own endpoint is refreshed in place. An endpoint another
+-- user subscribed on the same browser is deleted and saved anew, never
+-- handed over with the old row.
+CREATE OR REPLACE FUNCTION save_push_subscription(
+  p_endpoint text,
+  p_p256dh text,
+  p_auth text,
+  p_user_agent text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF COALESCE(p_endpoint, '') = '' OR COALESCE(p_p256dh, '') = '' OR COALESCE(p_auth, '') = '' THEN
+    RAISE EXCEPTION 'Invalid push subscription';
+  END IF;
+
+  DELETE FROM push_subscriptions
+  WHERE endpoint = p_endpoint AND user_id <> auth.uid();
+
+  INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+  VALUES (auth.uid(), p_endpoint, p_p256dh, p_auth, p_user_agent)
+  ON CONFLICT (endpoint) DO UPDATE
+  SET p256dh = EXCLUDED.p256dh,
+      auth = EXCLUDED.auth,
+      user_agent = EXCLUDED.user_agent,
+      created_at = now()
+  WHERE push_subscriptions.user_id = auth.uid();
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION delete_push_subscription(p_endpoint text)
+RETURNS void
+LANGUAGE sql SECURITY DEFINER
+AS $$
+  DELETE FROM push_subscriptions WHERE endpoint = p_endpoint AND user_id = auth.uid();
+$$;
+
+-- ─── 8. RPC: claim_push_notifications (edge function) ───
+-- One row per (notification, subscription). Claimed rows are marked
+-- sent; the function clears sent_at again when every device failed.
+-- Service role or admin only.
+CREATE OR REPLACE FUNCTION claim_push_notifications(p_limit integer DEFAULT 50)
+RETURNS TABLE (
+  id uuid,
+  kind text,
+  payload jsonb,
+  subscription_id uuid,
+  endpoint text,
+  p256dh text,
+  auth text
+)
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT (public.is_service_call() OR public.is_admin()) THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  RETURN QUERY
+  WITH claimed AS (
+    UPDATE push_notifications pn
+    SET sent_at = now(), attempts = pn.attempts + 1, error = NULL
+    WHERE pn.id IN (
+      SELECT q.id FROM push_notifications q
+      WHERE q.sent_at IS NULL AND q.attempts < 3
+      ORDER BY q.created_at
+      LIMIT p_limit
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING pn.id, pn.kind, pn.payload, pn.user_id
+  )
+  SELECT c.id, c.kind, c.payload, ps.id, ps.endpoint, ps.p256dh, ps.auth
+  FROM claimed c
+  INNER JOIN push_subscriptions ps ON ps.user_id = c.user_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_push_notifications(integer) FROM anon, public;
+GRANT EXECUTE ON FUNCTION claim_push_notifications(integer) TO authenticated, service_role;
+
+-- ─── 9. Schedules (only where pg_cron is enabled) ───
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.unschedule(jobid) FROM cron.job WHERE jobname IN ('remind-open-shifts', 'send-push-notifications');
+    PERFORM cron.schedule('remind-open-shifts', '*/15 * * * *', 'SELECT public.remind_open_shifts()');
+    PERFORM cron.schedule('send-push-notifications', '*/5 * * * *', 'SELECT public.dispatch_push_notifications()');
+  END IF;
+END $$;
+
+-- ─── 10. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,508 @@
+-- ============================================================
+-- KAZZAZ: MIGRATION 035 — Forgotten Check-Out Handling
+-- ============================================================
+-- Run this AFTER 034_web_push.sql
+-- A shift left open overnight used to run until the site's maximum
+-- length (013) and then count all of it. Now one scheduled job:
+--   1. reminds the student (in-app, email, push) once the shift passes
+--      the site's expected length or the site's closing time;
+--   2. after the maximum length, or the closing time plus a grace
+--      period, closes the shift per the site's policy — at the expected
+--      length or at the closing time — instead of at the cap, and flags
+--      it needs_correction so the student files a correction with the
+--      real check-out time. The student is told it was closed.
+-- The flag clears when a correction is approved or an admin marks the
+-- auto-closed shift reviewed. Until then the shift doesn't count toward
+-- the goal, can be corrected even while its location is under review
+-- (015), and its month can't be signed (022).
+-- ============================================================
+
+-- ─── 1. Settings ───
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS closes_at time;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS auto_close_end text NOT NULL DEFAULT 'expected'
+  CHECK (auto_close_end IN ('expected', 'closing_time'));
+ALTER TABLE app_settings ADD COLUMN IF NOT EXISTS auto_close_grace_minutes integer NOT NULL DEFAULT 120
+  CHECK (auto_close_grace_minutes >= 0);
+
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS needs_correction boolean NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_shifts_needs_correction ON shifts(user_id) WHERE needs_correction;
+
+-- The site's closing time on the day the shift started; NULL when the
+-- site has none or the shift started after it.
+CREATE OR REPLACE FUNCTION public.site_closing_at(p_site_id uuid, p_start timestamptz)
+RETURNS timestamptz
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT c.closing_at
+  FROM (
+    SELECT (((p_start AT TIME ZONE 'Asia/Jerusalem')::date + si.closes_at) AT TIME ZONE 'Asia/Jerusalem') AS closing_at
+    FROM sites si
+    WHERE si.id = p_site_id AND si.closes_at IS NOT NULL
+  ) c
+  WHERE c.closing_at > p_start;
+$$;
+
+-- ─── 2. Notification kinds (in-app + email) ───
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_kind_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_kind_check
+  CHECK (kind IN (
+    'log_approved', 'log_rejected', 'milestone', 'placement_assigned',
+    'logs_waiting', 'delegation_received', 'checkout_reminder', 'shift_auto_closed'
+  ));
+
+ALTER TABLE email_notifications DROP CONSTRAINT IF EXISTS email_notifications_kind_check;
+ALTER TABLE email_notifications ADD CONSTRAINT email_notifications_kind_check
+  CHECK (kind IN (
+    'log_approved', 'log_rejected', 'milestone', 'placement_assigned', 'logs_waiting',
+    'checkout_reminder', 'shift_auto_closed', 'account_deactivated'
+  ));
+
+CREATE OR REPLACE FUNCTION public.notify_user(p_user_id uuid, p_kind text, p_data jsonb)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF p_kind IN ('logs_waiting', 'checkout_reminder')
+     AND EXISTS (SELECT 1 FROM push_subscriptions WHERE user_id = p_user_id) THEN
+    INSERT INTO push_notifications (user_id, kind, payload)
+    VALUES (p_user_id, p_kind, COALESCE(p_data, '{}'::jsonb));
+  END IF;
+
+  IF p_kind = 'logs_waiting' THEN
+    UPDATE notifications
+    SET data = jsonb_set(data, '{count}', to_jsonb(COALESCE((data ->> 'count')::integer, 1) + 1)),
+        created_at = now()
+    WHERE user_id = p_user_id
+      AND kind = 'logs_waiting'
+      AND read_at IS NULL
+      AND data ->> 'site_id' IS NOT DISTINCT FROM p_data ->> 'site_id';
+    IF FOUND THEN
+      RETURN;
+    END IF;
+    p_data := p_data || jsonb_build_object('count', 1);
+  END IF;
+
+  INSERT INTO notifications (user_id, kind, data)
+  VALUES (p_user_id, p_kind, COALESCE(p_data, '{}'::jsonb));
+
+  IF p_kind IN ('log_approved', 'log_rejected', 'milestone', 'placement_assigned',
+                'checkout_reminder', 'shift_auto_closed')
+     OR (p_kind = 'logs_waiting' AND p_data ->> 'site_id' IS NULL) THEN
+    PERFORM public.queue_student_email(p_user_id, p_kind, p_data);
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.notify_user(uuid, text, jsonb) FROM anon, authenticated, public;
+
+CREATE OR REPLACE FUNCTION set_notification_preference(p_kind text, p_email boolean)
+RETURNS notification_preferences
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_pref notification_preferences%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF p_kind NOT IN ('log_approved', 'log_rejected', 'milestone', 'placement_assigned', 'logs_waiting',
+                    'checkout_reminder', 'shift_auto_closed') THEN
+    RAISE EXCEPTION 'סוג התראה לא ידוע';
+  END IF;
+
+  INSERT INTO notification_preferences (user_id, kind, email)
+  VALUES (auth.uid(), p_kind, p_email)
+  ON CONFLICT (user_id, kind) DO UPDATE SET email = EXCLUDED.email, updated_at = now()
+  RETURNING * INTO v_pref;
+
+  RETURN v_pref;
+END;
+$$;
+
+-- ─── 3. Reminder: expected length or closing time passed ───
+CREATE OR REPLACE FUNCTION public.remind_open_shifts()
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_shift record;
+  v_count integer := 0;
+BEGIN
+  FOR v_shift IN
+    UPDATE shifts s
+    SET checkout_reminded_at = now()
+    FROM (
+      SELECT sh.id, si.name AS site_name, t.closing_at,
+             LEAST(
+               sh.start_time + make_interval(mins => COALESCE(si.expected_shift_minutes, cfg.default_expected_shift_minutes)),
+               t.closing_at
+             ) AS due
+      FROM shifts sh
+      CROSS JOIN app_settings cfg
+      LEFT JOIN sites si ON si.id = sh.site_id
+      CROSS JOIN LATERAL (SELECT public.site_closing_at(sh.site_id, sh.start_time) AS closing_at) t
+      WHERE sh.status = 'active' AND sh.checkout_reminded_at IS NULL
+    ) c
+    WHERE s.id = c.id
+      AND now() > c.due
+    RETURNING s.id, s.user_id, s.start_time, c.site_name, c.closing_at
+  LOOP
+    PERFORM public.notify_user(v_shift.user_id, 'checkout_reminder', jsonb_build_object(
+      'shift_id',   v_shift.id,
+      'start_time', v_shift.start_time,
+      'site_name',  v_shift.site_name,
+      'closing_at', v_shift.closing_at
+    ));
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+-- ─── 4. RPC: close_stale_shifts (per-site policy, flagged) ───
+-- Still called by the student dashboard on load for the caller's own
+-- shifts. The end time never passes now().
+CREATE OR REPLACE FUNCTION close_stale_shifts()
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_shift record;
+  v_closed integer := 0;
+BEGIN
+  FOR v_shift IN
+    UPDATE shifts s
+    SET
+      end_time = c.close_at,
+      auto_closed = true,
+      needs_correction = true
+    FROM (
+      SELECT
+        sh.id,
+        si.name AS site_name,
+        LEAST(
+          now(),
+          CASE
+            WHEN si.auto_close_end = 'closing_time' AND t.closing_at IS NOT NULL THEN t.closing_at
+            ELSE sh.start_time + make_interval(mins => COALESCE(si.expected_shift_minutes, cfg.default_expected_shift_minutes))
+          END
+        ) AS close_at,
+        LEAST(
+          sh.start_time + make_interval(mins => COALESCE(si.max_shift_minutes, cfg.default_max_shift_minutes)),
+          t.closing_at + make_interval(mins => cfg.auto_close_grace_minutes)
+        ) AS due
+      FROM shifts sh
+      CROSS JOIN app_settings cfg
+      LEFT JOIN sites si ON si.id = sh.site_id
+      CROSS JOIN LATERAL (SELECT public.site_closing_at(sh.site_id, sh.start_time) AS closing_at) t
+      WHERE sh.status = 'active'
+    ) c
+    WHERE s.id = c.id
+      AND now() > c.due
+      AND (public.is_service_call() OR public.is_admin() OR s.user_id = auth.uid())
+    RETURNING s.id, s.user_id, s.start_time, s.end_time, c.site_name
+  LOOP
+    PERFORM public.notify_user(v_shift.user_id, 'shift_auto_closed', jsonb_build_object(
+      'shift_id',   v_shift.id,
+      'start_time', v_shift.start_time,
+      'end_time',   v_shift.end_time,
+      'site_name',  v_shift.site_name
+    ));
+    v_closed := v_closed + 1;
+  END LOOP;
+
+  RETURN v_closed;
+END;
+$$;
+
+-- ─── 5. Clearing the flag ───
+CREATE OR REPLACE FUNCTION public.clear_shift_needs_correction()
+RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE shifts SET needs_correction = false WHERE id = NEW.shift_id AND needs_correction;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_clear_shift_needs_correction ON shift_corrections;
+CREATE TRIGGER trg_clear_shift_needs_correction
+  AFTER UPDATE OF status ON shift_corrections
+  FOR EACH ROW
+  WHEN (NEW.status = 'approved' AND OLD.status IS DISTINCT FROM 'approved')
+  EXECUTE FUNCTION public.clear_shift_needs_correction();
+
+CREATE OR REPLACE FUNCTION review_auto_closed_shift(p_shift_id uuid)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  UPDATE shifts
+  SET auto_close_reviewed_by = auth.uid(),
+      auto_close_reviewed_at = now(),
+      needs_correction = false
+  WHERE id = p_shift_id
+    AND auto_closed = true;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Shift not found or not auto-closed';
+  END IF;
+END;
+$$;
+
+-- ─── 6. Flagged shifts: correctable, counted once resolved ───
+DROP POLICY IF EXISTS "shift_corrections_insert_own" ON shift_corrections;
+CREATE POLICY "shift_corrections_insert_own"
+  ON shift_corrections FOR INSERT TO authenticated
+  WITH CHECK (
+    user_id = auth.uid()
+    AND status = 'pending'
+    AND EXISTS (
+      SELECT 1 FROM shifts sh
+      WHERE sh.id = shift_corrections.shift_id
+        AND sh.user_id = auth.uid()
+        AND (sh.status = 'completed' OR sh.needs_correction)
+    )
+  );
+
+CREATE OR REPLACE FUNCTION public.student_category_hours(p_student_id uuid, p_academic_year text)
+RETURNS TABLE (category text, hours numeric)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT COALESCE(x.category, 'other') AS category, SUM(x.minutes) / 60.0 AS hours
+  FROM (
+    SELECT s.category, s.duration_minutes::numeric AS minutes
+    FROM shifts s
+    WHERE s.user_id = p_student_id AND s.status = 'completed' AND s.duration_minutes IS NOT NULL
+      AND NOT s.needs_correction
+      AND public.academic_year_of(s.start_time AT TIME ZONE 'Asia/Jerusalem') = p_academic_year
+    UNION ALL
+    SELECT ml.category, COALESCE(ml.approved_minutes, ml.duration_minutes)::numeric
+    FROM manual_logs ml
+    WHERE ml.user_id = p_student_id AND ml.status = 'approved'
+      AND public.academic_year_of(ml.date::timestamp) = p_academic_year
+  ) x
+  GROUP BY COALESCE(x.category, 'other');
+$$;
+
+-- The hours start counting when the flag clears (032 milestones)
+DROP TRIGGER IF EXISTS trg_notify_shift_resolved ON shifts;
+CREATE TRIGGER trg_notify_shift_resolved
+  AFTER UPDATE OF needs_correction ON shifts
+  FOR EACH ROW
+  WHEN (OLD.needs_correction AND NOT NEW.needs_correction AND NEW.status = 'completed')
+  EXECUTE FUNCTION public.notify_shift_completed();
+
+CREATE OR REPLACE FUNCTION sign_monthly_timesheet(p_student_id uuid, p_site_id uuid, p_month date)
+RETURNS timesheet_signoffs
+LANGUAGE plpgsql SECURITY DEFINER
+AS $$
+DECLARE
+  v_month date := date_trunc('month', p_month)::date;
+  v_signoff timesheet_signoffs%ROWTYPE;
+BEGIN
+  -- One sign-off per site: the caller must supervise the given site and
+  -- the student must be placed there
+  IF NOT EXISTS (
+    SELECT 1 FROM student_placements sp
+    INNER JOIN site_supervisors ss ON ss.site_id = sp.site_id
+    WHERE sp.student_id = p_student_id AND sp.site_id = p_site_id
+      AND sp.status = 'active' AND ss.supervisor_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Not authorized';
+  END IF;
+
+  IF v_month > (now() AT TIME ZONE 'Asia/Jerusalem')::date THEN
+    RAISE EXCEPTION 'לא ניתן לחתום על חודש עתידי';
+  END IF;
+
+  IF public.timesheet_locked(p_student_id, p_site_id, v_month) THEN
+    RAISE EXCEPTION 'הדוח לחודש זה כבר נחתם';
+  END IF;
+
+  -- A signed total must not change later: nothing may still be in review
+  -- or waiting for the student's correction
+  IF EXISTS (
+    SELECT 1 FROM shifts s
+    WHERE s.user_id = p_student_id AND s.site_id = p_site_id
+      AND (s.status IN ('active', 'needs_review') OR s.needs_correction)
+      AND date_trunc('month', s.start_time AT TIME ZONE 'Asia/Jerusalem')::date = v_month
+  ) OR EXISTS (
+    SELECT 1 FROM manual_logs ml
+    WHERE ml.user_id = p_student_id AND ml.site_id = p_site_id
+      AND ml.status = 'pending'
+      AND date_trunc('month', ml.date)::date = v_month
+  ) OR EXISTS (
+    SELECT 1 FROM shift_corrections sc
+    INNER JOIN shifts s ON s.id = sc.shift_id
+    WHERE s.user_id = p_student_id AND s.site_id = p_site_id
+      AND sc.status = 'pending'
+      AND date_trunc('month', s.start_time AT TIME ZONE 'Asia/Jerusalem')::date = v_month
+  ) THEN
+    RAISE EXCEPTION 'יש בחודש זה משמרות, דיווחים או תיקונים שממתינים לאישור. יש לטפל בהם לפני החתימה';
+  END IF;
+
+  INSERT INTO timesheet_signoffs (student_id, site_id, month, total_minutes, signed_by)
+  VALUES (
+    p_student_id,
+    p_site_id,
+    v_month,
+    (SELECT COALESCE(SUM(t.duration_minutes), 0)
+     FROM public.monthly_timesheet_records(p_student_id, v_month) t
+     WHERE t.site_id = p_site_id),
+    auth.uid()
+  )
+  RETURNING * INTO v_signoff;
+
+  RETURN v_signoff;
+END;
+$$;
+
+-- The admin timeline's weekly hours (030) skip flagged shifts too
+CREATE OR REPLACE FUNCTION get_student_timeline(p_student_id uuid, p_academic_year text DEFAULT NULL)
+RETURNS TABLE (
+  record_type text,
+  record_id uuid,
+  occurred_at timestamptz,
+  details jsonb
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+AS $$
+  SELECT t.record_type, t.record_id, t.occurred_at, t.details
+  FROM (
+    SELECT
+      'shift'::text,
+      s.id,
+      s.start_time,
+      jsonb_build_object(
+        'end_time',         s.end_time,
+        'duration_minutes', s.duration_minutes,
+        'break_minutes',    s.break_minutes,
+        'status',           s.status,
+        'needs_correction', s.needs_correction,
+        'category',         s.category,
+        'description',      s.task_description,
+        'site_name',        si.name
+      )
+    FROM shifts s
+    LEFT JOIN sites si ON si.id = s.site_id
+    WHERE s.user_id = p_student_id
+      AND (p_academic_year IS NULL
+           OR public.academic_year_of(s.start_time AT TIME ZONE 'Asia/Jerusalem') = p_academic_year)
+
+    UNION ALL
+
+    SELECT
+      'log',
+      ml.id,
+      (ml.date + time '12:00') AT TIME ZONE 'Asia/Jerusalem',
+      jsonb_build_object(
+        'date',                   ml.date,
+        'duration_minutes',       ml.duration_minutes,
+        'approved_minutes',       ml.approved_minutes,
+        'approval_note',          ml.approval_note,
+        'status',                 ml.status,
+        'category',               ml.category,
+        'description',            ml.description,
+        'site_name',              si.name,
+        'event_name',             ge.name,
+        'submitted_at',           ml.created_at,
+        'supervisor_status',      ml.supervisor_status,
+        'supervisor_name',        sup.full_name,
+        'supervisor_reviewed_at', ml.supervisor_reviewed_at,
+        'on_behalf_of_name',      obo.full_name,
+        'reviewer_name',          rev.full_name,
+        'reviewed_at',            ml.reviewed_at,
+        'rejection_reason',       ml.rejection_reason
+      )
+    FROM manual_logs ml
+    LEFT JOIN sites si ON si.id = ml.site_id
+    LEFT JOIN general_events ge ON ge.id = ml.general_event_id
+    LEFT JOIN profiles sup ON sup.id = ml.supervisor_reviewed_by
+    LEFT JOIN profiles obo ON obo.id = ml.supervisor_on_behalf_of
+    LEFT JOIN profiles rev ON rev.id = ml.reviewed_by
+    WHERE ml.user_id = p_student_id
+      AND (p_academic_year IS NULL OR public.academic_year_of(ml.date::timestamp) = p_academic_year)
+
+    UNION ALL
+
+    SELECT
+      'placement',
+      sp.id,
+      sp.created_at,
+      jsonb_build_object(
+        'site_name',     si.name,
+        'academic_year', sp.academic_year,
+        'status',        sp.status
+      )
+    FROM student_placements sp
+    LEFT JOIN sites si ON si.id = sp.site_id
+    WHERE sp.student_id = p_student_id
+      AND (p_academic_year IS NULL OR sp.academic_year = p_academic_year)
+
+    UNION ALL
+
+    SELECT
+      'placement_change',
+      a.id,
+      a.created_at,
+      jsonb_build_object(
+        'site_name',  si.name,
+        'old_status', a.old_data ->> 'status',
+        'new_status', a.new_data ->> 'status',
+        'actor_name', actor.full_name
+      )
+    FROM audit_log a
+    INNER JOIN student_placements sp ON sp.id = a.record_id
+    LEFT JOIN sites si ON si.id = sp.site_id
+    LEFT JOIN profiles actor ON actor.id = a.actor_id
+    WHERE a.table_name = 'student_placements'
+      AND a.action = 'update'
+      AND a.new_data ? 'status'
+      AND sp.student_id = p_student_id
+      AND (p_academic_year IS NULL OR sp.academic_year = p_academic_year)
+
+    UNION ALL
+
+    SELECT
+      'account',
+      a.id,
+      a.created_at,
+      jsonb_build_object(
+        'is_active',  (a.new_data ->> 'is_active')::boolean,
+        'actor_name', actor.full_name
+      )
+    FROM audit_log a
+    LEFT JOIN profiles actor ON actor.id = a.actor_id
+    WHERE a.table_name = 'profiles'
+      AND a.action = 'update'
+      AND a.new_data ? 'is_active'
+      AND a.record_id = p_student_id
+      AND (p_academic_year IS NULL
+           OR public.academic_year_of(a.created_at AT TIME ZONE 'Asia/Jerusalem') = p_academic_year)
+  ) t (record_type, record_id, occurred_at, details)
+  WHERE public.is_admin()
+  ORDER BY t.occurred_at DESC;
+$$;
+
+-- ─── 7. One schedule for both steps (only where pg_cron is enabled) ───
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.unschedule(jobid) FROM cron.job
+    WHERE jobname IN ('close-stale-shifts', 'remind-open-shifts', 'forgotten-checkouts');
+    PERFORM cron.schedule('forgotten-checkouts', '*/15 * * * *',
+      'SELECT public.remind_open_shifts(); SELECT public.close_stale_shifts();');
+  END IF;
+END $$;
+
+-- ─── 8. Reload PostgREST schema cache ───
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,40 @@
+// Web Push handlers, imported into the generated service worker
+// (vite.config.js → workbox.importScripts). Messages are sent by the
+// send-push-notifications edge function as { title, body, tag, url }.
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  let message;
+  try {
+    message = event.data.json();
+  } catch {
+    message = { title: 'קזז', body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(message.title || 'קזז', {
+      body: message.body || '',
+      tag: message.tag,
+      icon: '/pwa-192x192.png',
+      badge: '/pwa-192x192.png',
+      dir: 'rtl',
+      lang: 'he',
+      data: { url: message.url || '/' },
+    })
+  );
+});
+
+// Focus an open window of the app, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((c) => c.url.startsWith(self.location.origin));
+      if (open) return open.focus();
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -117,6 +117,7 @@ export const factory = {
     status: 'rejected',
     reviewed_by: 'admin-123',
     reviewed_at: '2026-02-16T10:00:00Z',
+    rejection_reason: 'חסר פירוט של הפעילות',
     ...o,
   }),
 
@@ -134,7 +135,11 @@ export const factory = {
     approved_manual_hours: 12,
     pending_logs: 2,
     total_hours: 57.5,
+    counted_hours: 57.5,
     progress_percent: 38.3,
+    requirements: [],
+    requirements_met: true,
+    goal_template_id: null,
     is_active: true,
     ...o,
   }),
@@ -153,7 +158,10 @@ export const factory = {
     shift_hours: 45.5,
     approved_manual_hours: 12,
     total_hours: 57.5,
+    counted_hours: 57.5,
     progress_percent: 38.3,
+    requirements: [],
+    requirements_met: true,
     site_name: 'בית ספר הדר',
     site_id: 'site-1',
     pending_supervisor_logs: 2,
@@ -170,4 +178,35 @@ export const factory = {
     site_name: 'בית ספר הדר',
     ...o,
   }),
+
+  shiftCorrection: (o = {}) => ({
+    id: 'corr-1',
+    shift_id: 'shift-1',
+    user_id: 'user-123',
+    site_id: null,
+    original_start_time: '2026-02-14T08:00:00Z',
+    original_end_time: '2026-02-14T18:00:00Z',
+    proposed_start_time: '2026-02-14T08:00:00Z',
+    proposed_end_time: '2026-02-14T12:00:00Z',
+    reason: 'שכחתי לצאת מהמשמרת',
+    status: 'pending',
+    supervisor_status: null,
+    created_at: '2026-02-14T20:00:00Z',
+    ...o,
+  }),
+
+  supervisorPendingCorrection: (o = {}) => ({
+    correction_id: 'corr-1',
+    shift_id: 'shift-1',
+    student_name: 'יוסי כהן',
+    student_id: 'student-1',
+    site_name: 'בית ספר הדר',
+    original_start_time: '2026-02-14T08:00:00Z',
+    original_end_time: '2026-02-14T18:00:00Z',
+    proposed_start_time: '2026-02-14T08:00:00Z',
+    proposed_end_time: '2026-02-14T12:00:00Z',
+    reason: 'שכחתי לצאת מהמשמרת',
+    created_at: '2026-02-14T20:00:00Z',
+    ...o,
+  }),
 };
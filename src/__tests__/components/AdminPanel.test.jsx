@@ -9,6 +9,9 @@ vi.mock('../../lib/ShiftLogic', () => ({
     getAllPendingLogs: vi.fn(),
     approveLog: vi.fn(),
     rejectLog: vi.fn(),
+    getLogComments: vi.fn(),
+    addLogComment: vi.fn(),
+    reviewLogsBulk: vi.fn(),
     getAllSites: vi.fn(),
     getAllEvents: vi.fn(),
     getAllSupervisors: vi.fn(),
@@ -19,6 +22,9 @@ vi.mock('../../lib/ShiftLogic', () => ({
     createSupervisorAccount: vi.fn(),
     createPlacement: vi.fn(),
     deactivateSite: vi.fn(),
+    setSiteShiftConfirmation: vi.fn(),
+    getSupervisorBacklog: vi.fn(),
+    sendSupervisorReminders: vi.fn(),
     deactivateEvent: vi.fn(),
     assignSupervisorToSite: vi.fn(),
     removeSupervisorFromSite: vi.fn(),
@@ -28,11 +34,47 @@ vi.mock('../../lib/ShiftLogic', () => ({
     addApprovedScholarsBulk: vi.fn(),
     removeApprovedScholar: vi.fn(),
     toggleStudentActive: vi.fn(),
+    getAllPendingCorrections: vi.fn(),
+    approveShiftCorrection: vi.fn(),
+    rejectShiftCorrection: vi.fn(),
+    getAutoClosedShifts: vi.fn(),
+    reviewAutoClosedShift: vi.fn(),
+    getShiftSettings: vi.fn(),
+    updateShiftSettings: vi.fn(),
+    getCategoryBreakdown: vi.fn(),
+    getStudentTimeline: vi.fn(),
+    weeklyHours: vi.fn(),
+    getGoalTemplates: vi.fn(),
+    createGoalTemplate: vi.fn(),
+    deleteGoalTemplate: vi.fn(),
+    assignGoalTemplate: vi.fn(),
+    setYearGoal: vi.fn(),
+    summarizeRollover: vi.fn(),
+    rolloverAcademicYear: vi.fn(),
+    getHoursExport: vi.fn(),
+    issueHoursCertificate: vi.fn(),
+    verifyHoursCertificate: vi.fn(),
+    getAuditLog: vi.fn(),
+    getAuditActors: vi.fn(),
+    getNotifications: vi.fn(),
+    markNotificationsRead: vi.fn(),
+    getNotificationPreferences: vi.fn(),
+    setNotificationPreference: vi.fn(),
   },
 }));
 
+vi.mock('../../lib/certificatePdf', () => ({
+  downloadCertificatePdf: vi.fn(),
+}));
+
+vi.mock('../../lib/exportHours', () => ({
+  exportHours: vi.fn(),
+}));
+
 import AdminPanel from '../../components/AdminPanel';
 import { ShiftLogic } from '../../lib/ShiftLogic';
+import { exportHours } from '../../lib/exportHours';
+import { downloadCertificatePdf } from '../../lib/certificatePdf';
 import { factory } from '../../__mocks__/supabase';
 
 const adminProfile = factory.adminProfile();
@@ -46,6 +88,25 @@ function setupMocks(overrides = {}) {
   ShiftLogic.getActiveSites.mockResolvedValue(overrides.activeSites ?? []);
   ShiftLogic.getAllPlacements.mockResolvedValue(overrides.placements ?? []);
   ShiftLogic.getApprovedScholars.mockResolvedValue(overrides.scholars ?? []);
+  ShiftLogic.getAllPendingCorrections.mockResolvedValue(overrides.corrections ?? []);
+  ShiftLogic.getAutoClosedShifts.mockResolvedValue(overrides.autoClosed ?? []);
+  ShiftLogic.getCategoryBreakdown.mockResolvedValue(overrides.breakdown ?? []);
+  ShiftLogic.getStudentTimeline.mockResolvedValue(overrides.timeline ?? []);
+  ShiftLogic.weeklyHours.mockReturnValue(overrides.weekly ?? [
+    { weekStart: '2026-10-04', hours: 0 },
+    { weekStart: '2026-10-11', hours: 0 },
+  ]);
+  ShiftLogic.getGoalTemplates.mockResolvedValue(overrides.goalTemplates ?? []);
+  ShiftLogic.getShiftSettings.mockResolvedValue(overrides.settings ?? {
+    default_expected_shift_minutes: 240, default_max_shift_minutes: 720, default_supervisor_sla_days: 7,
+    auto_close_grace_minutes: 120,
+  });
+  ShiftLogic.getSupervisorBacklog.mockResolvedValue(overrides.backlog ?? []);
+  ShiftLogic.getAuditLog.mockResolvedValue(overrides.audit ?? []);
+  ShiftLogic.getAuditActors.mockResolvedValue(overrides.auditActors ?? []);
+  ShiftLogic.getNotifications.mockResolvedValue(overrides.notifications ?? []);
+  ShiftLogic.markNotificationsRead.mockResolvedValue(1);
+  ShiftLogic.getNotificationPreferences.mockResolvedValue(overrides.notificationPrefs ?? {});
 }
 
 describe('AdminPanel Component', () => {
@@ -155,6 +216,188 @@ describe('AdminPanel Component', () => {
       // Should be back to list, showing the student again
       expect(screen.queryByText('חזרה לרשימה')).not.toBeInTheDocument();
     });
+
+    it('shows category requirements and assigns a template to the student', async () => {
+      const student = factory.studentSummary({
+        student_id: 'student-9',
+        full_name: 'יוסי כהן',
+        requirements_met: false,
+        requirements: [{ category: 'tutoring', min_hours: 40, max_hours: null, hours: 12.5, met: false }],
+      });
+      setupMocks({
+        students: [student],
+        goalTemplates: [{ id: 'tpl-1', name: 'מלגת קהילה', goal_template_requirements: [] }],
+      });
+      ShiftLogic.assignGoalTemplate.mockResolvedValue({});
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getAllByText('דרישות קטגוריה חסרות'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+
+      await waitFor(() => screen.getByText('דרישות יעד'));
+      expect(screen.getByText(/12.5 \/ 40 שעות/)).toBeInTheDocument();
+
+      ShiftLogic.getAllStudentsSummary.mockResolvedValue([{ ...student, goal_template_id: 'tpl-1' }]);
+      await user.selectOptions(screen.getByLabelText('תבנית יעד'), 'tpl-1');
+
+      await waitFor(() => {
+        expect(ShiftLogic.assignGoalTemplate).toHaveBeenCalledWith('student-9', expect.stringMatching(/^\d{4}-\d{4}$/), 'tpl-1');
+        expect(screen.getByLabelText('תבנית יעד')).toHaveValue('tpl-1');
+      });
+    });
+
+    it('shows the student hours per category', async () => {
+      setupMocks({
+        students: [factory.studentSummary({ student_id: 'student-9', full_name: 'יוסי כהן' })],
+        breakdown: [
+          { category: 'tutoring', shiftHours: 10, manualHours: 2.5, totalHours: 12.5 },
+          { category: 'other', shiftHours: 1, manualHours: 0, totalHours: 1 },
+        ],
+      });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getAllByText('יוסי כהן'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+
+      await waitFor(() => {
+        expect(ShiftLogic.getCategoryBreakdown).toHaveBeenCalledWith('student-9', expect.stringMatching(/^\d{4}-\d{4}$/));
+        expect(screen.getByText('פילוח שעות לפי קטגוריה')).toBeInTheDocument();
+        expect(screen.getByText('12.5 שעות')).toBeInTheDocument();
+        expect(screen.getByText('משמרות 10.0 · ידני 2.5')).toBeInTheDocument();
+      });
+    });
+
+    it("shows the student's activity timeline", async () => {
+      setupMocks({
+        students: [factory.studentSummary({ student_id: 'student-9', full_name: 'יוסי כהן' })],
+        timeline: [
+          { type: 'account', id: 'a1', at: '2026-10-15T08:00:00Z', is_active: false, actor_name: 'מנהלת התוכנית' },
+          {
+            type: 'log', id: 'l1', at: '2026-10-12T09:00:00Z', date: '2026-10-12', category: 'tutoring',
+            description: 'שיעור פרטי', duration_minutes: 90, status: 'approved', submitted_at: '2026-10-12T15:00:00Z',
+            supervisor_status: 'supervisor_approved', supervisor_name: 'רונית לוי', on_behalf_of_name: 'דוד כהן',
+            supervisor_reviewed_at: '2026-10-13T08:00:00Z', reviewer_name: 'מנהלת התוכנית', reviewed_at: '2026-10-14T08:00:00Z',
+          },
+          {
+            type: 'shift', id: 'sh1', at: '2026-10-11T06:00:00Z', end_time: '2026-10-11T09:00:00Z',
+            duration_minutes: 180, status: 'completed', category: 'mentoring', site_name: 'בית ספר הדר',
+          },
+          { type: 'placement', id: 'p1', at: '2026-09-01T08:00:00Z', site_name: 'בית ספר הדר', academic_year: '2026-2027', status: 'active' },
+        ],
+      });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getAllByText('יוסי כהן'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+
+      await waitFor(() => {
+        expect(ShiftLogic.getStudentTimeline).toHaveBeenCalledWith('student-9', expect.stringMatching(/^\d{4}-\d{4}$/));
+        expect(screen.getByText('ציר פעילות')).toBeInTheDocument();
+      });
+      expect(screen.getByText('החשבון הושבת')).toBeInTheDocument();
+      expect(screen.getByText(/· על ידי מנהלת התוכנית/)).toBeInTheDocument();
+      expect(screen.getByText(/אושר על ידי המפקח\/ת רונית לוי בשם דוד כהן/)).toBeInTheDocument();
+      expect(screen.getByText(/^אושר על ידי מנהלת התוכנית/)).toBeInTheDocument();
+      expect(screen.getByText(/משמרת · הדרכה/)).toBeInTheDocument();
+      expect(screen.getByText(/שובץ\/ה בבית ספר הדר · 2026-2027/)).toBeInTheDocument();
+      expect(screen.getByRole('img', { name: 'שעות לפי שבוע' })).toBeInTheDocument();
+    });
+
+    it('reloads the students for the selected academic year', async () => {
+      setupMocks();
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      const select = await screen.findByLabelText('שנת לימודים');
+      const previous = select.options[1].value;
+      await user.selectOptions(select, previous);
+
+      await waitFor(() => {
+        expect(ShiftLogic.getAllStudentsSummary).toHaveBeenCalledWith(previous);
+      });
+    });
+
+    it('saves a goal for the selected academic year', async () => {
+      setupMocks({
+        students: [factory.studentSummary({ student_id: 'student-9', full_name: 'יוסי כהן', total_goal: 150 })],
+      });
+      ShiftLogic.setYearGoal.mockResolvedValue({});
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getAllByText('יוסי כהן'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+
+      const input = await screen.findByLabelText(/יעד לשנת/);
+      expect(input).toHaveValue(150);
+      expect(screen.queryByText('שמור יעד')).not.toBeInTheDocument();
+
+      await user.clear(input);
+      await user.type(input, '120');
+      await user.click(screen.getByText('שמור יעד'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.setYearGoal).toHaveBeenCalledWith('student-9', expect.stringMatching(/^\d{4}-\d{4}$/), 120);
+        expect(screen.getByText(/נשמר$/)).toBeInTheDocument();
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // HOURS EXPORT
+  // ═══════════════════════════════════════════
+  describe('hours export', () => {
+    it('exports the filtered summary and detail', async () => {
+      const rows = [factory.studentSummary({ student_id: 's1', full_name: 'יוסי כהן' })];
+      setupMocks({ students: rows, sites: [{ id: 'site-1', name: 'בית ספר הדר', is_active: true }] });
+      ShiftLogic.getHoursExport.mockResolvedValue({ summary: rows, detail: [{ record_type: 'shift' }] });
+      exportHours.mockResolvedValue(undefined);
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByText('ייצוא שעות'));
+      await user.type(screen.getByLabelText('מתאריך'), '2026-02-01');
+      await user.selectOptions(screen.getByLabelText('אתר'), 'site-1');
+      await user.click(screen.getByLabelText(/כולל פירוט/));
+      await user.click(screen.getByText('ייצוא Excel'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.getHoursExport).toHaveBeenCalledWith({
+          academicYear: expect.stringMatching(/^\d{4}-\d{4}$/),
+          from: '2026-02-01',
+          to: null,
+          siteId: 'site-1',
+          detailed: true,
+        });
+        expect(exportHours).toHaveBeenCalledWith('xlsx', expect.objectContaining({
+          summary: rows,
+          detail: [{ record_type: 'shift' }],
+        }));
+        expect(screen.getByText('יוצאו נתוני 1 סטודנטים')).toBeInTheDocument();
+      });
+    });
+
+    it('shows an error when nothing matches the filters', async () => {
+      setupMocks({ students: [factory.studentSummary()] });
+      ShiftLogic.getHoursExport.mockResolvedValue({ summary: [], detail: [] });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByText('ייצוא שעות'));
+      await user.click(screen.getByText('ייצוא CSV'));
+
+      expect(await screen.findByText('אין נתונים לייצוא בסינון שנבחר')).toBeInTheDocument();
+      expect(exportHours).not.toHaveBeenCalled();
+    });
   });
 
   // ═══════════════════════════════════════════
@@ -215,8 +458,76 @@ describe('AdminPanel Component', () => {
       await user.click(screen.getByText('אשר'));
 
       await waitFor(() => {
-        expect(ShiftLogic.approveLog).toHaveBeenCalledWith('p1', 'admin-123');
+        expect(ShiftLogic.approveLog).toHaveBeenCalledWith('p1');
+      });
+    });
+
+    it('approves part of the reported time with a note', async () => {
+      ShiftLogic.approveLog.mockResolvedValue({});
+      setupMocks({
+        pending: [{
+          id: 'p3', user_name: 'נועה', description: 'Y', category: 'other',
+          date: '2026-02-14', duration_minutes: 120, created_at: '2026-02-14T10:00:00Z',
+        }],
       });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+      await user.click(screen.getByLabelText('אישור חלקי לדיווח של נועה'));
+      await user.type(screen.getByLabelText('שעות מאושרות'), '1');
+      await user.type(screen.getByLabelText('דקות מאושרות'), '30');
+      await user.type(screen.getByLabelText('הערה לסטודנט/ית'), 'חצי שעה הייתה הפסקה');
+      await user.click(screen.getByText('אשר חלקית'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.approveLog).toHaveBeenCalledWith('p3', {
+          approvedMinutes: 90,
+          note: 'חצי שעה הייתה הפסקה',
+        });
+        expect(screen.queryByText('Y')).not.toBeInTheDocument();
+      });
+    });
+
+    it("shows the supervisor's partial approval", async () => {
+      setupMocks({
+        pending: [{
+          id: 'p4', user_name: 'X', description: 'Y', category: 'other',
+          date: '2026-02-14', duration_minutes: 180, created_at: '2026-02-14T10:00:00Z',
+          supervisor_status: 'supervisor_approved', approved_minutes: 120,
+          approval_note: 'יצא/ה שעה מוקדם',
+        }],
+      });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+
+      expect(screen.getByText('מפקח אישר 2 שעות מתוך 3 שעות')).toBeInTheDocument();
+      expect(screen.getByText('הערת המפקח/ת: יצא/ה שעה מוקדם')).toBeInTheDocument();
+    });
+
+    it('shows a delegate approving on behalf of the site supervisor', async () => {
+      setupMocks({
+        pending: [{
+          id: 'p5', user_name: 'X', description: 'Y', category: 'other',
+          date: '2026-02-14', duration_minutes: 60, created_at: '2026-02-14T10:00:00Z',
+          supervisor_status: 'supervisor_approved',
+          supervisor_name: 'רונית לוי', on_behalf_of_name: 'דוד כהן',
+        }],
+      });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+
+      expect(screen.getByText('רונית לוי בשם דוד כהן')).toBeInTheDocument();
     });
 
     it('calls rejectLog on reject click', async () => {
@@ -234,9 +545,67 @@ describe('AdminPanel Component', () => {
       await waitFor(() => screen.getByText(/אישורים/));
       await user.click(screen.getByText(/אישורים/));
       await user.click(screen.getByText('דחה'));
+      await user.type(screen.getByLabelText('סיבת הדחייה'), 'חסר פירוט');
+      await user.click(screen.getByText('אישור דחייה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.rejectLog).toHaveBeenCalledWith('p2', 'חסר פירוט');
+      });
+    });
+
+    it('keeps the log when the reason is missing', async () => {
+      ShiftLogic.rejectLog.mockRejectedValue(new Error('יש לציין סיבת דחייה'));
+      setupMocks({
+        pending: [{
+          id: 'p2', user_name: 'X', description: 'Y', category: 'other',
+          date: '2026-02-14', duration_minutes: 60, created_at: '2026-02-14T10:00:00Z',
+        }],
+      });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+      await user.click(screen.getByText('דחה'));
+      await user.click(screen.getByText('אישור דחייה'));
+
+      await waitFor(() => {
+        expect(screen.getByText('יש לציין סיבת דחייה')).toBeInTheDocument();
+        expect(screen.getByText('Y')).toBeInTheDocument();
+      });
+    });
+
+    it('opens the comment thread of a pending log', async () => {
+      ShiftLogic.getLogComments.mockResolvedValue([
+        { id: 'c1', kind: 'resubmission', body: 'הוספתי פירוט', author_name: 'X', author_role: 'student', created_at: '2026-02-15T10:00:00Z' },
+      ]);
+      ShiftLogic.addLogComment.mockResolvedValue({});
+      setupMocks({
+        pending: [{
+          id: 'p2', user_name: 'X', description: 'Y', category: 'other',
+          date: '2026-02-14', duration_minutes: 60, created_at: '2026-02-14T10:00:00Z',
+        }],
+      });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+      await user.click(screen.getByLabelText('הערות לדיווח של X'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.getLogComments).toHaveBeenCalledWith('p2');
+        expect(screen.getByText('הוספתי פירוט')).toBeInTheDocument();
+        expect(screen.getByText('נשלח מחדש')).toBeInTheDocument();
+      });
+
+      await user.type(screen.getByLabelText('תגובה'), 'תודה');
+      await user.click(screen.getByLabelText('שלח תגובה'));
 
       await waitFor(() => {
-        expect(ShiftLogic.rejectLog).toHaveBeenCalledWith('p2', 'admin-123');
+        expect(ShiftLogic.addLogComment).toHaveBeenCalledWith('p2', 'תודה');
       });
     });
 
@@ -266,6 +635,523 @@ describe('AdminPanel Component', () => {
     });
   });
 
+  // ═══════════════════════════════════════════
+  // BULK REVIEW
+  // ═══════════════════════════════════════════
+  describe('bulk review', () => {
+    const pending = [
+      {
+        id: 'p1', user_id: 's1', user_name: 'דנה', description: 'חונכות א', category: 'tutoring',
+        site_id: 'site-1', site_name: 'בית ספר הדר', supervisor_status: 'supervisor_approved',
+        date: '2026-02-14', duration_minutes: 60, created_at: '2026-02-14T10:00:00Z',
+      },
+      {
+        id: 'p2', user_id: 's2', user_name: 'רון', description: 'חונכות ב', category: 'tutoring',
+        site_id: 'site-2', site_name: 'מתנ"ס', supervisor_status: 'pending_supervisor',
+        date: '2026-02-15', duration_minutes: 90, created_at: '2026-02-15T10:00:00Z',
+      },
+      {
+        id: 'p3', user_id: 's1', user_name: 'דנה', description: 'ערב התרמה', category: 'event_support',
+        general_event_id: 'ev-1', event_name: 'ערב התרמה', supervisor_status: null,
+        date: '2026-02-16', duration_minutes: 120, created_at: '2026-02-16T10:00:00Z',
+      },
+    ];
+
+    async function openPending(user) {
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+    }
+
+    it('filters the queue by site, student and supervisor status', async () => {
+      setupMocks({ pending });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+      await openPending(user);
+
+      await user.selectOptions(screen.getByLabelText('אתר'), 'site-1');
+      expect(screen.getByText('חונכות א')).toBeInTheDocument();
+      expect(screen.queryByText('חונכות ב')).not.toBeInTheDocument();
+
+      await user.selectOptions(screen.getByLabelText('אתר'), '');
+      await user.selectOptions(screen.getByLabelText('סטודנט/ית'), 's1');
+      await user.selectOptions(screen.getByLabelText('סטטוס מפקח'), 'none');
+      expect(screen.queryByText('חונכות א')).not.toBeInTheDocument();
+      expect(screen.getAllByText('ערב התרמה').length).toBeGreaterThanOrEqual(1);
+      expect(screen.getByText('בחר הכל (1)')).toBeInTheDocument();
+
+      await user.selectOptions(screen.getByLabelText('קטגוריה'), 'tutoring');
+      expect(screen.getByText('אין דיווחים התואמים לסינון')).toBeInTheDocument();
+    });
+
+    it('approves all filtered logs in one call and refreshes once', async () => {
+      ShiftLogic.reviewLogsBulk.mockResolvedValue({
+        results: [{ log_id: 'p1', result: 'approved' }, { log_id: 'p2', result: 'approved' }],
+        applied: 2, skipped: 0,
+      });
+      setupMocks({ pending });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+      await openPending(user);
+
+      await user.selectOptions(screen.getByLabelText('קטגוריה'), 'tutoring');
+      await user.click(screen.getByLabelText('בחר הכל (2)'));
+      expect(screen.getByText('נבחרו 2 דיווחים')).toBeInTheDocument();
+      ShiftLogic.getAllStudentsSummary.mockClear();
+      await user.click(screen.getByText('אשר נבחרים'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.reviewLogsBulk).toHaveBeenCalledWith(['p1', 'p2'], true, null);
+        expect(screen.getByText('אושרו 2 דיווחים')).toBeInTheDocument();
+      });
+      expect(ShiftLogic.getAllStudentsSummary).toHaveBeenCalledTimes(1);
+      expect(screen.queryByText('חונכות א')).not.toBeInTheDocument();
+    });
+
+    it('clears the selection when a filter changes', async () => {
+      setupMocks({ pending });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+      await openPending(user);
+
+      await user.click(screen.getByLabelText('בחר דיווח של רון'));
+      expect(screen.getByText('נבחרו 1 דיווחים')).toBeInTheDocument();
+
+      await user.selectOptions(screen.getByLabelText('אתר'), 'site-1');
+      expect(screen.queryByText(/נבחרו/)).not.toBeInTheDocument();
+    });
+
+    it('rejects the selection with a shared reason and reports skipped logs', async () => {
+      ShiftLogic.reviewLogsBulk.mockResolvedValue({
+        results: [{ log_id: 'p1', result: 'rejected' }, { log_id: 'p3', result: 'already_reviewed' }],
+        applied: 1, skipped: 1,
+      });
+      setupMocks({ pending });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+      await openPending(user);
+
+      await user.click(screen.getAllByLabelText('בחר דיווח של דנה')[0]);
+      await user.click(screen.getAllByLabelText('בחר דיווח של דנה')[1]);
+      await user.click(screen.getByText('דחה נבחרים'));
+      await user.type(screen.getByLabelText('סיבת דחייה משותפת'), 'חסר אישור מפקח');
+      await user.click(screen.getByText('דחה 2 דיווחים'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.reviewLogsBulk).toHaveBeenCalledWith(['p1', 'p3'], false, 'חסר אישור מפקח');
+        expect(screen.getByText('נדחו 1 דיווחים · 1 דולגו (כבר טופלו)')).toBeInTheDocument();
+      });
+      expect(screen.getByText('חונכות ב')).toBeInTheDocument();
+      expect(screen.queryByText('חונכות א')).not.toBeInTheDocument();
+    });
+
+    it('keeps logs the supervisor may still review in the queue', async () => {
+      ShiftLogic.reviewLogsBulk.mockResolvedValue({
+        results: [{ log_id: 'p1', result: 'approved' }, { log_id: 'p2', result: 'awaiting_supervisor' }],
+        applied: 1, skipped: 0, awaitingSupervisor: 1,
+      });
+      setupMocks({ pending });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+      await openPending(user);
+
+      await user.selectOptions(screen.getByLabelText('קטגוריה'), 'tutoring');
+      await user.click(screen.getByLabelText('בחר הכל (2)'));
+      await user.click(screen.getByText('אשר נבחרים'));
+
+      await waitFor(() => {
+        expect(screen.getByText('אושרו 1 דיווחים · 1 ממתינים למפקח')).toBeInTheDocument();
+      });
+      expect(screen.getByText('חונכות ב')).toBeInTheDocument();
+      expect(screen.queryByText('חונכות א')).not.toBeInTheDocument();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // SUPERVISOR SLA
+  // ═══════════════════════════════════════════
+  describe('supervisor SLA', () => {
+    const DAY = 86400000;
+    const siteLog = (overrides = {}) => ({
+      id: 'p5', user_name: 'שירה', description: 'חונכות', category: 'tutoring',
+      site_id: 'site-1', site_name: 'בית ספר הדר', supervisor_status: 'pending_supervisor',
+      date: '2026-02-14', duration_minutes: 60, created_at: '2026-02-14T10:00:00Z',
+      ...overrides,
+    });
+
+    async function openPending(user) {
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+    }
+
+    it('keeps approval disabled while the supervisor is within the SLA', async () => {
+      setupMocks({ pending: [siteLog({ supervisor_due_at: new Date(Date.now() + 3 * DAY).toISOString() })] });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+      await openPending(user);
+
+      expect(screen.getByText(/^ממתין למפקח עד/)).toBeInTheDocument();
+      expect(screen.getByLabelText('אשר דיווח של שירה')).toBeDisabled();
+      expect(screen.getByLabelText('אישור חלקי לדיווח של שירה')).toBeDisabled();
+    });
+
+    it('lets the admin approve an escalated log directly', async () => {
+      ShiftLogic.approveLog.mockResolvedValue({});
+      setupMocks({ pending: [siteLog({ supervisor_due_at: new Date(Date.now() - 2.5 * DAY).toISOString() })] });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+      await openPending(user);
+
+      expect(screen.getByText('עבר את זמן המפקח · 2 ימים')).toBeInTheDocument();
+      await user.click(screen.getByLabelText('אשר דיווח של שירה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.approveLog).toHaveBeenCalledWith('p5');
+      });
+    });
+
+    it('filters the queue to escalated logs', async () => {
+      setupMocks({
+        pending: [
+          siteLog({ description: 'שיעור פרטי', supervisor_due_at: new Date(Date.now() - DAY).toISOString() }),
+          siteLog({ id: 'p6', user_name: 'עומר', description: 'סדנה לתלמידים', supervisor_due_at: new Date(Date.now() + DAY).toISOString() }),
+        ],
+      });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+      await openPending(user);
+
+      await user.selectOptions(screen.getByLabelText('סטטוס מפקח'), 'overdue');
+      expect(screen.getByText('שיעור פרטי')).toBeInTheDocument();
+      expect(screen.queryByText('סדנה לתלמידים')).not.toBeInTheDocument();
+    });
+
+    it('shows the per-supervisor backlog and sends reminders', async () => {
+      ShiftLogic.sendSupervisorReminders.mockResolvedValue({ sent: [{ email: 'sup@test.com', ok: true }] });
+      setupMocks({
+        backlog: [{
+          supervisor_id: 'sup-1', supervisor_name: 'יעל כהן', site_names: 'בית ספר הדר',
+          pending_count: 4, overdue_count: 2,
+          oldest_pending_at: new Date(Date.now() - 10.5 * DAY).toISOString(),
+        }],
+      });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('יעל כהן'));
+      expect(screen.getByText('4 ממתינים')).toBeInTheDocument();
+      expect(screen.getByText('2 באיחור')).toBeInTheDocument();
+      expect(screen.getByText('הוותיק: 10 ימים')).toBeInTheDocument();
+
+      await user.click(screen.getByText('שלח תזכורות'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.sendSupervisorReminders).toHaveBeenCalled();
+        expect(screen.getByText('נשלחו 1 תזכורות')).toBeInTheDocument();
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // SHIFT CORRECTIONS
+  // ═══════════════════════════════════════════
+  describe('shift corrections', () => {
+    const correction = (overrides = {}) => ({
+      id: 'c1',
+      shift_id: 'shift-1',
+      user_name: 'דנה לוי',
+      reason: 'שכחתי לצאת',
+      original_start_time: '2026-02-14T08:00:00Z',
+      original_end_time: '2026-02-14T18:00:00Z',
+      proposed_start_time: '2026-02-14T08:00:00Z',
+      proposed_end_time: '2026-02-14T12:00:00Z',
+      supervisor_status: null,
+      site_name: null,
+      ...overrides,
+    });
+
+    it('counts corrections in the pending tab label', async () => {
+      setupMocks({ corrections: [correction()] });
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByText('אישורים (1)')).toBeInTheDocument();
+      });
+    });
+
+    it('calls approveShiftCorrection and removes the request', async () => {
+      ShiftLogic.approveShiftCorrection.mockResolvedValue(null);
+      setupMocks({ corrections: [correction()] });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+      expect(screen.getByText('שכחתי לצאת')).toBeInTheDocument();
+
+      await user.click(screen.getByLabelText('אשר בקשת תיקון של דנה לוי'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.approveShiftCorrection).toHaveBeenCalledWith('c1');
+        expect(screen.queryByText('שכחתי לצאת')).not.toBeInTheDocument();
+      });
+    });
+
+    it('rejects a correction with a reason', async () => {
+      ShiftLogic.rejectShiftCorrection.mockResolvedValue({});
+      setupMocks({ corrections: [correction()] });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+      await user.click(screen.getByLabelText('דחה בקשת תיקון של דנה לוי'));
+      await user.type(screen.getByLabelText('סיבת הדחייה'), 'השעות לא תואמות');
+      await user.click(screen.getByText('אישור דחייה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.rejectShiftCorrection).toHaveBeenCalledWith('c1', 'השעות לא תואמות');
+      });
+      expect(screen.queryByLabelText('דחה בקשת תיקון של דנה לוי')).not.toBeInTheDocument();
+    });
+
+    it('disables approve while the site supervisor has not reviewed', async () => {
+      setupMocks({
+        corrections: [correction({ supervisor_status: 'pending_supervisor', site_name: 'בית ספר אלון' })],
+      });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישורים/));
+      await user.click(screen.getByText(/אישורים/));
+
+      expect(screen.getByText('ממתין למפקח')).toBeInTheDocument();
+      expect(screen.getByLabelText('אשר בקשת תיקון של דנה לוי')).toBeDisabled();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // SHIFT CAPS
+  // ═══════════════════════════════════════════
+  describe('shift caps', () => {
+    const autoClosedShift = {
+      shift_id: 'shift-9',
+      student_id: 'student-1',
+      student_name: 'רון אבן',
+      site_name: null,
+      task_description: 'חונכות',
+      start_time: '2026-02-14T08:00:00Z',
+      end_time: '2026-02-14T20:00:00Z',
+      duration_minutes: 720,
+    };
+
+    it('lists auto-closed shifts and marks them reviewed', async () => {
+      ShiftLogic.reviewAutoClosedShift.mockResolvedValue(null);
+      setupMocks({ autoClosed: [autoClosedShift] });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('אישורים (1)'));
+      await user.click(screen.getByText('אישורים (1)'));
+      expect(screen.getByText('משמרות שנסגרו אוטומטית')).toBeInTheDocument();
+
+      await user.click(screen.getByText('סמן כנבדק'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.reviewAutoClosedShift).toHaveBeenCalledWith('shift-9');
+        expect(screen.queryByText('רון אבן')).not.toBeInTheDocument();
+      });
+    });
+
+    it('loads and saves global shift defaults', async () => {
+      ShiftLogic.updateShiftSettings.mockResolvedValue({});
+      setupMocks();
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+
+      const maxInput = screen.getByLabelText('סגירה אוטומטית אחרי (דקות)');
+      expect(maxInput).toHaveValue(720);
+
+      await user.clear(maxInput);
+      await user.type(maxInput, '600');
+      await user.click(screen.getByText('שמור הגדרות'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.updateShiftSettings).toHaveBeenCalledWith({
+          defaultExpectedShiftMinutes: 240,
+          defaultMaxShiftMinutes: 600,
+          defaultSupervisorSlaDays: 7,
+          autoCloseGraceMinutes: 120,
+        });
+      });
+    });
+
+    it('saves the grace period before forgotten shifts are closed', async () => {
+      ShiftLogic.updateShiftSettings.mockResolvedValue({});
+      setupMocks();
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+
+      const graceInput = screen.getByLabelText('דקות אחרי סגירת האתר עד סגירה אוטומטית');
+      await user.clear(graceInput);
+      await user.type(graceInput, '60');
+      await user.click(screen.getByText('שמור הגדרות'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.updateShiftSettings).toHaveBeenCalledWith(
+          expect.objectContaining({ autoCloseGraceMinutes: 60 })
+        );
+      });
+    });
+
+    it('creates a goal template with category rules', async () => {
+      ShiftLogic.createGoalTemplate.mockResolvedValue({ id: 'tpl-1' });
+      setupMocks();
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+      await user.click(screen.getByText('תבנית חדשה'));
+
+      await user.type(screen.getByPlaceholderText('שם התבנית *'), 'מלגת קהילה');
+      await user.type(screen.getByLabelText('מחזור (שנת לימודים)'), '2025-2026');
+      await user.type(screen.getByLabelText('מינימום שעות 1'), '40');
+      await user.click(screen.getByText('הוסף קטגוריה'));
+      await user.selectOptions(screen.getByLabelText('קטגוריה 2'), 'office_work');
+      await user.type(screen.getByLabelText('מקסימום שעות 2'), '20');
+      await user.click(screen.getByText('צור תבנית'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.createGoalTemplate).toHaveBeenCalledWith({
+          name: 'מלגת קהילה',
+          academicYear: '2025-2026',
+          requirements: [
+            { category: 'tutoring', minHours: 40, maxHours: null },
+            { category: 'office_work', minHours: null, maxHours: 20 },
+          ],
+        });
+        expect(screen.getByText('תבנית היעד נוצרה')).toBeInTheDocument();
+      });
+    });
+
+    it('lists goal templates with their rules', async () => {
+      setupMocks({
+        goalTemplates: [{
+          id: 'tpl-1', name: 'מלגת קהילה', academic_year: '2025-2026',
+          goal_template_requirements: [
+            { category: 'tutoring', min_hours: 40, max_hours: null },
+            { category: 'office_work', min_hours: null, max_hours: 20 },
+          ],
+        }],
+      });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+
+      expect(screen.getByText(/תבניות יעד \(1\)/)).toBeInTheDocument();
+      expect(screen.getByText('חונכות: לפחות 40 · עבודה משרדית: עד 20')).toBeInTheDocument();
+    });
+
+    it('rejects a max length shorter than the expected length', async () => {
+      setupMocks({ settings: { default_expected_shift_minutes: 240, default_max_shift_minutes: 120 } });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+      await user.click(screen.getByText('שמור הגדרות'));
+
+      expect(screen.getByText('המשך המקסימלי חייב להיות לפחות המשך הצפוי')).toBeInTheDocument();
+      expect(ShiftLogic.updateShiftSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // ACTIVITY (audit log)
+  // ═══════════════════════════════════════════
+  describe('activity log', () => {
+    const entry = {
+      id: 'a1',
+      table_name: 'profiles',
+      record_id: 'student-1',
+      record_label: 'יוסי כהן',
+      action: 'update',
+      actor_id: 'admin-1',
+      actor_name: 'מנהלת התוכנית',
+      old_data: { is_active: true },
+      new_data: { is_active: false },
+      created_at: '2026-10-18T09:30:00Z',
+    };
+
+    it('lists changes with actor, entity and old/new values', async () => {
+      setupMocks({ audit: [entry] });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('פעילות'));
+      await user.click(screen.getByText('פעילות'));
+
+      await waitFor(() => {
+        expect(screen.getByText('מנהלת התוכנית')).toBeInTheDocument();
+        expect(screen.getByText(/עודכן · משתמשים/)).toBeInTheDocument();
+        expect(screen.getByText(/יוסי כהן/)).toBeInTheDocument();
+        expect(screen.getByText(/כן ← לא/)).toBeInTheDocument();
+      });
+      expect(ShiftLogic.getAuditLog).toHaveBeenCalledWith({ entity: '', actorId: '', from: '', to: '' });
+    });
+
+    it('shows system changes without an actor', async () => {
+      setupMocks({ audit: [{ ...entry, actor_id: null, actor_name: null }] });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('פעילות'));
+      await user.click(screen.getByText('פעילות'));
+
+      await waitFor(() => expect(screen.getByText('מערכת')).toBeInTheDocument());
+    });
+
+    it('reloads when filtering by entity and actor', async () => {
+      setupMocks({ auditActors: [{ id: 'admin-1', full_name: 'מנהלת התוכנית' }] });
+
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('פעילות'));
+      await user.click(screen.getByText('פעילות'));
+      await waitFor(() => screen.getByText('אין פעילות להצגה'));
+
+      await user.selectOptions(screen.getByLabelText('סוג רשומה'), 'manual_logs');
+      await waitFor(() => screen.getByRole('option', { name: 'מנהלת התוכנית' }));
+      await user.selectOptions(screen.getByLabelText('בוצע על ידי'), 'admin-1');
+
+      await waitFor(() => {
+        expect(ShiftLogic.getAuditLog).toHaveBeenLastCalledWith({
+          entity: 'manual_logs', actorId: 'admin-1', from: '', to: '',
+        });
+      });
+    });
+  });
+
   // ═══════════════════════════════════════════
   // LOGOUT
   // ═══════════════════════════════════════════
@@ -334,6 +1220,24 @@ describe('AdminPanel Component', () => {
       });
     });
 
+    it('turns on supervisor confirmation of shifts for a site', async () => {
+      ShiftLogic.setSiteShiftConfirmation.mockResolvedValue({});
+      setupMocks({
+        sites: [{ id: 'site-1', name: 'בית ספר הדר', is_active: true, require_shift_confirmation: false }],
+      });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+      await user.click(screen.getByLabelText('אישור מפקח למשמרות בבית ספר הדר'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.setSiteShiftConfirmation).toHaveBeenCalledWith('site-1', true);
+        expect(screen.getByText('משמרות בבית ספר הדר ימתינו לאישור מפקח')).toBeInTheDocument();
+      });
+    });
+
     it('shows event list in management', async () => {
       setupMocks({
         events: [
@@ -354,6 +1258,160 @@ describe('AdminPanel Component', () => {
     });
   });
 
+  // ═══════════════════════════════════════════
+  // HOURS CERTIFICATES
+  // ═══════════════════════════════════════════
+  describe('hours certificates', () => {
+    it('issues a certificate from the detail of a completed student', async () => {
+      const certificate = { id: 'cert-1', verification_code: 'A1B2C-D3E4F' };
+      setupMocks({
+        students: [factory.studentSummary({ student_id: 'student-9', full_name: 'יוסי כהן', progress_percent: 100 })],
+      });
+      ShiftLogic.issueHoursCertificate.mockResolvedValue(certificate);
+      downloadCertificatePdf.mockResolvedValue(undefined);
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getAllByText('יוסי כהן'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+      await user.click(await screen.findByText('הפקת אישור שעות (PDF)'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.issueHoursCertificate).toHaveBeenCalledWith('student-9', expect.stringMatching(/^\d{4}-\d{4}$/));
+        expect(downloadCertificatePdf).toHaveBeenCalledWith(certificate, expect.any(Object));
+        expect(screen.getByText(/A1B2C-D3E4F/)).toBeInTheDocument();
+      });
+    });
+
+    it('hides the certificate below 100%', async () => {
+      setupMocks({
+        students: [factory.studentSummary({ student_id: 'student-9', full_name: 'יוסי כהן', progress_percent: 60 })],
+      });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getAllByText('יוסי כהן'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+
+      await screen.findByText('דרישות יעד');
+      expect(screen.queryByText('הפקת אישור שעות (PDF)')).not.toBeInTheDocument();
+    });
+
+    it('verifies a certificate code', async () => {
+      setupMocks();
+      ShiftLogic.verifyHoursCertificate
+        .mockResolvedValueOnce({
+          id: 'cert-1',
+          academic_year: '2025-2026',
+          issued_at: '2026-06-01T10:00:00Z',
+          snapshot: { full_name: 'יוסי כהן', site_name: 'בית ספר הדר', counted_hours: 150, goal: 150 },
+        })
+        .mockResolvedValueOnce(null);
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+
+      await user.type(screen.getByLabelText('קוד אימות'), 'A1B2C-D3E4F');
+      await user.click(screen.getByText('אמת'));
+
+      expect(await screen.findByText('אישור תקף')).toBeInTheDocument();
+      expect(screen.getByText(/יוסי כהן · 2025-2026 · בית ספר הדר/)).toBeInTheDocument();
+      expect(ShiftLogic.verifyHoursCertificate).toHaveBeenCalledWith('A1B2C-D3E4F');
+
+      await user.type(screen.getByLabelText('קוד אימות'), 'X');
+      await user.click(screen.getByText('אמת'));
+
+      expect(await screen.findByText('לא נמצא אישור עם קוד זה')).toBeInTheDocument();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // YEAR ROLLOVER
+  // ═══════════════════════════════════════════
+  describe('year rollover', () => {
+    const sites = [
+      { id: 'site-1', name: 'בית ספר הדר', is_active: true },
+      { id: 'site-2', name: 'מרכז קהילתי', is_active: true },
+    ];
+    const lastYear = [
+      { id: 'pl-1', student_id: 's1', student_name: 'דנה', site_id: 'site-1', site_name: 'בית ספר הדר', status: 'active' },
+      { id: 'pl-2', student_id: 's2', student_name: 'רון', site_id: 'site-1', site_name: 'בית ספר הדר', status: 'active' },
+      { id: 'pl-3', student_id: 's3', student_name: 'גיל', site_id: 'site-2', site_name: 'מרכז קהילתי', status: 'completed' },
+    ];
+
+    it('previews and commits the per-student decisions', async () => {
+      setupMocks({ sites, placements: lastYear });
+      ShiftLogic.summarizeRollover.mockReturnValue({
+        continued: 1, moved: 1, completed: 0, newPlacements: 2, closedPlacements: 2, archivedEvents: 3,
+      });
+      ShiftLogic.rolloverAcademicYear.mockResolvedValue({
+        created_placements: 2, completed_placements: 2, archived_events: 3,
+      });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+      await user.click(await screen.findByText('מעבר שנה'));
+
+      // Only last year's active placements are offered
+      await screen.findByLabelText('פעולה עבור דנה');
+      expect(screen.queryByLabelText('פעולה עבור גיל')).not.toBeInTheDocument();
+
+      await user.selectOptions(screen.getByLabelText('פעולה עבור רון'), 'move');
+      await user.selectOptions(screen.getByLabelText('אתר חדש עבור רון'), 'site-2');
+      await user.click(screen.getByText('תצוגה מקדימה'));
+
+      expect(await screen.findByText(/2 שיבוצים חדשים/)).toBeInTheDocument();
+      expect(screen.getByText(/3 אירועים/)).toBeInTheDocument();
+      expect(ShiftLogic.rolloverAcademicYear).not.toHaveBeenCalled();
+
+      await user.click(screen.getByText('אשר מעבר שנה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.rolloverAcademicYear).toHaveBeenCalledWith(
+          expect.stringMatching(/^\d{4}-\d{4}$/),
+          expect.stringMatching(/^\d{4}-\d{4}$/),
+          [
+            { placementId: 'pl-1', action: 'continue', siteId: '' },
+            { placementId: 'pl-2', action: 'move', siteId: 'site-2' },
+          ]
+        );
+        expect(screen.getByText(/מעבר השנה הושלם/)).toBeInTheDocument();
+      });
+    });
+
+    it('requires a new site before previewing a move', async () => {
+      setupMocks({ sites, placements: lastYear });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+      await user.click(await screen.findByText('מעבר שנה'));
+
+      await user.selectOptions(await screen.findByLabelText('פעולה עבור דנה'), 'move');
+      await user.click(screen.getByText('תצוגה מקדימה'));
+
+      expect(await screen.findByText('יש לבחור אתר חדש לכל סטודנט שעובר אתר')).toBeInTheDocument();
+      expect(ShiftLogic.summarizeRollover).not.toHaveBeenCalled();
+    });
+
+    it('reports when last year has no active placements', async () => {
+      setupMocks({ placements: [] });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('ניהול'));
+      await user.click(screen.getByText('ניהול'));
+      await user.click(await screen.findByText('מעבר שנה'));
+
+      expect(await screen.findByText(/אין שיבוצים פעילים בשנה/)).toBeInTheDocument();
+    });
+  });
+
   // ═══════════════════════════════════════════
   // STUDENT MANAGEMENT (activate/deactivate)
   // ═══════════════════════════════════════════
@@ -480,4 +1538,41 @@ describe('AdminPanel Component', () => {
       });
     });
   });
+
+  // ═══════════════════════════════════════════
+  // NOTIFICATIONS
+  // ═══════════════════════════════════════════
+  describe('notifications', () => {
+    it('marks every notification read', async () => {
+      setupMocks({
+        notifications: [
+          { id: 'n1', kind: 'logs_waiting', read_at: null, created_at: '2026-10-18T10:00:00Z', data: { count: 1 } },
+          { id: 'n2', kind: 'logs_waiting', read_at: null, created_at: '2026-10-17T10:00:00Z', data: { count: 2 } },
+        ],
+      });
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByRole('button', { name: 'התראות (2 חדשות)' }));
+      expect(screen.getByText('דיווח חדש ממתין לאישור')).toBeInTheDocument();
+
+      await user.click(screen.getByText('סמן הכל כנקרא'));
+
+      expect(ShiftLogic.markNotificationsRead).toHaveBeenCalledWith();
+      expect(screen.getByRole('button', { name: 'התראות' })).toBeInTheDocument();
+    });
+
+    it('turns off the waiting-logs email', async () => {
+      setupMocks();
+      ShiftLogic.setNotificationPreference.mockResolvedValue({});
+      const user = userEvent.setup();
+      render(<AdminPanel profile={adminProfile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByRole('button', { name: 'התראות' }));
+      await user.click(screen.getByRole('button', { name: 'הגדרות התראות' }));
+      await user.click(await screen.findByLabelText('דיווחים חדשים לאישור סופי'));
+
+      expect(ShiftLogic.setNotificationPreference).toHaveBeenCalledWith('logs_waiting', false);
+    });
+  });
 });
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 
@@ -15,11 +15,42 @@ vi.mock('../../lib/ShiftLogic', () => ({
     getStudentPlacement: vi.fn(),
     getActiveEvents: vi.fn(),
     notifySupervisor: vi.fn(),
+    getShiftCorrections: vi.fn(),
+    requestShiftCorrection: vi.fn(),
+    closeStaleShifts: vi.fn(),
+    startBreak: vi.fn(),
+    endBreak: vi.fn(),
+    getShiftSettings: vi.fn(),
+    qrCheckIn: vi.fn(),
+    updateShiftCategory: vi.fn(),
+    issueHoursCertificate: vi.fn(),
+    resubmitManualLog: vi.fn(),
+    getLogComments: vi.fn(),
+    addLogComment: vi.fn(),
+    getNotifications: vi.fn(),
+    markNotificationsRead: vi.fn(),
+    getNotificationPreferences: vi.fn(),
+    setNotificationPreference: vi.fn(),
+    savePushSubscription: vi.fn(),
+    deletePushSubscription: vi.fn(),
   },
 }));
 
+vi.mock('../../lib/certificatePdf', () => ({
+  downloadCertificatePdf: vi.fn(),
+}));
+
+vi.mock('../../lib/webPush', () => ({
+  isPushSupported: vi.fn(() => false),
+  getPushSubscription: vi.fn(),
+  subscribeToPush: vi.fn(),
+  unsubscribeFromPush: vi.fn(),
+}));
+
 import Dashboard from '../../components/Dashboard';
 import { ShiftLogic } from '../../lib/ShiftLogic';
+import { downloadCertificatePdf } from '../../lib/certificatePdf';
+import { isPushSupported, getPushSubscription, subscribeToPush } from '../../lib/webPush';
 import { factory } from '../../__mocks__/supabase';
 
 const defaultProgress = {
@@ -37,6 +68,14 @@ function setupMocks(overrides = {}) {
   ShiftLogic.getStudentPlacement.mockResolvedValue(overrides.placement ?? null);
   ShiftLogic.getActiveEvents.mockResolvedValue(overrides.events ?? []);
   ShiftLogic.notifySupervisor.mockResolvedValue(undefined);
+  ShiftLogic.getShiftCorrections.mockResolvedValue(overrides.corrections ?? []);
+  ShiftLogic.closeStaleShifts.mockResolvedValue(overrides.autoClosed ?? 0);
+  ShiftLogic.getShiftSettings.mockResolvedValue(overrides.settings ?? {
+    default_expected_shift_minutes: 240, default_max_shift_minutes: 720,
+  });
+  ShiftLogic.getNotifications.mockResolvedValue(overrides.notifications ?? []);
+  ShiftLogic.markNotificationsRead.mockResolvedValue(1);
+  ShiftLogic.getNotificationPreferences.mockResolvedValue(overrides.notificationPrefs ?? {});
 }
 
 describe('Dashboard Component', () => {
@@ -90,6 +129,21 @@ describe('Dashboard Component', () => {
         expect(screen.getByText('1')).toBeInTheDocument();    // pending
       });
     });
+
+    it('loads progress for the current academic year and switches years', async () => {
+      setupMocks({ shifts: [factory.shift({ start_time: '2025-03-01T08:00:00Z' })] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      const select = await screen.findByLabelText('שנת לימודים');
+      expect(ShiftLogic.calculateProgress).toHaveBeenCalledWith(profile.id, profile.total_goal, select.value);
+
+      await user.selectOptions(select, '2024-2025');
+
+      await waitFor(() => {
+        expect(ShiftLogic.calculateProgress).toHaveBeenCalledWith(profile.id, profile.total_goal, '2024-2025');
+      });
+    });
   });
 
   // ═══════════════════════════════════════════
@@ -132,7 +186,7 @@ describe('Dashboard Component', () => {
   // CHECK IN
   // ═══════════════════════════════════════════
   describe('check in', () => {
-    it('shows description input without category grid', async () => {
+    it('shows description input and a category select defaulting to other', async () => {
       setupMocks();
       render(<Dashboard profile={profile} onLogout={vi.fn()} />);
 
@@ -140,8 +194,24 @@ describe('Dashboard Component', () => {
         expect(screen.getByPlaceholderText('תיאור המשימה...')).toBeInTheDocument();
         expect(screen.getByText('תאר את המשימה ולחץ כניסה')).toBeInTheDocument();
       });
-      // Category grid should NOT be present
-      expect(screen.queryByText('חונכות')).not.toBeInTheDocument();
+      expect(screen.getByLabelText('קטגוריה')).toHaveValue('other');
+    });
+
+    it('passes the chosen category to checkIn', async () => {
+      setupMocks();
+      ShiftLogic.checkIn.mockResolvedValue(factory.activeShift({ category: 'tutoring' }));
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByLabelText('קטגוריה'));
+      await user.selectOptions(screen.getByLabelText('קטגוריה'), 'tutoring');
+      await user.type(screen.getByPlaceholderText('תיאור המשימה...'), 'חונכות מתמטיקה');
+      await user.click(screen.getByText('כניסה למשמרת'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.checkIn).toHaveBeenCalledWith('user-123', 'tutoring', 'חונכות מתמטיקה', null, null);
+      });
     });
 
     it('calls ShiftLogic.checkIn on submit', async () => {
@@ -162,6 +232,7 @@ describe('Dashboard Component', () => {
           'other', // default category
           'חונכות מתמטיקה',
           null, // siteId (no placement)
+          null, // location (only captured for site shifts)
         );
       });
     });
@@ -185,6 +256,38 @@ describe('Dashboard Component', () => {
   // ACTIVE SHIFT DISPLAY
   // ═══════════════════════════════════════════
   describe('active shift', () => {
+    it('changes the category of the running shift', async () => {
+      setupMocks({ activeShift: factory.activeShift({ category: 'other' }) });
+      ShiftLogic.updateShiftCategory.mockResolvedValue({});
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByLabelText('קטגוריית המשמרת'));
+      await user.selectOptions(screen.getByLabelText('קטגוריית המשמרת'), 'mentoring');
+
+      await waitFor(() => {
+        expect(ShiftLogic.updateShiftCategory).toHaveBeenCalledWith('active-001', 'mentoring');
+        expect(screen.getByText('הקטגוריה עודכנה להדרכה')).toBeInTheDocument();
+      });
+    });
+
+    it('reverts the category when the update fails', async () => {
+      setupMocks({ activeShift: factory.activeShift({ category: 'other' }) });
+      ShiftLogic.updateShiftCategory.mockRejectedValue(new Error('שגיאה בעדכון'));
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByLabelText('קטגוריית המשמרת'));
+      await user.selectOptions(screen.getByLabelText('קטגוריית המשמרת'), 'mentoring');
+
+      await waitFor(() => {
+        expect(screen.getByText('שגיאה בעדכון')).toBeInTheDocument();
+        expect(screen.getByLabelText('קטגוריית המשמרת')).toHaveValue('other');
+      });
+    });
+
     it('shows live timer when shift is active', async () => {
       setupMocks({ activeShift: factory.activeShift() });
       render(<Dashboard profile={profile} onLogout={vi.fn()} />);
@@ -214,11 +317,200 @@ describe('Dashboard Component', () => {
       await user.click(screen.getByText('יציאה ממשמרת'));
 
       await waitFor(() => {
-        expect(ShiftLogic.checkOut).toHaveBeenCalledWith(active.id);
+        expect(ShiftLogic.checkOut).toHaveBeenCalledWith(active.id, null);
+      });
+    });
+
+    it('tells the student when the shift awaits supervisor confirmation', async () => {
+      const active = factory.activeShift();
+      setupMocks({ activeShift: active });
+      ShiftLogic.checkOut.mockResolvedValue(factory.shift({ duration_minutes: 120, status: 'needs_review' }));
+      ShiftLogic.getActiveShift
+        .mockResolvedValueOnce(active)
+        .mockResolvedValueOnce(null);
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('יציאה ממשמרת'));
+      await user.click(screen.getByText('יציאה ממשמרת'));
+
+      await waitFor(() => {
+        expect(screen.getByText('יציאה ממשמרת · 2 שעות ימתינו לאישור מפקח האתר')).toBeInTheDocument();
       });
     });
   });
 
+  // ═══════════════════════════════════════════
+  // BREAKS
+  // ═══════════════════════════════════════════
+  describe('breaks', () => {
+    it('starts a break on the active shift', async () => {
+      const active = factory.activeShift({ shift_breaks: [] });
+      ShiftLogic.startBreak.mockResolvedValue({
+        id: 'break-1', shift_id: active.id, start_time: new Date().toISOString(), end_time: null,
+      });
+      setupMocks({ activeShift: active });
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('יציאה להפסקה'));
+      await user.click(screen.getByText('יציאה להפסקה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.startBreak).toHaveBeenCalledWith(active.id);
+        expect(screen.getByText(/בהפסקה מאז/)).toBeInTheDocument();
+        expect(screen.getByText('חזרה מהפסקה')).toBeInTheDocument();
+      });
+    });
+
+    it('ends the open break', async () => {
+      const openBreak = { id: 'break-1', start_time: new Date().toISOString(), end_time: null };
+      ShiftLogic.endBreak.mockResolvedValue({ ...openBreak, end_time: new Date().toISOString() });
+      setupMocks({ activeShift: factory.activeShift({ shift_breaks: [openBreak] }) });
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('חזרה מהפסקה'));
+      await user.click(screen.getByText('חזרה מהפסקה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.endBreak).toHaveBeenCalledWith('break-1');
+        expect(screen.getByText('משמרת פעילה')).toBeInTheDocument();
+      });
+    });
+
+    it('excludes break time from the live timer', async () => {
+      const hourAgo = new Date(Date.now() - 3600000).toISOString();
+      const halfHourAgo = new Date(Date.now() - 1800000).toISOString();
+      setupMocks({
+        activeShift: factory.activeShift({
+          start_time: hourAgo,
+          shift_breaks: [{ id: 'b1', start_time: hourAgo, end_time: halfHourAgo }],
+        }),
+      });
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('timer')).toHaveTextContent(/^00:(29|30):/);
+      });
+    });
+
+    it('shows the break breakdown in history', async () => {
+      setupMocks({
+        shifts: [factory.shift({
+          duration_minutes: 210,
+          break_minutes: 30,
+          shift_breaks: [{ id: 'b1', start_time: '2026-02-17T10:00:00Z', end_time: '2026-02-17T10:30:00Z' }],
+        })],
+      });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+
+      expect(screen.getByText(/הפסקות: 30 דקות/)).toBeInTheDocument();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // SHIFT CAPS
+  // ═══════════════════════════════════════════
+  describe('shift caps', () => {
+    const hoursAgo = (h) => new Date(Date.now() - h * 3600000).toISOString();
+
+    it('closes stale shifts before loading', async () => {
+      setupMocks();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(ShiftLogic.closeStaleShifts).toHaveBeenCalled();
+      });
+    });
+
+    it('notifies the student when a shift was auto-closed', async () => {
+      setupMocks({ autoClosed: 1 });
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByText('משמרת שנשארה פתוחה נסגרה אוטומטית — נא לבקש תיקון עם שעת היציאה')).toBeInTheDocument();
+      });
+    });
+
+    it('warns when the active shift runs past the expected length', async () => {
+      setupMocks({ activeShift: factory.activeShift({ start_time: hoursAgo(5) }) });
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('alert')).toHaveTextContent('שכחת לצאת?');
+      });
+    });
+
+    it('does not warn within the expected length', async () => {
+      setupMocks({ activeShift: factory.activeShift({ start_time: hoursAgo(1) }) });
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('משמרת פעילה'));
+      expect(screen.queryByText(/שכחת לצאת/)).not.toBeInTheDocument();
+    });
+
+    it('uses the placement site expected length for site shifts', async () => {
+      setupMocks({
+        activeShift: factory.activeShift({ start_time: hoursAgo(2), site_id: 'site-1' }),
+        placement: {
+          site_id: 'site-1',
+          sites: { id: 'site-1', name: 'בית ספר הדר', expected_shift_minutes: 90, max_shift_minutes: 180 },
+        },
+      });
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/שכחת לצאת/)).toBeInTheDocument();
+        expect(screen.getByText(/תיסגר אוטומטית לאחר 3 שעות/)).toBeInTheDocument();
+      });
+    });
+
+    it('marks auto-closed shifts in history', async () => {
+      setupMocks({ shifts: [factory.shift({ auto_closed: true })] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+
+      expect(screen.getByText('נסגרה אוטומטית')).toBeInTheDocument();
+    });
+
+    it('asks for a check-out correction on auto-closed shifts flagged for it', async () => {
+      setupMocks({ shifts: [factory.shift({ auto_closed: true, needs_correction: true })] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+
+      expect(screen.getByText('נסגרה אוטומטית · נא לתקן שעת יציאה')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /בקש תיקון/ })).toBeInTheDocument();
+    });
+
+    it('still asks for the check-out time while an auto-closed shift is under review', async () => {
+      setupMocks({
+        shifts: [factory.shift({ status: 'needs_review', auto_closed: true, needs_correction: true })],
+      });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+
+      expect(screen.getByText('ממתין לבדיקת מפקח')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /בקש תיקון/ })).toBeInTheDocument();
+    });
+  });
+
   // ═══════════════════════════════════════════
   // HISTORY TAB
   // ═══════════════════════════════════════════
@@ -267,6 +559,199 @@ describe('Dashboard Component', () => {
     });
   });
 
+  describe('partially approved logs', () => {
+    it('shows the approved time and the approver note', async () => {
+      setupMocks({
+        logs: [factory.approvedLog({
+          duration_minutes: 180, approved_minutes: 120, approval_note: 'הפעילות הסתיימה מוקדם',
+        })],
+      });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+
+      expect(screen.getByText('אושרו 2 שעות מתוך 3 שעות')).toBeInTheDocument();
+      expect(screen.getByText('הערת המאשר/ת: הפעילות הסתיימה מוקדם')).toBeInTheDocument();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // REJECTED LOGS (reason, thread, resubmit)
+  // ═══════════════════════════════════════════
+  describe('rejected logs', () => {
+    async function openHistory(user) {
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+    }
+
+    it('shows the rejection reason', async () => {
+      setupMocks({ logs: [factory.rejectedLog()] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+      await openHistory(user);
+
+      expect(screen.getByText('סיבת הדחייה: חסר פירוט של הפעילות')).toBeInTheDocument();
+    });
+
+    it('offers resubmission only for rejected logs', async () => {
+      setupMocks({ logs: [factory.approvedLog({ description: 'מאושר' }), factory.rejectedLog()] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+      await openHistory(user);
+
+      expect(screen.getAllByText('ערוך ושלח מחדש')).toHaveLength(1);
+      expect(screen.getAllByText('תגובות')).toHaveLength(2);
+    });
+
+    it('resubmits the edited log', async () => {
+      ShiftLogic.resubmitManualLog.mockResolvedValue(factory.manualLog());
+      setupMocks({ logs: [factory.rejectedLog({ duration_minutes: 180 })] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+      await openHistory(user);
+
+      await user.click(screen.getByText('ערוך ושלח מחדש'));
+      expect(screen.getByLabelText('שעות')).toHaveValue(3);
+
+      const desc = screen.getByLabelText('תיאור');
+      await user.clear(desc);
+      await user.type(desc, 'סיוע בספרייה – מיון ספרים');
+      await user.type(screen.getByLabelText('הערה למאשר/ת (לא חובה)'), 'הוספתי פירוט');
+      await user.click(screen.getByText('שלח מחדש'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.resubmitManualLog).toHaveBeenCalledWith('rej-001', {
+          date: '2026-02-15',
+          durationMinutes: 180,
+          description: 'סיוע בספרייה – מיון ספרים',
+          category: 'community_service',
+          note: 'הוספתי פירוט',
+        });
+        expect(screen.getByText('הדיווח נשלח מחדש לאישור מנהל')).toBeInTheDocument();
+      });
+      expect(ShiftLogic.notifySupervisor).not.toHaveBeenCalled();
+    });
+
+    it('notifies the supervisor when a site log is resubmitted', async () => {
+      ShiftLogic.resubmitManualLog.mockResolvedValue(factory.manualLog());
+      setupMocks({ logs: [factory.rejectedLog({ site_id: 'site-1', site_name: 'בית ספר הדר' })] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+      await openHistory(user);
+
+      await user.click(screen.getByText('ערוך ושלח מחדש'));
+      await user.click(screen.getByText('שלח מחדש'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.notifySupervisor).toHaveBeenCalledWith(
+          expect.objectContaining({ logId: 'rej-001', siteName: 'בית ספר הדר' })
+        );
+        expect(screen.getByText('הדיווח נשלח מחדש לאישור מפקח האתר')).toBeInTheDocument();
+      });
+    });
+
+    it('shows the thread and lets the student reply', async () => {
+      ShiftLogic.getLogComments.mockResolvedValue([
+        { id: 'c1', kind: 'rejection', body: 'חסר פירוט של הפעילות', author_name: 'מפקח אתר', author_role: 'site_supervisor', created_at: '2026-02-16T10:00:00Z' },
+      ]);
+      ShiftLogic.addLogComment.mockResolvedValue({});
+      setupMocks({ logs: [factory.rejectedLog()] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+      await openHistory(user);
+
+      await user.click(screen.getByText('תגובות'));
+      await waitFor(() => {
+        expect(ShiftLogic.getLogComments).toHaveBeenCalledWith('rej-001');
+        expect(screen.getByText('מפקח אתר')).toBeInTheDocument();
+      });
+
+      await user.type(screen.getByLabelText('תגובה'), 'הייתי באתר, מצרף/ת פירוט');
+      await user.click(screen.getByLabelText('שלח תגובה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.addLogComment).toHaveBeenCalledWith('rej-001', 'הייתי באתר, מצרף/ת פירוט');
+        expect(ShiftLogic.getLogComments).toHaveBeenCalledTimes(2);
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // SHIFT CORRECTIONS
+  // ═══════════════════════════════════════════
+  describe('shift corrections', () => {
+    it('submits a correction request for a completed shift', async () => {
+      ShiftLogic.requestShiftCorrection.mockResolvedValue(factory.shiftCorrection());
+      setupMocks({ shifts: [factory.shift()] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('בקש תיקון'));
+
+      await user.type(screen.getByLabelText('סיבת התיקון'), 'שכחתי לצאת');
+      await user.click(screen.getByText('שלח בקשת תיקון'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.requestShiftCorrection).toHaveBeenCalledWith(
+          'user-123',
+          expect.objectContaining({ id: 'shift-001' }),
+          expect.objectContaining({ reason: 'שכחתי לצאת' })
+        );
+        expect(screen.getByText('בקשת התיקון נשלחה לאישור מנהל')).toBeInTheDocument();
+      });
+    });
+
+    it('requires a reason before submitting', async () => {
+      setupMocks({ shifts: [factory.shift()] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('בקש תיקון'));
+      await user.click(screen.getByText('שלח בקשת תיקון'));
+
+      expect(screen.getByText('נא לפרט את סיבת התיקון')).toBeInTheDocument();
+      expect(ShiftLogic.requestShiftCorrection).not.toHaveBeenCalled();
+    });
+
+    it('shows pending badge instead of the request button', async () => {
+      setupMocks({
+        shifts: [factory.shift()],
+        corrections: [factory.shiftCorrection({ shift_id: 'shift-001' })],
+      });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+
+      expect(screen.getByText('תיקון ממתין')).toBeInTheDocument();
+      expect(screen.queryByText('בקש תיקון')).not.toBeInTheDocument();
+    });
+
+    it('shows why a correction was rejected', async () => {
+      setupMocks({
+        shifts: [factory.shift()],
+        corrections: [factory.shiftCorrection({
+          shift_id: 'shift-001', status: 'rejected', rejection_reason: 'השעות לא תואמות',
+        })],
+      });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+
+      expect(screen.getByText('תיקון נדחה')).toBeInTheDocument();
+      expect(screen.getByText('סיבת דחיית התיקון: השעות לא תואמות')).toBeInTheDocument();
+    });
+  });
+
   // ═══════════════════════════════════════════
   // MANUAL LOG SUBMISSION
   // ═══════════════════════════════════════════
@@ -347,12 +832,87 @@ describe('Dashboard Component', () => {
       });
     });
 
+    it('shows hours per category', async () => {
+      setupMocks({
+        progress: {
+          ...defaultProgress,
+          byCategory: [{ category: 'tutoring', shiftHours: 4, manualHours: 1, totalHours: 5 }],
+        },
+      });
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByText('פילוח שעות לפי קטגוריה')).toBeInTheDocument();
+        expect(screen.getByText('5.0 שעות')).toBeInTheDocument();
+        expect(screen.getByText('משמרות 4.0 · ידני 1.0')).toBeInTheDocument();
+      });
+    });
+
+    it('lists category requirements under the ring', async () => {
+      setupMocks({
+        progress: {
+          ...defaultProgress,
+          countedHours: 12,
+          byCategory: [{ category: 'tutoring', shiftHours: 12, manualHours: 0, totalHours: 12 }],
+          requirements: [{ category: 'tutoring', minHours: 40, maxHours: null, hours: 12, met: false }],
+          requirementsMet: false,
+        },
+      });
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('list', { name: 'דרישות לפי קטגוריה' })).toBeInTheDocument();
+        expect(screen.getByText(/12.0 \/ 40/)).toBeInTheDocument();
+        expect(screen.getByText('12.0 / 150 שעות')).toBeInTheDocument();
+      });
+    });
+
+    it('downloads the hours certificate for the viewed year at 100%', async () => {
+      const certificate = { id: 'cert-1', verification_code: 'A1B2C-D3E4F' };
+      setupMocks({
+        progress: { ...defaultProgress, progressPercent: 100, totalHours: 150 },
+      });
+      ShiftLogic.issueHoursCertificate.mockResolvedValue(certificate);
+      downloadCertificatePdf.mockResolvedValue(undefined);
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByText('הורדת אישור שעות (PDF)'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.issueHoursCertificate).toHaveBeenCalledWith(
+          profile.id, screen.getByLabelText('שנת לימודים').value
+        );
+        expect(downloadCertificatePdf).toHaveBeenCalledWith(certificate, expect.objectContaining({ tutoring: 'חונכות' }));
+        expect(screen.getByText('אישור השעות הורד')).toBeInTheDocument();
+      });
+    });
+
+    it('withholds congratulations while a category minimum is unmet', async () => {
+      setupMocks({
+        progress: {
+          ...defaultProgress,
+          progressPercent: 100,
+          totalHours: 150,
+          requirements: [{ category: 'tutoring', minHours: 40, maxHours: null, hours: 10, met: false }],
+          requirementsMet: false,
+        },
+      });
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/חלק מדרישות הקטגוריה עדיין חסרות/)).toBeInTheDocument();
+      });
+      expect(screen.queryByText(/כל הכבוד/)).not.toBeInTheDocument();
+    });
+
     it('does NOT show congratulations below 100%', async () => {
       setupMocks();
       render(<Dashboard profile={profile} onLogout={vi.fn()} />);
 
       await waitFor(() => screen.getByText(/10%/));
       expect(screen.queryByText(/כל הכבוד/)).not.toBeInTheDocument();
+      expect(screen.queryByText('הורדת אישור שעות (PDF)')).not.toBeInTheDocument();
     });
   });
 
@@ -464,8 +1024,260 @@ describe('Dashboard Component', () => {
           'other',
           'חונכות מתמטיקה',
           'site-1',
+          null, // geolocation unavailable in jsdom
+        );
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // GEOFENCE
+  // ═══════════════════════════════════════════
+  describe('geofence', () => {
+    const placement = { site_id: 'site-1', sites: { id: 'site-1', name: 'בית ספר הדר' } };
+
+    afterEach(() => {
+      delete navigator.geolocation;
+    });
+
+    it('sends the browser location with a site check-in', async () => {
+      navigator.geolocation = {
+        getCurrentPosition: (ok) => ok({ coords: { latitude: 32.08, longitude: 34.78, accuracy: 15 } }),
+      };
+      setupMocks({ placement });
+      ShiftLogic.checkIn.mockResolvedValue(factory.activeShift({ site_id: 'site-1' }));
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByPlaceholderText('תיאור המשימה...'));
+      await user.type(screen.getByPlaceholderText('תיאור המשימה...'), 'חונכות');
+      await user.click(screen.getByText('כניסה למשמרת'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.checkIn).toHaveBeenCalledWith(
+          'user-123', 'other', 'חונכות', 'site-1',
+          { lat: 32.08, lng: 34.78, accuracy: 15 },
         );
       });
     });
+
+    it('warns when the check-in was outside the site radius', async () => {
+      setupMocks({ placement });
+      ShiftLogic.checkIn.mockResolvedValue(factory.activeShift({ site_id: 'site-1', outside_geofence: true }));
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByPlaceholderText('תיאור המשימה...'));
+      await user.type(screen.getByPlaceholderText('תיאור המשימה...'), 'חונכות');
+      await user.click(screen.getByText('כניסה למשמרת'));
+
+      await waitFor(() => {
+        expect(screen.getByText('לא זוהית בתחום האתר — המשמרת תועבר לבדיקת המפקח')).toBeInTheDocument();
+        expect(screen.getByText(/הכניסה נרשמה מחוץ לתחום האתר/)).toBeInTheDocument();
+      });
+    });
+
+    it('shows shifts awaiting supervisor review in history without a correction button', async () => {
+      setupMocks({ shifts: [factory.shift({ status: 'needs_review' })] });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('היסטוריה'));
+      await user.click(screen.getByText('היסטוריה'));
+
+      expect(screen.getByText('ממתין לבדיקת מפקח')).toBeInTheDocument();
+      expect(screen.queryByText('בקש תיקון')).not.toBeInTheDocument();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // QR CHECK IN
+  // ═══════════════════════════════════════════
+  describe('QR check in', () => {
+    const placement = { site_id: 'site-1', sites: { id: 'site-1', name: 'בית ספר הדר' } };
+
+    afterEach(() => {
+      window.history.replaceState(null, '', '/');
+    });
+
+    it('hides the QR option without a site placement', async () => {
+      setupMocks();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('כניסה למשמרת'));
+      expect(screen.queryByText('סריקת QR לכניסה')).not.toBeInTheDocument();
+    });
+
+    it('checks in with the code shown at the site', async () => {
+      setupMocks({ placement });
+      ShiftLogic.qrCheckIn.mockResolvedValue(factory.activeShift({ site_id: 'site-1', check_in_method: 'qr' }));
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('סריקת QR לכניסה'));
+      await user.type(screen.getByPlaceholderText('תיאור המשימה...'), 'חונכות');
+      await user.click(screen.getByText('סריקת QR לכניסה'));
+      await user.type(screen.getByLabelText('קוד כניסה'), '123456');
+      await user.click(screen.getByText('כניסה עם קוד'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.qrCheckIn).toHaveBeenCalledWith('123456', 'חונכות', 'other');
+        expect(ShiftLogic.checkIn).not.toHaveBeenCalled();
+        expect(screen.getByText('נכנסת למשמרת בסריקת QR ✅')).toBeInTheDocument();
+      });
+    });
+
+    it('requires a task description', async () => {
+      setupMocks({ placement });
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('סריקת QR לכניסה'));
+      await user.click(screen.getByText('סריקת QR לכניסה'));
+      await user.type(screen.getByLabelText('קוד כניסה'), '123456');
+      await user.click(screen.getByText('כניסה עם קוד'));
+
+      expect(screen.getByText('נא להזין תיאור משימה')).toBeInTheDocument();
+      expect(ShiftLogic.qrCheckIn).not.toHaveBeenCalled();
+    });
+
+    it('prefills the token from a scanned QR link', async () => {
+      window.history.replaceState(null, '', '/?checkin=tok-abc');
+      setupMocks({ placement });
+
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByLabelText('קוד כניסה')).toHaveValue('tok-abc');
+      });
+      expect(window.location.search).toBe('');
+    });
+
+    it('shows the server error for an expired code', async () => {
+      setupMocks({ placement });
+      ShiftLogic.qrCheckIn.mockRejectedValue(new Error('הקוד אינו תקף, פג תוקפו, או שאינך משובץ/ת באתר זה'));
+
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('סריקת QR לכניסה'));
+      await user.type(screen.getByPlaceholderText('תיאור המשימה...'), 'חונכות');
+      await user.click(screen.getByText('סריקת QR לכניסה'));
+      await user.type(screen.getByLabelText('קוד כניסה'), '000000');
+      await user.click(screen.getByText('כניסה עם קוד'));
+
+      await waitFor(() => {
+        expect(screen.getByText(/הקוד אינו תקף/)).toBeInTheDocument();
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // NOTIFICATIONS
+  // ═══════════════════════════════════════════
+  describe('notifications', () => {
+    afterEach(() => {
+      isPushSupported.mockReturnValue(false);
+    });
+
+    const notifications = [
+      {
+        id: 'n1', kind: 'log_rejected', read_at: null, created_at: '2026-10-18T10:00:00Z',
+        data: { date: '2026-10-12', reason: 'חסר תיאור', by: 'supervisor' },
+      },
+      {
+        id: 'n2', kind: 'milestone', read_at: '2026-10-17T11:00:00Z', created_at: '2026-10-17T10:00:00Z',
+        data: { percent: 50, hours: 75, goal: 150, academic_year: '2026-2027' },
+      },
+    ];
+
+    it('opens the history tab from a notification and marks it read', async () => {
+      setupMocks({ notifications });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByRole('button', { name: 'התראות (1 חדשות)' }));
+      expect(screen.getByText('הגעת ל-50% מיעד השעות')).toBeInTheDocument();
+
+      await user.click(screen.getByText('סיבה: חסר תיאור'));
+
+      expect(ShiftLogic.markNotificationsRead).toHaveBeenCalledWith(['n1']);
+      expect(screen.getByRole('tab', { name: /היסטוריה/ })).toHaveAttribute('aria-selected', 'true');
+      expect(screen.getByRole('button', { name: 'התראות' })).toBeInTheDocument();
+    });
+
+    it('turns off an email in the notification settings', async () => {
+      setupMocks({ notificationPrefs: { milestone: false } });
+      ShiftLogic.setNotificationPreference.mockResolvedValue({});
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByRole('button', { name: 'התראות' }));
+      await user.click(screen.getByRole('button', { name: 'הגדרות התראות' }));
+
+      expect(await screen.findByLabelText('התקדמות ביעד השעות')).not.toBeChecked();
+      await user.click(screen.getByLabelText('דיווח נדחה'));
+
+      expect(ShiftLogic.setNotificationPreference).toHaveBeenCalledWith('log_rejected', false);
+      expect(screen.getByLabelText('דיווח נדחה')).not.toBeChecked();
+    });
+
+    it('turns on push notifications for this device', async () => {
+      setupMocks();
+      const subscription = { endpoint: 'https://push.example/1' };
+      isPushSupported.mockReturnValue(true);
+      getPushSubscription.mockResolvedValue(null);
+      subscribeToPush.mockResolvedValue(subscription);
+      ShiftLogic.savePushSubscription.mockResolvedValue(undefined);
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByRole('button', { name: 'התראות' }));
+      await user.click(screen.getByRole('button', { name: 'הגדרות התראות' }));
+      await user.click(await screen.findByRole('button', { name: 'הפעלה' }));
+
+      expect(ShiftLogic.savePushSubscription).toHaveBeenCalledWith(subscription);
+      expect(await screen.findByRole('button', { name: 'כיבוי' })).toBeInTheDocument();
+    });
+
+    it('shows a check-out reminder', async () => {
+      setupMocks({
+        notifications: [{
+          id: 'n3', kind: 'checkout_reminder', read_at: null, created_at: '2026-10-18T14:00:00Z',
+          data: { shift_id: 'shift-1', start_time: '2026-10-18T08:00:00Z', site_name: 'בית ספר הדר' },
+        }],
+      });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByRole('button', { name: 'התראות (1 חדשות)' }));
+
+      expect(screen.getByText('שכחת לצאת מהמשמרת?')).toBeInTheDocument();
+      expect(screen.getByText(/בית ספר הדר/, { selector: 'span' })).toBeInTheDocument();
+    });
+
+    it('opens the history tab from an auto-closed shift notification', async () => {
+      setupMocks({
+        notifications: [{
+          id: 'n4', kind: 'shift_auto_closed', read_at: null, created_at: '2026-10-19T02:00:00Z',
+          data: {
+            shift_id: 'shift-1', start_time: '2026-10-18T08:00:00Z', end_time: '2026-10-18T12:00:00Z',
+            site_name: 'בית ספר הדר',
+          },
+        }],
+      });
+      const user = userEvent.setup();
+      render(<Dashboard profile={profile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByRole('button', { name: 'התראות (1 חדשות)' }));
+      await user.click(screen.getByText('המשמרת נסגרה אוטומטית — נא לתקן את שעת היציאה'));
+
+      expect(ShiftLogic.markNotificationsRead).toHaveBeenCalledWith(['n4']);
+      expect(screen.getByRole('tab', { name: /היסטוריה/ })).toHaveAttribute('aria-selected', 'true');
+    });
   });
 });
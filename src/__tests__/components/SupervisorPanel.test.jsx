@@ -1,20 +1,44 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 
 vi.mock('../../lib/supabase', () => import('../../__mocks__/supabase'));
 vi.mock('../../lib/ShiftLogic', () => ({
   ShiftLogic: {
     getSupervisorStudents: vi.fn(),
+    getSupervisorStudentHistory: vi.fn(),
     getSupervisorPendingLogs: vi.fn(),
     getSupervisorSites: vi.fn(),
     supervisorApproveLog: vi.fn(),
     supervisorRejectLog: vi.fn(),
+    getLogComments: vi.fn(),
+    addLogComment: vi.fn(),
+    getSupervisorPendingCorrections: vi.fn(),
+    supervisorApproveCorrection: vi.fn(),
+    supervisorRejectCorrection: vi.fn(),
+    getSupervisorReviewShifts: vi.fn(),
+    supervisorReviewShift: vi.fn(),
+    createSiteCheckinToken: vi.fn(),
+    getMonthlyTimesheet: vi.fn(),
+    signMonthlyTimesheet: vi.fn(),
+    getMyDelegations: vi.fn(),
+    getDelegateCandidates: vi.fn(),
+    createDelegation: vi.fn(),
+    revokeDelegation: vi.fn(),
+    getNotifications: vi.fn(),
+    markNotificationsRead: vi.fn(),
+    getNotificationPreferences: vi.fn(),
+    setNotificationPreference: vi.fn(),
   },
 }));
+vi.mock('../../lib/timesheetPdf', () => ({ downloadTimesheetPdf: vi.fn() }));
+vi.mock('qrcode', () => ({
+  default: { toDataURL: vi.fn().mockResolvedValue('data:image/png;base64,qr') },
+}));
 
 import SupervisorPanel from '../../components/SupervisorPanel';
 import { ShiftLogic } from '../../lib/ShiftLogic';
+import { downloadTimesheetPdf } from '../../lib/timesheetPdf';
 import { factory } from '../../__mocks__/supabase';
 
 const supervisorProfile = factory.supervisorProfile();
@@ -23,6 +47,17 @@ function setupMocks(overrides = {}) {
   ShiftLogic.getSupervisorStudents.mockResolvedValue(overrides.students ?? []);
   ShiftLogic.getSupervisorPendingLogs.mockResolvedValue(overrides.pending ?? []);
   ShiftLogic.getSupervisorSites.mockResolvedValue(overrides.sites ?? []);
+  ShiftLogic.getSupervisorPendingCorrections.mockResolvedValue(overrides.corrections ?? []);
+  ShiftLogic.getSupervisorReviewShifts.mockResolvedValue(overrides.reviewShifts ?? []);
+  ShiftLogic.getMonthlyTimesheet.mockResolvedValue(
+    overrides.timesheet ?? { records: [], totalMinutes: 0, signoff: null }
+  );
+  ShiftLogic.getSupervisorStudentHistory.mockResolvedValue(overrides.history ?? []);
+  ShiftLogic.getMyDelegations.mockResolvedValue(overrides.delegations ?? { given: [], received: [] });
+  ShiftLogic.getDelegateCandidates.mockResolvedValue(overrides.candidates ?? []);
+  ShiftLogic.getNotifications.mockResolvedValue(overrides.notifications ?? []);
+  ShiftLogic.markNotificationsRead.mockResolvedValue(1);
+  ShiftLogic.getNotificationPreferences.mockResolvedValue(overrides.notificationPrefs ?? {});
 }
 
 describe('SupervisorPanel Component', () => {
@@ -313,9 +348,94 @@ describe('SupervisorPanel Component', () => {
       await waitFor(() => screen.getByText(/אישור שעות/));
       await user.click(screen.getByText(/אישור שעות/));
       await user.click(screen.getByText('דחה'));
+      await user.type(screen.getByLabelText('סיבת הדחייה'), 'לא נכח/ה באתר');
+      await user.click(screen.getByText('אישור דחייה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.supervisorRejectLog).toHaveBeenCalledWith('log-99', 'לא נכח/ה באתר');
+      });
+    });
+
+    it('approves part of the reported time with a note', async () => {
+      ShiftLogic.supervisorApproveLog.mockResolvedValue({});
+      ShiftLogic.getSupervisorStudents.mockResolvedValue([]);
+      setupMocks({
+        pending: [factory.supervisorPendingLog({ log_id: 'log-77', student_name: 'דנה', duration_minutes: 180 })],
+      });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+      await user.click(screen.getByLabelText('אישור חלקי לדיווח של דנה'));
+      await user.type(screen.getByLabelText('שעות מאושרות'), '2');
+      await user.type(screen.getByLabelText('הערה לסטודנט/ית'), 'הפעילות הסתיימה מוקדם');
+      await user.click(screen.getByText('אשר חלקית'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.supervisorApproveLog).toHaveBeenCalledWith('log-77', {
+          approvedMinutes: 120,
+          note: 'הפעילות הסתיימה מוקדם',
+        });
+        expect(screen.getByText('אושרו 2 שעות מתוך 3 שעות')).toBeInTheDocument();
+      });
+    });
+
+    it('does not partially approve the full reported time', async () => {
+      setupMocks({
+        pending: [factory.supervisorPendingLog({ log_id: 'log-77', student_name: 'דנה', duration_minutes: 60 })],
+      });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+      await user.click(screen.getByLabelText('אישור חלקי לדיווח של דנה'));
+      await user.type(screen.getByLabelText('שעות מאושרות'), '1');
+      await user.click(screen.getByText('אשר חלקית'));
+
+      expect(screen.getByText('נא להזין פחות מ-1 שעות')).toBeInTheDocument();
+      expect(ShiftLogic.supervisorApproveLog).not.toHaveBeenCalled();
+    });
+
+    it('cancels a rejection without calling the RPC', async () => {
+      setupMocks({
+        pending: [factory.supervisorPendingLog({ log_id: 'log-99' })],
+      });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText('דחה'));
+      await user.click(screen.getByText('ביטול'));
+
+      expect(screen.queryByLabelText('סיבת הדחייה')).not.toBeInTheDocument();
+      expect(ShiftLogic.supervisorRejectLog).not.toHaveBeenCalled();
+    });
+
+    it('shows the comment thread of a pending log', async () => {
+      ShiftLogic.getLogComments.mockResolvedValue([
+        { id: 'c1', kind: 'rejection', body: 'חסר תאריך מדויק', author_name: 'מפקח אתר', author_role: 'site_supervisor', created_at: '2026-02-14T10:00:00Z' },
+      ]);
+      setupMocks({
+        pending: [factory.supervisorPendingLog({ log_id: 'log-99', student_name: 'X' })],
+      });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+      await user.click(screen.getByLabelText('הערות לדיווח של X'));
 
       await waitFor(() => {
-        expect(ShiftLogic.supervisorRejectLog).toHaveBeenCalledWith('log-99');
+        expect(ShiftLogic.getLogComments).toHaveBeenCalledWith('log-99');
+        expect(screen.getByText('חסר תאריך מדויק')).toBeInTheDocument();
+        expect(screen.getByText('סיבת דחייה')).toBeInTheDocument();
       });
     });
 
@@ -331,6 +451,8 @@ describe('SupervisorPanel Component', () => {
       await waitFor(() => screen.getByText(/אישור שעות/));
       await user.click(screen.getByText(/אישור שעות/));
       await user.click(screen.getByText('דחה'));
+      await user.type(screen.getByLabelText('סיבת הדחייה'), 'x');
+      await user.click(screen.getByText('אישור דחייה'));
 
       await waitFor(() => {
         expect(screen.getByText('הדיווח נדחה')).toBeInTheDocument();
@@ -383,6 +505,8 @@ describe('SupervisorPanel Component', () => {
       expect(screen.getByText('Rejected Log')).toBeInTheDocument();
 
       await user.click(screen.getByText('דחה'));
+      await user.type(screen.getByLabelText('סיבת הדחייה'), 'x');
+      await user.click(screen.getByText('אישור דחייה'));
 
       await waitFor(() => {
         expect(screen.queryByText('Rejected Log')).not.toBeInTheDocument();
@@ -416,6 +540,500 @@ describe('SupervisorPanel Component', () => {
     });
   });
 
+  // ═══════════════════════════════════════════
+  // SHIFT CORRECTIONS
+  // ═══════════════════════════════════════════
+  describe('shift corrections', () => {
+    it('shows pending correction with reason and site', async () => {
+      setupMocks({ corrections: [factory.supervisorPendingCorrection()] });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות \(1\)/));
+      await user.click(screen.getByText(/אישור שעות \(1\)/));
+
+      expect(screen.getByText('בקשות תיקון משמרת')).toBeInTheDocument();
+      expect(screen.getByText('שכחתי לצאת מהמשמרת')).toBeInTheDocument();
+      expect(screen.getByText('בית ספר הדר')).toBeInTheDocument();
+    });
+
+    it('calls supervisorApproveCorrection and removes the request', async () => {
+      ShiftLogic.supervisorApproveCorrection.mockResolvedValue(null);
+      setupMocks({ corrections: [factory.supervisorPendingCorrection()] });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+      await user.click(screen.getByLabelText('אשר בקשת תיקון של יוסי כהן'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.supervisorApproveCorrection).toHaveBeenCalledWith('corr-1');
+        expect(screen.queryByText('שכחתי לצאת מהמשמרת')).not.toBeInTheDocument();
+        expect(screen.getByText('התיקון אושר והועבר למנהל')).toBeInTheDocument();
+      });
+    });
+
+    it('rejects a correction with a reason', async () => {
+      ShiftLogic.supervisorRejectCorrection.mockResolvedValue(null);
+      setupMocks({ corrections: [factory.supervisorPendingCorrection()] });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+      await user.click(screen.getByLabelText('דחה בקשת תיקון של יוסי כהן'));
+      await user.type(screen.getByLabelText('סיבת הדחייה'), 'השעות לא תואמות');
+      await user.click(screen.getByText('אישור דחייה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.supervisorRejectCorrection).toHaveBeenCalledWith('corr-1', 'השעות לא תואמות');
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // GEOFENCE REVIEW
+  // ═══════════════════════════════════════════
+  describe('geofence review', () => {
+    const reviewShift = {
+      shift_id: 'shift-7',
+      student_name: 'מיכל דוד',
+      student_id: 'student-2',
+      site_name: 'בית ספר הדר',
+      task_description: 'חונכות אנגלית',
+      start_time: '2026-02-14T08:00:00Z',
+      end_time: '2026-02-14T11:00:00Z',
+      duration_minutes: 180,
+      check_in_distance_m: 1450.3,
+      geofence_radius_m: 200,
+      outside_geofence: true,
+    };
+
+    it('lists shifts started outside the radius with the distance', async () => {
+      setupMocks({ reviewShifts: [reviewShift] });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות \(1\)/));
+      await user.click(screen.getByText(/אישור שעות \(1\)/));
+
+      expect(screen.getByText('משמרות לאישור')).toBeInTheDocument();
+      expect(screen.getByText(/1450 מ' מהאתר/)).toBeInTheDocument();
+    });
+
+    it('lists shifts at sites that confirm every shift', async () => {
+      setupMocks({
+        reviewShifts: [{ ...reviewShift, outside_geofence: false, check_in_distance_m: 20 }],
+      });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות \(1\)/));
+      await user.click(screen.getByText(/אישור שעות \(1\)/));
+
+      expect(screen.getByText('בית ספר הדר · דורש אישור מפקח')).toBeInTheDocument();
+      expect(screen.queryByText(/מ' מהאתר/)).not.toBeInTheDocument();
+    });
+
+    it('approves a shift and refreshes students', async () => {
+      ShiftLogic.supervisorReviewShift.mockResolvedValue(null);
+      setupMocks({ reviewShifts: [reviewShift] });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+      await user.click(screen.getByLabelText('אשר משמרת של מיכל דוד'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.supervisorReviewShift).toHaveBeenCalledWith('shift-7', true);
+        expect(ShiftLogic.getSupervisorStudents).toHaveBeenCalledTimes(2);
+        expect(screen.queryByText('חונכות אנגלית')).not.toBeInTheDocument();
+      });
+    });
+
+    it('rejects a shift', async () => {
+      ShiftLogic.supervisorReviewShift.mockResolvedValue(null);
+      setupMocks({ reviewShifts: [reviewShift] });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+      await user.click(screen.getByLabelText('דחה משמרת של מיכל דוד'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.supervisorReviewShift).toHaveBeenCalledWith('shift-7', false);
+        expect(screen.getByText('המשמרת נדחתה')).toBeInTheDocument();
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // GOAL REQUIREMENTS
+  // ═══════════════════════════════════════════
+  describe('goal requirements', () => {
+    it('flags unmet category requirements and lists them in the detail view', async () => {
+      setupMocks({
+        students: [factory.supervisorStudent({
+          requirements_met: false,
+          requirements: [
+            { category: 'tutoring', min_hours: 40, max_hours: null, hours: 12, met: false },
+            { category: 'office_work', min_hours: null, max_hours: 20, hours: 25, met: true },
+          ],
+        })],
+      });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('דרישות קטגוריה חסרות'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+
+      await waitFor(() => {
+        expect(screen.getByText('דרישות יעד לפי קטגוריה')).toBeInTheDocument();
+        expect(screen.getByText(/12.0 \/ 40 שעות ✗/)).toBeInTheDocument();
+        expect(screen.getByText(/25.0 \(עד 20\) שעות ✓/)).toBeInTheDocument();
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // STUDENT HISTORY
+  // ═══════════════════════════════════════════
+  describe('student history', () => {
+    const history = [
+      {
+        record_type: 'shift', record_id: 'shift-1', site_name: 'בית ספר הדר', work_date: '2026-10-12',
+        start_time: '2026-10-12T06:00:00Z', end_time: '2026-10-12T09:30:00Z', break_minutes: 30,
+        duration_minutes: 180, category: 'tutoring', description: 'תגבור במתמטיקה', status: 'completed',
+        outside_geofence: true,
+      },
+      {
+        record_type: 'manual', record_id: 'log-1', site_name: 'בית ספר הדר', work_date: '2026-10-08',
+        duration_minutes: 90, approved_minutes: null, category: 'mentoring', description: 'הכנת מערך שיעור',
+        status: 'pending', supervisor_status: 'pending_supervisor',
+      },
+    ];
+
+    async function openStudent(user) {
+      await waitFor(() => screen.getAllByText('יוסי כהן'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+      await waitFor(() => screen.getByText('משמרות ודיווחים באתרים שלי'));
+    }
+
+    it("lists the student's shifts and logs at my sites", async () => {
+      setupMocks({ students: [factory.supervisorStudent()], history });
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+      await openStudent(user);
+
+      expect(ShiftLogic.getSupervisorStudentHistory).toHaveBeenCalledWith('user-123');
+      await waitFor(() => {
+        expect(screen.getByText('תגבור במתמטיקה')).toBeInTheDocument();
+        expect(screen.getByText('הכנת מערך שיעור')).toBeInTheDocument();
+      });
+      expect(screen.getByText('הפסקה 30 דקות')).toBeInTheDocument();
+      expect(screen.getByText('מחוץ לרדיוס האתר')).toBeInTheDocument();
+      expect(screen.getByText('ממתין לאישור')).toBeInTheDocument();
+    });
+
+    it('filters to manual logs only', async () => {
+      setupMocks({ students: [factory.supervisorStudent()], history });
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+      await openStudent(user);
+      await waitFor(() => screen.getByText('תגבור במתמטיקה'));
+
+      await user.click(screen.getByRole('button', { name: 'דיווחים ידניים' }));
+
+      expect(screen.queryByText('תגבור במתמטיקה')).not.toBeInTheDocument();
+      expect(screen.getByText('הכנת מערך שיעור')).toBeInTheDocument();
+    });
+
+    it('shows an empty state', async () => {
+      setupMocks({ students: [factory.supervisorStudent()] });
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+      await openStudent(user);
+
+      await waitFor(() => expect(screen.getByText('אין רשומות בשנה זו')).toBeInTheDocument());
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // MONTHLY TIMESHEET
+  // ═══════════════════════════════════════════
+  describe('monthly timesheet', () => {
+    const timesheet = {
+      records: [{
+        record_type: 'shift', record_id: 'shift-1', work_date: '2026-09-03',
+        start_time: '2026-09-03T06:00:00Z', end_time: '2026-09-03T09:00:00Z',
+        duration_minutes: 180, category: 'tutoring',
+      }],
+      totalMinutes: 180,
+      signoff: null,
+    };
+
+    async function openStudent(user) {
+      await waitFor(() => screen.getAllByText('יוסי כהן'));
+      await user.click(screen.getAllByText('יוסי כהן')[0]);
+      await waitFor(() => screen.getByText('דוח שעות חודשי'));
+    }
+
+    it('loads the current month for the selected student', async () => {
+      setupMocks({ students: [factory.supervisorStudent()], timesheet });
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+      await openStudent(user);
+
+      expect(ShiftLogic.getMonthlyTimesheet).toHaveBeenCalledWith('user-123', 'site-1', expect.stringMatching(/^\d{4}-\d{2}$/));
+      await waitFor(() => {
+        expect(screen.getByText('סה"כ: 3 שעות')).toBeInTheDocument();
+        expect(screen.getByText('הדוח טרם נחתם. לאחר החתימה לא ניתן לשנות את רשומות האתר בחודש זה.')).toBeInTheDocument();
+      });
+    });
+
+    it('reloads when another month is picked', async () => {
+      setupMocks({ students: [factory.supervisorStudent()], timesheet });
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+      await openStudent(user);
+
+      fireEvent.change(screen.getByLabelText('חודש'), { target: { value: '2026-09' } });
+
+      await waitFor(() => {
+        expect(ShiftLogic.getMonthlyTimesheet).toHaveBeenCalledWith('user-123', 'site-1', '2026-09');
+      });
+    });
+
+    it('signs the month and shows who signed', async () => {
+      setupMocks({ students: [factory.supervisorStudent()], timesheet });
+      ShiftLogic.signMonthlyTimesheet.mockResolvedValue({ id: 'signoff-1' });
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+      await openStudent(user);
+      await waitFor(() => screen.getByText('חתום על הדוח'));
+
+      ShiftLogic.getMonthlyTimesheet.mockResolvedValue({
+        ...timesheet,
+        signoff: { signed_by_name: 'מפקח אתר', signed_at: '2026-10-02T08:00:00Z' },
+      });
+      await user.click(screen.getByText('חתום על הדוח'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.signMonthlyTimesheet).toHaveBeenCalledWith('user-123', 'site-1', expect.stringMatching(/^\d{4}-\d{2}$/));
+        expect(screen.getByText('הדוח החודשי נחתם')).toBeInTheDocument();
+        expect(screen.getByText(/נחתם על ידי מפקח אתר/)).toBeInTheDocument();
+        expect(screen.queryByText('חתום על הדוח')).not.toBeInTheDocument();
+      });
+    });
+
+    it('shows the error when signing fails', async () => {
+      setupMocks({ students: [factory.supervisorStudent()], timesheet });
+      ShiftLogic.signMonthlyTimesheet.mockRejectedValue(new Error('לא ניתן לחתום על חודש עתידי'));
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+      await openStudent(user);
+      await waitFor(() => screen.getByText('חתום על הדוח'));
+
+      await user.click(screen.getByText('חתום על הדוח'));
+
+      await waitFor(() => {
+        expect(screen.getByText('לא ניתן לחתום על חודש עתידי')).toBeInTheDocument();
+      });
+    });
+
+    it('downloads the timesheet PDF', async () => {
+      setupMocks({ students: [factory.supervisorStudent()], timesheet });
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+      await openStudent(user);
+      await waitFor(() => screen.getByText('הורדת PDF'));
+
+      await user.click(screen.getByText('הורדת PDF'));
+
+      await waitFor(() => {
+        expect(downloadTimesheetPdf).toHaveBeenCalledWith(
+          expect.objectContaining({ studentName: 'יוסי כהן', siteName: 'בית ספר הדר', totalMinutes: 180 }),
+          expect.objectContaining({ tutoring: 'חונכות' })
+        );
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // QR CHECK-IN
+  // ═══════════════════════════════════════════
+  describe('QR check-in', () => {
+    const token = {
+      token: 'tok-abc',
+      code: '482913',
+      expires_at: new Date(Date.now() + 90000).toISOString(),
+    };
+
+    it('shows the rotating QR and manual code for a single site', async () => {
+      setupMocks({ sites: [{ id: 'site-1', name: 'בית ספר הדר' }] });
+      ShiftLogic.createSiteCheckinToken.mockResolvedValue(token);
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('QR כניסה'));
+      await user.click(screen.getByText('QR כניסה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.createSiteCheckinToken).toHaveBeenCalledWith('site-1');
+        expect(screen.getByText('482913')).toBeInTheDocument();
+        expect(screen.getByAltText(/קוד QR לכניסה למשמרת/)).toHaveAttribute('src', 'data:image/png;base64,qr');
+      });
+    });
+
+    it('asks to pick a site when supervising several', async () => {
+      setupMocks({
+        sites: [{ id: 'site-1', name: 'בית ספר הדר' }, { id: 'site-2', name: 'מתנ"ס גילה' }],
+      });
+      ShiftLogic.createSiteCheckinToken.mockResolvedValue(token);
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('QR כניסה'));
+      await user.click(screen.getByText('QR כניסה'));
+
+      expect(screen.getByText('בחר אתר להצגת קוד הכניסה')).toBeInTheDocument();
+      expect(ShiftLogic.createSiteCheckinToken).not.toHaveBeenCalled();
+
+      await user.click(screen.getByText('מתנ"ס גילה'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.createSiteCheckinToken).toHaveBeenCalledWith('site-2');
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // DELEGATIONS
+  // ═══════════════════════════════════════════
+  describe('delegations', () => {
+    const delegation = {
+      id: 'del-1',
+      site_id: 'site-1',
+      site_name: 'בית ספר הדר',
+      delegator_id: 'supervisor-123',
+      delegator_name: 'מפקח אתר',
+      delegate_id: 'sup-2',
+      delegate_name: 'רונית לוי',
+      starts_on: '2026-10-20',
+      ends_on: '2026-11-10',
+    };
+
+    it('creates a delegation for the only site', async () => {
+      setupMocks({
+        sites: [{ id: 'site-1', name: 'בית ספר הדר' }],
+        candidates: [{ id: 'sup-2', full_name: 'רונית לוי' }],
+      });
+      ShiftLogic.createDelegation.mockResolvedValue({ id: 'del-1' });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('האצלת סמכויות'));
+      await user.click(screen.getByText('האצלת סמכויות'));
+      await waitFor(() => screen.getByRole('option', { name: 'רונית לוי' }));
+
+      await user.selectOptions(screen.getByLabelText('ממלא/ת מקום'), 'sup-2');
+      fireEvent.change(screen.getByLabelText('מתאריך'), { target: { value: '2026-10-20' } });
+      fireEvent.change(screen.getByLabelText('עד תאריך'), { target: { value: '2026-11-10' } });
+      await user.click(screen.getByRole('button', { name: /האצל סמכויות/ }));
+
+      await waitFor(() => {
+        expect(ShiftLogic.createDelegation).toHaveBeenCalledWith({
+          siteId: 'site-1', delegateId: 'sup-2', startsOn: '2026-10-20', endsOn: '2026-11-10',
+        });
+        expect(screen.getByText('ההאצלה נשמרה')).toBeInTheDocument();
+      });
+    });
+
+    it('revokes a delegation', async () => {
+      setupMocks({
+        sites: [{ id: 'site-1', name: 'בית ספר הדר' }],
+        delegations: { given: [delegation], received: [] },
+      });
+      ShiftLogic.revokeDelegation.mockResolvedValue(undefined);
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText('האצלת סמכויות'));
+      await user.click(screen.getByText('האצלת סמכויות'));
+      await user.click(screen.getByLabelText('בטל האצלה לרונית לוי'));
+
+      await waitFor(() => {
+        expect(ShiftLogic.revokeDelegation).toHaveBeenCalledWith('del-1');
+        expect(screen.getByText('ההאצלה לרונית לוי בוטלה')).toBeInTheDocument();
+        expect(screen.getByText('אין האצלות פעילות')).toBeInTheDocument();
+      });
+    });
+
+    it('tells the delegate whom they stand in for', async () => {
+      setupMocks({
+        delegations: {
+          given: [],
+          received: [{ ...delegation, delegator_name: 'דוד כהן', delegate_id: 'supervisor-123' }],
+        },
+      });
+
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/ממלא\/ת מקום של דוד כהן בבית ספר הדר/)).toBeInTheDocument();
+      });
+    });
+
+    it('marks logs approved on behalf of the delegator', async () => {
+      setupMocks({ pending: [factory.supervisorPendingLog({ on_behalf_of_name: 'דוד כהן' })] });
+
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await waitFor(() => screen.getByText(/אישור שעות/));
+      await user.click(screen.getByText(/אישור שעות/));
+
+      expect(screen.getByText('בשם דוד כהן')).toBeInTheDocument();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // NOTIFICATIONS
+  // ═══════════════════════════════════════════
+  describe('notifications', () => {
+    it('groups waiting logs per site and opens the approvals tab', async () => {
+      setupMocks({
+        notifications: [{
+          id: 'n1', kind: 'logs_waiting', read_at: null, created_at: '2026-10-18T10:00:00Z',
+          data: { site_id: 'site-1', site_name: 'בית ספר הדר', count: 3 },
+        }],
+      });
+      const user = userEvent.setup();
+      render(<SupervisorPanel profile={supervisorProfile} onLogout={vi.fn()} />);
+
+      await user.click(await screen.findByRole('button', { name: 'התראות (1 חדשות)' }));
+      await user.click(screen.getByText('3 דיווחים חדשים ממתינים לאישור באתר בית ספר הדר'));
+
+      expect(ShiftLogic.markNotificationsRead).toHaveBeenCalledWith(['n1']);
+      expect(screen.getByRole('tab', { name: /אישור שעות/ })).toHaveAttribute('aria-selected', 'true');
+    });
+  });
+
   // ═══════════════════════════════════════════
   // LOGOUT
   // ═══════════════════════════════════════════
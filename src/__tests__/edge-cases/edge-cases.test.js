@@ -84,18 +84,18 @@ describe('Edge Cases', () => {
     });
 
     it('admin approveLog propagates errors', async () => {
-      supabaseFetch.mockRejectedValue(new Error('RLS violation'));
+      supabaseRpc.mockRejectedValue(new Error('Not authorized'));
 
       await expect(
-        ShiftLogic.approveLog('log-1', 'admin-1')
-      ).rejects.toThrow('RLS violation');
+        ShiftLogic.approveLog('log-1')
+      ).rejects.toThrow('Not authorized');
     });
 
     it('admin rejectLog propagates errors', async () => {
-      supabaseFetch.mockRejectedValue(new Error('Server error'));
+      supabaseRpc.mockRejectedValue(new Error('Server error'));
 
       await expect(
-        ShiftLogic.rejectLog('log-1', 'admin-1')
+        ShiftLogic.rejectLog('log-1', 'תיאור חסר')
       ).rejects.toThrow('Server error');
     });
 
@@ -174,25 +174,18 @@ describe('Edge Cases', () => {
       expect(r.shiftHours).toBe(2); // filters out falsy duration_minutes
     });
 
-    it('approveLog sends timestamp', async () => {
-      supabaseFetch.mockResolvedValue(factory.approvedLog());
+    it('approveLog leaves the review timestamp to the server', async () => {
+      await ShiftLogic.approveLog('log-1');
 
-      const before = new Date().toISOString();
-      await ShiftLogic.approveLog('log-1', 'admin-1');
-      const after = new Date().toISOString();
-
-      const body = supabaseFetch.mock.calls[0][1].body;
-      expect(body.reviewed_at >= before).toBe(true);
-      expect(body.reviewed_at <= after).toBe(true);
+      expect(supabaseFetch).not.toHaveBeenCalled();
+      expect(supabaseRpc.mock.calls[0][0]).toBe('approve_manual_log');
+      expect(supabaseRpc.mock.calls[0][1]).not.toHaveProperty('reviewed_at');
     });
 
-    it('rejectLog sends correct reviewer ID', async () => {
-      supabaseFetch.mockResolvedValue(factory.rejectedLog());
+    it('rejectLog trims the reason', async () => {
+      await ShiftLogic.rejectLog('log-1', '  חסר תיאור  ');
 
-      await ShiftLogic.rejectLog('log-1', 'specific-admin-id');
-
-      const body = supabaseFetch.mock.calls[0][1].body;
-      expect(body.reviewed_by).toBe('specific-admin-id');
+      expect(supabaseRpc.mock.calls[0][1].p_reason).toBe('חסר תיאור');
     });
   });
 
@@ -41,7 +41,7 @@ describe('ShiftLogic', () => {
 
       const result = await ShiftLogic.getActiveShift('user-123');
 
-      expect(supabaseFetch).toHaveBeenCalledWith('shifts?user_id=eq.user-123&status=eq.active');
+      expect(supabaseFetch).toHaveBeenCalledWith('shifts?user_id=eq.user-123&status=eq.active&select=*,shift_breaks(id,start_time,end_time)');
       expect(result).toEqual(shift);
     });
 
@@ -161,6 +161,63 @@ describe('ShiftLogic', () => {
       supabaseFetch.mockRejectedValue(new Error('Network error'));
       await expect(ShiftLogic.checkOut('x')).rejects.toThrow('Network error');
     });
+
+    it('includes check-out location when provided', async () => {
+      supabaseFetch.mockResolvedValue(factory.shift());
+
+      await ShiftLogic.checkOut('shift-001', { lat: 32.1, lng: 34.8, accuracy: 20 });
+
+      expect(supabaseFetch.mock.calls[0][1].body).toMatchObject({
+        check_out_lat: 32.1,
+        check_out_lng: 34.8,
+        check_out_accuracy_m: 20,
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // breaks
+  // ═══════════════════════════════════════════
+  describe('updateShiftCategory', () => {
+    it('sends PATCH limited to the active shift', async () => {
+      supabaseFetch.mockResolvedValue(factory.activeShift({ category: 'tutoring' }));
+
+      await ShiftLogic.updateShiftCategory('shift-active', 'tutoring');
+
+      expect(supabaseFetch).toHaveBeenCalledWith('shifts?id=eq.shift-active&status=eq.active', {
+        method: 'PATCH',
+        body: { category: 'tutoring' },
+        single: true,
+      });
+    });
+  });
+
+  describe('startBreak', () => {
+    it('opens a break on the shift', async () => {
+      supabaseFetch.mockResolvedValue({ id: 'break-1' });
+
+      await ShiftLogic.startBreak('shift-001');
+
+      expect(supabaseFetch).toHaveBeenCalledWith('shift_breaks', {
+        method: 'POST',
+        body: { shift_id: 'shift-001', start_time: expect.any(String) },
+        single: true,
+      });
+    });
+  });
+
+  describe('endBreak', () => {
+    it('sends PATCH with end_time', async () => {
+      supabaseFetch.mockResolvedValue({ id: 'break-1' });
+
+      await ShiftLogic.endBreak('break-1');
+
+      expect(supabaseFetch).toHaveBeenCalledWith('shift_breaks?id=eq.break-1', {
+        method: 'PATCH',
+        body: { end_time: expect.any(String) },
+        single: true,
+      });
+    });
   });
 
   // ═══════════════════════════════════════════
@@ -173,7 +230,7 @@ describe('ShiftLogic', () => {
 
       const result = await ShiftLogic.getShifts('user-123');
 
-      expect(supabaseFetch).toHaveBeenCalledWith('shifts?user_id=eq.user-123&order=start_time.desc');
+      expect(supabaseFetch).toHaveBeenCalledWith('shifts?user_id=eq.user-123&select=*,shift_breaks(id,start_time,end_time)&order=start_time.desc');
       expect(result).toHaveLength(2);
     });
 
@@ -264,6 +321,21 @@ describe('ShiftLogic', () => {
       expect(r.goal).toBe(150);
     });
 
+    it('counts the approved minutes of a partially approved log', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([
+          factory.approvedLog({ duration_minutes: 180, approved_minutes: 120 }), // 2h of 3h
+          factory.approvedLog({ duration_minutes: 60, approved_minutes: null }), // 1h
+        ]);
+
+      const r = await ShiftLogic.calculateProgress('user-123', 150);
+
+      expect(r.approvedManualHours).toBe(3);
+      expect(r.totalHours).toBe(3);
+      expect(r.byCategory[0].manualHours).toBe(3);
+    });
+
     it('caps progressPercent at 100', async () => {
       supabaseFetch
         .mockResolvedValueOnce([factory.shift({ duration_minutes: 10000 })])
@@ -297,6 +369,19 @@ describe('ShiftLogic', () => {
       expect(r.shiftHours).toBe(1);
     });
 
+    it('leaves out auto-closed shifts until they are corrected', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([
+          factory.shift({ duration_minutes: 240, auto_closed: true, needs_correction: true }),
+          factory.shift({ duration_minutes: 60, auto_closed: true, needs_correction: false }),
+        ])
+        .mockResolvedValueOnce([]);
+
+      const r = await ShiftLogic.calculateProgress('user-123');
+      expect(r.shiftHours).toBe(1);
+      expect(r.byCategory[0].shiftHours).toBe(1);
+    });
+
     it('uses default goal of 150', async () => {
       supabaseFetch.mockResolvedValueOnce([]).mockResolvedValueOnce([]);
       const r = await ShiftLogic.calculateProgress('user-123');
@@ -321,43 +406,374 @@ describe('ShiftLogic', () => {
       const r = await ShiftLogic.calculateProgress('user-123');
       expect(r.shiftHours).toBeCloseTo(0.0547, 3);
     });
+
+    it('counts only the given academic year and uses its goal', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([
+          factory.shift({ start_time: '2025-09-01T08:00:00Z', duration_minutes: 120 }), // 2025-2026
+          factory.shift({ start_time: '2025-08-31T08:00:00Z', duration_minutes: 600 }), // 2024-2025
+        ])
+        .mockResolvedValueOnce([
+          factory.approvedLog({ date: '2026-08-31', duration_minutes: 60 }), // 2025-2026
+          factory.approvedLog({ date: '2026-09-01', duration_minutes: 90 }), // 2026-2027
+        ])
+        .mockResolvedValueOnce({ total_goal: 30 });
+
+      const r = await ShiftLogic.calculateProgress('user-123', 150, '2025-2026');
+
+      expect(supabaseFetch).toHaveBeenCalledWith(
+        'student_year_goals?student_id=eq.user-123&academic_year=eq.2025-2026',
+        { single: true }
+      );
+      expect(r.totalHours).toBe(3);
+      expect(r.goal).toBe(30);
+      expect(r.progressPercent).toBe(10);
+    });
+
+    it('reads shift times in Israel time at the September boundary', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([
+          factory.shift({ start_time: '2026-08-31T22:30:00Z', duration_minutes: 60 }), // 1 Sep 01:30 in Israel
+          factory.shift({ start_time: '2026-08-31T20:30:00Z', duration_minutes: 120 }), // 31 Aug 23:30 in Israel
+        ])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(null);
+
+      const r = await ShiftLogic.calculateProgress('user-123', 150, '2026-2027');
+      expect(r.totalHours).toBe(1);
+    });
+
+    it('keeps the given goal when the year has none', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(null);
+
+      const r = await ShiftLogic.calculateProgress('user-123', 120, '2025-2026');
+      expect(r.goal).toBe(120);
+    });
+  });
+
+  describe('hours certificates', () => {
+    it('issueHoursCertificate calls the RPC for the student and year', async () => {
+      supabaseRpc.mockResolvedValue({ id: 'cert-1', verification_code: 'A1B2C-D3E4F' });
+
+      const cert = await ShiftLogic.issueHoursCertificate('user-123', '2025-2026');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('issue_hours_certificate', {
+        p_student_id: 'user-123',
+        p_academic_year: '2025-2026',
+      });
+      expect(cert.verification_code).toBe('A1B2C-D3E4F');
+    });
+
+    it('verifyHoursCertificate returns the match or null', async () => {
+      supabaseRpc.mockResolvedValueOnce([{ id: 'cert-1' }]).mockResolvedValueOnce([]);
+
+      expect(await ShiftLogic.verifyHoursCertificate(' a1b2c-d3e4f ')).toEqual({ id: 'cert-1' });
+      expect(supabaseRpc).toHaveBeenCalledWith('verify_hours_certificate', { p_code: 'a1b2c-d3e4f' });
+      expect(await ShiftLogic.verifyHoursCertificate('NOPE')).toBeNull();
+    });
+
+    it('verifyHoursCertificate rejects an empty code', async () => {
+      await expect(ShiftLogic.verifyHoursCertificate('  ')).rejects.toThrow('יש להזין קוד אימות');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setYearGoal', () => {
+    it('upserts the goal for the student and year', async () => {
+      supabaseFetch.mockResolvedValue({ student_id: 'user-123', academic_year: '2026-2027', total_goal: 120 });
+
+      await ShiftLogic.setYearGoal('user-123', '2026-2027', 120);
+
+      expect(supabaseFetch).toHaveBeenCalledWith('student_year_goals', {
+        method: 'POST',
+        body: {
+          student_id: 'user-123',
+          academic_year: '2026-2027',
+          total_goal: 120,
+          updated_at: expect.any(String),
+        },
+        headers: { 'Prefer': 'resolution=merge-duplicates,return=representation' },
+        single: true,
+      });
+    });
+
+    it('rejects a non-positive goal', async () => {
+      await expect(ShiftLogic.setYearGoal('user-123', '2026-2027', 0))
+        .rejects.toThrow('יעד השעות חייב להיות מספר חיובי');
+      expect(supabaseFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('goal requirements', () => {
+    const byCategory = [
+      { category: 'tutoring', shiftHours: 30, manualHours: 0, totalHours: 30 },
+      { category: 'office_work', shiftHours: 25, manualHours: 5, totalHours: 30 },
+      { category: 'other', shiftHours: 10, manualHours: 0, totalHours: 10 },
+    ];
+
+    it('caps hours above a category max and checks minimums', () => {
+      const r = ShiftLogic.evaluateGoalRequirements(byCategory, [
+        { category: 'tutoring', min_hours: 40, max_hours: null },
+        { category: 'office_work', min_hours: null, max_hours: '20' },
+      ]);
+
+      expect(r.countedHours).toBe(60); // 30 + 20 (capped) + 10
+      expect(r.requirements).toEqual([
+        { category: 'tutoring', minHours: 40, maxHours: null, hours: 30, met: false },
+        { category: 'office_work', minHours: null, maxHours: 20, hours: 30, met: true },
+      ]);
+      expect(r.requirementsMet).toBe(false);
+    });
+
+    it('a minimum in a category with no hours is unmet', () => {
+      const r = ShiftLogic.evaluateGoalRequirements([], [{ category: 'mentoring', min_hours: 5, max_hours: null }]);
+      expect(r.requirements[0]).toMatchObject({ hours: 0, met: false });
+    });
+
+    it('without rules counts everything and is met', () => {
+      const r = ShiftLogic.evaluateGoalRequirements(byCategory, []);
+      expect(r.countedHours).toBe(70);
+      expect(r.requirementsMet).toBe(true);
+    });
+
+    it('calculateProgress bases progress on counted hours', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([
+          factory.shift({ category: 'office_work', duration_minutes: 1800 }), // 30h
+          factory.shift({ category: 'tutoring', duration_minutes: 600 }),     // 10h
+        ])
+        .mockResolvedValueOnce([]);
+      supabaseRpc.mockResolvedValue([{ category: 'office_work', min_hours: null, max_hours: 20 }]);
+
+      const r = await ShiftLogic.calculateProgress('user-123', 100);
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_student_goal_requirements', {
+        p_student_id: 'user-123',
+        p_academic_year: null,
+      });
+      expect(r.totalHours).toBe(40);
+      expect(r.countedHours).toBe(30);
+      expect(r.progressPercent).toBe(30);
+      expect(r.requirementsMet).toBe(true);
+    });
+
+    it('getStudentGoalRequirements returns [] when null', async () => {
+      supabaseRpc.mockResolvedValue(null);
+      expect(await ShiftLogic.getStudentGoalRequirements('user-123')).toEqual([]);
+    });
+  });
+
+  describe('summarizeByCategory', () => {
+    it('groups completed shifts and approved logs by category, largest first', () => {
+      const rows = ShiftLogic.summarizeByCategory(
+        [
+          factory.shift({ category: 'tutoring', duration_minutes: 120 }),
+          factory.shift({ category: 'tutoring', duration_minutes: '60' }),
+          factory.shift({ category: 'mentoring', status: 'needs_review', duration_minutes: 300 }),
+          factory.shift({ category: 'office_work', duration_minutes: 30 }),
+        ],
+        [
+          factory.approvedLog({ category: 'office_work', duration_minutes: 90 }),
+          factory.manualLog({ category: 'tutoring', duration_minutes: 600, status: 'pending' }),
+        ],
+      );
+
+      expect(rows).toEqual([
+        { category: 'tutoring', shiftHours: 3, manualHours: 0, totalHours: 3 },
+        { category: 'office_work', shiftHours: 0.5, manualHours: 1.5, totalHours: 2 },
+      ]);
+    });
+
+    it('buckets a missing category under other', () => {
+      const rows = ShiftLogic.summarizeByCategory([factory.shift({ category: null, duration_minutes: 60 })], []);
+      expect(rows[0].category).toBe('other');
+    });
+
+    it('calculateProgress includes the breakdown', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([factory.shift({ category: 'mentoring', duration_minutes: 120 })])
+        .mockResolvedValueOnce([]);
+
+      const r = await ShiftLogic.calculateProgress('user-123');
+      expect(r.byCategory).toEqual([{ category: 'mentoring', shiftHours: 2, manualHours: 0, totalHours: 2 }]);
+    });
+
+    it('getCategoryBreakdown loads the student shifts and logs', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([factory.shift({ category: 'tutoring', duration_minutes: 60 })])
+        .mockResolvedValueOnce([]);
+
+      const rows = await ShiftLogic.getCategoryBreakdown('student-1');
+
+      expect(supabaseFetch.mock.calls[0][0]).toContain('user_id=eq.student-1');
+      expect(supabaseFetch.mock.calls[1][0]).toContain('user_id=eq.student-1');
+      expect(rows).toHaveLength(1);
+    });
   });
 
   // ═══════════════════════════════════════════
   // ADMIN: approveLog / rejectLog
   // ═══════════════════════════════════════════
   describe('approveLog', () => {
-    it('sends PATCH with approved status and reviewer', async () => {
-      supabaseFetch.mockResolvedValue(factory.approvedLog());
+    it('calls RPC approve_manual_log, which records the reviewer', async () => {
+      await ShiftLogic.approveLog('log-001');
+
+      expect(supabaseFetch).not.toHaveBeenCalled();
+      expect(supabaseRpc).toHaveBeenCalledWith('approve_manual_log', {
+        p_log_id: 'log-001',
+        p_approved_minutes: null,
+        p_note: null,
+      });
+    });
+  });
 
-      await ShiftLogic.approveLog('log-001', 'admin-123');
+  describe('approveLog (partial)', () => {
+    it('calls RPC approve_manual_log with the approved minutes and note', async () => {
+      await ShiftLogic.approveLog('log-001', { approvedMinutes: 90, note: '  הפעילות הסתיימה מוקדם ' });
 
-      expect(supabaseFetch).toHaveBeenCalledWith('manual_logs?id=eq.log-001', {
-        method: 'PATCH',
-        body: expect.objectContaining({
-          status: 'approved',
-          reviewed_by: 'admin-123',
-          reviewed_at: expect.any(String),
-        }),
-        single: true,
+      expect(supabaseFetch).not.toHaveBeenCalled();
+      expect(supabaseRpc).toHaveBeenCalledWith('approve_manual_log', {
+        p_log_id: 'log-001',
+        p_approved_minutes: 90,
+        p_note: 'הפעילות הסתיימה מוקדם',
       });
     });
+
+    it('requires a note for the student', async () => {
+      await expect(ShiftLogic.approveLog('log-001', { approvedMinutes: 90, note: ' ' }))
+        .rejects.toThrow('יש להוסיף הערה לסטודנט/ית על השעות שאושרו');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+
+    it('rejects a non-positive duration', async () => {
+      await expect(ShiftLogic.approveLog('log-001', { approvedMinutes: 0, note: 'x' }))
+        .rejects.toThrow('נא להזין משך מאושר תקין');
+    });
   });
 
   describe('rejectLog', () => {
-    it('sends PATCH with rejected status and reviewer', async () => {
-      supabaseFetch.mockResolvedValue(factory.rejectedLog());
+    it('calls RPC reject_manual_log with the reason', async () => {
+      await ShiftLogic.rejectLog('log-001', 'חסרים פרטים על הפעילות');
 
-      await ShiftLogic.rejectLog('log-001', 'admin-123');
+      expect(supabaseRpc).toHaveBeenCalledWith('reject_manual_log', {
+        p_log_id: 'log-001',
+        p_reason: 'חסרים פרטים על הפעילות',
+      });
+    });
 
-      expect(supabaseFetch).toHaveBeenCalledWith('manual_logs?id=eq.log-001', {
-        method: 'PATCH',
-        body: expect.objectContaining({
-          status: 'rejected',
-          reviewed_by: 'admin-123',
-        }),
-        single: true,
+    it('requires a reason', async () => {
+      await expect(ShiftLogic.rejectLog('log-001', '   ')).rejects.toThrow('יש לציין סיבת דחייה');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewLogsBulk', () => {
+    it('sends the batch in one RPC and counts the outcome', async () => {
+      supabaseRpc.mockResolvedValue([
+        { log_id: 'log-1', result: 'approved' },
+        { log_id: 'log-2', result: 'approved' },
+        { log_id: 'log-3', result: 'already_reviewed' },
+      ]);
+
+      const r = await ShiftLogic.reviewLogsBulk(['log-1', 'log-2', 'log-3'], true);
+
+      expect(supabaseRpc).toHaveBeenCalledWith('review_manual_logs_bulk', {
+        p_log_ids: ['log-1', 'log-2', 'log-3'],
+        p_approve: true,
+        p_reason: null,
+      });
+      expect(r.applied).toBe(2);
+      expect(r.skipped).toBe(1);
+      expect(r.results).toHaveLength(3);
+    });
+
+    it('counts logs still within the supervisor SLA separately', async () => {
+      supabaseRpc.mockResolvedValue([
+        { log_id: 'log-1', result: 'approved' },
+        { log_id: 'log-2', result: 'awaiting_supervisor' },
+      ]);
+
+      const r = await ShiftLogic.reviewLogsBulk(['log-1', 'log-2'], true);
+
+      expect(r.applied).toBe(1);
+      expect(r.awaitingSupervisor).toBe(1);
+      expect(r.skipped).toBe(0);
+    });
+
+    it('passes the shared rejection reason', async () => {
+      supabaseRpc.mockResolvedValue([{ log_id: 'log-1', result: 'rejected' }]);
+
+      await ShiftLogic.reviewLogsBulk(['log-1'], false, ' חסר פירוט ');
+
+      expect(supabaseRpc.mock.calls[0][1]).toMatchObject({ p_approve: false, p_reason: 'חסר פירוט' });
+    });
+
+    it('requires a selection and a reason for rejection', async () => {
+      await expect(ShiftLogic.reviewLogsBulk([], true)).rejects.toThrow('לא נבחרו דיווחים');
+      await expect(ShiftLogic.reviewLogsBulk(['log-1'], false, '')).rejects.toThrow('יש לציין סיבת דחייה');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // Manual log resubmission + comment thread
+  // ═══════════════════════════════════════════
+  describe('resubmitManualLog', () => {
+    it('calls RPC resubmit_manual_log with the edited values', async () => {
+      supabaseRpc.mockResolvedValue(factory.manualLog());
+
+      await ShiftLogic.resubmitManualLog('log-001', {
+        date: '2026-10-01', durationMinutes: 90, description: ' חונכות ', category: 'tutoring', note: '',
       });
+
+      expect(supabaseRpc).toHaveBeenCalledWith('resubmit_manual_log', {
+        p_log_id: 'log-001',
+        p_date: '2026-10-01',
+        p_duration_minutes: 90,
+        p_description: 'חונכות',
+        p_category: 'tutoring',
+        p_note: null,
+      });
+    });
+
+    it('rejects a zero duration or empty description', async () => {
+      await expect(ShiftLogic.resubmitManualLog('log-001', {
+        date: '2026-10-01', durationMinutes: 0, description: 'x', category: 'other',
+      })).rejects.toThrow('נא להזין משך זמן תקין');
+      await expect(ShiftLogic.resubmitManualLog('log-001', {
+        date: '2026-10-01', durationMinutes: 30, description: ' ', category: 'other',
+      })).rejects.toThrow('נא להזין תיאור');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('log comments', () => {
+    it('getLogComments loads the thread oldest first with authors', async () => {
+      supabaseFetch.mockResolvedValue([
+        { id: 'c1', kind: 'rejection', body: 'חסר תיאור', profiles: { full_name: 'מפקח אתר', role: 'site_supervisor' } },
+        { id: 'c2', kind: 'comment', body: 'תיקנתי', profiles: null },
+      ]);
+
+      const result = await ShiftLogic.getLogComments('log-001');
+
+      expect(supabaseFetch).toHaveBeenCalledWith(
+        'manual_log_comments?log_id=eq.log-001&select=*,profiles(full_name,role)&order=created_at.asc'
+      );
+      expect(result[0]).toMatchObject({ author_name: 'מפקח אתר', author_role: 'site_supervisor' });
+      expect(result[1]).toMatchObject({ author_name: 'לא ידוע', author_role: null });
+    });
+
+    it('addLogComment posts through the RPC', async () => {
+      await ShiftLogic.addLogComment('log-001', ' עודכן ');
+      expect(supabaseRpc).toHaveBeenCalledWith('add_manual_log_comment', { p_log_id: 'log-001', p_body: 'עודכן' });
+    });
+
+    it('addLogComment rejects an empty comment', async () => {
+      await expect(ShiftLogic.addLogComment('log-001', '')).rejects.toThrow('נא להזין תגובה');
+      expect(supabaseRpc).not.toHaveBeenCalled();
     });
   });
 
@@ -370,11 +786,50 @@ describe('ShiftLogic', () => {
 
       const result = await ShiftLogic.getAllStudentsSummary();
 
-      expect(supabaseRpc).toHaveBeenCalledWith('get_all_students_summary');
+      expect(supabaseRpc).toHaveBeenCalledWith('get_all_students_summary', { p_academic_year: null });
       expect(result).toHaveLength(1);
     });
   });
 
+  describe('getHoursExport', () => {
+    it('fetches the summary for the range and filters by site', async () => {
+      supabaseRpc.mockResolvedValue([
+        factory.studentSummary({ student_id: 's1', site_id: 'site-1' }),
+        factory.studentSummary({ student_id: 's2', site_id: 'site-2' }),
+      ]);
+
+      const r = await ShiftLogic.getHoursExport({
+        academicYear: '2025-2026', from: '2026-02-01', to: '2026-02-28', siteId: 'site-1',
+      });
+
+      expect(supabaseRpc).toHaveBeenCalledTimes(1);
+      expect(supabaseRpc).toHaveBeenCalledWith('get_all_students_summary', {
+        p_academic_year: '2025-2026', p_from: '2026-02-01', p_to: '2026-02-28',
+      });
+      expect(r.summary.map(s => s.student_id)).toEqual(['s1']);
+      expect(r.detail).toEqual([]);
+    });
+
+    it('fetches the detail rows when detailed', async () => {
+      supabaseRpc
+        .mockResolvedValueOnce([factory.studentSummary()])
+        .mockResolvedValueOnce([{ record_type: 'shift' }]);
+
+      const r = await ShiftLogic.getHoursExport({ academicYear: '2025-2026', detailed: true });
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_hours_export_detail', {
+        p_academic_year: '2025-2026', p_from: null, p_to: null, p_site_id: null,
+      });
+      expect(r.detail).toHaveLength(1);
+    });
+
+    it('rejects a range that ends before it starts', async () => {
+      await expect(ShiftLogic.getHoursExport({ from: '2026-03-01', to: '2026-02-01' }))
+        .rejects.toThrow('תאריך ההתחלה חייב להיות לפני תאריך הסיום');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
   // ═══════════════════════════════════════════
   // ADMIN: getAllPendingLogs
   // ═══════════════════════════════════════════
@@ -397,6 +852,20 @@ describe('ShiftLogic', () => {
       expect(result[0].user_name).toBe('לא ידוע');
     });
 
+    it('maps the supervisor a delegate approved for', async () => {
+      supabaseFetch.mockResolvedValue([
+        {
+          ...factory.manualLog(),
+          supervisor: { full_name: 'רונית לוי' },
+          on_behalf: { full_name: 'דוד כהן' },
+        },
+      ]);
+
+      const [log] = await ShiftLogic.getAllPendingLogs();
+      expect(log.supervisor_name).toBe('רונית לוי');
+      expect(log.on_behalf_of_name).toBe('דוד כהן');
+    });
+
     it('returns [] when empty', async () => {
       supabaseFetch.mockResolvedValue([]);
       expect(await ShiftLogic.getAllPendingLogs()).toEqual([]);
@@ -452,6 +921,33 @@ describe('ShiftLogic', () => {
       const body = supabaseFetch.mock.calls[1][1].body;
       expect(body).not.toHaveProperty('site_id');
     });
+
+    it('includes check-in location when provided', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(factory.activeShift());
+
+      await ShiftLogic.checkIn('user-123', 'tutoring', 'desc', 'site-1', { lat: 32.08, lng: 34.78, accuracy: 12 });
+
+      const body = supabaseFetch.mock.calls[1][1].body;
+      expect(body).toMatchObject({
+        site_id: 'site-1',
+        check_in_lat: 32.08,
+        check_in_lng: 34.78,
+        check_in_accuracy_m: 12,
+      });
+    });
+
+    it('omits location fields when location is not provided', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(factory.activeShift());
+
+      await ShiftLogic.checkIn('user-123', 'tutoring', 'desc', 'site-1');
+
+      const body = supabaseFetch.mock.calls[1][1].body;
+      expect(body).not.toHaveProperty('check_in_lat');
+    });
   });
 
   // ═══════════════════════════════════════════
@@ -624,26 +1120,72 @@ describe('ShiftLogic', () => {
       });
       expect(result).toEqual(newSite);
     });
-  });
 
-  describe('deactivateSite', () => {
-    it('patches site with is_active: false via updateSite', async () => {
-      const deactivated = { id: 'site-1', name: 'אתר', is_active: false };
-      supabaseFetch.mockResolvedValue(deactivated);
+    it('includes shift length limits when provided', async () => {
+      supabaseFetch.mockResolvedValue({ id: 'site-new' });
 
-      const result = await ShiftLogic.deactivateSite('site-1');
+      await ShiftLogic.createSite({
+        name: 'אתר', address: null, description: null,
+        expectedShiftMinutes: 240, maxShiftMinutes: 480,
+      });
 
-      expect(supabaseFetch).toHaveBeenCalledWith('sites?id=eq.site-1', {
-        method: 'PATCH',
-        body: { is_active: false, updated_at: expect.any(String) },
-        single: true,
+      expect(supabaseFetch.mock.calls[0][1].body).toEqual({
+        name: 'אתר', address: null, description: null,
+        expected_shift_minutes: 240, max_shift_minutes: 480,
       });
-      expect(result).toEqual(deactivated);
     });
-  });
 
-  // ═══════════════════════════════════════════
-  // SUPERVISOR OPERATIONS
+    it('sets the shift confirmation policy only when requested', async () => {
+      supabaseFetch.mockResolvedValue({ id: 'site-new' });
+
+      await ShiftLogic.createSite({ name: 'אתר', address: null, description: null, requireShiftConfirmation: true });
+
+      expect(supabaseFetch.mock.calls[0][1].body.require_shift_confirmation).toBe(true);
+    });
+
+    it('includes the closing time and auto-close policy when provided', async () => {
+      supabaseFetch.mockResolvedValue({ id: 'site-new' });
+
+      await ShiftLogic.createSite({
+        name: 'אתר', address: null, description: null, closesAt: '18:00', autoCloseEnd: 'closing_time',
+      });
+
+      expect(supabaseFetch.mock.calls[0][1].body).toMatchObject({
+        closes_at: '18:00', auto_close_end: 'closing_time',
+      });
+    });
+  });
+
+  describe('deactivateSite', () => {
+    it('patches site with is_active: false via updateSite', async () => {
+      const deactivated = { id: 'site-1', name: 'אתר', is_active: false };
+      supabaseFetch.mockResolvedValue(deactivated);
+
+      const result = await ShiftLogic.deactivateSite('site-1');
+
+      expect(supabaseFetch).toHaveBeenCalledWith('sites?id=eq.site-1', {
+        method: 'PATCH',
+        body: { is_active: false, updated_at: expect.any(String) },
+        single: true,
+      });
+      expect(result).toEqual(deactivated);
+    });
+  });
+
+  describe('setSiteShiftConfirmation', () => {
+    it('patches the site policy via updateSite', async () => {
+      await ShiftLogic.setSiteShiftConfirmation('site-1', true);
+
+      expect(supabaseFetch).toHaveBeenCalledWith('sites?id=eq.site-1', {
+        method: 'PATCH',
+        body: { require_shift_confirmation: true, updated_at: expect.any(String) },
+        single: true,
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // SUPERVISOR OPERATIONS
   // ═══════════════════════════════════════════
   describe('getAllSupervisors', () => {
     it('fetches profiles with site_supervisor role ordered by name', async () => {
@@ -753,7 +1295,7 @@ describe('ShiftLogic', () => {
       const result = await ShiftLogic.getStudentPlacement('user-123');
 
       expect(supabaseFetch).toHaveBeenCalledWith(
-        'student_placements?student_id=eq.user-123&status=eq.active&select=*,sites(id,name)',
+        'student_placements?student_id=eq.user-123&status=eq.active&select=*,sites(id,name,expected_shift_minutes,max_shift_minutes)',
         { single: true }
       );
       expect(result).toEqual(placement);
@@ -829,6 +1371,56 @@ describe('ShiftLogic', () => {
     });
   });
 
+  describe('year rollover', () => {
+    const decisions = [
+      { placementId: 'p1', action: 'continue', siteId: '' },
+      { placementId: 'p2', action: 'move', siteId: 'site-2' },
+      { placementId: 'p3', action: 'complete', siteId: '' },
+    ];
+
+    it('summarizeRollover counts placements and last year\'s active events', () => {
+      const events = [
+        { id: 'e1', is_active: true, event_date: '2026-03-15' },                        // 2025-2026
+        { id: 'e2', is_active: true, event_date: null, created_at: '2025-10-01T10:00:00Z' }, // 2025-2026
+        { id: 'e3', is_active: false, event_date: '2026-01-20' },                       // already archived
+        { id: 'e4', is_active: true, event_date: '2026-09-10' },                        // 2026-2027
+      ];
+
+      expect(ShiftLogic.summarizeRollover(decisions, events, '2025-2026')).toEqual({
+        continued: 1,
+        moved: 1,
+        completed: 1,
+        newPlacements: 2,
+        closedPlacements: 3,
+        archivedEvents: 2,
+      });
+    });
+
+    it('rolloverAcademicYear calls the RPC with snake_case decisions', async () => {
+      supabaseRpc.mockResolvedValue([{ created_placements: 2, completed_placements: 3, archived_events: 2 }]);
+
+      const result = await ShiftLogic.rolloverAcademicYear('2025-2026', '2026-2027', decisions);
+
+      expect(supabaseRpc).toHaveBeenCalledWith('rollover_academic_year', {
+        p_from_year: '2025-2026',
+        p_to_year: '2026-2027',
+        p_decisions: [
+          { placement_id: 'p1', action: 'continue', site_id: null },
+          { placement_id: 'p2', action: 'move', site_id: 'site-2' },
+          { placement_id: 'p3', action: 'complete', site_id: null },
+        ],
+      });
+      expect(result.created_placements).toBe(2);
+    });
+
+    it('rolloverAcademicYear rejects a move without a site', async () => {
+      await expect(ShiftLogic.rolloverAcademicYear('2025-2026', '2026-2027', [
+        { placementId: 'p1', action: 'move', siteId: '' },
+      ])).rejects.toThrow('יש לבחור אתר חדש לכל סטודנט שעובר אתר');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
   // ═══════════════════════════════════════════
   // EVENT OPERATIONS
   // ═══════════════════════════════════════════
@@ -916,6 +1508,7 @@ describe('ShiftLogic', () => {
 
       expect(supabaseRpc).toHaveBeenCalledWith('get_supervisor_students', {
         p_supervisor_id: 'supervisor-123',
+        p_academic_year: null,
       });
       expect(result).toEqual(students);
     });
@@ -956,17 +1549,243 @@ describe('ShiftLogic', () => {
       expect(supabaseRpc).toHaveBeenCalledWith('supervisor_approve_log', { p_log_id: 'log-1' });
       expect(result).toEqual({ success: true });
     });
+
+    it('passes approved minutes and note for a partial approval', async () => {
+      await ShiftLogic.supervisorApproveLog('log-1', { approvedMinutes: 45, note: 'נכח/ה רק בחלק מהפעילות' });
+
+      expect(supabaseRpc).toHaveBeenCalledWith('supervisor_approve_log', {
+        p_log_id: 'log-1',
+        p_approved_minutes: 45,
+        p_note: 'נכח/ה רק בחלק מהפעילות',
+      });
+    });
+
+    it('requires a note for a partial approval', async () => {
+      await expect(ShiftLogic.supervisorApproveLog('log-1', { approvedMinutes: 45 }))
+        .rejects.toThrow('יש להוסיף הערה לסטודנט/ית על השעות שאושרו');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSupervisorStudentHistory', () => {
+    it('calls RPC get_supervisor_student_history', async () => {
+      supabaseRpc.mockResolvedValue([{ record_type: 'shift', record_id: 'shift-1' }]);
+
+      const result = await ShiftLogic.getSupervisorStudentHistory('student-1');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_supervisor_student_history', {
+        p_student_id: 'student-1',
+        p_academic_year: null,
+      });
+      expect(result).toEqual([{ record_type: 'shift', record_id: 'shift-1' }]);
+    });
+
+    it('returns [] when null', async () => {
+      supabaseRpc.mockResolvedValue(null);
+      expect(await ShiftLogic.getSupervisorStudentHistory('student-1', '2026-2027')).toEqual([]);
+    });
   });
 
   describe('supervisorRejectLog', () => {
-    it('calls RPC supervisor_reject_log with log ID', async () => {
+    it('calls RPC supervisor_reject_log with log ID and reason', async () => {
       supabaseRpc.mockResolvedValue({ success: true });
 
-      const result = await ShiftLogic.supervisorRejectLog('log-1');
+      const result = await ShiftLogic.supervisorRejectLog('log-1', 'לא נכח/ה באתר');
 
-      expect(supabaseRpc).toHaveBeenCalledWith('supervisor_reject_log', { p_log_id: 'log-1' });
+      expect(supabaseRpc).toHaveBeenCalledWith('supervisor_reject_log', { p_log_id: 'log-1', p_reason: 'לא נכח/ה באתר' });
       expect(result).toEqual({ success: true });
     });
+
+    it('requires a reason', async () => {
+      await expect(ShiftLogic.supervisorRejectLog('log-1')).rejects.toThrow('יש לציין סיבת דחייה');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // Student timeline
+  // ═══════════════════════════════════════════
+  describe('getStudentTimeline', () => {
+    it('calls RPC get_student_timeline and flattens the details', async () => {
+      supabaseRpc.mockResolvedValue([
+        {
+          record_type: 'shift',
+          record_id: 'shift-1',
+          occurred_at: '2026-10-11T06:00:00Z',
+          details: { status: 'completed', duration_minutes: 180 },
+        },
+      ]);
+
+      const result = await ShiftLogic.getStudentTimeline('student-1', '2026-2027');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_student_timeline', {
+        p_student_id: 'student-1',
+        p_academic_year: '2026-2027',
+      });
+      expect(result).toEqual([
+        { type: 'shift', id: 'shift-1', at: '2026-10-11T06:00:00Z', status: 'completed', duration_minutes: 180 },
+      ]);
+    });
+
+    it('returns [] when null', async () => {
+      supabaseRpc.mockResolvedValue(null);
+      expect(await ShiftLogic.getStudentTimeline('student-1')).toEqual([]);
+    });
+  });
+
+  describe('weeklyHours', () => {
+    const until = new Date('2026-10-21T12:00:00'); // a Wednesday
+
+    it('returns the requested number of Sunday-started weeks, oldest first', () => {
+      const weeks = ShiftLogic.weeklyHours([], { weeks: 3, until });
+      expect(weeks).toEqual([
+        { weekStart: '2026-10-04', hours: 0 },
+        { weekStart: '2026-10-11', hours: 0 },
+        { weekStart: '2026-10-18', hours: 0 },
+      ]);
+    });
+
+    it('sums counted shifts and approved logs (approved minutes) per week', () => {
+      const weeks = ShiftLogic.weeklyHours([
+        { type: 'shift', status: 'completed', duration_minutes: 120, at: '2026-10-19T08:00:00' },
+        { type: 'shift', status: 'needs_review', duration_minutes: 300, at: '2026-10-19T08:00:00' },
+        { type: 'shift', status: 'completed', needs_correction: true, duration_minutes: 240, at: '2026-10-20T08:00:00' },
+        { type: 'log', status: 'approved', duration_minutes: 90, approved_minutes: 60, date: '2026-10-18', at: '2026-10-18T09:00:00Z' },
+        { type: 'log', status: 'pending', duration_minutes: 60, date: '2026-10-18', at: '2026-10-18T09:00:00Z' },
+        { type: 'log', status: 'approved', duration_minutes: 30, date: '2026-10-17', at: '2026-10-17T09:00:00Z' },
+        { type: 'account', is_active: false, at: '2026-10-19T08:00:00' },
+      ], { weeks: 2, until });
+
+      expect(weeks).toEqual([
+        { weekStart: '2026-10-11', hours: 0.5 },
+        { weekStart: '2026-10-18', hours: 3 },
+      ]);
+    });
+
+    it('ignores activity outside the window', () => {
+      const weeks = ShiftLogic.weeklyHours([
+        { type: 'shift', status: 'completed', duration_minutes: 60, at: '2026-01-05T08:00:00' },
+      ], { weeks: 2, until });
+      expect(weeks.every(w => w.hours === 0)).toBe(true);
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // Audit log
+  // ═══════════════════════════════════════════
+  describe('getAuditLog', () => {
+    it('calls RPC get_audit_log with the filters, blanks as null', async () => {
+      supabaseRpc.mockResolvedValue([{ id: 'a1' }]);
+
+      const result = await ShiftLogic.getAuditLog({ entity: 'sites', actorId: '', from: '2026-10-01', to: '' });
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_audit_log', {
+        p_table: 'sites',
+        p_actor_id: null,
+        p_from: '2026-10-01',
+        p_to: null,
+      });
+      expect(result).toEqual([{ id: 'a1' }]);
+    });
+
+    it('returns [] when null', async () => {
+      supabaseRpc.mockResolvedValue(null);
+      expect(await ShiftLogic.getAuditLog()).toEqual([]);
+    });
+
+    it('rejects a reversed date range', async () => {
+      await expect(ShiftLogic.getAuditLog({ from: '2026-10-10', to: '2026-10-01' }))
+        .rejects.toThrow('תאריך ההתחלה חייב להיות לפני תאריך הסיום');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // Supervisor delegations
+  // ═══════════════════════════════════════════
+  describe('getMyDelegations', () => {
+    it('splits active delegations into given and received', async () => {
+      supabaseFetch.mockResolvedValue([
+        {
+          id: 'del-1', delegator_id: 'sup-1', delegate_id: 'sup-2',
+          sites: { name: 'בית ספר הדר' }, delegator: { full_name: 'דוד כהן' }, delegate: { full_name: 'רונית לוי' },
+        },
+        {
+          id: 'del-2', delegator_id: 'sup-3', delegate_id: 'sup-1',
+          sites: { name: 'מתנ"ס גילה' }, delegator: { full_name: 'משה לוי' }, delegate: { full_name: 'דוד כהן' },
+        },
+      ]);
+
+      const result = await ShiftLogic.getMyDelegations('sup-1');
+
+      const url = supabaseFetch.mock.calls[0][0];
+      expect(url).toContain('supervisor_delegations?or=(delegator_id.eq.sup-1,delegate_id.eq.sup-1)');
+      expect(url).toContain('revoked_at=is.null');
+      expect(result.given.map(d => d.id)).toEqual(['del-1']);
+      expect(result.given[0]).toMatchObject({ site_name: 'בית ספר הדר', delegate_name: 'רונית לוי' });
+      expect(result.received.map(d => d.id)).toEqual(['del-2']);
+      expect(result.received[0].delegator_name).toBe('משה לוי');
+    });
+
+    it('returns empty lists when null', async () => {
+      supabaseFetch.mockResolvedValue(null);
+      expect(await ShiftLogic.getMyDelegations('sup-1')).toEqual({ given: [], received: [] });
+    });
+  });
+
+  describe('getDelegateCandidates', () => {
+    it('fetches other active supervisors', async () => {
+      supabaseFetch.mockResolvedValue([{ id: 'sup-2', full_name: 'רונית לוי' }]);
+
+      const result = await ShiftLogic.getDelegateCandidates('sup-1');
+
+      expect(supabaseFetch).toHaveBeenCalledWith(
+        'profiles?role=eq.site_supervisor&is_active=eq.true&id=neq.sup-1&select=id,full_name&order=full_name.asc'
+      );
+      expect(result).toEqual([{ id: 'sup-2', full_name: 'רונית לוי' }]);
+    });
+  });
+
+  describe('createDelegation', () => {
+    const input = { siteId: 'site-1', delegateId: 'sup-2', startsOn: '2026-10-20', endsOn: '2026-11-10' };
+
+    it('calls RPC create_supervisor_delegation', async () => {
+      supabaseRpc.mockResolvedValue({ id: 'del-1' });
+
+      await ShiftLogic.createDelegation(input);
+
+      expect(supabaseRpc).toHaveBeenCalledWith('create_supervisor_delegation', {
+        p_site_id: 'site-1',
+        p_delegate_id: 'sup-2',
+        p_starts_on: '2026-10-20',
+        p_ends_on: '2026-11-10',
+      });
+    });
+
+    it('requires a site and a delegate', async () => {
+      await expect(ShiftLogic.createDelegation({ ...input, delegateId: '' }))
+        .rejects.toThrow('נא לבחור אתר וממלא/ת מקום');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+
+    it('requires both dates', async () => {
+      await expect(ShiftLogic.createDelegation({ ...input, endsOn: '' }))
+        .rejects.toThrow('נא לבחור תאריכי התחלה וסיום');
+    });
+
+    it('rejects an end date before the start', async () => {
+      await expect(ShiftLogic.createDelegation({ ...input, endsOn: '2026-10-01' }))
+        .rejects.toThrow('תאריך הסיום חייב להיות אחרי תאריך ההתחלה');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeDelegation', () => {
+    it('calls RPC revoke_supervisor_delegation', async () => {
+      supabaseRpc.mockResolvedValue(null);
+      await ShiftLogic.revokeDelegation('del-1');
+      expect(supabaseRpc).toHaveBeenCalledWith('revoke_supervisor_delegation', { p_delegation_id: 'del-1' });
+    });
   });
 
   // ═══════════════════════════════════════════
@@ -1045,4 +1864,506 @@ describe('ShiftLogic', () => {
       expect(await ShiftLogic.getSupervisorSites('supervisor-123')).toEqual([]);
     });
   });
+
+  // ═══════════════════════════════════════════
+  // SHIFT CORRECTIONS
+  // ═══════════════════════════════════════════
+  describe('requestShiftCorrection', () => {
+    const shift = factory.shift({ id: 'shift-1' });
+
+    it('sends only the proposed times and reason', async () => {
+      supabaseFetch.mockResolvedValue(factory.shiftCorrection());
+
+      await ShiftLogic.requestShiftCorrection('user-123', shift, {
+        startTime: '2026-02-17T08:00:00Z',
+        endTime: '2026-02-17T11:00:00Z',
+        reason: 'שכחתי לצאת',
+      });
+
+      expect(supabaseFetch).toHaveBeenCalledWith('shift_corrections', {
+        method: 'POST',
+        body: {
+          shift_id: 'shift-1',
+          user_id: 'user-123',
+          proposed_start_time: '2026-02-17T08:00:00Z',
+          proposed_end_time: '2026-02-17T11:00:00Z',
+          reason: 'שכחתי לצאת',
+        },
+        single: true,
+      });
+    });
+
+    it('throws when end time is not after start time', async () => {
+      await expect(
+        ShiftLogic.requestShiftCorrection('user-123', shift, {
+          startTime: '2026-02-17T12:00:00Z',
+          endTime: '2026-02-17T12:00:00Z',
+          reason: 'x',
+        })
+      ).rejects.toThrow('שעת הסיום חייבת להיות אחרי שעת ההתחלה');
+      expect(supabaseFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getShiftCorrections', () => {
+    it('fetches the user corrections newest first', async () => {
+      supabaseFetch.mockResolvedValue([factory.shiftCorrection()]);
+
+      const result = await ShiftLogic.getShiftCorrections('user-123');
+
+      expect(supabaseFetch).toHaveBeenCalledWith('shift_corrections?user_id=eq.user-123&order=created_at.desc');
+      expect(result).toHaveLength(1);
+    });
+
+    it('returns [] when null', async () => {
+      supabaseFetch.mockResolvedValue(null);
+      expect(await ShiftLogic.getShiftCorrections('user-123')).toEqual([]);
+    });
+  });
+
+  describe('getAllPendingCorrections', () => {
+    it('maps student and site names', async () => {
+      supabaseFetch.mockResolvedValue([
+        { ...factory.shiftCorrection(), profiles: { full_name: 'יוסי כהן' }, sites: { name: 'בית ספר הדר' } },
+        { ...factory.shiftCorrection({ id: 'corr-2' }), profiles: null, sites: null },
+      ]);
+
+      const result = await ShiftLogic.getAllPendingCorrections();
+
+      expect(supabaseFetch.mock.calls[0][0]).toContain('shift_corrections?status=eq.pending');
+      expect(result[0].user_name).toBe('יוסי כהן');
+      expect(result[0].site_name).toBe('בית ספר הדר');
+      expect(result[1].user_name).toBe('לא ידוע');
+      expect(result[1].site_name).toBeNull();
+    });
+
+    it('returns [] when null', async () => {
+      supabaseFetch.mockResolvedValue(null);
+      expect(await ShiftLogic.getAllPendingCorrections()).toEqual([]);
+    });
+  });
+
+  describe('approveShiftCorrection', () => {
+    it('calls RPC approve_shift_correction', async () => {
+      supabaseRpc.mockResolvedValue(null);
+
+      await ShiftLogic.approveShiftCorrection('corr-1');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('approve_shift_correction', { p_correction_id: 'corr-1' });
+    });
+  });
+
+  describe('rejectShiftCorrection', () => {
+    it('calls the RPC with the trimmed reason', async () => {
+      await ShiftLogic.rejectShiftCorrection('corr-1', '  השעות לא תואמות  ');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('reject_shift_correction', {
+        p_correction_id: 'corr-1',
+        p_reason: 'השעות לא תואמות',
+      });
+    });
+
+    it('requires a reason', async () => {
+      await expect(ShiftLogic.rejectShiftCorrection('corr-1', '  ')).rejects.toThrow('יש לציין סיבת דחייה');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('supervisor corrections', () => {
+    it('getSupervisorPendingCorrections calls RPC with supervisor ID', async () => {
+      supabaseRpc.mockResolvedValue([factory.supervisorPendingCorrection()]);
+
+      const result = await ShiftLogic.getSupervisorPendingCorrections('supervisor-123');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_supervisor_pending_corrections', {
+        p_supervisor_id: 'supervisor-123',
+      });
+      expect(result).toHaveLength(1);
+    });
+
+    it('supervisorApproveCorrection calls RPC with correction ID', async () => {
+      await ShiftLogic.supervisorApproveCorrection('corr-1');
+      expect(supabaseRpc).toHaveBeenCalledWith('supervisor_approve_correction', { p_correction_id: 'corr-1' });
+    });
+
+    it('supervisorRejectCorrection calls RPC with the trimmed reason', async () => {
+      await ShiftLogic.supervisorRejectCorrection('corr-1', '  השעות לא תואמות  ');
+      expect(supabaseRpc).toHaveBeenCalledWith('supervisor_reject_correction', {
+        p_correction_id: 'corr-1',
+        p_reason: 'השעות לא תואמות',
+      });
+    });
+
+    it('supervisorRejectCorrection requires a reason', async () => {
+      await expect(ShiftLogic.supervisorRejectCorrection('corr-1', '  ')).rejects.toThrow('יש לציין סיבת דחייה');
+      expect(supabaseRpc).not.toHaveBeenCalled();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // SHIFT CAPS & AUTO-CLOSE
+  // ═══════════════════════════════════════════
+  describe('closeStaleShifts', () => {
+    it('calls RPC close_stale_shifts and returns the closed count', async () => {
+      supabaseRpc.mockResolvedValue(2);
+
+      const result = await ShiftLogic.closeStaleShifts();
+
+      expect(supabaseRpc).toHaveBeenCalledWith('close_stale_shifts');
+      expect(result).toBe(2);
+    });
+  });
+
+  describe('getAutoClosedShifts', () => {
+    it('calls RPC get_auto_closed_shifts', async () => {
+      supabaseRpc.mockResolvedValue([{ shift_id: 'shift-1' }]);
+
+      const result = await ShiftLogic.getAutoClosedShifts();
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_auto_closed_shifts');
+      expect(result).toHaveLength(1);
+    });
+
+    it('returns [] when null', async () => {
+      supabaseRpc.mockResolvedValue(null);
+      expect(await ShiftLogic.getAutoClosedShifts()).toEqual([]);
+    });
+  });
+
+  describe('reviewAutoClosedShift', () => {
+    it('calls RPC review_auto_closed_shift with shift ID', async () => {
+      await ShiftLogic.reviewAutoClosedShift('shift-1');
+      expect(supabaseRpc).toHaveBeenCalledWith('review_auto_closed_shift', { p_shift_id: 'shift-1' });
+    });
+  });
+
+  describe('shift settings', () => {
+    it('getShiftSettings reads the single settings row', async () => {
+      supabaseFetch.mockResolvedValue({ default_expected_shift_minutes: 240, default_max_shift_minutes: 720 });
+
+      const result = await ShiftLogic.getShiftSettings();
+
+      expect(supabaseFetch).toHaveBeenCalledWith('app_settings?id=eq.true', { single: true });
+      expect(result.default_max_shift_minutes).toBe(720);
+    });
+
+    it('updateShiftSettings includes the supervisor SLA when given', async () => {
+      supabaseFetch.mockResolvedValue({});
+
+      await ShiftLogic.updateShiftSettings({
+        defaultExpectedShiftMinutes: 180, defaultMaxShiftMinutes: 600, defaultSupervisorSlaDays: 5,
+      });
+
+      expect(supabaseFetch.mock.calls[0][1].body.default_supervisor_sla_days).toBe(5);
+    });
+
+    it('updateShiftSettings includes the auto-close grace period, zero included', async () => {
+      supabaseFetch.mockResolvedValue({});
+
+      await ShiftLogic.updateShiftSettings({
+        defaultExpectedShiftMinutes: 180, defaultMaxShiftMinutes: 600, autoCloseGraceMinutes: 0,
+      });
+
+      expect(supabaseFetch.mock.calls[0][1].body.auto_close_grace_minutes).toBe(0);
+    });
+
+    it('getSupervisorBacklog calls the admin RPC', async () => {
+      supabaseRpc.mockResolvedValue(null);
+
+      expect(await ShiftLogic.getSupervisorBacklog()).toEqual([]);
+      expect(supabaseRpc).toHaveBeenCalledWith('get_supervisor_backlog');
+    });
+
+    it('updateShiftSettings sends PATCH with both defaults', async () => {
+      supabaseFetch.mockResolvedValue({});
+
+      await ShiftLogic.updateShiftSettings({ defaultExpectedShiftMinutes: 180, defaultMaxShiftMinutes: 600 });
+
+      expect(supabaseFetch).toHaveBeenCalledWith('app_settings?id=eq.true', {
+        method: 'PATCH',
+        body: expect.objectContaining({
+          default_expected_shift_minutes: 180,
+          default_max_shift_minutes: 600,
+        }),
+        single: true,
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // GEOFENCE REVIEW
+  // ═══════════════════════════════════════════
+  describe('geofence review', () => {
+    it('getSupervisorReviewShifts calls RPC with supervisor ID', async () => {
+      supabaseRpc.mockResolvedValue([{ shift_id: 'shift-1' }]);
+
+      const result = await ShiftLogic.getSupervisorReviewShifts('supervisor-123');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_supervisor_review_shifts', { p_supervisor_id: 'supervisor-123' });
+      expect(result).toHaveLength(1);
+    });
+
+    it('getSupervisorReviewShifts returns [] when null', async () => {
+      supabaseRpc.mockResolvedValue(null);
+      expect(await ShiftLogic.getSupervisorReviewShifts('supervisor-123')).toEqual([]);
+    });
+
+    it('supervisorReviewShift passes the decision', async () => {
+      await ShiftLogic.supervisorReviewShift('shift-1', false);
+      expect(supabaseRpc).toHaveBeenCalledWith('supervisor_review_shift', { p_shift_id: 'shift-1', p_approve: false });
+    });
+
+    it('createSite includes coordinates and radius when provided', async () => {
+      supabaseFetch.mockResolvedValue({ id: 'site-new' });
+
+      await ShiftLogic.createSite({
+        name: 'אתר', address: null, description: null,
+        latitude: 32.08, longitude: 34.78, geofenceRadiusM: 150,
+      });
+
+      expect(supabaseFetch.mock.calls[0][1].body).toMatchObject({
+        latitude: 32.08, longitude: 34.78, geofence_radius_m: 150,
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // MONTHLY TIMESHEET
+  // ═══════════════════════════════════════════
+  describe('monthly timesheet', () => {
+    it('getMonthlyTimesheet loads the records, total and sign-off of one site', async () => {
+      supabaseRpc.mockResolvedValue([
+        { record_id: 'shift-1', record_type: 'shift', duration_minutes: 120, site_id: 'site-1' },
+        { record_id: 'log-1', record_type: 'manual', duration_minutes: '45', site_id: 'site-1' },
+        { record_id: 'shift-2', record_type: 'shift', duration_minutes: 60, site_id: 'site-2' },
+      ]);
+      supabaseFetch.mockResolvedValue({
+        month: '2026-09-01', signed_at: '2026-10-02T08:00:00Z', profiles: { full_name: 'מפקח אתר' },
+      });
+
+      const result = await ShiftLogic.getMonthlyTimesheet('user-123', 'site-1', '2026-09');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('get_monthly_timesheet', { p_student_id: 'user-123', p_month: '2026-09-01' });
+      expect(supabaseFetch).toHaveBeenCalledWith(
+        expect.stringContaining('timesheet_signoffs?student_id=eq.user-123&site_id=eq.site-1&month=eq.2026-09-01'),
+        { single: true }
+      );
+      expect(result.records.map((r) => r.record_id)).toEqual(['shift-1', 'log-1']);
+      expect(result.totalMinutes).toBe(165);
+      expect(result.signoff.signed_by_name).toBe('מפקח אתר');
+    });
+
+    it('getMonthlyTimesheet handles an empty, unsigned month', async () => {
+      supabaseRpc.mockResolvedValue(null);
+      supabaseFetch.mockResolvedValue(null);
+
+      expect(await ShiftLogic.getMonthlyTimesheet('user-123', 'site-1', '2026-09')).toEqual({
+        records: [], totalMinutes: 0, signoff: null,
+      });
+    });
+
+    it('signMonthlyTimesheet calls RPC with the site and the first of the month', async () => {
+      await ShiftLogic.signMonthlyTimesheet('user-123', 'site-1', '2026-09');
+      expect(supabaseRpc).toHaveBeenCalledWith('sign_monthly_timesheet', {
+        p_student_id: 'user-123', p_site_id: 'site-1', p_month: '2026-09-01',
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // QR CHECK-IN
+  // ═══════════════════════════════════════════
+  describe('QR check-in', () => {
+    it('qrCheckIn calls RPC with the code and task', async () => {
+      supabaseRpc.mockResolvedValue({ id: 'shift-1', check_in_method: 'qr' });
+
+      const result = await ShiftLogic.qrCheckIn('482913', 'חונכות');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('qr_check_in', {
+        p_code: '482913',
+        p_task_description: 'חונכות',
+        p_category: 'other',
+      });
+      expect(result.check_in_method).toBe('qr');
+    });
+
+    it('qrCheckIn throws when the code is wrong', async () => {
+      supabaseRpc.mockResolvedValue({ id: null, check_in_method: null });
+      await expect(ShiftLogic.qrCheckIn('000000', 'x')).rejects.toThrow('הקוד אינו תקף');
+    });
+
+    it('qrCheckIn propagates server errors', async () => {
+      supabaseRpc.mockRejectedValue(new Error('הקוד אינו תקף'));
+      await expect(ShiftLogic.qrCheckIn('000000', 'x')).rejects.toThrow('הקוד אינו תקף');
+    });
+
+    it('createSiteCheckinToken returns the first row', async () => {
+      supabaseRpc.mockResolvedValue([{ token: 'tok', code: '123456', expires_at: '2026-01-01T00:01:30Z' }]);
+
+      const result = await ShiftLogic.createSiteCheckinToken('site-1');
+
+      expect(supabaseRpc).toHaveBeenCalledWith('create_site_checkin_token', { p_site_id: 'site-1' });
+      expect(result.code).toBe('123456');
+    });
+
+    it('createSiteCheckinToken returns null when empty', async () => {
+      supabaseRpc.mockResolvedValue([]);
+      expect(await ShiftLogic.createSiteCheckinToken('site-1')).toBeNull();
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // GOAL TEMPLATES
+  // ═══════════════════════════════════════════
+  describe('goal templates', () => {
+    it('getGoalTemplates embeds requirements', async () => {
+      supabaseFetch.mockResolvedValue(null);
+
+      expect(await ShiftLogic.getGoalTemplates()).toEqual([]);
+      expect(supabaseFetch.mock.calls[0][0]).toContain('goal_template_requirements(id,category,min_hours,max_hours)');
+    });
+
+    it('createGoalTemplate inserts the template then its rules', async () => {
+      supabaseFetch.mockResolvedValueOnce({ id: 'tpl-1' }).mockResolvedValueOnce([]);
+
+      await ShiftLogic.createGoalTemplate({
+        name: 'מלגת קהילה',
+        academicYear: '2025-2026',
+        requirements: [
+          { category: 'tutoring', minHours: 40, maxHours: null },
+          { category: 'office_work', minHours: null, maxHours: 20 },
+        ],
+      });
+
+      expect(supabaseFetch).toHaveBeenNthCalledWith(1, 'goal_templates', {
+        method: 'POST',
+        body: { name: 'מלגת קהילה', academic_year: '2025-2026' },
+        single: true,
+      });
+      expect(supabaseFetch).toHaveBeenNthCalledWith(2, 'goal_template_requirements', {
+        method: 'POST',
+        body: [
+          { template_id: 'tpl-1', category: 'tutoring', min_hours: 40, max_hours: null },
+          { template_id: 'tpl-1', category: 'office_work', min_hours: null, max_hours: 20 },
+        ],
+      });
+    });
+
+    it('createGoalTemplate removes the template when the rules fail', async () => {
+      supabaseFetch
+        .mockResolvedValueOnce({ id: 'tpl-1' })
+        .mockRejectedValueOnce(new Error('insert failed'))
+        .mockResolvedValueOnce(null);
+
+      await expect(ShiftLogic.createGoalTemplate({
+        name: 'x', requirements: [{ category: 'tutoring', minHours: 1, maxHours: null }],
+      })).rejects.toThrow('insert failed');
+
+      expect(supabaseFetch).toHaveBeenLastCalledWith('goal_templates?id=eq.tpl-1', { method: 'DELETE' });
+    });
+
+    it('createGoalTemplate validates the rules before writing', async () => {
+      await expect(ShiftLogic.createGoalTemplate({ name: 'x', requirements: [] }))
+        .rejects.toThrow('יש להגדיר לפחות דרישה אחת');
+      await expect(ShiftLogic.createGoalTemplate({
+        name: 'x', requirements: [{ category: 'tutoring', minHours: null, maxHours: null }],
+      })).rejects.toThrow('לכל קטגוריה יש להגדיר מינימום או מקסימום');
+      await expect(ShiftLogic.createGoalTemplate({
+        name: 'x', requirements: [{ category: 'tutoring', minHours: 30, maxHours: 10 }],
+      })).rejects.toThrow('המקסימום חייב להיות לפחות המינימום');
+      await expect(ShiftLogic.createGoalTemplate({
+        name: 'x',
+        requirements: [
+          { category: 'tutoring', minHours: 1, maxHours: null },
+          { category: 'tutoring', minHours: 2, maxHours: null },
+        ],
+      })).rejects.toThrow('כל קטגוריה יכולה להופיע פעם אחת בלבד');
+      expect(supabaseFetch).not.toHaveBeenCalled();
+    });
+
+    it('assignGoalTemplate sets the override for one academic year', async () => {
+      await ShiftLogic.assignGoalTemplate('student-1', '2025-2026', 'tpl-1');
+      expect(supabaseFetch).toHaveBeenCalledWith('student_goal_templates', {
+        method: 'POST',
+        body: expect.objectContaining({ student_id: 'student-1', academic_year: '2025-2026', template_id: 'tpl-1' }),
+        headers: { 'Prefer': 'resolution=merge-duplicates,return=representation' },
+        single: true,
+      });
+    });
+
+    it('assignGoalTemplate without a template falls back to the cohort for that year', async () => {
+      await ShiftLogic.assignGoalTemplate('student-1', '2025-2026', null);
+      expect(supabaseFetch).toHaveBeenCalledWith(
+        'student_goal_templates?student_id=eq.student-1&academic_year=eq.2025-2026',
+        { method: 'DELETE' }
+      );
+    });
+  });
+
+  // ═══════════════════════════════════════════
+  // NOTIFICATIONS
+  // ═══════════════════════════════════════════
+  describe('notifications', () => {
+    it('getNotifications loads the newest first', async () => {
+      supabaseFetch.mockResolvedValue([{ id: 'n1', kind: 'log_approved' }]);
+
+      const result = await ShiftLogic.getNotifications('user-123');
+
+      expect(supabaseFetch).toHaveBeenCalledWith(
+        'notifications?user_id=eq.user-123&order=created_at.desc&limit=30'
+      );
+      expect(result).toHaveLength(1);
+    });
+
+    it('markNotificationsRead marks the given ids, or all when omitted', async () => {
+      await ShiftLogic.markNotificationsRead(['n1']);
+      expect(supabaseRpc).toHaveBeenCalledWith('mark_notifications_read', { p_ids: ['n1'] });
+
+      await ShiftLogic.markNotificationsRead();
+      expect(supabaseRpc).toHaveBeenLastCalledWith('mark_notifications_read', { p_ids: null });
+    });
+
+    it('getNotificationPreferences maps rows to { kind: email }', async () => {
+      supabaseFetch.mockResolvedValue([
+        { kind: 'milestone', email: false },
+        { kind: 'log_rejected', email: true },
+      ]);
+
+      const result = await ShiftLogic.getNotificationPreferences('user-123');
+
+      expect(supabaseFetch).toHaveBeenCalledWith(
+        'notification_preferences?user_id=eq.user-123&select=kind,email'
+      );
+      expect(result).toEqual({ milestone: false, log_rejected: true });
+    });
+
+    it('setNotificationPreference saves through the RPC', async () => {
+      await ShiftLogic.setNotificationPreference('milestone', false);
+      expect(supabaseRpc).toHaveBeenCalledWith('set_notification_preference', {
+        p_kind: 'milestone', p_email: false,
+      });
+    });
+
+    it('savePushSubscription saves the endpoint and keys', async () => {
+      const subscription = {
+        toJSON: () => ({ endpoint: 'https://push.example/1', keys: { p256dh: 'pk', auth: 'ak' } }),
+      };
+
+      await ShiftLogic.savePushSubscription(subscription);
+
+      expect(supabaseRpc).toHaveBeenCalledWith('save_push_subscription', {
+        p_endpoint: 'https://push.example/1',
+        p_p256dh: 'pk',
+        p_auth: 'ak',
+        p_user_agent: navigator.userAgent,
+      });
+    });
+
+    it('deletePushSubscription removes the endpoint', async () => {
+      await ShiftLogic.deletePushSubscription('https://push.example/1');
+      expect(supabaseRpc).toHaveBeenCalledWith('delete_push_subscription', {
+        p_endpoint: 'https://push.example/1',
+      });
+    });
+  });
 });
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const save = vi.fn();
+const addImage = vi.fn();
+
+vi.mock('jspdf', () => ({
+  jsPDF: vi.fn(function jsPDF() {
+    this.addImage = addImage;
+    this.save = save;
+  }),
+}));
+
+vi.mock('qrcode', () => ({
+  default: { toDataURL: vi.fn().mockResolvedValue('data:image/png;base64,qr') },
+}));
+
+import QRCode from 'qrcode';
+import { certificateSections, downloadCertificatePdf } from '../../lib/certificatePdf';
+
+const certificate = {
+  id: 'cert-1',
+  academic_year: '2025-2026',
+  verification_code: 'A1B2C-D3E4F',
+  issued_at: '2026-06-01T10:00:00Z',
+  snapshot: {
+    full_name: 'ישראל ישראלי',
+    academic_year: '2025-2026',
+    site_name: 'בית ספר הדר',
+    goal: 150,
+    counted_hours: 152.5,
+    total_hours: 160,
+    categories: [
+      { category: 'tutoring', hours: 100 },
+      { category: 'office_work', hours: 60 },
+    ],
+    approvals: [
+      { name: 'מפקח א', role: 'site_supervisor' },
+      { name: 'מנהל א', role: 'admin' },
+    ],
+  },
+};
+
+// ═══════════════════════════════════════════
+// certificateSections
+// ═══════════════════════════════════════════
+describe('certificateSections', () => {
+  it('builds the certificate text from the snapshot', () => {
+    const s = certificateSections(certificate, { tutoring: 'חונכות' });
+
+    expect(s.title).toBe('אישור שעות התנדבות');
+    expect(s.body).toEqual([
+      'הרינו לאשר כי ישראל ישראלי',
+      'השלים/ה את יעד שעות ההתנדבות לשנת הלימודים 2025-2026',
+      'באתר בית ספר הדר',
+      'סה"כ 152.5 שעות מתוך יעד של 150 שעות',
+    ]);
+    expect(s.categories).toEqual([['חונכות', '100.0 שעות'], ['office_work', '60.0 שעות']]);
+    expect(s.approvals).toEqual(['מפקח א · אחראי/ת אתר', 'מנהל א · מנהל/ת המלגה']);
+    expect(s.code).toBe('A1B2C-D3E4F');
+  });
+
+  it('omits the site line when the student had no placement', () => {
+    const s = certificateSections({ ...certificate, snapshot: { ...certificate.snapshot, site_name: null } });
+    expect(s.body).toHaveLength(3);
+  });
+});
+
+// ═══════════════════════════════════════════
+// downloadCertificatePdf
+// ═══════════════════════════════════════════
+describe('downloadCertificatePdf', () => {
+  const ctx = {
+    fillRect: vi.fn(), strokeRect: vi.fn(), fillText: vi.fn(), drawImage: vi.fn(),
+  };
+  let spies;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    spies = [
+      vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx),
+      vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,page'),
+    ];
+    HTMLImageElement.prototype.decode = vi.fn().mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    spies.forEach((s) => s.mockRestore());
+    delete HTMLImageElement.prototype.decode;
+  });
+
+  it('draws the page with a QR of the code and saves an A4 PDF', async () => {
+    await downloadCertificatePdf(certificate, { tutoring: 'חונכות' });
+
+    expect(QRCode.toDataURL).toHaveBeenCalledWith('A1B2C-D3E4F', expect.any(Object));
+    expect(ctx.fillText).toHaveBeenCalledWith('הרינו לאשר כי ישראל ישראלי', expect.any(Number), expect.any(Number));
+    expect(ctx.fillText).toHaveBeenCalledWith('קוד אימות: A1B2C-D3E4F', expect.any(Number), expect.any(Number));
+    expect(addImage).toHaveBeenCalledWith('data:image/png;base64,page', 'PNG', 0, 0, 210, 297);
+    expect(save).toHaveBeenCalledWith('hours-certificate-2025-2026-A1B2C-D3E4F.pdf');
+  });
+});
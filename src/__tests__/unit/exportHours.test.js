@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('write-excel-file/browser', () => ({
+  default: vi.fn(() => ({ toBlob: vi.fn().mockResolvedValue(new Blob(['xlsx'])) })),
+}));
+
+import writeExcelFile from 'write-excel-file/browser';
+import { summarySheet, detailSheet, toCsv, exportHours } from '../../lib/exportHours';
+
+const student = {
+  full_name: 'ישראל ישראלי',
+  email: 'israel@test.com',
+  site_name: 'בית ספר הדר',
+  shift_hours: '10.333333',
+  approved_manual_hours: '5',
+  pending_logs: '2',
+  total_hours: '15.333333',
+  total_goal: 150,
+  progress_percent: '10.222222',
+};
+
+const shiftRecord = {
+  record_type: 'shift',
+  full_name: 'ישראל ישראלי',
+  email: 'israel@test.com',
+  site_name: 'בית ספר הדר',
+  work_date: '2026-02-17',
+  start_time: '2026-02-17T08:00:00Z',
+  end_time: '2026-02-17T12:00:00Z',
+  duration_minutes: 225,
+  category: 'tutoring',
+  description: 'שיעור, "חזרה" למבחן',
+  status: 'completed',
+};
+
+// ═══════════════════════════════════════════
+// summarySheet
+// ═══════════════════════════════════════════
+describe('summarySheet', () => {
+  it('has a header row and one row per student with rounded numbers', () => {
+    const rows = summarySheet([student]);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0][0]).toBe('שם');
+    expect(rows[1]).toEqual([
+      'ישראל ישראלי', 'israel@test.com', 'בית ספר הדר', 10.33, 5, 2, 15.33, 150, 10.22,
+    ]);
+  });
+
+  it('fills missing email and site with empty strings', () => {
+    const rows = summarySheet([{ ...student, email: null, site_name: null }]);
+    expect(rows[1][1]).toBe('');
+    expect(rows[1][2]).toBe('');
+  });
+});
+
+// ═══════════════════════════════════════════
+// detailSheet
+// ═══════════════════════════════════════════
+describe('detailSheet', () => {
+  it('converts minutes to hours and labels type, category and status', () => {
+    const rows = detailSheet([shiftRecord], { tutoring: 'חונכות' });
+
+    expect(rows[1][0]).toBe('משמרת');
+    expect(rows[1][4]).toBe('2026-02-17');
+    expect(rows[1][7]).toBe(3.75);
+    expect(rows[1][8]).toBe('חונכות');
+    expect(rows[1][10]).toBe('הושלם');
+  });
+
+  it('manual logs have no start/end time', () => {
+    const rows = detailSheet([{
+      ...shiftRecord, record_type: 'manual', start_time: null, end_time: null, status: 'pending',
+    }]);
+
+    expect(rows[1][0]).toBe('דיווח ידני');
+    expect(rows[1][5]).toBe('');
+    expect(rows[1][6]).toBe('');
+    expect(rows[1][8]).toBe('tutoring');
+    expect(rows[1][10]).toBe('ממתין');
+  });
+
+  it('quotes student text that Excel would run as a formula', () => {
+    const rows = detailSheet([{
+      ...shiftRecord,
+      full_name: '=HYPERLINK("http://evil.example","x")',
+      site_name: '@SUM(A1)',
+      description: '-2+3',
+    }]);
+
+    expect(rows[1][1]).toBe('\'=HYPERLINK("http://evil.example","x")');
+    expect(rows[1][3]).toBe('\'@SUM(A1)');
+    expect(rows[1][9]).toBe('\'-2+3');
+    expect(summarySheet([{ ...student, full_name: '+972501234567' }])[1][0]).toBe('\'+972501234567');
+    expect(toCsv(rows).split('\r\n')[1]).toMatch(/^משמרת,"'=HYPERLINK/);
+  });
+});
+
+// ═══════════════════════════════════════════
+// toCsv
+// ═══════════════════════════════════════════
+describe('toCsv', () => {
+  it('joins cells with commas and rows with CRLF', () => {
+    expect(toCsv([['a', 1], ['b', 2]])).toBe('a,1\r\nb,2');
+  });
+
+  it('quotes cells with commas, quotes or newlines', () => {
+    expect(toCsv([['שיעור, "חזרה"', 'x\ny', null]])).toBe('"שיעור, ""חזרה""","x\ny",');
+  });
+});
+
+// ═══════════════════════════════════════════
+// exportHours
+// ═══════════════════════════════════════════
+describe('exportHours', () => {
+  let downloads;
+  let clickSpy;
+
+  beforeEach(() => {
+    downloads = [];
+    URL.createObjectURL = vi.fn(() => 'blob:test');
+    URL.revokeObjectURL = vi.fn();
+    clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+      downloads.push(this.download);
+    });
+  });
+
+  afterEach(() => {
+    clickSpy.mockRestore();
+  });
+
+  it('downloads one CSV, plus a detail CSV when requested', async () => {
+    await exportHours('csv', { summary: [student], fileName: 'hours' });
+    expect(downloads).toEqual(['hours.csv']);
+
+    downloads = [];
+    await exportHours('csv', { summary: [student], detail: [shiftRecord], fileName: 'hours' });
+    expect(downloads).toEqual(['hours.csv', 'hours-detail.csv']);
+  });
+
+  it('writes an XLSX with a summary and a detail sheet', async () => {
+    await exportHours('xlsx', { summary: [student], detail: [shiftRecord], fileName: 'hours' });
+
+    const sheets = writeExcelFile.mock.calls[0][0];
+    expect(sheets.map((s) => s.sheet)).toEqual(['סיכום', 'פירוט']);
+    expect(sheets[0].rightToLeft).toBe(true);
+    expect(sheets[0].data[1][0]).toEqual({ value: 'ישראל ישראלי' });
+    expect(downloads).toEqual(['hours.xlsx']);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const save = vi.fn();
+const addImage = vi.fn();
+const addPage = vi.fn();
+
+vi.mock('jspdf', () => ({
+  jsPDF: vi.fn(function jsPDF() {
+    this.addImage = addImage;
+    this.addPage = addPage;
+    this.save = save;
+  }),
+}));
+
+import { timesheetSections, downloadTimesheetPdf } from '../../lib/timesheetPdf';
+
+const shift = {
+  record_type: 'shift',
+  record_id: 'shift-1',
+  work_date: '2026-09-03',
+  start_time: '2026-09-03T06:00:00Z',
+  end_time: '2026-09-03T09:00:00Z',
+  break_minutes: 15,
+  duration_minutes: 165,
+  category: 'tutoring',
+};
+
+const manual = {
+  record_type: 'manual',
+  record_id: 'log-1',
+  work_date: '2026-09-10',
+  start_time: null,
+  end_time: null,
+  break_minutes: null,
+  duration_minutes: 90,
+  category: 'office_work',
+};
+
+const timesheet = {
+  studentName: 'יוסי כהן',
+  siteName: 'בית ספר הדר',
+  month: '2026-09',
+  records: [shift, manual],
+  totalMinutes: 255,
+  signoff: null,
+};
+
+// ═══════════════════════════════════════════
+// timesheetSections
+// ═══════════════════════════════════════════
+describe('timesheetSections', () => {
+  it('builds one row per record with the total', () => {
+    const s = timesheetSections(timesheet, { tutoring: 'חונכות' });
+
+    expect(s.subtitle).toBe('יוסי כהן · בית ספר הדר');
+    expect(s.rows).toHaveLength(2);
+    expect(s.rows[0]).toMatchObject({ break: "15 דק'", duration: '2.75', category: 'חונכות', type: 'משמרת' });
+    expect(s.rows[1]).toMatchObject({ hours: '—', break: '—', duration: '1.50', category: 'office_work', type: 'דיווח ידני' });
+    expect(s.total).toBe('סה"כ: 4.25 שעות');
+    expect(s.signature).toBe('טרם נחתם על ידי האחראי/ת באתר');
+  });
+
+  it('names the supervisor who signed', () => {
+    const s = timesheetSections({
+      ...timesheet,
+      signoff: { signed_by_name: 'מפקח אתר', signed_at: '2026-10-02T08:00:00Z' },
+    });
+    expect(s.signature).toMatch(/^נחתם על ידי מפקח אתר בתאריך/);
+  });
+});
+
+// ═══════════════════════════════════════════
+// downloadTimesheetPdf
+// ═══════════════════════════════════════════
+describe('downloadTimesheetPdf', () => {
+  const ctx = { fillRect: vi.fn(), fillText: vi.fn() };
+  let spies;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    spies = [
+      vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx),
+      vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,page'),
+    ];
+  });
+
+  afterEach(() => {
+    spies.forEach((s) => s.mockRestore());
+  });
+
+  it('draws a single page and saves the PDF', async () => {
+    await downloadTimesheetPdf(timesheet, { tutoring: 'חונכות' });
+
+    expect(ctx.fillText).toHaveBeenCalledWith('סה"כ: 4.25 שעות', expect.any(Number), expect.any(Number));
+    expect(addPage).not.toHaveBeenCalled();
+    expect(addImage).toHaveBeenCalledWith('data:image/png;base64,page', 'PNG', 0, 0, 210, 297);
+    expect(save).toHaveBeenCalledWith('timesheet-2026-09-יוסי כהן.pdf');
+  });
+
+  it('splits long months across pages', async () => {
+    const records = Array.from({ length: 45 }, (_, i) => ({ ...shift, record_id: `shift-${i}` }));
+    await downloadTimesheetPdf({ ...timesheet, records });
+
+    expect(addPage).toHaveBeenCalledTimes(1);
+    expect(addImage).toHaveBeenCalledTimes(2);
+    expect(ctx.fillText).toHaveBeenCalledWith('עמוד 2 מתוך 2', expect.any(Number), expect.any(Number));
+  });
+});
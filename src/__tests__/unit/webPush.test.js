@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  urlBase64ToUint8Array, isPushSupported, getPushSubscription, subscribeToPush, unsubscribeFromPush,
+} from '../../lib/webPush';
+
+const VAPID_KEY = 'AQID_-8';
+
+describe('webPush', () => {
+  let pushManager;
+
+  beforeEach(() => {
+    pushManager = {
+      getSubscription: vi.fn().mockResolvedValue(null),
+      subscribe: vi.fn().mockResolvedValue({ endpoint: 'https://push.example/1' }),
+    };
+    vi.stubEnv('VITE_VAPID_PUBLIC_KEY', VAPID_KEY);
+    Object.defineProperty(navigator, 'serviceWorker', {
+      value: { ready: Promise.resolve({ pushManager }) },
+      configurable: true,
+    });
+    window.PushManager = function PushManager() {};
+    window.Notification = { requestPermission: vi.fn().mockResolvedValue('granted') };
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    delete navigator.serviceWorker;
+    delete window.PushManager;
+    delete window.Notification;
+  });
+
+  it('urlBase64ToUint8Array decodes base64url without padding', () => {
+    expect(Array.from(urlBase64ToUint8Array(VAPID_KEY))).toEqual([1, 2, 3, 255, 239]);
+  });
+
+  it('isPushSupported needs the VAPID key and the browser APIs', () => {
+    expect(isPushSupported()).toBe(true);
+
+    vi.stubEnv('VITE_VAPID_PUBLIC_KEY', '');
+    expect(isPushSupported()).toBe(false);
+
+    vi.stubEnv('VITE_VAPID_PUBLIC_KEY', VAPID_KEY);
+    delete window.PushManager;
+    expect(isPushSupported()).toBe(false);
+  });
+
+  it('getPushSubscription returns the current subscription', async () => {
+    pushManager.getSubscription.mockResolvedValue({ endpoint: 'https://push.example/1' });
+    expect(await getPushSubscription()).toEqual({ endpoint: 'https://push.example/1' });
+  });
+
+  it('subscribeToPush asks for permission and subscribes with the VAPID key', async () => {
+    const subscription = await subscribeToPush();
+
+    expect(window.Notification.requestPermission).toHaveBeenCalled();
+    expect(pushManager.subscribe).toHaveBeenCalledWith({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_KEY),
+    });
+    expect(subscription.endpoint).toBe('https://push.example/1');
+  });
+
+  it('subscribeToPush fails when permission is denied', async () => {
+    window.Notification.requestPermission.mockResolvedValue('denied');
+
+    await expect(subscribeToPush()).rejects.toThrow('ההרשאה להתראות נחסמה בדפדפן');
+    expect(pushManager.subscribe).not.toHaveBeenCalled();
+  });
+
+  it('unsubscribeFromPush drops the subscription and returns its endpoint', async () => {
+    const unsubscribe = vi.fn().mockResolvedValue(true);
+    pushManager.getSubscription.mockResolvedValue({ endpoint: 'https://push.example/1', unsubscribe });
+
+    expect(await unsubscribeFromPush()).toBe('https://push.example/1');
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('unsubscribeFromPush returns null when not subscribed', async () => {
+    expect(await unsubscribeFromPush()).toBeNull();
+  });
+});
@@ -5,13 +5,19 @@ import {
   Award, AlertCircle, ClipboardList, Calendar,
   Timer, ChevronLeft, Loader2, RefreshCw,
   MapPin, Plus, CalendarDays, UserPlus, Eye, EyeOff, Settings,
-  Mail, Upload
+  Mail, Upload, Target, Trash2, Repeat, Download, ShieldCheck, MessageSquare, Scissors, History
 } from 'lucide-react';
+import { exportHours } from '../lib/exportHours';
+import { downloadCertificatePdf } from '../lib/certificatePdf';
+import LogThread from './LogThread';
+import NotificationBell from './NotificationBell';
 
 const fmtDate = (d) =>
   new Date(d).toLocaleDateString('he-IL', {
     year: 'numeric', month: 'short', day: 'numeric',
   });
+const fmtTime = (d) =>
+  new Date(d).toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' });
 const fmtDur = (m) => {
   const h = Math.floor(m / 60);
   const r = Math.round(m % 60);
@@ -29,6 +35,98 @@ const CATEGORIES = {
   other:             { label: 'אחר',              icon: '📋' },
 };
 
+const CATEGORY_LABELS = Object.fromEntries(Object.entries(CATEGORIES).map(([k, c]) => [k, c.label]));
+
+const EMPTY_REQUIREMENT = { category: 'tutoring', minHours: '', maxHours: '' };
+const EMPTY_TEMPLATE_FORM = { name: '', academicYear: '', requirements: [EMPTY_REQUIREMENT] };
+
+// "40" → 40, "" → null
+const toHours = (v) => (v === '' || v == null ? null : parseFloat(v));
+
+const EMPTY_EXPORT_FORM = { from: '', to: '', siteId: '', detailed: false };
+
+// ─── Pending queue filters ('' = any) ───
+const EMPTY_PENDING_FILTERS = { siteId: '', eventId: '', userId: '', category: '', supervisorStatus: '' };
+
+// ─── Tab each notification opens (migration 033) ───
+const NOTIFICATION_TABS = { logs_waiting: 'pending' };
+
+const SUPERVISOR_STATUS_FILTERS = {
+  pending_supervisor:  'ממתין למפקח',
+  overdue:             'מעבר לזמן המפקח',
+  supervisor_approved: 'מפקח אישר',
+  none:                'ללא שלב מפקח',
+};
+
+// ─── Supervisor SLA (migration 027) ───
+// Before supervisor_due_at only the site supervisor may approve; after it
+// the log is escalated and the admin may approve it directly.
+const isOverdueForSupervisor = (l) =>
+  l.supervisor_status === 'pending_supervisor' && !!l.supervisor_due_at && new Date(l.supervisor_due_at) <= new Date();
+
+const isAwaitingSupervisor = (l) =>
+  l.supervisor_status === 'pending_supervisor' && !!l.supervisor_due_at && new Date(l.supervisor_due_at) > new Date();
+
+const daysSince = (d) => Math.max(0, Math.floor((Date.now() - new Date(d).getTime()) / 86400000));
+
+const matchesSupervisorStatus = (l, status) => {
+  if (status === 'none') return !l.supervisor_status;
+  if (status === 'overdue') return isOverdueForSupervisor(l);
+  return l.supervisor_status === status;
+};
+
+const filterPendingLogs = (logs, f) => logs.filter((l) =>
+  (!f.siteId || l.site_id === f.siteId) &&
+  (!f.eventId || l.general_event_id === f.eventId) &&
+  (!f.userId || l.user_id === f.userId) &&
+  (!f.category || l.category === f.category) &&
+  (!f.supervisorStatus || matchesSupervisorStatus(l, f.supervisorStatus))
+);
+
+// Distinct [value, label] pairs present in the logs, sorted by label
+const distinctOptions = (logs, key, labelKey) =>
+  [...new Map(logs.filter((l) => l[key]).map((l) => [l[key], l[labelKey]])).entries()]
+    .sort((a, b) => String(a[1]).localeCompare(String(b[1]), 'he'));
+
+// ─── Activity (audit log, migration 029) ───
+const AUDIT_ENTITIES = {
+  profiles:           'משתמשים',
+  shifts:             'משמרות',
+  shift_corrections:  'תיקוני משמרות',
+  manual_logs:        'דיווחים ידניים',
+  student_placements: 'שיבוצים',
+  sites:              'אתרים',
+  general_events:     'אירועים',
+  approved_scholars:  'מלגאים מאושרים',
+};
+
+const AUDIT_ACTIONS = { insert: 'נוצר', update: 'עודכן', delete: 'נמחק' };
+
+const EMPTY_AUDIT_FILTERS = { entity: '', actorId: '', from: '', to: '' };
+
+const fmtAuditValue = (v) => {
+  if (v == null) return '—';
+  if (typeof v === 'boolean') return v ? 'כן' : 'לא';
+  const text = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+// [{ field, from, to }] of an update; inserts and deletes show no fields
+const auditChanges = (entry) =>
+  entry.action === 'update'
+    ? Object.keys(entry.new_data || {}).map((field) => ({
+      field,
+      from: fmtAuditValue(entry.old_data?.[field]),
+      to: fmtAuditValue(entry.new_data[field]),
+    }))
+    : [];
+
+const EMPTY_SITE_FORM = {
+  name: '', address: '', description: '', expectedMinutes: '', maxMinutes: '',
+  latitude: '', longitude: '', radius: '', requireShiftConfirmation: false, slaDays: '',
+  closesAt: '', autoCloseEnd: 'expected',
+};
+
 const pColor = (p) =>
   p >= 100 ? '#10b981' : p >= 60 ? '#06b6d4' : p >= 30 ? '#3b82f6' : '#8b5cf6';
 
@@ -40,6 +138,24 @@ const currentAcademicYear = () => {
   return month >= 8 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
 };
 
+// Current academic year and the three before it
+const recentAcademicYears = () => {
+  const start = parseInt(currentAcademicYear().slice(0, 4), 10);
+  return [0, 1, 2, 3].map((i) => `${start - i}-${start - i + 1}`);
+};
+
+// '2026-2027' → '2025-2026'
+const previousAcademicYear = (year) => {
+  const start = parseInt(year.slice(0, 4), 10);
+  return `${start - 1}-${start}`;
+};
+
+const ROLLOVER_ACTIONS = {
+  continue: 'ממשיך באותו אתר',
+  move:     'עובר לאתר אחר',
+  complete: 'מסיים',
+};
+
 // ─── Progress Ring (smaller for detail view) ───
 function ProgressRing({ progress, size = 150, sw = 11, children }) {
   const r = (size - sw) / 2;
@@ -93,6 +209,171 @@ function PBar({ progress, h = 8 }) {
   );
 }
 
+// ─── Hours per category ───
+function CategoryBreakdown({ rows }) {
+  const max = Math.max(...rows.map((r) => r.totalHours), 0);
+  return (
+    <div className="glass p-5">
+      <h3 className="text-white font-bold text-sm mb-4">פילוח שעות לפי קטגוריה</h3>
+      {rows.length === 0 ? (
+        <p className="text-blue-200/35 text-sm">אין עדיין שעות מאושרות</p>
+      ) : (
+        <ul className="space-y-3">
+          {rows.map((r) => (
+            <li key={r.category}>
+              <div className="flex items-center justify-between text-sm mb-1.5">
+                <span className="text-blue-200/70">
+                  {CATEGORIES[r.category]?.icon || '📋'} {CATEGORIES[r.category]?.label || 'אחר'}
+                </span>
+                <span className="text-white font-medium">{r.totalHours.toFixed(1)} שעות</span>
+              </div>
+              <PBar progress={max > 0 ? (r.totalHours / max) * 100 : 0} h={6} />
+              <p className="text-blue-200/30 text-xs mt-1">
+                משמרות {r.shiftHours.toFixed(1)} · ידני {r.manualHours.toFixed(1)}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ─── Student timeline (migration 030) ───
+const SHIFT_STATUS_LABELS = {
+  active: 'פעילה', completed: 'נספרה', needs_review: 'ממתינה לאישור מפקח', rejected: 'נדחתה',
+};
+const PLACEMENT_STATUS_LABELS = { active: 'פעיל', completed: 'הושלם', withdrawn: 'בוטל' };
+
+// Last day of an academic year ('2025-2026' → Aug 31, 2026)
+const academicYearEnd = (year) => new Date(parseInt(year.slice(5), 10), 7, 31);
+
+// Submission → site supervisor → admin, one line per step reached
+const logApprovalChain = (l) => {
+  const steps = [`הוגש ${fmtDate(l.submitted_at)}`];
+  const supervisor = l.on_behalf_of_name ? `${l.supervisor_name} בשם ${l.on_behalf_of_name}` : l.supervisor_name;
+  if (l.supervisor_status === 'pending_supervisor' && l.status === 'pending') steps.push('ממתין לאישור מפקח האתר');
+  if (l.supervisor_status === 'supervisor_approved') steps.push(`אושר על ידי המפקח/ת ${supervisor} · ${fmtDate(l.supervisor_reviewed_at)}`);
+  if (l.supervisor_status === 'supervisor_rejected') {
+    steps.push(`נדחה על ידי המפקח/ת ${supervisor} · ${fmtDate(l.supervisor_reviewed_at)}: ${l.rejection_reason}`);
+    return steps;
+  }
+  if (l.supervisor_status === 'escalated') steps.push('עבר את זמן המפקח והועבר למנהל');
+  if (l.status === 'approved') steps.push(`אושר על ידי ${l.reviewer_name || 'מנהל/ת'} · ${fmtDate(l.reviewed_at)}`);
+  if (l.status === 'rejected') steps.push(`נדחה על ידי ${l.reviewer_name || 'מנהל/ת'} · ${fmtDate(l.reviewed_at)}: ${l.rejection_reason}`);
+  if (l.status === 'pending' && l.supervisor_status !== 'pending_supervisor') steps.push('ממתין לאישור מנהל');
+  return steps;
+};
+
+function WeeklyHoursChart({ weeks }) {
+  const max = Math.max(...weeks.map((w) => w.hours), 1);
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-24" role="img" aria-label="שעות לפי שבוע">
+        {weeks.map((w) => (
+          <div
+            key={w.weekStart}
+            className="flex-1 rounded-t bg-cyan-400/60"
+            style={{ height: `${(w.hours / max) * 100}%`, minHeight: w.hours > 0 ? 2 : 0 }}
+            title={`שבוע ${fmtDate(w.weekStart)}: ${w.hours.toFixed(1)} שעות`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-blue-200/30 text-xs mt-1.5">
+        <span>{fmtDate(weeks[0].weekStart)}</span>
+        <span>{fmtDate(weeks[weeks.length - 1].weekStart)}</span>
+      </div>
+    </div>
+  );
+}
+
+function TimelineItem({ item }) {
+  if (item.type === 'shift') {
+    return (
+      <>
+        <p className="text-white text-sm">
+          משמרת · {CATEGORIES[item.category]?.label || 'אחר'}
+          <span className="text-blue-200/45"> · {SHIFT_STATUS_LABELS[item.status] || item.status}</span>
+        </p>
+        <p className="text-blue-200/45 text-xs mt-0.5">
+          {fmtDate(item.at)} · {fmtTime(item.at)}–{item.end_time ? fmtTime(item.end_time) : '...'}
+          {item.duration_minutes != null && ` · ${fmtDur(parseFloat(item.duration_minutes))}`}
+          {item.site_name && ` · ${item.site_name}`}
+        </p>
+        {item.description && <p className="text-blue-200/35 text-xs mt-0.5">{item.description}</p>}
+      </>
+    );
+  }
+  if (item.type === 'log') {
+    return (
+      <>
+        <p className="text-white text-sm">
+          דיווח ידני · {CATEGORIES[item.category]?.label || 'אחר'}
+          <span className="text-blue-200/45">
+            {' · '}
+            {item.approved_minutes != null
+              ? `אושרו ${fmtDur(parseFloat(item.approved_minutes))} מתוך ${fmtDur(item.duration_minutes)}`
+              : fmtDur(item.duration_minutes)}
+          </span>
+        </p>
+        <p className="text-blue-200/45 text-xs mt-0.5">
+          {fmtDate(item.date)}
+          {(item.site_name || item.event_name) && ` · ${item.site_name || item.event_name}`}
+          {item.description && ` · ${item.description}`}
+        </p>
+        <ul className="mt-1 space-y-0.5 text-xs text-blue-200/35">
+          {logApprovalChain(item).map((step) => <li key={step}>{step}</li>)}
+        </ul>
+      </>
+    );
+  }
+  if (item.type === 'placement') {
+    return (
+      <p className="text-white text-sm">
+        שובץ/ה ב{item.site_name} · {item.academic_year}
+        {item.status !== 'active' && <span className="text-blue-200/45"> · {PLACEMENT_STATUS_LABELS[item.status]}</span>}
+        <span className="block text-blue-200/45 text-xs mt-0.5">{fmtDate(item.at)}</span>
+      </p>
+    );
+  }
+  const by = item.actor_name ? ` · על ידי ${item.actor_name}` : '';
+  return (
+    <p className="text-white text-sm">
+      {item.type === 'placement_change'
+        ? `שיבוץ ב${item.site_name}: ${PLACEMENT_STATUS_LABELS[item.old_status] || item.old_status} ← ${PLACEMENT_STATUS_LABELS[item.new_status] || item.new_status}`
+        : item.is_active ? 'החשבון הופעל מחדש' : 'החשבון הושבת'}
+      <span className="block text-blue-200/45 text-xs mt-0.5">{fmtDate(item.at)} · {fmtTime(item.at)}{by}</span>
+    </p>
+  );
+}
+
+function StudentTimeline({ items, academicYear }) {
+  const until = new Date(Math.min(Date.now(), academicYearEnd(academicYear).getTime()));
+  const weeks = ShiftLogic.weeklyHours(items, { until });
+  return (
+    <div className="glass p-5 space-y-5">
+      <div>
+        <h3 className="text-white font-bold text-sm mb-3">שעות לפי שבוע</h3>
+        <WeeklyHoursChart weeks={weeks} />
+      </div>
+      <div>
+        <h3 className="text-white font-bold text-sm mb-3">ציר פעילות</h3>
+        {items.length === 0 ? (
+          <p className="text-blue-200/35 text-sm">אין פעילות בשנה זו</p>
+        ) : (
+          <ol className="space-y-3 border-r border-white/[0.08] pr-4">
+            {items.map((item) => (
+              <li key={`${item.type}-${item.id}`}>
+                <TimelineItem item={item} />
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // ─── Toast ───
 function Toast({ msg, type = 'success', onClose }) {
   const [exiting, setExiting] = useState(false);
@@ -170,12 +451,29 @@ function LoadingSkeleton() {
 export default function AdminPanel({ profile, onLogout }) {
   const [students, setStudents] = useState([]);
   const [pendingLogs, setPendingLogs] = useState([]);
+  const [pendingCorrections, setPendingCorrections] = useState([]);
+  const [autoClosedShifts, setAutoClosedShifts] = useState([]);
   const [sites, setSites] = useState([]);
   const [events, setEvents] = useState([]);
   const [supervisors, setSupervisors] = useState([]);
   const [placements, setPlacements] = useState([]);
   const [tab, setTab] = useState('overview');
   const [selectedStudent, setSelectedStudent] = useState(null);
+  const [studentBreakdown, setStudentBreakdown] = useState(null);
+  const [studentTimeline, setStudentTimeline] = useState(null);
+  const [yearGoalInput, setYearGoalInput] = useState('');
+  const [showExport, setShowExport] = useState(false);
+  const [exportForm, setExportForm] = useState(EMPTY_EXPORT_FORM);
+  const [exporting, setExporting] = useState(false);
+  const [verifyCode, setVerifyCode] = useState('');
+  const [verifyResult, setVerifyResult] = useState(null); // null = not checked, false = not found
+  const [rejecting, setRejecting] = useState(null); // { id, reason }
+  const [rejectingCorrection, setRejectingCorrection] = useState(null); // { id, reason }
+  const [partial, setPartial] = useState(null); // { id, hours, minutes, note }
+  const [pendingFilters, setPendingFilters] = useState(EMPTY_PENDING_FILTERS);
+  const [selectedLogIds, setSelectedLogIds] = useState([]);
+  const [bulkReject, setBulkReject] = useState(null); // { reason } while the shared reason form is open
+  const [threadLogId, setThreadLogId] = useState(null);
   const [toast, setToast] = useState(null);
   const [initialLoad, setInitialLoad] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -184,7 +482,7 @@ export default function AdminPanel({ profile, onLogout }) {
 
   // ── Forms ──
   const [showSiteForm, setShowSiteForm] = useState(false);
-  const [siteForm, setSiteForm] = useState({ name: '', address: '', description: '' });
+  const [siteForm, setSiteForm] = useState(EMPTY_SITE_FORM);
   const [showEventForm, setShowEventForm] = useState(false);
   const [eventForm, setEventForm] = useState({ name: '', description: '', eventDate: '' });
   const [showSupervisorForm, setShowSupervisorForm] = useState(false);
@@ -192,6 +490,8 @@ export default function AdminPanel({ profile, onLogout }) {
   const [showPw, setShowPw] = useState(false);
   const [showPlacementForm, setShowPlacementForm] = useState(false);
   const [placementForm, setPlacementForm] = useState({ studentId: '', siteId: '' });
+  // { fromYear, placements, decisions: { [placementId]: { action, siteId } }, preview }
+  const [rollover, setRollover] = useState(null);
 
   // Approved scholars
   const [approvedScholars, setApprovedScholars] = useState([]);
@@ -199,24 +499,58 @@ export default function AdminPanel({ profile, onLogout }) {
   const [scholarEmail, setScholarEmail] = useState('');
   const [csvImporting, setCsvImporting] = useState(false);
 
+  // Global shift-length defaults
+  const [settingsForm, setSettingsForm] = useState({ expectedMinutes: '', maxMinutes: '', slaDays: '', graceMinutes: '' });
+
+  // Logs waiting on each site supervisor
+  const [supervisorBacklog, setSupervisorBacklog] = useState([]);
+
+  // Activity tab (audit log)
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditActors, setAuditActors] = useState([]);
+  const [auditFilters, setAuditFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [auditLoading, setAuditLoading] = useState(false);
+
+  // Per-category goal templates
+  const [goalTemplates, setGoalTemplates] = useState([]);
+  const [showTemplateForm, setShowTemplateForm] = useState(false);
+  const [templateForm, setTemplateForm] = useState(EMPTY_TEMPLATE_FORM);
+
   // ─── Load data ───
   const loadData = useCallback(async (showRefresh = false) => {
     if (showRefresh) setRefreshing(true);
     try {
-      const [studentsData, pending, sitesData, eventsData, supervisorsData, scholarsData] = await Promise.all([
-        ShiftLogic.getAllStudentsSummary(),
+      const [studentsData, pending, sitesData, eventsData, supervisorsData, scholarsData, corrections, autoClosed, settings, templates, backlog] = await Promise.all([
+        ShiftLogic.getAllStudentsSummary(academicYear),
         ShiftLogic.getAllPendingLogs(),
         ShiftLogic.getAllSites(),
         ShiftLogic.getAllEvents(),
         ShiftLogic.getAllSupervisors(),
         ShiftLogic.getApprovedScholars(),
+        ShiftLogic.getAllPendingCorrections(),
+        ShiftLogic.getAutoClosedShifts(),
+        ShiftLogic.getShiftSettings(),
+        ShiftLogic.getGoalTemplates(),
+        ShiftLogic.getSupervisorBacklog(),
       ]);
       setStudents(studentsData || []);
       setPendingLogs(pending || []);
+      setPendingCorrections(corrections || []);
       setSites(sitesData || []);
       setEvents(eventsData || []);
       setSupervisors(supervisorsData || []);
       setApprovedScholars(scholarsData || []);
+      setAutoClosedShifts(autoClosed || []);
+      setGoalTemplates(templates || []);
+      setSupervisorBacklog(backlog || []);
+      if (settings) {
+        setSettingsForm({
+          expectedMinutes: String(settings.default_expected_shift_minutes ?? ''),
+          maxMinutes: String(settings.default_max_shift_minutes ?? ''),
+          slaDays: String(settings.default_supervisor_sla_days ?? ''),
+          graceMinutes: String(settings.auto_close_grace_minutes ?? ''),
+        });
+      }
     } catch (err) {
       console.error('Admin load error:', err);
       setToast({ m: 'שגיאה בטעינת נתונים: ' + err.message, t: 'error' });
@@ -224,7 +558,7 @@ export default function AdminPanel({ profile, onLogout }) {
       setInitialLoad(false);
       setRefreshing(false);
     }
-  }, []);
+  }, [academicYear]);
 
   // ─── Load placements when year changes ───
   const loadPlacements = useCallback(async () => {
@@ -239,12 +573,93 @@ export default function AdminPanel({ profile, onLogout }) {
   useEffect(() => { loadData(); }, [loadData]);
   useEffect(() => { if (tab === 'placements') loadPlacements(); }, [tab, loadPlacements]);
 
+  // ─── Activity: reload on every filter change while the tab is open ───
+  const loadAudit = useCallback(async () => {
+    setAuditLoading(true);
+    try {
+      setAuditEntries(await ShiftLogic.getAuditLog(auditFilters));
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setAuditLoading(false);
+    }
+  }, [auditFilters]);
+
+  useEffect(() => { if (tab === 'activity') loadAudit(); }, [tab, loadAudit]);
+
+  useEffect(() => {
+    if (tab !== 'activity' || auditActors.length > 0) return;
+    ShiftLogic.getAuditActors()
+      .then((data) => setAuditActors(data || []))
+      .catch((err) => console.error('Audit actors load error:', err));
+  }, [tab, auditActors.length]);
+
+  // ─── Category breakdown and timeline for the opened student ───
+  useEffect(() => {
+    setStudentBreakdown(null);
+    setStudentTimeline(null);
+    if (!selectedStudent) return undefined;
+    let cancelled = false;
+    setYearGoalInput(String(selectedStudent.total_goal ?? ''));
+    ShiftLogic.getCategoryBreakdown(selectedStudent.student_id, academicYear)
+      .then((rows) => { if (!cancelled) setStudentBreakdown(rows); })
+      .catch((err) => { if (!cancelled) setToast({ m: err.message, t: 'error' }); });
+    ShiftLogic.getStudentTimeline(selectedStudent.student_id, academicYear)
+      .then((items) => { if (!cancelled) setStudentTimeline(items); })
+      .catch((err) => { if (!cancelled) setToast({ m: err.message, t: 'error' }); });
+    return () => { cancelled = true; };
+  }, [selectedStudent, academicYear]);
+
+  // ─── Per-Year Goal ───
+  // ─── Hours Certificates ───
+  const handleIssueCertificate = async (studentId) => {
+    setBusy(true);
+    try {
+      const certificate = await ShiftLogic.issueHoursCertificate(studentId, academicYear);
+      await downloadCertificatePdf(certificate, CATEGORY_LABELS);
+      setToast({ m: `אישור השעות הופק (קוד ${certificate.verification_code})`, t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVerifyCertificate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      setVerifyResult((await ShiftLogic.verifyHoursCertificate(verifyCode)) || false);
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveYearGoal = async (e) => {
+    e.preventDefault();
+    const studentId = selectedStudent.student_id;
+    setBusy(true);
+    try {
+      await ShiftLogic.setYearGoal(studentId, academicYear, parseInt(yearGoalInput, 10));
+      const updated = (await ShiftLogic.getAllStudentsSummary(academicYear)) || [];
+      setStudents(updated);
+      setSelectedStudent(updated.find((x) => x.student_id === studentId) || null);
+      setToast({ m: `היעד לשנת ${academicYear} נשמר`, t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
   // ─── Approve / Reject ───
   const handleApprove = async (logId) => {
     try {
-      await ShiftLogic.approveLog(logId, profile.id);
+      await ShiftLogic.approveLog(logId);
       setPendingLogs((prev) => prev.filter((l) => l.id !== logId));
-      const updated = await ShiftLogic.getAllStudentsSummary();
+      const updated = await ShiftLogic.getAllStudentsSummary(academicYear);
       setStudents(updated);
       setToast({ m: 'הדיווח אושר בהצלחה', t: 'success' });
     } catch (err) {
@@ -252,16 +667,238 @@ export default function AdminPanel({ profile, onLogout }) {
     }
   };
 
-  const handleReject = async (logId) => {
+  // ─── Partial approval (fewer minutes than reported, note required) ───
+  const handlePartialApprove = async (e, log) => {
+    e.preventDefault();
+    const approvedMinutes = (parseInt(partial?.hours, 10) || 0) * 60 + (parseInt(partial?.minutes, 10) || 0);
+    if (approvedMinutes <= 0 || approvedMinutes >= log.duration_minutes) {
+      setToast({ m: `נא להזין פחות מ-${fmtDur(log.duration_minutes)}`, t: 'error' });
+      return;
+    }
     try {
-      await ShiftLogic.rejectLog(logId, profile.id);
+      await ShiftLogic.approveLog(log.id, { approvedMinutes, note: partial.note });
+      setPendingLogs((prev) => prev.filter((l) => l.id !== log.id));
+      setPartial(null);
+      const updated = await ShiftLogic.getAllStudentsSummary(academicYear);
+      setStudents(updated);
+      setToast({ m: `אושרו ${fmtDur(approvedMinutes)} מתוך ${fmtDur(log.duration_minutes)}`, t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  // Reason required, shown to the student
+  const handleReject = async (e, logId) => {
+    e.preventDefault();
+    try {
+      await ShiftLogic.rejectLog(logId, rejecting?.reason);
       setPendingLogs((prev) => prev.filter((l) => l.id !== logId));
+      setRejecting(null);
       setToast({ m: 'הדיווח נדחה', t: 'error' });
     } catch (err) {
       setToast({ m: err.message, t: 'error' });
     }
   };
 
+  const handleThreadError = useCallback((err) => {
+    setToast({ m: err.message, t: 'error' });
+  }, []);
+
+  const handleNotificationError = useCallback((err) => {
+    setToast({ m: err.message, t: 'error' });
+  }, []);
+
+  const handleNotificationNavigate = useCallback((t) => {
+    setTab(t);
+    setSelectedStudent(null);
+  }, []);
+
+  // ─── Bulk review (one RPC, summary refreshed once) ───
+  const setPendingFilter = (key, value) => {
+    setPendingFilters((f) => ({ ...f, [key]: value }));
+    setSelectedLogIds([]);
+  };
+
+  const toggleLogSelected = (logId) => {
+    setSelectedLogIds((prev) =>
+      prev.includes(logId) ? prev.filter((id) => id !== logId) : [...prev, logId]
+    );
+  };
+
+  const handleBulkReview = async (approve) => {
+    setBusy(true);
+    try {
+      const { results, applied, skipped, awaitingSupervisor } = await ShiftLogic.reviewLogsBulk(
+        selectedLogIds, approve, approve ? null : bulkReject?.reason
+      );
+      // Skipped logs were reviewed elsewhere: drop them from the queue too.
+      // Logs still within the supervisor's SLA stay.
+      const handled = new Set(results.filter((r) => r.result !== 'awaiting_supervisor').map((r) => r.log_id));
+      setPendingLogs((prev) => prev.filter((l) => !handled.has(l.id)));
+      setSelectedLogIds([]);
+      setBulkReject(null);
+      if (approve && applied > 0) {
+        const updated = await ShiftLogic.getAllStudentsSummary(academicYear);
+        setStudents(updated);
+      }
+      let m = approve ? `אושרו ${applied} דיווחים` : `נדחו ${applied} דיווחים`;
+      if (skipped > 0) m += ` · ${skipped} דולגו (כבר טופלו)`;
+      if (awaitingSupervisor > 0) m += ` · ${awaitingSupervisor} ממתינים למפקח`;
+      setToast({
+        m,
+        t: approve ? 'success' : 'error',
+      });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ─── Approve / Reject Shift Correction ───
+  const handleApproveCorrection = async (correctionId) => {
+    try {
+      await ShiftLogic.approveShiftCorrection(correctionId);
+      setPendingCorrections((prev) => prev.filter((c) => c.id !== correctionId));
+      const updated = await ShiftLogic.getAllStudentsSummary(academicYear);
+      setStudents(updated);
+      setToast({ m: 'התיקון אושר והמשמרת עודכנה', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  const handleRejectCorrection = async (e, correctionId) => {
+    e.preventDefault();
+    try {
+      await ShiftLogic.rejectShiftCorrection(correctionId, rejectingCorrection?.reason);
+      setPendingCorrections((prev) => prev.filter((c) => c.id !== correctionId));
+      setRejectingCorrection(null);
+      setToast({ m: 'בקשת התיקון נדחתה', t: 'error' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  // ─── Mark Auto-Closed Shift Reviewed ───
+  const handleReviewAutoClosed = async (shiftId) => {
+    try {
+      await ShiftLogic.reviewAutoClosedShift(shiftId);
+      setAutoClosedShifts((prev) => prev.filter((s) => s.shift_id !== shiftId));
+      setToast({ m: 'המשמרת סומנה כנבדקה', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  // ─── Save Global Shift Settings ───
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    const expected = parseInt(settingsForm.expectedMinutes, 10);
+    const max = parseInt(settingsForm.maxMinutes, 10);
+    if (!(expected > 0) || !(max > 0)) {
+      setToast({ m: 'נא להזין ערכים חיוביים בדקות', t: 'error' });
+      return;
+    }
+    if (max < expected) {
+      setToast({ m: 'המשך המקסימלי חייב להיות לפחות המשך הצפוי', t: 'error' });
+      return;
+    }
+    setBusy(true);
+    try {
+      await ShiftLogic.updateShiftSettings({
+        defaultExpectedShiftMinutes: expected,
+        defaultMaxShiftMinutes: max,
+        defaultSupervisorSlaDays: parseInt(settingsForm.slaDays, 10) || null,
+        autoCloseGraceMinutes: settingsForm.graceMinutes === '' ? null : Math.max(0, parseInt(settingsForm.graceMinutes, 10) || 0),
+      });
+      setToast({ m: 'הגדרות המשמרת נשמרו', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ─── Remind supervisors of overdue logs ───
+  const handleSendReminders = async () => {
+    setBusy(true);
+    try {
+      const { sent } = await ShiftLogic.sendSupervisorReminders();
+      const backlog = await ShiftLogic.getSupervisorBacklog();
+      setSupervisorBacklog(backlog || []);
+      setToast({
+        m: sent?.length ? `נשלחו ${sent.length} תזכורות` : 'אין מפקחים שצריך להזכיר להם היום',
+        t: 'success',
+      });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ─── Goal Templates ───
+  const updateRequirement = (index, patch) => {
+    setTemplateForm((p) => ({
+      ...p,
+      requirements: p.requirements.map((r, i) => (i === index ? { ...r, ...patch } : r)),
+    }));
+  };
+
+  const handleCreateGoalTemplate = async (e) => {
+    e.preventDefault();
+    if (!templateForm.name.trim()) return;
+    setBusy(true);
+    try {
+      await ShiftLogic.createGoalTemplate({
+        name: templateForm.name.trim(),
+        academicYear: templateForm.academicYear.trim() || null,
+        requirements: templateForm.requirements.map((r) => ({
+          category: r.category,
+          minHours: toHours(r.minHours),
+          maxHours: toHours(r.maxHours),
+        })),
+      });
+      setTemplateForm(EMPTY_TEMPLATE_FORM);
+      setShowTemplateForm(false);
+      await loadData();
+      setToast({ m: 'תבנית היעד נוצרה', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDeleteGoalTemplate = async (templateId) => {
+    setBusy(true);
+    try {
+      await ShiftLogic.deleteGoalTemplate(templateId);
+      setGoalTemplates((prev) => prev.filter((t) => t.id !== templateId));
+      setToast({ m: 'תבנית היעד נמחקה', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAssignGoalTemplate = async (studentId, templateId) => {
+    setBusy(true);
+    try {
+      await ShiftLogic.assignGoalTemplate(studentId, academicYear, templateId || null);
+      const updated = (await ShiftLogic.getAllStudentsSummary(academicYear)) || [];
+      setStudents(updated);
+      setSelectedStudent(updated.find((x) => x.student_id === studentId) || null);
+      setToast({ m: 'תבנית היעד עודכנה', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
   // ─── Create Site ───
   const handleCreateSite = async (e) => {
     e.preventDefault();
@@ -272,8 +909,17 @@ export default function AdminPanel({ profile, onLogout }) {
         name: siteForm.name.trim(),
         address: siteForm.address.trim() || null,
         description: siteForm.description.trim() || null,
+        expectedShiftMinutes: parseInt(siteForm.expectedMinutes, 10) || null,
+        maxShiftMinutes: parseInt(siteForm.maxMinutes, 10) || null,
+        latitude: siteForm.latitude === '' ? null : parseFloat(siteForm.latitude),
+        longitude: siteForm.longitude === '' ? null : parseFloat(siteForm.longitude),
+        geofenceRadiusM: parseInt(siteForm.radius, 10) || null,
+        requireShiftConfirmation: siteForm.requireShiftConfirmation,
+        supervisorSlaDays: parseInt(siteForm.slaDays, 10) || null,
+        closesAt: siteForm.closesAt || null,
+        autoCloseEnd: siteForm.autoCloseEnd,
       });
-      setSiteForm({ name: '', address: '', description: '' });
+      setSiteForm(EMPTY_SITE_FORM);
       setShowSiteForm(false);
       await loadData();
       setToast({ m: 'אתר נוצר בהצלחה', t: 'success' });
@@ -284,6 +930,25 @@ export default function AdminPanel({ profile, onLogout }) {
     }
   };
 
+  // ─── Shift confirmation policy ───
+  const handleToggleShiftConfirmation = async (site) => {
+    setBusy(true);
+    try {
+      await ShiftLogic.setSiteShiftConfirmation(site.id, !site.require_shift_confirmation);
+      await loadData();
+      setToast({
+        m: site.require_shift_confirmation
+          ? `משמרות ב${site.name} ייספרו ללא אישור מפקח`
+          : `משמרות ב${site.name} ימתינו לאישור מפקח`,
+        t: 'success',
+      });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
   // ─── Deactivate Site ───
   const handleDeactivateSite = async (siteId) => {
     setBusy(true);
@@ -375,6 +1040,99 @@ export default function AdminPanel({ profile, onLogout }) {
     }
   };
 
+  // ─── Hours Export ───
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const { summary, detail } = await ShiftLogic.getHoursExport({
+        academicYear,
+        from: exportForm.from || null,
+        to: exportForm.to || null,
+        siteId: exportForm.siteId || null,
+        detailed: exportForm.detailed,
+      });
+      if (summary.length === 0) {
+        throw new Error('אין נתונים לייצוא בסינון שנבחר');
+      }
+      await exportHours(format, {
+        summary,
+        detail: exportForm.detailed ? detail : null,
+        fileName: `kazzaz-hours-${academicYear}`,
+        categoryLabels: CATEGORY_LABELS,
+      });
+      setToast({ m: `יוצאו נתוני ${summary.length} סטודנטים`, t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // ─── Year Rollover ───
+  const openRollover = async () => {
+    const fromYear = previousAcademicYear(academicYear);
+    setBusy(true);
+    try {
+      const previous = (await ShiftLogic.getAllPlacements(fromYear)).filter((p) => p.status === 'active');
+      if (previous.length === 0) {
+        setToast({ m: `אין שיבוצים פעילים בשנה ${fromYear}`, t: 'error' });
+        return;
+      }
+      setShowPlacementForm(false);
+      setRollover({
+        fromYear,
+        placements: previous,
+        decisions: Object.fromEntries(previous.map((p) => [p.id, { action: 'continue', siteId: '' }])),
+        preview: false,
+      });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setRolloverDecision = (placementId, patch) => {
+    setRollover((r) => ({
+      ...r,
+      decisions: { ...r.decisions, [placementId]: { ...r.decisions[placementId], ...patch } },
+    }));
+  };
+
+  const rolloverDecisions = rollover
+    ? rollover.placements.map((p) => ({ placementId: p.id, ...rollover.decisions[p.id] }))
+    : [];
+
+  const rolloverSummary = rollover?.preview
+    ? ShiftLogic.summarizeRollover(rolloverDecisions, events, rollover.fromYear)
+    : null;
+
+  const handleRolloverPreview = (e) => {
+    e.preventDefault();
+    if (rolloverDecisions.some((d) => d.action === 'move' && !d.siteId)) {
+      setToast({ m: 'יש לבחור אתר חדש לכל סטודנט שעובר אתר', t: 'error' });
+      return;
+    }
+    setRollover((r) => ({ ...r, preview: true }));
+  };
+
+  const handleRollover = async () => {
+    setBusy(true);
+    try {
+      const result = await ShiftLogic.rolloverAcademicYear(rollover.fromYear, academicYear, rolloverDecisions);
+      setRollover(null);
+      await Promise.all([loadPlacements(), loadData()]);
+      setToast({
+        m: `מעבר השנה הושלם: ${result.created_placements} שיבוצים חדשים, ${result.completed_placements} נסגרו`,
+        t: 'success',
+      });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
   // ─── Add Approved Scholar ───
   const handleAddScholar = async (e) => {
     e.preventDefault();
@@ -471,10 +1229,16 @@ export default function AdminPanel({ profile, onLogout }) {
   const placedStudentIds = new Set(placements.filter(p => p.status === 'active').map(p => p.student_id));
   const unplacedStudents = students.filter(s => !placedStudentIds.has(s.student_id));
 
+  const pendingCount = pendingLogs.length + pendingCorrections.length + autoClosedShifts.length;
+  const filteredLogs = filterPendingLogs(pendingLogs, pendingFilters);
+  const allFilteredSelected =
+    filteredLogs.length > 0 && filteredLogs.every((l) => selectedLogIds.includes(l.id));
+
   const ADMIN_TABS = [
     { id: 'overview',    l: 'סטודנטים',                              I: Users },
-    { id: 'pending',     l: `אישורים (${pendingLogs.length})`,       I: ClipboardList },
+    { id: 'pending',     l: `אישורים (${pendingCount})`,             I: ClipboardList },
     { id: 'manage',      l: 'ניהול',                                  I: Settings },
+    { id: 'activity',    l: 'פעילות',                                 I: History },
   ];
 
   if (initialLoad) return <LoadingSkeleton />;
@@ -499,6 +1263,18 @@ export default function AdminPanel({ profile, onLogout }) {
             </div>
           </div>
           <div className="flex items-center gap-1">
+            <label htmlFor="admin-year" className="sr-only">שנת לימודים</label>
+            <select
+              id="admin-year"
+              value={academicYear}
+              onChange={(e) => { setAcademicYear(e.target.value); setSelectedStudent(null); }}
+              className="glass-input text-xs py-1.5 appearance-none"
+              dir="ltr"
+            >
+              {recentAcademicYears().map((y) => (
+                <option key={y} value={y} style={{ background: '#111' }}>{y}</option>
+              ))}
+            </select>
             <button
               onClick={() => loadData(true)}
               disabled={refreshing}
@@ -508,6 +1284,12 @@ export default function AdminPanel({ profile, onLogout }) {
             >
               <RefreshCw size={16} className={refreshing ? 'animate-spin' : ''} />
             </button>
+            <NotificationBell
+              profile={profile}
+              tabs={NOTIFICATION_TABS}
+              onNavigate={handleNotificationNavigate}
+              onError={handleNotificationError}
+            />
             <button
               onClick={onLogout}
               className="text-blue-200/35 hover:text-red-400 p-2 rounded-lg hover:bg-white/5 transition-colors touch-target"
@@ -528,7 +1310,7 @@ export default function AdminPanel({ profile, onLogout }) {
             { l: 'סטודנטים',       v: totalStudents,          I: Users,       c: '#06b6d4' },
             { l: 'ממוצע התקדמות',  v: `${avgProgress.toFixed(0)}%`, I: BarChart3, c: '#3b82f6' },
             { l: 'השלימו יעד',     v: completed,              I: Award,       c: '#10b981' },
-            { l: 'ממתינים לאישור', v: pendingLogs.length,     I: AlertCircle, c: '#f59e0b' },
+            { l: 'ממתינים לאישור', v: pendingCount,           I: AlertCircle, c: '#f59e0b' },
           ].map((s, i) => (
             <div key={i} className="glass p-4">
               <div className="flex items-center gap-2 mb-2">
@@ -567,6 +1349,81 @@ export default function AdminPanel({ profile, onLogout }) {
         {/* ═══ STUDENTS TABLE ═══ */}
         {tab === 'overview' && !selectedStudent && (
           <div className="space-y-3 animate-tab-enter">
+            <div className="flex justify-end">
+              <button
+                onClick={() => setShowExport(!showExport)}
+                className="flex items-center gap-1.5 text-xs text-cyan-300 hover:text-cyan-200 transition-colors"
+              >
+                <Download size={14} /> ייצוא שעות
+              </button>
+            </div>
+
+            {showExport && (
+              <div className="glass p-4 space-y-3">
+                <p className="text-blue-200/50 text-sm">ייצוא שעות לשנת {academicYear}</p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <label className="text-blue-200/50 text-xs space-y-1">
+                    <span>מתאריך</span>
+                    <input
+                      type="date"
+                      value={exportForm.from}
+                      onChange={(e) => setExportForm((f) => ({ ...f, from: e.target.value }))}
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                  </label>
+                  <label className="text-blue-200/50 text-xs space-y-1">
+                    <span>עד תאריך</span>
+                    <input
+                      type="date"
+                      value={exportForm.to}
+                      onChange={(e) => setExportForm((f) => ({ ...f, to: e.target.value }))}
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                  </label>
+                  <label className="text-blue-200/50 text-xs space-y-1">
+                    <span>אתר</span>
+                    <select
+                      value={exportForm.siteId}
+                      onChange={(e) => setExportForm((f) => ({ ...f, siteId: e.target.value }))}
+                      className="glass-input w-full appearance-none"
+                    >
+                      <option value="" style={{ background: '#111' }}>כל האתרים</option>
+                      {sites.map((site) => (
+                        <option key={site.id} value={site.id} style={{ background: '#111' }}>{site.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <label className="flex items-center gap-2 text-blue-200/60 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={exportForm.detailed}
+                    onChange={(e) => setExportForm((f) => ({ ...f, detailed: e.target.checked }))}
+                  />
+                  כולל פירוט של כל משמרת ודיווח ידני
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleExport('csv')}
+                    disabled={exporting}
+                    className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50"
+                  >
+                    ייצוא CSV
+                  </button>
+                  <button
+                    onClick={() => handleExport('xlsx')}
+                    disabled={exporting}
+                    className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50"
+                  >
+                    ייצוא Excel
+                  </button>
+                  {exporting && <Loader2 size={16} className="animate-spin text-cyan-300 self-center" />}
+                </div>
+              </div>
+            )}
+
             {students.length === 0 ? (
               <div className="glass p-12 text-center">
                 <Users size={40} className="text-blue-200/20 mx-auto mb-3" aria-hidden="true" />
@@ -619,6 +1476,9 @@ export default function AdminPanel({ profile, onLogout }) {
                             {pending > 0 && (
                               <span className="text-amber-400/70 text-xs">{pending} ממתינים</span>
                             )}
+                            {s.requirements_met === false && (
+                              <span className="block text-amber-300/60 text-xs">דרישות קטגוריה חסרות</span>
+                            )}
                           </div>
                         </div>
                         <span className="col-span-2 text-blue-200/60 text-sm flex items-center gap-1">
@@ -662,6 +1522,7 @@ export default function AdminPanel({ profile, onLogout }) {
                         <PBar progress={prog} h={6} />
                         <div className="flex justify-between mt-2 text-xs text-blue-200/35">
                           <span>{totalH.toFixed(1)} / {s.total_goal} שעות</span>
+                          {s.requirements_met === false && <span className="text-amber-300/60">דרישות חסרות</span>}
                           {pending > 0 && <span className="text-amber-400/70">{pending} ממתינים</span>}
                         </div>
                       </div>
@@ -670,6 +1531,41 @@ export default function AdminPanel({ profile, onLogout }) {
                 })}
               </>
             )}
+
+            {/* ── Supervisor backlog ── */}
+            {supervisorBacklog.length > 0 && (
+              <section className="glass p-4 mt-2">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-white font-bold text-sm flex items-center gap-2">
+                    <ClipboardList size={15} className="text-amber-400" aria-hidden="true" /> ממתינים לאישור מפקחים
+                  </h3>
+                  <button
+                    onClick={handleSendReminders}
+                    disabled={busy || !supervisorBacklog.some((b) => Number(b.overdue_count) > 0)}
+                    className="flex items-center gap-1.5 text-xs text-amber-300 hover:text-amber-200 transition-colors disabled:opacity-40"
+                  >
+                    <Mail size={13} aria-hidden="true" /> שלח תזכורות
+                  </button>
+                </div>
+                <ul className="space-y-2" aria-label="ממתינים לאישור מפקחים">
+                  {supervisorBacklog.map((b) => (
+                    <li key={b.supervisor_id} className="flex items-center justify-between gap-3 text-sm">
+                      <div className="min-w-0">
+                        <p className="text-white truncate">{b.supervisor_name}</p>
+                        {b.site_names && <p className="text-blue-200/35 text-xs truncate">{b.site_names}</p>}
+                      </div>
+                      <div className="flex items-center gap-3 text-xs shrink-0">
+                        <span className="text-blue-200/50">{b.pending_count} ממתינים</span>
+                        {Number(b.overdue_count) > 0 && (
+                          <span className="text-red-400/70">{b.overdue_count} באיחור</span>
+                        )}
+                        <span className="text-amber-300/60">הוותיק: {daysSince(b.oldest_pending_at)} ימים</span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
           </div>
         )}
 
@@ -695,7 +1591,24 @@ export default function AdminPanel({ profile, onLogout }) {
                 </ProgressRing>
                 <div className="text-center md:text-right flex-1">
                   <h2 className="text-white text-2xl font-bold mb-1">{s.full_name}</h2>
-                  <p className="text-blue-200/35 text-sm mb-1">יעד: {s.total_goal} שעות</p>
+                  <form onSubmit={handleSaveYearGoal} className="flex items-center gap-2 justify-center md:justify-start mb-1">
+                    <label htmlFor="year-goal" className="text-blue-200/35 text-sm">יעד לשנת {academicYear}:</label>
+                    <input
+                      id="year-goal"
+                      type="number"
+                      min="1"
+                      value={yearGoalInput}
+                      onChange={(e) => setYearGoalInput(e.target.value)}
+                      className="glass-input w-20 text-sm py-1"
+                      dir="ltr"
+                    />
+                    <span className="text-blue-200/35 text-sm">שעות</span>
+                    {yearGoalInput !== String(s.total_goal ?? '') && (
+                      <button type="submit" disabled={busy} className="text-xs text-cyan-300 hover:text-cyan-200 disabled:opacity-50">
+                        שמור יעד
+                      </button>
+                    )}
+                  </form>
                   {s.site_name && (
                     <p className="text-cyan-400/50 text-sm mb-4 flex items-center gap-1 justify-center md:justify-start">
                       <MapPin size={13} /> {s.site_name}
@@ -711,28 +1624,329 @@ export default function AdminPanel({ profile, onLogout }) {
                         <p className={`${d.tc} text-xl font-bold`}>{d.v}</p>
                         <p className="text-blue-200/35 text-xs">{d.l}</p>
                       </div>
-                    ))}
-                  </div>
+                    ))}
+                  </div>
+                  {prog >= 100 && s.requirements_met !== false && (
+                    <button
+                      onClick={() => handleIssueCertificate(s.student_id)}
+                      disabled={busy}
+                      className="mt-4 flex items-center gap-2 text-sm text-cyan-300 hover:text-cyan-200 transition-colors disabled:opacity-50"
+                    >
+                      <Download size={15} aria-hidden="true" /> הפקת אישור שעות (PDF)
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div className="glass p-5 space-y-4">
+                <div className="flex items-center justify-between gap-3 flex-wrap">
+                  <h3 className="text-white font-bold text-sm flex items-center gap-2">
+                    <Target size={15} className="text-cyan-400" aria-hidden="true" /> דרישות יעד
+                  </h3>
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="student-goal-template" className="text-blue-200/45 text-xs">תבנית יעד</label>
+                    <select
+                      id="student-goal-template"
+                      value={s.goal_template_id || ''}
+                      onChange={(e) => handleAssignGoalTemplate(s.student_id, e.target.value)}
+                      disabled={busy}
+                      className="glass-input text-sm py-1.5 appearance-none"
+                    >
+                      <option value="" style={{ background: '#111' }}>לפי מחזור</option>
+                      {goalTemplates.map((t) => (
+                        <option key={t.id} value={t.id} style={{ background: '#111' }}>{t.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                {s.requirements?.length > 0 ? (
+                  <ul className="space-y-2">
+                    {s.requirements.map((r) => (
+                      <li key={r.category} className="flex items-center justify-between text-sm">
+                        <span className="text-blue-200/70">
+                          {CATEGORIES[r.category]?.icon || '📋'} {CATEGORIES[r.category]?.label || r.category}
+                        </span>
+                        <span className={r.met ? 'text-emerald-400' : 'text-amber-300'}>
+                          {parseFloat(r.hours).toFixed(1)}
+                          {r.min_hours != null && ` / ${r.min_hours}`}
+                          {r.max_hours != null && ` (עד ${r.max_hours})`}
+                          {' '}שעות {r.met ? '✓' : '✗'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-blue-200/35 text-sm">אין דרישות לפי קטגוריה — נספר רק סך השעות</p>
+                )}
+                {s.counted_hours != null && parseFloat(s.counted_hours) < totalH && (
+                  <p className="text-blue-200/35 text-xs">
+                    נספרות ליעד {parseFloat(s.counted_hours).toFixed(1)} שעות (שעות מעבר למקסימום בקטגוריה אינן נספרות)
+                  </p>
+                )}
+              </div>
+              {studentBreakdown ? (
+                <CategoryBreakdown rows={studentBreakdown} />
+              ) : (
+                <div className="glass p-5 h-24 skeleton" aria-hidden="true" />
+              )}
+              {studentTimeline ? (
+                <StudentTimeline items={studentTimeline} academicYear={academicYear} />
+              ) : (
+                <div className="glass p-5 h-40 skeleton" aria-hidden="true" />
+              )}
+            </div>
+          );
+        })()}
+
+        {/* ═══ PENDING APPROVALS ═══ */}
+        {tab === 'pending' && (
+          <div className="space-y-3 animate-tab-enter">
+            {/* ── Auto-closed shifts awaiting review ── */}
+            {autoClosedShifts.length > 0 && (
+              <>
+                <h3 className="text-white font-bold mb-1">משמרות שנסגרו אוטומטית</h3>
+                {autoClosedShifts.map((sh) => (
+                  <div key={sh.shift_id} className="glass p-5">
+                    <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                      <div className="flex items-start gap-3 flex-1 min-w-0">
+                        <div
+                          className="w-10 h-10 rounded-xl flex items-center justify-center shrink-0"
+                          style={{ background: 'rgba(245,158,11,0.08)' }}
+                          aria-hidden="true"
+                        >
+                          <AlertCircle size={17} className="text-amber-400" />
+                        </div>
+                        <div className="min-w-0">
+                          <p className="text-white text-sm font-bold">{sh.student_name}</p>
+                          <p className="text-blue-200/60 text-sm mt-1 truncate">{sh.task_description || 'ללא תיאור'}</p>
+                          <div className="flex items-center gap-3 mt-1.5 text-xs text-blue-200/35 flex-wrap">
+                            <span className="flex items-center gap-1">
+                              <Calendar size={11} aria-hidden="true" /> {fmtDate(sh.start_time)} · {fmtTime(sh.start_time)}–{fmtTime(sh.end_time)}
+                            </span>
+                            <span className="flex items-center gap-1">
+                              <Timer size={11} aria-hidden="true" /> {fmtDur(parseFloat(sh.duration_minutes || 0))}
+                            </span>
+                            {sh.site_name && (
+                              <span className="flex items-center gap-1 text-cyan-400/50">
+                                <MapPin size={11} /> {sh.site_name}
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => handleReviewAutoClosed(sh.shift_id)}
+                        className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-amber-300 text-sm font-medium border border-amber-400/20 hover:bg-amber-400/10 transition-all touch-target shrink-0"
+                        aria-label={`סמן כנבדק: משמרת של ${sh.student_name}`}
+                      >
+                        <Check size={15} aria-hidden="true" /> סמן כנבדק
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                <h3 className="text-white font-bold mt-5 mb-1">בקשות ודיווחים</h3>
+              </>
+            )}
+
+            {/* ── Shift correction requests ── */}
+            {pendingCorrections.length > 0 && (
+              <>
+                <h3 className="text-white font-bold mb-1">בקשות תיקון משמרת</h3>
+                {pendingCorrections.map((c) => {
+                  const awaitingSupervisor = c.supervisor_status === 'pending_supervisor';
+                  return (
+                    <div key={c.id} className="glass p-5">
+                      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                        <div className="flex items-start gap-3 flex-1 min-w-0">
+                          <div
+                            className="w-10 h-10 rounded-xl flex items-center justify-center shrink-0"
+                            style={{ background: 'rgba(6,182,212,0.08)' }}
+                            aria-hidden="true"
+                          >
+                            <Timer size={17} className="text-cyan-300" />
+                          </div>
+                          <div className="min-w-0">
+                            <p className="text-white text-sm font-bold">{c.user_name}</p>
+                            <p className="text-blue-200/60 text-sm mt-1 truncate">{c.reason}</p>
+                            <div className="flex items-center gap-3 mt-1.5 text-xs text-blue-200/35 flex-wrap">
+                              <span className="line-through">
+                                {fmtDate(c.original_start_time)} · {fmtTime(c.original_start_time)}–{fmtTime(c.original_end_time)}
+                              </span>
+                              <span className="text-cyan-300/70">
+                                {fmtDate(c.proposed_start_time)} · {fmtTime(c.proposed_start_time)}–{fmtTime(c.proposed_end_time)}
+                              </span>
+                              {c.site_name && (
+                                <span className="flex items-center gap-1 text-cyan-400/50">
+                                  <MapPin size={11} /> {c.site_name}
+                                </span>
+                              )}
+                              {c.supervisor_status === 'supervisor_approved' && (
+                                <span className="text-emerald-400/60">מפקח אישר</span>
+                              )}
+                              {awaitingSupervisor && (
+                                <span className="text-amber-400/60">ממתין למפקח</span>
+                              )}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-2 shrink-0 mr-auto md:mr-0">
+                          <button
+                            onClick={() => setRejectingCorrection({ id: c.id, reason: '' })}
+                            className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10 transition-all touch-target"
+                            aria-label={`דחה בקשת תיקון של ${c.user_name}`}
+                          >
+                            <X size={15} aria-hidden="true" /> דחה
+                          </button>
+                          <button
+                            onClick={() => handleApproveCorrection(c.id)}
+                            disabled={awaitingSupervisor}
+                            title={awaitingSupervisor ? 'ממתין לאישור מפקח האתר' : undefined}
+                            className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-white text-sm font-medium transition-all hover:shadow-lg hover:shadow-emerald-500/20 gradient-success touch-target disabled:opacity-40"
+                            aria-label={`אשר בקשת תיקון של ${c.user_name}`}
+                          >
+                            <Check size={15} aria-hidden="true" /> אשר
+                          </button>
+                        </div>
+                      </div>
+
+                      {rejectingCorrection?.id === c.id && (
+                        <form onSubmit={(e) => handleRejectCorrection(e, c.id)} className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+                          <div>
+                            <label htmlFor={`reject-correction-reason-${c.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">סיבת הדחייה</label>
+                            <textarea
+                              id={`reject-correction-reason-${c.id}`}
+                              rows={2}
+                              value={rejectingCorrection.reason}
+                              onChange={(e) => setRejectingCorrection((p) => ({ ...p, reason: e.target.value }))}
+                              placeholder="הסטודנט/ית יראו את הסיבה"
+                              className="glass-input w-full resize-none"
+                              dir="rtl"
+                            />
+                          </div>
+                          <div className="flex gap-2">
+                            <button type="submit" className="px-4 py-2 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10">
+                              אישור דחייה
+                            </button>
+                            <button type="button" onClick={() => setRejectingCorrection(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                              ביטול
+                            </button>
+                          </div>
+                        </form>
+                      )}
+                    </div>
+                  );
+                })}
+                <h3 className="text-white font-bold mt-5 mb-1">דיווחים ידניים</h3>
+              </>
+            )}
+
+            {/* ── Filters + bulk actions ── */}
+            {pendingLogs.length > 0 && (
+              <div className="glass p-4 space-y-3">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                  {[
+                    { key: 'siteId', label: 'אתר', any: 'כל האתרים', options: distinctOptions(pendingLogs, 'site_id', 'site_name') },
+                    { key: 'eventId', label: 'אירוע', any: 'כל האירועים', options: distinctOptions(pendingLogs, 'general_event_id', 'event_name') },
+                    { key: 'userId', label: 'סטודנט/ית', any: 'כל הסטודנטים', options: distinctOptions(pendingLogs, 'user_id', 'user_name') },
+                    { key: 'category', label: 'קטגוריה', any: 'כל הקטגוריות', options: Object.entries(CATEGORY_LABELS) },
+                    { key: 'supervisorStatus', label: 'סטטוס מפקח', any: 'הכל', options: Object.entries(SUPERVISOR_STATUS_FILTERS) },
+                  ].map((f) => (
+                    <label key={f.key} className="text-blue-200/50 text-xs space-y-1">
+                      <span>{f.label}</span>
+                      <select
+                        value={pendingFilters[f.key]}
+                        onChange={(e) => setPendingFilter(f.key, e.target.value)}
+                        className="glass-input w-full appearance-none"
+                      >
+                        <option value="" style={{ background: '#111' }}>{f.any}</option>
+                        {f.options.map(([value, label]) => (
+                          <option key={value} value={value} style={{ background: '#111' }}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between gap-3 flex-wrap">
+                  <label className="flex items-center gap-2 text-blue-200/60 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={allFilteredSelected}
+                      onChange={() => setSelectedLogIds(allFilteredSelected ? [] : filteredLogs.map((l) => l.id))}
+                      disabled={filteredLogs.length === 0}
+                    />
+                    בחר הכל ({filteredLogs.length})
+                  </label>
+                  {selectedLogIds.length > 0 && (
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="text-blue-200/50 text-sm">נבחרו {selectedLogIds.length} דיווחים</span>
+                      <button
+                        onClick={() => setBulkReject({ reason: '' })}
+                        disabled={busy}
+                        className="flex items-center gap-1.5 px-4 py-2 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10 transition-all disabled:opacity-40"
+                      >
+                        <X size={15} aria-hidden="true" /> דחה נבחרים
+                      </button>
+                      <button
+                        onClick={() => handleBulkReview(true)}
+                        disabled={busy}
+                        className="flex items-center gap-1.5 px-4 py-2 rounded-xl text-white text-sm font-medium transition-all hover:shadow-lg hover:shadow-emerald-500/20 gradient-success disabled:opacity-40"
+                      >
+                        {busy ? <Loader2 size={15} className="animate-spin" /> : <Check size={15} aria-hidden="true" />} אשר נבחרים
+                      </button>
+                    </div>
+                  )}
                 </div>
+                {bulkReject && selectedLogIds.length > 0 && (
+                  <form
+                    onSubmit={(e) => { e.preventDefault(); handleBulkReview(false); }}
+                    className="pt-3 border-t border-white/[0.06] space-y-3"
+                  >
+                    <div>
+                      <label htmlFor="bulk-reject-reason" className="block text-blue-200/45 text-xs mb-1.5 font-medium">סיבת דחייה משותפת</label>
+                      <textarea
+                        id="bulk-reject-reason"
+                        rows={2}
+                        value={bulkReject.reason}
+                        onChange={(e) => setBulkReject({ reason: e.target.value })}
+                        placeholder="הסיבה תישלח לכל הסטודנטים שדיווחיהם נבחרו"
+                        className="glass-input w-full resize-none"
+                        dir="rtl"
+                      />
+                    </div>
+                    <div className="flex gap-2">
+                      <button type="submit" disabled={busy} className="px-4 py-2 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10 disabled:opacity-40">
+                        דחה {selectedLogIds.length} דיווחים
+                      </button>
+                      <button type="button" onClick={() => setBulkReject(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                        ביטול
+                      </button>
+                    </div>
+                  </form>
+                )}
               </div>
-            </div>
-          );
-        })()}
+            )}
 
-        {/* ═══ PENDING APPROVALS ═══ */}
-        {tab === 'pending' && (
-          <div className="space-y-3 animate-tab-enter">
             {pendingLogs.length === 0 ? (
               <div className="glass p-12 text-center">
                 <Check size={44} className="text-emerald-400 mx-auto mb-3 opacity-40" aria-hidden="true" />
                 <p className="text-white font-medium">אין דיווחים ממתינים</p>
                 <p className="text-blue-200/35 text-sm mt-1">כל הדיווחים טופלו</p>
               </div>
+            ) : filteredLogs.length === 0 ? (
+              <div className="glass p-8 text-center">
+                <p className="text-blue-200/40 text-sm">אין דיווחים התואמים לסינון</p>
+              </div>
             ) : (
-              pendingLogs.map((l) => (
+              filteredLogs.map((l) => (
                 <div key={l.id} className="glass p-5">
                   <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
                     <div className="flex items-start gap-3 flex-1 min-w-0">
+                      <input
+                        type="checkbox"
+                        checked={selectedLogIds.includes(l.id)}
+                        onChange={() => toggleLogSelected(l.id)}
+                        aria-label={`בחר דיווח של ${l.user_name}`}
+                        className="mt-3 shrink-0"
+                      />
                       <div
                         className="w-10 h-10 rounded-xl flex items-center justify-center text-lg shrink-0"
                         style={{ background: 'rgba(245,158,11,0.08)' }}
@@ -767,17 +1981,50 @@ export default function AdminPanel({ profile, onLogout }) {
                             </span>
                           )}
                           {l.supervisor_status === 'supervisor_approved' && (
-                            <span className="text-emerald-400/60">מפקח אישר</span>
+                            <span className="text-emerald-400/60">
+                              {l.approved_minutes != null
+                                ? `מפקח אישר ${fmtDur(parseFloat(l.approved_minutes))} מתוך ${fmtDur(l.duration_minutes)}`
+                                : 'מפקח אישר'}
+                            </span>
+                          )}
+                          {l.on_behalf_of_name && (
+                            <span className="text-blue-200/50">
+                              {l.supervisor_name ? `${l.supervisor_name} בשם ${l.on_behalf_of_name}` : `בשם ${l.on_behalf_of_name}`}
+                            </span>
                           )}
-                          {l.supervisor_status === 'pending_supervisor' && (
-                            <span className="text-amber-400/60">ממתין למפקח</span>
+                          {isOverdueForSupervisor(l) ? (
+                            <span className="text-red-400/70">עבר את זמן המפקח · {daysSince(l.supervisor_due_at)} ימים</span>
+                          ) : l.supervisor_status === 'pending_supervisor' && (
+                            <span className="text-amber-400/60">
+                              {l.supervisor_due_at ? `ממתין למפקח עד ${fmtDate(l.supervisor_due_at)}` : 'ממתין למפקח'}
+                            </span>
                           )}
                         </div>
+                        {l.approval_note && (
+                          <p className="text-amber-300/60 text-xs mt-1.5">הערת המפקח/ת: {l.approval_note}</p>
+                        )}
                       </div>
                     </div>
                     <div className="flex items-center gap-2 shrink-0 mr-auto md:mr-0">
                       <button
-                        onClick={() => handleReject(l.id)}
+                        onClick={() => setThreadLogId(threadLogId === l.id ? null : l.id)}
+                        className="flex items-center gap-1.5 px-3 py-2.5 rounded-xl text-blue-200/50 text-sm border border-white/10 hover:bg-white/5 transition-all touch-target"
+                        aria-label={`הערות לדיווח של ${l.user_name}`}
+                        aria-expanded={threadLogId === l.id}
+                      >
+                        <MessageSquare size={15} aria-hidden="true" />
+                      </button>
+                      <button
+                        onClick={() => setPartial({ id: l.id, hours: '', minutes: '', note: '' })}
+                        disabled={isAwaitingSupervisor(l)}
+                        title={isAwaitingSupervisor(l) ? 'ממתין לאישור מפקח האתר' : undefined}
+                        className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-amber-400 text-sm font-medium border border-amber-400/20 hover:bg-amber-400/10 transition-all touch-target disabled:opacity-40"
+                        aria-label={`אישור חלקי לדיווח של ${l.user_name}`}
+                      >
+                        <Scissors size={15} aria-hidden="true" /> חלקי
+                      </button>
+                      <button
+                        onClick={() => setRejecting({ id: l.id, reason: '' })}
                         className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10 transition-all touch-target"
                         aria-label={`דחה דיווח של ${l.user_name}`}
                       >
@@ -785,13 +2032,95 @@ export default function AdminPanel({ profile, onLogout }) {
                       </button>
                       <button
                         onClick={() => handleApprove(l.id)}
-                        className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-white text-sm font-medium transition-all hover:shadow-lg hover:shadow-emerald-500/20 gradient-success touch-target"
+                        disabled={isAwaitingSupervisor(l)}
+                        title={isAwaitingSupervisor(l) ? 'ממתין לאישור מפקח האתר' : undefined}
+                        className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-white text-sm font-medium transition-all hover:shadow-lg hover:shadow-emerald-500/20 gradient-success touch-target disabled:opacity-40"
                         aria-label={`אשר דיווח של ${l.user_name}`}
                       >
                         <Check size={15} aria-hidden="true" /> אשר
                       </button>
                     </div>
                   </div>
+
+                  {/* Partial approval */}
+                  {partial?.id === l.id && (
+                    <form onSubmit={(e) => handlePartialApprove(e, l)} className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+                      <p className="text-blue-200/45 text-xs">דווחו {fmtDur(l.duration_minutes)} · כמה לאשר?</p>
+                      <div className="grid grid-cols-2 gap-3">
+                        <div>
+                          <label htmlFor={`partial-hours-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">שעות מאושרות</label>
+                          <input
+                            id={`partial-hours-${l.id}`}
+                            type="number"
+                            min="0"
+                            value={partial.hours}
+                            onChange={(e) => setPartial((p) => ({ ...p, hours: e.target.value }))}
+                            className="glass-input w-full"
+                          />
+                        </div>
+                        <div>
+                          <label htmlFor={`partial-minutes-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">דקות מאושרות</label>
+                          <input
+                            id={`partial-minutes-${l.id}`}
+                            type="number"
+                            min="0"
+                            max="59"
+                            value={partial.minutes}
+                            onChange={(e) => setPartial((p) => ({ ...p, minutes: e.target.value }))}
+                            className="glass-input w-full"
+                          />
+                        </div>
+                      </div>
+                      <div>
+                        <label htmlFor={`partial-note-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">הערה לסטודנט/ית</label>
+                        <textarea
+                          id={`partial-note-${l.id}`}
+                          rows={2}
+                          value={partial.note}
+                          onChange={(e) => setPartial((p) => ({ ...p, note: e.target.value }))}
+                          placeholder="למשל: ההדרכה הסתיימה שעה לפני המדווח"
+                          className="glass-input w-full resize-none"
+                          dir="rtl"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <button type="submit" className="px-4 py-2 rounded-xl text-amber-400 text-sm font-medium border border-amber-400/20 hover:bg-amber-400/10">
+                          אשר חלקית
+                        </button>
+                        <button type="button" onClick={() => setPartial(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                          ביטול
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {/* Rejection reason */}
+                  {rejecting?.id === l.id && (
+                    <form onSubmit={(e) => handleReject(e, l.id)} className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+                      <div>
+                        <label htmlFor={`reject-reason-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">סיבת הדחייה</label>
+                        <textarea
+                          id={`reject-reason-${l.id}`}
+                          rows={2}
+                          value={rejecting.reason}
+                          onChange={(e) => setRejecting((p) => ({ ...p, reason: e.target.value }))}
+                          placeholder="הסטודנט/ית יראו את הסיבה ויוכלו לתקן ולשלוח מחדש"
+                          className="glass-input w-full resize-none"
+                          dir="rtl"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <button type="submit" className="px-4 py-2 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10">
+                          אישור דחייה
+                        </button>
+                        <button type="button" onClick={() => setRejecting(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                          ביטול
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {threadLogId === l.id && <LogThread logId={l.id} onError={handleThreadError} />}
                 </div>
               ))
             )}
@@ -885,6 +2214,104 @@ export default function AdminPanel({ profile, onLogout }) {
                     className="glass-input w-full"
                     dir="rtl"
                   />
+                  <div className="grid grid-cols-2 gap-3">
+                    <input
+                      type="number"
+                      min="1"
+                      value={siteForm.expectedMinutes}
+                      onChange={(e) => setSiteForm(p => ({ ...p, expectedMinutes: e.target.value }))}
+                      placeholder="משך משמרת צפוי (דק')"
+                      aria-label="משך משמרת צפוי בדקות"
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      value={siteForm.maxMinutes}
+                      onChange={(e) => setSiteForm(p => ({ ...p, maxMinutes: e.target.value }))}
+                      placeholder="משך מקסימלי (דק')"
+                      aria-label="משך משמרת מקסימלי בדקות"
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                  </div>
+                  <p className="text-blue-200/30 text-xs">השאר ריק כדי להשתמש בברירת המחדל הכללית</p>
+                  <div className="grid grid-cols-3 gap-3">
+                    <input
+                      type="number"
+                      step="any"
+                      min="-90"
+                      max="90"
+                      value={siteForm.latitude}
+                      onChange={(e) => setSiteForm(p => ({ ...p, latitude: e.target.value }))}
+                      placeholder="קו רוחב"
+                      aria-label="קו רוחב"
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                    <input
+                      type="number"
+                      step="any"
+                      min="-180"
+                      max="180"
+                      value={siteForm.longitude}
+                      onChange={(e) => setSiteForm(p => ({ ...p, longitude: e.target.value }))}
+                      placeholder="קו אורך"
+                      aria-label="קו אורך"
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      value={siteForm.radius}
+                      onChange={(e) => setSiteForm(p => ({ ...p, radius: e.target.value }))}
+                      placeholder="רדיוס (מ')"
+                      aria-label="רדיוס גידור במטרים"
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                  </div>
+                  <p className="text-blue-200/30 text-xs">עם קואורדינטות, כניסה מחוץ לרדיוס (ברירת מחדל 200 מ') תועבר לבדיקת המפקח</p>
+                  <label className="flex items-center gap-2 text-blue-200/60 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={siteForm.requireShiftConfirmation}
+                      onChange={(e) => setSiteForm(p => ({ ...p, requireShiftConfirmation: e.target.checked }))}
+                    />
+                    משמרות נספרות רק לאחר אישור מפקח האתר
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={siteForm.slaDays}
+                    onChange={(e) => setSiteForm(p => ({ ...p, slaDays: e.target.value }))}
+                    placeholder="ימים לאישור מפקח (ברירת מחדל כללית)"
+                    aria-label="ימים לאישור מפקח"
+                    className="glass-input w-full"
+                    dir="ltr"
+                  />
+                  <div className="grid grid-cols-2 gap-3">
+                    <input
+                      type="time"
+                      value={siteForm.closesAt}
+                      onChange={(e) => setSiteForm(p => ({ ...p, closesAt: e.target.value }))}
+                      aria-label="שעת סגירת האתר"
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                    <select
+                      value={siteForm.autoCloseEnd}
+                      onChange={(e) => setSiteForm(p => ({ ...p, autoCloseEnd: e.target.value }))}
+                      aria-label="שעת יציאה למשמרת שנסגרה אוטומטית"
+                      className="glass-input w-full"
+                    >
+                      <option value="expected">סגירה לפי המשך הצפוי</option>
+                      <option value="closing_time" disabled={!siteForm.closesAt}>סגירה בשעת סגירת האתר</option>
+                    </select>
+                  </div>
+                  <p className="text-blue-200/30 text-xs">משמרת שנשארה פתוחה אחרי שעת הסגירה תקבל תזכורת, ואחר כך תיסגר ותסומן לתיקון</p>
                   <div className="flex gap-2">
                     <button type="submit" disabled={busy} className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50">
                       {busy ? <Loader2 size={14} className="animate-spin" /> : 'צור אתר'}
@@ -908,13 +2335,177 @@ export default function AdminPanel({ profile, onLogout }) {
                       <div>
                         <p className="text-white text-sm font-medium">{site.name}</p>
                         {site.address && <p className="text-blue-200/35 text-xs">{site.address}</p>}
+                        {(site.expected_shift_minutes || site.max_shift_minutes) && (
+                          <p className="text-blue-200/35 text-xs">
+                            {site.expected_shift_minutes && `צפוי: ${fmtDur(site.expected_shift_minutes)}`}
+                            {site.expected_shift_minutes && site.max_shift_minutes && ' · '}
+                            {site.max_shift_minutes && `מקסימום: ${fmtDur(site.max_shift_minutes)}`}
+                          </p>
+                        )}
+                        {site.latitude != null && site.longitude != null && (
+                          <p className="text-cyan-300/40 text-xs">גידור: {site.geofence_radius_m} מ'</p>
+                        )}
+                        {site.supervisor_sla_days && (
+                          <p className="text-amber-300/40 text-xs">אישור מפקח תוך {site.supervisor_sla_days} ימים</p>
+                        )}
+                        {site.closes_at && (
+                          <p className="text-blue-200/35 text-xs">
+                            נסגר ב-{site.closes_at.slice(0, 5)}
+                            {site.auto_close_end === 'closing_time' && ' · משמרת פתוחה נסגרת בשעה זו'}
+                          </p>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-4 shrink-0">
+                        <label className="flex items-center gap-1.5 text-blue-200/45 text-xs">
+                          <input
+                            type="checkbox"
+                            checked={!!site.require_shift_confirmation}
+                            onChange={() => handleToggleShiftConfirmation(site)}
+                            disabled={busy}
+                            aria-label={`אישור מפקח למשמרות ב${site.name}`}
+                          />
+                          אישור משמרות
+                        </label>
+                        <button
+                          onClick={() => handleDeactivateSite(site.id)}
+                          disabled={busy}
+                          className="text-red-400/50 hover:text-red-400 text-xs transition-colors"
+                        >
+                          השבת
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </section>
+
+            {/* ── Goal Templates Section ── */}
+            <section>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-white font-bold flex items-center gap-2">
+                  <Target size={16} className="text-cyan-400" /> תבניות יעד ({goalTemplates.length})
+                </h3>
+                <button
+                  onClick={() => setShowTemplateForm(!showTemplateForm)}
+                  className="flex items-center gap-1.5 text-xs text-cyan-300 hover:text-cyan-200 transition-colors"
+                >
+                  <Plus size={14} /> תבנית חדשה
+                </button>
+              </div>
+
+              {showTemplateForm && (
+                <form onSubmit={handleCreateGoalTemplate} className="glass p-4 mb-3 space-y-3">
+                  <div className="grid grid-cols-2 gap-3">
+                    <input
+                      type="text"
+                      value={templateForm.name}
+                      onChange={(e) => setTemplateForm(p => ({ ...p, name: e.target.value }))}
+                      placeholder="שם התבנית *"
+                      className="glass-input w-full"
+                      dir="rtl"
+                      required
+                    />
+                    <input
+                      type="text"
+                      value={templateForm.academicYear}
+                      onChange={(e) => setTemplateForm(p => ({ ...p, academicYear: e.target.value }))}
+                      placeholder={`מחזור (למשל ${currentAcademicYear()})`}
+                      aria-label="מחזור (שנת לימודים)"
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                  </div>
+                  <p className="text-blue-200/30 text-xs">השאר מחזור ריק כדי לשייך את התבנית לסטודנטים ספציפיים בלבד</p>
+                  {templateForm.requirements.map((r, i) => (
+                    <div key={i} className="grid grid-cols-12 gap-2 items-center">
+                      <select
+                        value={r.category}
+                        onChange={(e) => updateRequirement(i, { category: e.target.value })}
+                        aria-label={`קטגוריה ${i + 1}`}
+                        className="glass-input col-span-5 appearance-none"
+                      >
+                        {Object.entries(CATEGORIES).map(([k, v]) => (
+                          <option key={k} value={k} style={{ background: '#111' }}>{v.icon} {v.label}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={r.minHours}
+                        onChange={(e) => updateRequirement(i, { minHours: e.target.value })}
+                        placeholder="מינימום"
+                        aria-label={`מינימום שעות ${i + 1}`}
+                        className="glass-input col-span-3"
+                        dir="ltr"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={r.maxHours}
+                        onChange={(e) => updateRequirement(i, { maxHours: e.target.value })}
+                        placeholder="מקסימום"
+                        aria-label={`מקסימום שעות ${i + 1}`}
+                        className="glass-input col-span-3"
+                        dir="ltr"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setTemplateForm(p => ({ ...p, requirements: p.requirements.filter((_, j) => j !== i) }))}
+                        disabled={templateForm.requirements.length === 1}
+                        className="col-span-1 text-red-400/50 hover:text-red-400 disabled:opacity-30"
+                        aria-label={`הסר דרישה ${i + 1}`}
+                      >
+                        <X size={15} />
+                      </button>
+                    </div>
+                  ))}
+                  <div className="flex items-center gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setTemplateForm(p => ({ ...p, requirements: [...p.requirements, EMPTY_REQUIREMENT] }))}
+                      className="flex items-center gap-1 text-xs text-cyan-300 hover:text-cyan-200"
+                    >
+                      <Plus size={13} /> הוסף קטגוריה
+                    </button>
+                    <button type="submit" disabled={busy} className="mr-auto px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50">
+                      {busy ? <Loader2 size={14} className="animate-spin" /> : 'צור תבנית'}
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {goalTemplates.length === 0 ? (
+                <div className="glass p-6 text-center text-blue-200/30 text-sm">אין תבניות יעד. היעד נמדד בסך השעות בלבד</div>
+              ) : (
+                <div className="space-y-2">
+                  {goalTemplates.map((t) => (
+                    <div key={t.id} className="glass p-3 flex items-start justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="text-white text-sm font-medium">
+                          {t.name}
+                          {t.academic_year && <span className="text-cyan-400/50 text-xs"> · מחזור {t.academic_year}</span>}
+                        </p>
+                        <p className="text-blue-200/35 text-xs mt-1">
+                          {(t.goal_template_requirements || []).map((r) => {
+                            const label = CATEGORIES[r.category]?.label || r.category;
+                            const range = [
+                              r.min_hours != null && `לפחות ${r.min_hours}`,
+                              r.max_hours != null && `עד ${r.max_hours}`,
+                            ].filter(Boolean).join(', ');
+                            return `${label}: ${range}`;
+                          }).join(' · ')}
+                        </p>
                       </div>
                       <button
-                        onClick={() => handleDeactivateSite(site.id)}
+                        onClick={() => handleDeleteGoalTemplate(t.id)}
                         disabled={busy}
-                        className="text-red-400/50 hover:text-red-400 text-xs transition-colors"
+                        className="text-red-400/50 hover:text-red-400 shrink-0"
+                        aria-label={`מחק תבנית ${t.name}`}
                       >
-                        השבת
+                        <Trash2 size={14} />
                       </button>
                     </div>
                   ))}
@@ -922,6 +2513,71 @@ export default function AdminPanel({ profile, onLogout }) {
               )}
             </section>
 
+            {/* ── Shift Settings Section ── */}
+            <section>
+              <h3 className="text-white font-bold flex items-center gap-2 mb-3">
+                <Timer size={16} className="text-purple-400" /> אורך משמרת (ברירת מחדל)
+              </h3>
+              <form onSubmit={handleSaveSettings} className="glass p-4 space-y-3">
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor="settings-expected" className="block text-blue-200/45 text-xs mb-1.5 font-medium">משך צפוי (דקות)</label>
+                    <input
+                      id="settings-expected"
+                      type="number"
+                      min="1"
+                      value={settingsForm.expectedMinutes}
+                      onChange={(e) => setSettingsForm(p => ({ ...p, expectedMinutes: e.target.value }))}
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="settings-max" className="block text-blue-200/45 text-xs mb-1.5 font-medium">סגירה אוטומטית אחרי (דקות)</label>
+                    <input
+                      id="settings-max"
+                      type="number"
+                      min="1"
+                      value={settingsForm.maxMinutes}
+                      onChange={(e) => setSettingsForm(p => ({ ...p, maxMinutes: e.target.value }))}
+                      className="glass-input w-full"
+                      dir="ltr"
+                    />
+                  </div>
+                </div>
+                <p className="text-blue-200/30 text-xs">חל על אתרים שלא הוגדר להם משך משמרת ועל משמרות ללא אתר</p>
+                <div>
+                  <label htmlFor="settings-sla" className="block text-blue-200/45 text-xs mb-1.5 font-medium">ימים לאישור מפקח</label>
+                  <input
+                    id="settings-sla"
+                    type="number"
+                    min="1"
+                    value={settingsForm.slaDays}
+                    onChange={(e) => setSettingsForm(p => ({ ...p, slaDays: e.target.value }))}
+                    className="glass-input w-full"
+                    dir="ltr"
+                  />
+                </div>
+                <p className="text-blue-200/30 text-xs">דיווח שלא אושר על ידי מפקח האתר בזמן הזה עובר לאישור מנהל</p>
+                <div>
+                  <label htmlFor="settings-grace" className="block text-blue-200/45 text-xs mb-1.5 font-medium">דקות אחרי סגירת האתר עד סגירה אוטומטית</label>
+                  <input
+                    id="settings-grace"
+                    type="number"
+                    min="0"
+                    value={settingsForm.graceMinutes}
+                    onChange={(e) => setSettingsForm(p => ({ ...p, graceMinutes: e.target.value }))}
+                    className="glass-input w-full"
+                    dir="ltr"
+                  />
+                </div>
+                <p className="text-blue-200/30 text-xs">משמרת שנסגרה אוטומטית מסומנת לתיקון שעת היציאה ואינה נספרת במלואה</p>
+                <button type="submit" disabled={busy} className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50">
+                  {busy ? <Loader2 size={14} className="animate-spin" /> : 'שמור הגדרות'}
+                </button>
+              </form>
+            </section>
+
             {/* ── Supervisors Section ── */}
             <section>
               <div className="flex items-center justify-between mb-3">
@@ -1101,14 +2757,97 @@ export default function AdminPanel({ profile, onLogout }) {
                 <h3 className="text-white font-bold flex items-center gap-2">
                   <Users size={16} className="text-blue-400" /> שיבוצים · {academicYear}
                 </h3>
-                <button
-                  onClick={() => { setShowPlacementForm(!showPlacementForm); if (tab === 'manage') loadPlacements(); }}
-                  className="flex items-center gap-1.5 text-xs text-blue-300 hover:text-blue-200 transition-colors"
-                >
-                  <Plus size={14} /> שבץ סטודנט
-                </button>
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={() => (rollover ? setRollover(null) : openRollover())}
+                    disabled={busy}
+                    className="flex items-center gap-1.5 text-xs text-violet-300 hover:text-violet-200 transition-colors disabled:opacity-50"
+                  >
+                    <Repeat size={14} /> מעבר שנה
+                  </button>
+                  <button
+                    onClick={() => { setShowPlacementForm(!showPlacementForm); if (tab === 'manage') loadPlacements(); }}
+                    className="flex items-center gap-1.5 text-xs text-blue-300 hover:text-blue-200 transition-colors"
+                  >
+                    <Plus size={14} /> שבץ סטודנט
+                  </button>
+                </div>
               </div>
 
+              {rollover && !rollover.preview && (
+                <form onSubmit={handleRolloverPreview} className="glass p-4 mb-3 space-y-3">
+                  <p className="text-blue-200/50 text-sm">
+                    שיבוצי {rollover.fromYear} → {academicYear}: בחר/י מה קורה עם כל סטודנט
+                  </p>
+                  {rollover.placements.map((p) => {
+                    const d = rollover.decisions[p.id];
+                    return (
+                      <div key={p.id} className="flex flex-wrap items-center gap-2">
+                        <div className="flex-1 min-w-[8rem]">
+                          <p className="text-white text-sm">{p.student_name}</p>
+                          <p className="text-cyan-400/50 text-xs flex items-center gap-1">
+                            <MapPin size={10} /> {p.site_name}
+                          </p>
+                        </div>
+                        <select
+                          aria-label={`פעולה עבור ${p.student_name}`}
+                          value={d.action}
+                          onChange={(e) => setRolloverDecision(p.id, { action: e.target.value })}
+                          className="glass-input appearance-none text-sm py-1.5"
+                        >
+                          {Object.entries(ROLLOVER_ACTIONS).map(([k, l]) => (
+                            <option key={k} value={k} style={{ background: '#111' }}>{l}</option>
+                          ))}
+                        </select>
+                        {d.action === 'move' && (
+                          <select
+                            aria-label={`אתר חדש עבור ${p.student_name}`}
+                            value={d.siteId}
+                            onChange={(e) => setRolloverDecision(p.id, { siteId: e.target.value })}
+                            className="glass-input appearance-none text-sm py-1.5"
+                          >
+                            <option value="" style={{ background: '#111' }}>— בחר אתר —</option>
+                            {activeSites.filter((s) => s.id !== p.site_id).map((s) => (
+                              <option key={s.id} value={s.id} style={{ background: '#111' }}>{s.name}</option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                    );
+                  })}
+                  <div className="flex gap-2">
+                    <button type="submit" className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary">
+                      תצוגה מקדימה
+                    </button>
+                    <button type="button" onClick={() => setRollover(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                      ביטול
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {rolloverSummary && (
+                <div className="glass p-4 mb-3 space-y-3">
+                  <p className="text-white text-sm font-medium">
+                    תצוגה מקדימה: מעבר מ-{rollover.fromYear} ל-{academicYear}
+                  </p>
+                  <ul className="text-blue-200/60 text-sm space-y-1">
+                    <li>{rolloverSummary.continued} ממשיכים באותו אתר · {rolloverSummary.moved} עוברים אתר · {rolloverSummary.completed} מסיימים</li>
+                    <li>{rolloverSummary.newPlacements} שיבוצים חדשים לשנה {academicYear}</li>
+                    <li>{rolloverSummary.closedPlacements} שיבוצים משנת {rollover.fromYear} ייסגרו כ"הושלם"</li>
+                    <li>{rolloverSummary.archivedEvents} אירועים משנת {rollover.fromYear} יועברו לארכיון</li>
+                  </ul>
+                  <div className="flex gap-2">
+                    <button onClick={handleRollover} disabled={busy} className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50">
+                      {busy ? <Loader2 size={14} className="animate-spin" /> : 'אשר מעבר שנה'}
+                    </button>
+                    <button onClick={() => setRollover((r) => ({ ...r, preview: false }))} disabled={busy} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                      חזרה
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {showPlacementForm && (
                 <form onSubmit={handleCreatePlacement} className="glass p-4 mb-3 space-y-3">
                   <select
@@ -1180,6 +2919,46 @@ export default function AdminPanel({ profile, onLogout }) {
               )}
             </section>
 
+            {/* ── Certificate Verification Section ── */}
+            <section>
+              <h3 className="text-white font-bold flex items-center gap-2 mb-3">
+                <ShieldCheck size={16} className="text-emerald-400" /> אימות אישור שעות
+              </h3>
+              <form onSubmit={handleVerifyCertificate} className="glass p-4 flex gap-2">
+                <input
+                  value={verifyCode}
+                  onChange={(e) => { setVerifyCode(e.target.value); setVerifyResult(null); }}
+                  placeholder="קוד אימות"
+                  aria-label="קוד אימות"
+                  className="glass-input flex-1"
+                  dir="ltr"
+                  required
+                />
+                <button type="submit" disabled={busy} className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50">
+                  אמת
+                </button>
+              </form>
+              {verifyResult === false && (
+                <div className="glass p-4 mt-2 flex items-center gap-2 text-red-400 text-sm">
+                  <X size={15} /> לא נמצא אישור עם קוד זה
+                </div>
+              )}
+              {verifyResult && (
+                <div className="glass p-4 mt-2 space-y-1 text-sm">
+                  <p className="text-emerald-400 flex items-center gap-2 font-medium">
+                    <Check size={15} /> אישור תקף
+                  </p>
+                  <p className="text-white">
+                    {verifyResult.snapshot.full_name} · {verifyResult.academic_year}
+                    {verifyResult.snapshot.site_name && ` · ${verifyResult.snapshot.site_name}`}
+                  </p>
+                  <p className="text-blue-200/50">
+                    {parseFloat(verifyResult.snapshot.counted_hours).toFixed(1)} שעות מתוך יעד של {verifyResult.snapshot.goal} · הונפק {fmtDate(verifyResult.issued_at)}
+                  </p>
+                </div>
+              )}
+            </section>
+
             {/* ── Approved Scholars Section ── */}
             <section>
               <div className="flex items-center justify-between mb-3">
@@ -1274,6 +3053,85 @@ export default function AdminPanel({ profile, onLogout }) {
             </section>
           </div>
         )}
+
+        {/* ═══ ACTIVITY (audit log) ═══ */}
+        {tab === 'activity' && (
+          <div className="space-y-3 animate-tab-enter">
+            <div className="glass p-4 grid grid-cols-2 md:grid-cols-4 gap-3">
+              {[
+                { key: 'entity', label: 'סוג רשומה', any: 'הכל', options: Object.entries(AUDIT_ENTITIES) },
+                { key: 'actorId', label: 'בוצע על ידי', any: 'כולם', options: auditActors.map((a) => [a.id, a.full_name]) },
+              ].map((f) => (
+                <label key={f.key} className="text-blue-200/50 text-xs space-y-1">
+                  <span>{f.label}</span>
+                  <select
+                    value={auditFilters[f.key]}
+                    onChange={(e) => setAuditFilters((p) => ({ ...p, [f.key]: e.target.value }))}
+                    className="glass-input w-full appearance-none"
+                  >
+                    <option value="" style={{ background: '#111' }}>{f.any}</option>
+                    {f.options.map(([value, label]) => (
+                      <option key={value} value={value} style={{ background: '#111' }}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+              {[
+                { key: 'from', label: 'מתאריך' },
+                { key: 'to', label: 'עד תאריך' },
+              ].map((f) => (
+                <label key={f.key} className="text-blue-200/50 text-xs space-y-1">
+                  <span>{f.label}</span>
+                  <input
+                    type="date"
+                    value={auditFilters[f.key]}
+                    onChange={(e) => setAuditFilters((p) => ({ ...p, [f.key]: e.target.value }))}
+                    className="glass-input w-full"
+                    dir="ltr"
+                  />
+                </label>
+              ))}
+            </div>
+
+            {auditLoading && auditEntries.length === 0 ? (
+              <div className="glass p-8 flex justify-center">
+                <Loader2 size={22} className="animate-spin text-blue-300" aria-label="טוען" />
+              </div>
+            ) : auditEntries.length === 0 ? (
+              <div className="glass p-12 text-center">
+                <History size={40} className="text-blue-200/20 mx-auto mb-3" />
+                <p className="text-blue-200/40">אין פעילות להצגה</p>
+              </div>
+            ) : (
+              auditEntries.map((entry) => {
+                const changes = auditChanges(entry);
+                return (
+                  <div key={entry.id} className="glass p-4">
+                    <div className="flex items-center justify-between gap-3 flex-wrap">
+                      <p className="text-white text-sm">
+                        <span className="font-bold">{entry.actor_name || 'מערכת'}</span>
+                        <span className="text-blue-200/50"> · {AUDIT_ACTIONS[entry.action]} · {AUDIT_ENTITIES[entry.table_name] || entry.table_name}</span>
+                        {entry.record_label && <span className="text-blue-200/70"> · {entry.record_label}</span>}
+                      </p>
+                      <span className="text-blue-200/35 text-xs">
+                        {fmtDate(entry.created_at)} · {fmtTime(entry.created_at)}
+                      </span>
+                    </div>
+                    {changes.length > 0 && (
+                      <ul className="mt-2 space-y-0.5 text-xs">
+                        {changes.map((c) => (
+                          <li key={c.field} className="text-blue-200/50">
+                            <span className="text-blue-200/70" dir="ltr">{c.field}</span>: {c.from} ← {c.to}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                );
+              })
+            )}
+          </div>
+        )}
       </main>
     </div>
   );
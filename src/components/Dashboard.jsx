@@ -1,10 +1,14 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { ShiftLogic } from '../lib/ShiftLogic';
 import {
   Clock, LogIn, LogOut, Plus, Timer, FileText,
   TrendingUp, Award, ClipboardList, AlertCircle,
-  Check, X, Loader2, MapPin, CalendarDays
+  Check, X, Loader2, MapPin, CalendarDays, Pencil, Coffee, Play, ScanLine, Download,
+  MessageSquare
 } from 'lucide-react';
+import { downloadCertificatePdf } from '../lib/certificatePdf';
+import LogThread from './LogThread';
+import NotificationBell from './NotificationBell';
 
 // ─── Helpers ───
 const fmtDate = (d) =>
@@ -20,24 +24,120 @@ const fmtDur = (m) => {
   if (h > 0) return `${h} שעות`;
   return `${r} דקות`;
 };
+// Browser location for geofenced check-in; resolves null if unavailable or denied
+const getLocation = () =>
+  new Promise((resolve) => {
+    if (!navigator.geolocation) return resolve(null);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({
+        lat: pos.coords.latitude,
+        lng: pos.coords.longitude,
+        accuracy: pos.coords.accuracy,
+      }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  });
+// Site QR codes encode `<app>/?checkin=<token>`; accept that or a bare code
+const parseCheckinCode = (value) => {
+  try {
+    return new URL(value).searchParams.get('checkin') || value.trim();
+  } catch {
+    return value.trim();
+  }
+};
+// Academic year ('2025-2026') a date falls in; the year starts in September
+const academicYearOf = (date = new Date()) => {
+  let year;
+  let month;
+  if (typeof date === 'string' && date.length === 10) {
+    // Plain 'YYYY-MM-DD' (manual_logs.date) is already a local day
+    [year, month] = date.split('-').map(Number);
+  } else {
+    // Read timestamps in Israel time, as academic_year_of does (migration 018)
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'Asia/Jerusalem', year: 'numeric', month: 'numeric',
+    }).formatToParts(new Date(date));
+    year = Number(parts.find((p) => p.type === 'year').value);
+    month = Number(parts.find((p) => p.type === 'month').value);
+  }
+  return month >= 9 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+};
+// ISO timestamp → value for <input type="datetime-local"> (local time)
+const toLocalInput = (d) => {
+  const dt = new Date(d);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${dt.getFullYear()}-${pad(dt.getMonth() + 1)}-${pad(dt.getDate())}T${pad(dt.getHours())}:${pad(dt.getMinutes())}`;
+};
 
 const CATEGORIES = {
-  tutoring:          { label: 'חונכות',           icon: '📚' },
-  mentoring:         { label: 'הדרכה',            icon: '🎓' },
-  community_service: { label: 'שירות קהילתי',     icon: '🤝' },
-  office_work:       { label: 'עבודה משרדית',     icon: '💼' },
-  event_support:     { label: 'תמיכה באירועים',   icon: '🎪' },
-  other:             { label: 'אחר',              icon: '📋' },
+  tutoring:          { label: 'חונכות',           icon: '📚', color: '#06b6d4' },
+  mentoring:         { label: 'הדרכה',            icon: '🎓', color: '#8b5cf6' },
+  community_service: { label: 'שירות קהילתי',     icon: '🤝', color: '#10b981' },
+  office_work:       { label: 'עבודה משרדית',     icon: '💼', color: '#f59e0b' },
+  event_support:     { label: 'תמיכה באירועים',   icon: '🎪', color: '#ec4899' },
+  other:             { label: 'אחר',              icon: '📋', color: '#3b82f6' },
 };
 
+const CATEGORY_LABELS = Object.fromEntries(Object.entries(CATEGORIES).map(([k, c]) => [k, c.label]));
+
+// ─── Tab each notification opens (migration 033) ───
+const NOTIFICATION_TABS = {
+  log_approved:       'history',
+  log_rejected:       'history',
+  milestone:          'clock',
+  placement_assigned: 'clock',
+  checkout_reminder:  'clock',
+  shift_auto_closed:  'history',
+};
+
+// ─── Hours per category ───
+function CategoryBreakdown({ rows }) {
+  const max = Math.max(...rows.map((r) => r.totalHours), 0);
+  return (
+    <div className="glass p-5">
+      <h3 className="text-white font-bold text-sm mb-4">פילוח שעות לפי קטגוריה</h3>
+      <ul className="space-y-3">
+        {rows.map((r) => (
+          <li key={r.category}>
+            <div className="flex items-center justify-between text-sm mb-1.5">
+              <span className="text-blue-200/70">
+                {CATEGORIES[r.category]?.icon || '📋'} {CATEGORIES[r.category]?.label || 'אחר'}
+              </span>
+              <span className="text-white font-medium">{r.totalHours.toFixed(1)} שעות</span>
+            </div>
+            <div className="w-full h-1.5 rounded-full overflow-hidden" style={{ background: 'rgba(255,255,255,0.07)' }}>
+              <div
+                className="h-full rounded-full bg-cyan-400/70"
+                style={{ width: `${max > 0 ? (r.totalHours / max) * 100 : 0}%` }}
+              />
+            </div>
+            <p className="text-blue-200/30 text-xs mt-1">
+              משמרות {r.shiftHours.toFixed(1)} · ידני {r.manualHours.toFixed(1)}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 const pColor = (p) =>
   p >= 100 ? '#10b981' : p >= 60 ? '#06b6d4' : p >= 30 ? '#3b82f6' : '#8b5cf6';
 
 // ─── Progress Ring ───
-function ProgressRing({ progress, size = 210, sw = 15, children }) {
+// segments: [{ key, value (percent of goal), color }] — drawn back to back
+function ProgressRing({ progress, segments, size = 210, sw = 15, children }) {
   const r = (size - sw) / 2;
   const c = 2 * Math.PI * r;
   const off = c - (Math.min(progress, 100) / 100) * c;
+  let start = 0;
+  const arcs = (segments || []).map((seg) => {
+    const len = (Math.max(0, Math.min(seg.value, 100 - start)) / 100) * c;
+    const arc = { ...seg, len, from: (start / 100) * c };
+    start = Math.min(start + seg.value, 100);
+    return arc;
+  }).filter((a) => a.len > 0);
   return (
     <div
       className="relative flex items-center justify-center"
@@ -51,10 +151,19 @@ function ProgressRing({ progress, size = 210, sw = 15, children }) {
       <svg width={size} height={size} style={{ transform: 'rotate(-90deg)' }} aria-hidden="true">
         <circle cx={size / 2} cy={size / 2} r={r} fill="none"
           stroke="rgba(255,255,255,0.06)" strokeWidth={sw} />
-        <circle cx={size / 2} cy={size / 2} r={r} fill="none"
-          stroke={pColor(progress)} strokeWidth={sw} strokeLinecap="round"
-          strokeDasharray={c} strokeDashoffset={off}
-          style={{ transition: 'stroke-dashoffset 1s ease, stroke .4s' }} />
+        {arcs.length > 0 ? (
+          arcs.map((a) => (
+            <circle key={a.key} cx={size / 2} cy={size / 2} r={r} fill="none"
+              stroke={a.color} strokeWidth={sw}
+              strokeDasharray={`${a.len} ${c}`} strokeDashoffset={-a.from}
+              style={{ transition: 'stroke-dasharray 1s ease' }} />
+          ))
+        ) : (
+          <circle cx={size / 2} cy={size / 2} r={r} fill="none"
+            stroke={pColor(progress)} strokeWidth={sw} strokeLinecap="round"
+            strokeDasharray={c} strokeDashoffset={off}
+            style={{ transition: 'stroke-dashoffset 1s ease, stroke .4s' }} />
+        )}
       </svg>
       <div className="absolute inset-0 flex flex-col items-center justify-center">
         {children}
@@ -63,16 +172,27 @@ function ProgressRing({ progress, size = 210, sw = 15, children }) {
   );
 }
 
-// ─── Live Timer ───
-function LiveTimer({ startTime }) {
+// Milliseconds spent on breaks; an open break counts up to `now`
+const NO_BREAKS = [];
+const breakMs = (breaks, now = Date.now()) =>
+  breaks.reduce((sum, b) => {
+    const end = b.end_time ? new Date(b.end_time).getTime() : now;
+    return sum + Math.max(end - new Date(b.start_time).getTime(), 0);
+  }, 0);
+
+// ─── Live Timer (worked time, excluding breaks) ───
+function LiveTimer({ startTime, breaks = NO_BREAKS }) {
   const [secs, setSecs] = useState(0);
   useEffect(() => {
     const st = new Date(startTime).getTime();
-    const tick = () => setSecs(Math.floor((Date.now() - st) / 1000));
+    const tick = () => {
+      const now = Date.now();
+      setSecs(Math.max(Math.floor((now - st - breakMs(breaks, now)) / 1000), 0));
+    };
     tick();
     const id = setInterval(tick, 1000);
     return () => clearInterval(id);
-  }, [startTime]);
+  }, [startTime, breaks]);
   const hh = String(Math.floor(secs / 3600)).padStart(2, '0');
   const mm = String(Math.floor((secs % 3600) / 60)).padStart(2, '0');
   const ss = String(secs % 60).padStart(2, '0');
@@ -88,6 +208,96 @@ function LiveTimer({ startTime }) {
   );
 }
 
+// ─── Long Shift Warning ───
+function LongShiftWarning({ startTime, expectedMinutes, maxMinutes }) {
+  const [mins, setMins] = useState(0);
+  useEffect(() => {
+    const st = new Date(startTime).getTime();
+    const tick = () => setMins(Math.floor((Date.now() - st) / 60000));
+    tick();
+    const id = setInterval(tick, 30000);
+    return () => clearInterval(id);
+  }, [startTime]);
+
+  if (!expectedMinutes || mins < expectedMinutes) return null;
+
+  return (
+    <div
+      className="flex items-start gap-2.5 text-right bg-amber-400/10 border border-amber-400/20 text-amber-300 rounded-xl px-4 py-3 text-sm"
+      role="alert"
+    >
+      <AlertCircle size={17} className="shrink-0 mt-0.5" aria-hidden="true" />
+      <div>
+        <p className="font-medium">המשמרת פתוחה כבר {fmtDur(mins)} — שכחת לצאת?</p>
+        {maxMinutes && (
+          <p className="text-amber-300/60 text-xs mt-0.5">
+            המשמרת תיסגר אוטומטית לאחר {fmtDur(maxMinutes)} לכל היותר ותסומן לתיקון
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── QR Scanner (camera via BarcodeDetector where supported) ───
+function QrScanner({ onDetect }) {
+  const videoRef = useRef(null);
+  const [supported] = useState(() => typeof window !== 'undefined' && 'BarcodeDetector' in window);
+  const [camError, setCamError] = useState(false);
+
+  useEffect(() => {
+    if (!supported) return undefined;
+    let stream;
+    let timer;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: 'environment' } })
+      .then((s) => {
+        if (stopped) { s.getTracks().forEach((t) => t.stop()); return; }
+        stream = s;
+        videoRef.current.srcObject = s;
+        videoRef.current.play();
+        timer = setInterval(async () => {
+          try {
+            const codes = await detector.detect(videoRef.current);
+            if (codes.length > 0) {
+              clearInterval(timer);
+              onDetect(codes[0].rawValue);
+            }
+          } catch {
+            // frame not ready yet
+          }
+        }, 500);
+      })
+      .catch(() => setCamError(true));
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, [supported, onDetect]);
+
+  if (!supported || camError) {
+    return (
+      <p className="text-blue-200/40 text-xs text-center">
+        {camError ? 'אין גישה למצלמה' : 'הדפדפן אינו תומך בסריקה'} — הזן את הקוד המוצג באתר
+      </p>
+    );
+  }
+  return (
+    <video
+      ref={videoRef}
+      className="w-full max-w-xs mx-auto rounded-xl bg-black/40 aspect-square object-cover"
+      muted
+      playsInline
+      aria-label="מצלמה לסריקת קוד QR"
+    />
+  );
+}
+
 // ─── Toast ───
 function Toast({ msg, type = 'success', onClose }) {
   const [exiting, setExiting] = useState(false);
@@ -172,52 +382,108 @@ export default function Dashboard({ profile, onLogout }) {
   const [activeShift, setActiveShift] = useState(null);
   const [shifts, setShifts] = useState([]);
   const [manualLogs, setManualLogs] = useState([]);
+  const [corrections, setCorrections] = useState([]);
   const [progress, setProgress] = useState({
     shiftHours: 0, approvedManualHours: 0, totalHours: 0,
     progressPercent: 0, pendingLogs: 0,
   });
   const [tab, setTab] = useState('clock');
   const [desc, setDesc] = useState('');
+  const [category, setCategory] = useState('other');
   const [placement, setPlacement] = useState(null);
   const [events, setEvents] = useState([]);
+  const [shiftSettings, setShiftSettings] = useState(null);
+  const [qrOpen, setQrOpen] = useState(false);
+  const [qrCode, setQrCode] = useState('');
   const [logType, setLogType] = useState('site'); // 'site' or 'event'
   const [manualForm, setManualForm] = useState({
     date: '', hours: '', minutes: '', description: '', category: 'other', eventId: '',
   });
+  const [correctionShiftId, setCorrectionShiftId] = useState(null);
+  const [correctionForm, setCorrectionForm] = useState({ start: '', end: '', reason: '' });
+  const [resubmitLogId, setResubmitLogId] = useState(null);
+  const [resubmitForm, setResubmitForm] = useState({
+    date: '', hours: '', minutes: '', description: '', category: 'other', note: '',
+  });
+  const [threadLogId, setThreadLogId] = useState(null);
   const [toast, setToast] = useState(null);
   const [busy, setBusy] = useState(false);
   const [initialLoad, setInitialLoad] = useState(true);
 
-  const goal = profile.total_goal || 150;
+  const [viewYear, setViewYear] = useState(() => academicYearOf());
+
+  // Per-year goal (returned by calculateProgress) falls back to the profile goal
+  const baseGoal = profile.total_goal || 150;
+  const goal = progress.goal || baseGoal;
+
+  // Site limits apply only when the active shift belongs to the placement site
+  const shiftSite = activeShift?.site_id && activeShift.site_id === placement?.site_id ? placement.sites : null;
+  const expectedShiftMinutes = shiftSite?.expected_shift_minutes || shiftSettings?.default_expected_shift_minutes;
+  const maxShiftMinutes = shiftSite?.max_shift_minutes || shiftSettings?.default_max_shift_minutes;
 
   // ─── Load all data ───
   const loadData = useCallback(async () => {
     try {
-      const [active, shiftsData, logsData, prog, placementData, eventsData] = await Promise.all([
+      // Close any shift left open past its cap before reading state
+      const autoClosed = await ShiftLogic.closeStaleShifts();
+      const [active, shiftsData, logsData, prog, placementData, eventsData, correctionsData, settingsData] = await Promise.all([
         ShiftLogic.getActiveShift(profile.id),
         ShiftLogic.getShifts(profile.id),
         ShiftLogic.getManualLogs(profile.id),
-        ShiftLogic.calculateProgress(profile.id, goal),
+        ShiftLogic.calculateProgress(profile.id, baseGoal, viewYear),
         ShiftLogic.getStudentPlacement(profile.id),
         ShiftLogic.getActiveEvents(),
+        ShiftLogic.getShiftCorrections(profile.id),
+        ShiftLogic.getShiftSettings(),
       ]);
       setActiveShift(active);
       setShifts(shiftsData);
       setManualLogs(logsData);
+      setCorrections(correctionsData || []);
       setProgress(prog);
       setPlacement(placementData);
       setEvents(eventsData || []);
+      setShiftSettings(settingsData);
+      if (autoClosed > 0) {
+        setToast({ m: 'משמרת שנשארה פתוחה נסגרה אוטומטית — נא לבקש תיקון עם שעת היציאה', t: 'info' });
+      }
     } catch (err) {
       console.error('Load error:', err);
       setToast({ m: 'שגיאה בטעינת נתונים', t: 'error' });
     } finally {
       setInitialLoad(false);
     }
-  }, [profile.id, goal]);
+  }, [profile.id, baseGoal, viewYear]);
 
   useEffect(() => { loadData(); }, [loadData]);
 
+  // Opened from a site QR scanned with the phone camera: prefill the code
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('checkin');
+    if (!token) return;
+    setQrCode(token);
+    setQrOpen(true);
+    params.delete('checkin');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+  }, []);
+
   // ─── Check In ───
+  // ─── Hours certificate (PDF) ───
+  const handleDownloadCertificate = async () => {
+    setBusy(true);
+    try {
+      const certificate = await ShiftLogic.issueHoursCertificate(profile.id, viewYear);
+      await downloadCertificatePdf(certificate, CATEGORY_LABELS);
+      setToast({ m: 'אישור השעות הורד', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
   const handleCheckIn = async () => {
     if (!desc.trim()) {
       setToast({ m: 'נא להזין תיאור משימה', t: 'error' });
@@ -225,10 +491,17 @@ export default function Dashboard({ profile, onLogout }) {
     }
     setBusy(true);
     try {
-      const shift = await ShiftLogic.checkIn(profile.id, 'other', desc.trim(), placement?.site_id || null);
+      const siteId = placement?.site_id || null;
+      const location = siteId ? await getLocation() : null;
+      const shift = await ShiftLogic.checkIn(profile.id, category, desc.trim(), siteId, location);
       setActiveShift(shift);
       setDesc('');
-      setToast({ m: 'נכנסת למשמרת בהצלחה! ⏱️', t: 'success' });
+      setCategory('other');
+      if (shift?.outside_geofence) {
+        setToast({ m: 'לא זוהית בתחום האתר — המשמרת תועבר לבדיקת המפקח', t: 'info' });
+      } else {
+        setToast({ m: 'נכנסת למשמרת בהצלחה! ⏱️', t: 'success' });
+      }
     } catch (err) {
       setToast({ m: err.message, t: 'error' });
     } finally {
@@ -236,16 +509,66 @@ export default function Dashboard({ profile, onLogout }) {
     }
   };
 
+  // ─── QR Check In ───
+  const handleQrCheckIn = async (value) => {
+    const code = parseCheckinCode(value || '');
+    if (!code) {
+      setToast({ m: 'נא לסרוק או להזין קוד כניסה', t: 'error' });
+      return;
+    }
+    if (!desc.trim()) {
+      setQrCode(code);
+      setToast({ m: 'נא להזין תיאור משימה', t: 'error' });
+      return;
+    }
+    setBusy(true);
+    try {
+      const shift = await ShiftLogic.qrCheckIn(code, desc.trim(), category);
+      setActiveShift(shift);
+      setDesc('');
+      setCategory('other');
+      setQrCode('');
+      setQrOpen(false);
+      setToast({ m: 'נכנסת למשמרת בסריקת QR ✅', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleQrDetect = useCallback((value) => {
+    setQrCode(parseCheckinCode(value));
+  }, []);
+
+  // ─── Change category of the running shift ───
+  const handleShiftCategoryChange = async (next) => {
+    const previous = activeShift.category;
+    setActiveShift((prev) => ({ ...prev, category: next }));
+    try {
+      await ShiftLogic.updateShiftCategory(activeShift.id, next);
+      setToast({ m: `הקטגוריה עודכנה ל${CATEGORIES[next]?.label || 'אחר'}`, t: 'success' });
+    } catch (err) {
+      setActiveShift((prev) => ({ ...prev, category: previous }));
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
   // ─── Check Out ───
   const handleCheckOut = async () => {
     if (!activeShift) return;
     setBusy(true);
     try {
-      const completed = await ShiftLogic.checkOut(activeShift.id);
+      const location = activeShift.site_id ? await getLocation() : null;
+      const completed = await ShiftLogic.checkOut(activeShift.id, location);
       setActiveShift(null);
       await loadData();
       const mins = parseFloat(completed.duration_minutes || 0);
-      setToast({ m: `יציאה ממשמרת! ${fmtDur(mins)} נרשמו ✅`, t: 'success' });
+      if (completed?.status === 'needs_review') {
+        setToast({ m: `יציאה ממשמרת · ${fmtDur(mins)} ימתינו לאישור מפקח האתר`, t: 'info' });
+      } else {
+        setToast({ m: `יציאה ממשמרת! ${fmtDur(mins)} נרשמו ✅`, t: 'success' });
+      }
     } catch (err) {
       setToast({ m: err.message, t: 'error' });
     } finally {
@@ -253,6 +576,131 @@ export default function Dashboard({ profile, onLogout }) {
     }
   };
 
+  // ─── Breaks ───
+  const openBreak = activeShift?.shift_breaks?.find((b) => !b.end_time) || null;
+
+  const handleStartBreak = async () => {
+    if (!activeShift || openBreak) return;
+    setBusy(true);
+    try {
+      const br = await ShiftLogic.startBreak(activeShift.id);
+      setActiveShift((prev) => ({ ...prev, shift_breaks: [...(prev.shift_breaks || []), br] }));
+      setToast({ m: 'יצאת להפסקה ☕', t: 'info' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEndBreak = async () => {
+    if (!openBreak) return;
+    setBusy(true);
+    try {
+      const br = await ShiftLogic.endBreak(openBreak.id);
+      setActiveShift((prev) => ({
+        ...prev,
+        shift_breaks: prev.shift_breaks.map((b) => (b.id === br.id ? br : b)),
+      }));
+      setToast({ m: 'חזרת מההפסקה', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ─── Shift Correction ───
+  const openCorrection = (sh) => {
+    setCorrectionShiftId(sh.id);
+    setCorrectionForm({
+      start: toLocalInput(sh.start_time),
+      end: toLocalInput(sh.end_time),
+      reason: '',
+    });
+  };
+
+  const handleCorrectionSubmit = async (e, sh) => {
+    e.preventDefault();
+    if (!correctionForm.reason.trim()) {
+      setToast({ m: 'נא לפרט את סיבת התיקון', t: 'error' });
+      return;
+    }
+    setBusy(true);
+    try {
+      await ShiftLogic.requestShiftCorrection(profile.id, sh, {
+        startTime: new Date(correctionForm.start).toISOString(),
+        endTime: new Date(correctionForm.end).toISOString(),
+        reason: correctionForm.reason.trim(),
+      });
+      setCorrectionShiftId(null);
+      await loadData();
+      setToast({ m: sh.site_id ? 'בקשת התיקון נשלחה לאישור מפקח האתר' : 'בקשת התיקון נשלחה לאישור מנהל', t: 'info' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ─── Resubmit Rejected Manual Log ───
+  const openResubmit = (l) => {
+    setResubmitLogId(l.id);
+    setResubmitForm({
+      date: l.date,
+      hours: String(Math.floor(l.duration_minutes / 60)),
+      minutes: String(l.duration_minutes % 60),
+      description: l.description || '',
+      category: l.category || 'other',
+      note: '',
+    });
+  };
+
+  const handleResubmit = async (e, l) => {
+    e.preventDefault();
+    const totalMins =
+      (parseInt(resubmitForm.hours || '0', 10) * 60) +
+      parseInt(resubmitForm.minutes || '0', 10);
+    setBusy(true);
+    try {
+      await ShiftLogic.resubmitManualLog(l.id, {
+        date: resubmitForm.date,
+        durationMinutes: totalMins,
+        description: resubmitForm.description,
+        category: resubmitForm.category,
+        note: resubmitForm.note,
+      });
+
+      // Fire-and-forget: site-linked logs go back to the supervisor
+      if (l.site_id) {
+        ShiftLogic.notifySupervisor({
+          logId: l.id,
+          studentName: profile.full_name,
+          siteName: l.site_name || '',
+          description: resubmitForm.description.trim(),
+          durationMinutes: totalMins,
+          date: resubmitForm.date,
+        });
+      }
+
+      setResubmitLogId(null);
+      await loadData();
+      setToast({ m: l.site_id ? 'הדיווח נשלח מחדש לאישור מפקח האתר' : 'הדיווח נשלח מחדש לאישור מנהל', t: 'info' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleThreadError = useCallback((err) => {
+    setToast({ m: err.message, t: 'error' });
+  }, []);
+
+  const handleNotificationError = useCallback((err) => {
+    setToast({ m: err.message, t: 'error' });
+  }, []);
+
   // ─── Submit Manual Log ───
   const handleManualSubmit = async (e) => {
     e.preventDefault();
@@ -315,6 +763,21 @@ export default function Dashboard({ profile, onLogout }) {
     { l: 'ממתינים',      v: progress.pendingLogs,                    I: Clock,      c: '#f59e0b' },
   ];
 
+  // Years with activity, plus the current one, newest first
+  const yearOptions = [...new Set([
+    academicYearOf(),
+    viewYear,
+    ...shifts.map((sh) => academicYearOf(sh.start_time)),
+    ...manualLogs.map((l) => academicYearOf(l.date)),
+  ])].sort().reverse();
+
+  // Ring segments: counted hours per category (capped at the category max)
+  const ringSegments = (progress.byCategory || []).map((c) => {
+    const max = progress.requirements?.find((r) => r.category === c.category)?.maxHours;
+    const hours = max != null ? Math.min(c.totalHours, max) : c.totalHours;
+    return { key: c.category, value: (hours / goal) * 100, color: CATEGORIES[c.category]?.color || '#64748b' };
+  });
+
   const TABS = [
     { id: 'clock',   l: 'שעון נוכחות', I: Timer },
     { id: 'history', l: 'היסטוריה',    I: ClipboardList },
@@ -343,14 +806,22 @@ export default function Dashboard({ profile, onLogout }) {
               <p className="text-blue-200/35 text-xs">שלום, {profile.full_name}</p>
             </div>
           </div>
-          <button
-            onClick={onLogout}
-            className="text-blue-200/35 hover:text-red-400 p-2 rounded-lg hover:bg-white/5 transition-colors touch-target"
-            title="יציאה"
-            aria-label="יציאה מהמערכת"
-          >
-            <LogOut size={17} />
-          </button>
+          <div className="flex items-center gap-1">
+            <NotificationBell
+              profile={profile}
+              tabs={NOTIFICATION_TABS}
+              onNavigate={setTab}
+              onError={handleNotificationError}
+            />
+            <button
+              onClick={onLogout}
+              className="text-blue-200/35 hover:text-red-400 p-2 rounded-lg hover:bg-white/5 transition-colors touch-target"
+              title="יציאה"
+              aria-label="יציאה מהמערכת"
+            >
+              <LogOut size={17} />
+            </button>
+          </div>
         </div>
       </header>
 
@@ -358,20 +829,66 @@ export default function Dashboard({ profile, onLogout }) {
 
         {/* ─── Progress Ring ─── */}
         <div className="glass p-5 flex flex-col items-center py-8">
-          <ProgressRing progress={progress.progressPercent}>
+          <div className="self-stretch flex justify-end mb-2">
+            <label htmlFor="view-year" className="sr-only">שנת לימודים</label>
+            <select
+              id="view-year"
+              value={viewYear}
+              onChange={(e) => setViewYear(e.target.value)}
+              className="glass-input text-xs py-1.5 appearance-none"
+              dir="ltr"
+            >
+              {yearOptions.map((y) => (
+                <option key={y} value={y} style={{ background: '#111' }}>{y}</option>
+              ))}
+            </select>
+          </div>
+          <ProgressRing progress={progress.progressPercent} segments={ringSegments}>
             <span className="text-5xl font-bold text-white" aria-hidden="true">
               {Math.round(progress.progressPercent)}%
             </span>
             <span className="text-blue-200/40 text-sm mt-1" aria-hidden="true">
-              {progress.totalHours.toFixed(1)} / {goal} שעות
+              {(progress.countedHours ?? progress.totalHours).toFixed(1)} / {goal} שעות
             </span>
           </ProgressRing>
-          {progress.progressPercent >= 100 && (
+          {progress.requirements?.length > 0 && (
+            <ul className="mt-5 w-full max-w-sm space-y-1.5" aria-label="דרישות לפי קטגוריה">
+              {progress.requirements.map((r) => (
+                <li key={r.category} className="flex items-center justify-between text-sm">
+                  <span className="flex items-center gap-2 text-blue-200/70">
+                    <span className="w-2.5 h-2.5 rounded-full" style={{ background: CATEGORIES[r.category]?.color || '#64748b' }} aria-hidden="true" />
+                    {CATEGORIES[r.category]?.label || r.category}
+                  </span>
+                  <span className={r.met ? 'text-emerald-400' : 'text-amber-300'}>
+                    {r.hours.toFixed(1)}
+                    {r.minHours != null && ` / ${r.minHours}`}
+                    {r.maxHours != null && ` (עד ${r.maxHours})`}
+                    {' '}שעות {r.met ? '✓' : ''}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {progress.progressPercent >= 100 && progress.requirementsMet === false && (
+            <p className="mt-4 text-amber-300/80 text-sm text-center">
+              הגעת ליעד השעות, אך חלק מדרישות הקטגוריה עדיין חסרות
+            </p>
+          )}
+          {progress.progressPercent >= 100 && progress.requirementsMet !== false && (
             <div className="mt-4 flex items-center gap-2 text-emerald-400 bg-emerald-400/10 px-4 py-2 rounded-full">
               <Award size={17} aria-hidden="true" />
               <span className="text-sm font-medium">כל הכבוד! השלמת את היעד!</span>
             </div>
           )}
+          {progress.progressPercent >= 100 && progress.requirementsMet !== false && (
+            <button
+              onClick={handleDownloadCertificate}
+              disabled={busy}
+              className="mt-3 flex items-center gap-2 text-sm text-cyan-300 hover:text-cyan-200 transition-colors disabled:opacity-50"
+            >
+              <Download size={15} aria-hidden="true" /> הורדת אישור שעות (PDF)
+            </button>
+          )}
           {/* Site Assignment */}
           <div className="mt-4 flex items-center gap-2 px-4 py-2 rounded-full text-sm" style={{ background: 'rgba(255,255,255,0.04)' }}>
             <MapPin size={14} className={placement ? 'text-cyan-400' : 'text-blue-200/30'} />
@@ -398,6 +915,9 @@ export default function Dashboard({ profile, onLogout }) {
           ))}
         </div>
 
+        {/* ─── Category Breakdown ─── */}
+        {progress.byCategory?.length > 0 && <CategoryBreakdown rows={progress.byCategory} />}
+
         {/* ─── Tabs ─── */}
         <div
           className="flex rounded-xl overflow-hidden"
@@ -435,12 +955,19 @@ export default function Dashboard({ profile, onLogout }) {
             {activeShift ? (
               /* ── Active Shift ── */
               <div className="text-center space-y-6 py-4">
-                <div className="inline-flex items-center gap-2 bg-emerald-400/10 text-emerald-400 px-4 py-1.5 rounded-full text-sm animate-pulse-glow">
-                  <span className="w-2 h-2 bg-emerald-400 rounded-full animate-pulse" aria-hidden="true" />
-                  משמרת פעילה
-                </div>
+                {openBreak ? (
+                  <div className="inline-flex items-center gap-2 bg-amber-400/10 text-amber-300 px-4 py-1.5 rounded-full text-sm">
+                    <Coffee size={14} aria-hidden="true" />
+                    בהפסקה מאז {fmtTime(openBreak.start_time)}
+                  </div>
+                ) : (
+                  <div className="inline-flex items-center gap-2 bg-emerald-400/10 text-emerald-400 px-4 py-1.5 rounded-full text-sm animate-pulse-glow">
+                    <span className="w-2 h-2 bg-emerald-400 rounded-full animate-pulse" aria-hidden="true" />
+                    משמרת פעילה
+                  </div>
+                )}
                 <div>
-                  <LiveTimer startTime={activeShift.start_time} />
+                  <LiveTimer startTime={activeShift.start_time} breaks={activeShift.shift_breaks} />
                   <p className="text-blue-200/35 text-sm mt-3">
                     התחלה: {fmtTime(activeShift.start_time)}
                     {' · '}
@@ -448,6 +975,40 @@ export default function Dashboard({ profile, onLogout }) {
                     {activeShift.task_description}
                   </p>
                 </div>
+                <div className="max-w-xs mx-auto">
+                  <label htmlFor="active-category" className="block text-blue-200/45 text-xs mb-1.5 font-medium">קטגוריית המשמרת</label>
+                  <select
+                    id="active-category"
+                    value={activeShift.category || 'other'}
+                    onChange={(e) => handleShiftCategoryChange(e.target.value)}
+                    className="glass-input w-full appearance-none text-center"
+                  >
+                    {Object.entries(CATEGORIES).map(([k, v]) => (
+                      <option key={k} value={k} style={{ background: '#111' }}>
+                        {v.icon} {v.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {activeShift.outside_geofence && (
+                  <p className="inline-flex items-center gap-1.5 text-amber-300/70 text-xs">
+                    <MapPin size={12} aria-hidden="true" />
+                    הכניסה נרשמה מחוץ לתחום האתר — המשמרת תועבר לבדיקת המפקח
+                  </p>
+                )}
+                <LongShiftWarning
+                  startTime={activeShift.start_time}
+                  expectedMinutes={expectedShiftMinutes}
+                  maxMinutes={maxShiftMinutes}
+                />
+                <button
+                  onClick={openBreak ? handleEndBreak : handleStartBreak}
+                  disabled={busy}
+                  className="w-full max-w-xs mx-auto py-3 rounded-2xl text-amber-300 font-medium flex items-center justify-center gap-2 border border-amber-400/20 hover:bg-amber-400/10 transition-all disabled:opacity-50"
+                >
+                  {openBreak ? <Play size={18} aria-hidden="true" /> : <Coffee size={18} aria-hidden="true" />}
+                  {openBreak ? 'חזרה מהפסקה' : 'יציאה להפסקה'}
+                </button>
                 <button
                   onClick={handleCheckOut}
                   disabled={busy}
@@ -471,6 +1032,23 @@ export default function Dashboard({ profile, onLogout }) {
                   </p>
                 </div>
 
+                {/* Category */}
+                <div>
+                  <label htmlFor="checkin-category" className="block text-blue-200/45 text-xs mb-1.5 font-medium">קטגוריה</label>
+                  <select
+                    id="checkin-category"
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                    className="glass-input w-full appearance-none"
+                  >
+                    {Object.entries(CATEGORIES).map(([k, v]) => (
+                      <option key={k} value={k} style={{ background: '#111' }}>
+                        {v.icon} {v.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 {/* Task Description */}
                 <div>
                   <label htmlFor="task-desc" className="sr-only">תיאור המשימה</label>
@@ -499,6 +1077,47 @@ export default function Dashboard({ profile, onLogout }) {
                   )}
                   כניסה למשמרת
                 </button>
+
+                {/* QR Check In (site placement only) */}
+                {placement && (
+                  <div className="space-y-3">
+                    <button
+                      type="button"
+                      onClick={() => setQrOpen((o) => !o)}
+                      className="w-full py-3 rounded-2xl text-cyan-300 font-medium flex items-center justify-center gap-2 border border-cyan-400/20 hover:bg-cyan-400/10 transition-all"
+                      aria-expanded={qrOpen}
+                    >
+                      <ScanLine size={18} aria-hidden="true" />
+                      סריקת QR לכניסה
+                    </button>
+                    {qrOpen && (
+                      <div className="glass p-4 space-y-3">
+                        {!qrCode && <QrScanner onDetect={handleQrDetect} />}
+                        <div className="flex gap-2">
+                          <label htmlFor="qr-code" className="sr-only">קוד כניסה</label>
+                          <input
+                            id="qr-code"
+                            type="text"
+                            inputMode="numeric"
+                            value={qrCode}
+                            onChange={(e) => setQrCode(e.target.value)}
+                            placeholder="קוד כניסה מהאתר"
+                            className="glass-input flex-1"
+                            dir="ltr"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => handleQrCheckIn(qrCode)}
+                            disabled={busy}
+                            className="px-4 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50"
+                          >
+                            {busy ? <Loader2 size={14} className="animate-spin" /> : 'כניסה עם קוד'}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -514,41 +1133,159 @@ export default function Dashboard({ profile, onLogout }) {
           >
             {/* Completed Shifts */}
             <h3 className="text-white font-bold mb-1">משמרות אחרונות</h3>
-            {shifts.filter((s) => s.status === 'completed').length === 0 ? (
+            {shifts.filter((s) => s.status !== 'active').length === 0 ? (
               <div className="glass p-8 text-center">
                 <Timer size={32} className="text-blue-200/20 mx-auto mb-2" aria-hidden="true" />
                 <p className="text-blue-200/40 text-sm">עדיין אין משמרות שהושלמו</p>
               </div>
             ) : (
               shifts
-                .filter((s) => s.status === 'completed')
-                .map((sh) => (
-                  <div key={sh.id} className="glass p-4">
-                    <div className="flex items-center justify-between gap-3">
-                      <div className="flex items-center gap-3 min-w-0">
-                        <div
-                          className="w-10 h-10 rounded-xl flex items-center justify-center text-lg shrink-0"
-                          style={{ background: 'rgba(6,182,212,0.08)' }}
-                          aria-hidden="true"
-                        >
-                          {CATEGORIES[sh.category]?.icon || '📋'}
+                .filter((s) => s.status !== 'active')
+                .map((sh) => {
+                  const correction = corrections.find((c) => c.shift_id === sh.id);
+                  const correctionButton = (
+                    <button
+                      onClick={() => openCorrection(sh)}
+                      className="flex items-center gap-1 text-[11px] text-blue-200/40 hover:text-cyan-300 transition-colors"
+                      aria-label={`בקש תיקון למשמרת ${sh.task_description || ''}`}
+                    >
+                      <Pencil size={11} aria-hidden="true" /> בקש תיקון
+                    </button>
+                  );
+                  return (
+                    <div key={sh.id} className="glass p-4">
+                      <div className="flex items-center justify-between gap-3">
+                        <div className="flex items-center gap-3 min-w-0">
+                          <div
+                            className="w-10 h-10 rounded-xl flex items-center justify-center text-lg shrink-0"
+                            style={{ background: 'rgba(6,182,212,0.08)' }}
+                            aria-hidden="true"
+                          >
+                            {CATEGORIES[sh.category]?.icon || '📋'}
+                          </div>
+                          <div className="min-w-0">
+                            <p className="text-white text-sm font-medium truncate">
+                              {sh.task_description || 'ללא תיאור'}
+                            </p>
+                            <p className="text-blue-200/35 text-xs mt-0.5">
+                              {fmtDate(sh.start_time)} · {fmtTime(sh.start_time)} –{' '}
+                              {sh.end_time ? fmtTime(sh.end_time) : '—'}
+                            </p>
+                            {sh.shift_breaks?.length > 0 && (
+                              <p className="text-amber-300/50 text-xs mt-0.5 flex items-center gap-1 flex-wrap">
+                                <Coffee size={11} aria-hidden="true" />
+                                הפסקות: {fmtDur(parseFloat(sh.break_minutes || 0))}
+                                <span className="text-blue-200/30">
+                                  ({sh.shift_breaks
+                                    .map((b) => `${fmtTime(b.start_time)}–${b.end_time ? fmtTime(b.end_time) : '—'}`)
+                                    .join(', ')})
+                                </span>
+                              </p>
+                            )}
+                            {correction?.status === 'rejected' && correction.rejection_reason && (
+                              <p className="text-red-400/60 text-xs mt-0.5">
+                                סיבת דחיית התיקון: {correction.rejection_reason}
+                              </p>
+                            )}
+                          </div>
                         </div>
-                        <div className="min-w-0">
-                          <p className="text-white text-sm font-medium truncate">
-                            {sh.task_description || 'ללא תיאור'}
-                          </p>
-                          <p className="text-blue-200/35 text-xs mt-0.5">
-                            {fmtDate(sh.start_time)} · {fmtTime(sh.start_time)} –{' '}
-                            {sh.end_time ? fmtTime(sh.end_time) : '—'}
-                          </p>
+                        <div className="flex flex-col items-end gap-1 shrink-0">
+                          <span className="text-cyan-300 font-bold text-sm">
+                            {sh.duration_minutes ? fmtDur(parseFloat(sh.duration_minutes)) : '—'}
+                          </span>
+                          {sh.needs_correction && correction?.status !== 'pending' ? (
+                            <span className="text-[10px] px-2 py-0.5 rounded-full bg-red-400/5 text-red-400/70">
+                              נסגרה אוטומטית · נא לתקן שעת יציאה
+                            </span>
+                          ) : sh.auto_closed && (
+                            <span className="text-[10px] px-2 py-0.5 rounded-full bg-amber-400/5 text-amber-400/60">
+                              נסגרה אוטומטית
+                            </span>
+                          )}
+                          {sh.status === 'needs_review' ? (
+                            <>
+                              <span className="text-[10px] px-2 py-0.5 rounded-full bg-amber-400/5 text-amber-400/60">
+                                ממתין לבדיקת מפקח
+                              </span>
+                              {/* An auto-closed shift outside the radius still needs its real check-out time */}
+                              {sh.needs_correction && correction?.status !== 'pending' && correctionButton}
+                            </>
+                          ) : sh.status === 'rejected' ? (
+                            <span className="text-[10px] px-2 py-0.5 rounded-full bg-red-400/5 text-red-400/60">
+                              משמרת נדחתה
+                            </span>
+                          ) : correction?.status === 'pending' ? (
+                            <span className="text-[10px] px-2 py-0.5 rounded-full bg-amber-400/5 text-amber-400/60">
+                              {correction.supervisor_status === 'pending_supervisor' ? 'תיקון ממתין למפקח' : 'תיקון ממתין'}
+                            </span>
+                          ) : (
+                            <>
+                              {correction?.status === 'approved' && (
+                                <span className="text-[10px] px-2 py-0.5 rounded-full bg-emerald-400/5 text-emerald-400/60">תוקן</span>
+                              )}
+                              {correction?.status === 'rejected' && (
+                                <span className="text-[10px] px-2 py-0.5 rounded-full bg-red-400/5 text-red-400/60">תיקון נדחה</span>
+                              )}
+                              {correctionButton}
+                            </>
+                          )}
                         </div>
                       </div>
-                      <span className="text-cyan-300 font-bold text-sm shrink-0">
-                        {sh.duration_minutes ? fmtDur(parseFloat(sh.duration_minutes)) : '—'}
-                      </span>
+
+                      {/* Correction request form */}
+                      {correctionShiftId === sh.id && (
+                        <form onSubmit={(e) => handleCorrectionSubmit(e, sh)} className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <div>
+                              <label htmlFor={`corr-start-${sh.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">שעת התחלה</label>
+                              <input
+                                id={`corr-start-${sh.id}`}
+                                type="datetime-local"
+                                required
+                                value={correctionForm.start}
+                                onChange={(e) => setCorrectionForm((p) => ({ ...p, start: e.target.value }))}
+                                className="glass-input w-full"
+                                dir="ltr"
+                              />
+                            </div>
+                            <div>
+                              <label htmlFor={`corr-end-${sh.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">שעת סיום</label>
+                              <input
+                                id={`corr-end-${sh.id}`}
+                                type="datetime-local"
+                                required
+                                value={correctionForm.end}
+                                onChange={(e) => setCorrectionForm((p) => ({ ...p, end: e.target.value }))}
+                                className="glass-input w-full"
+                                dir="ltr"
+                              />
+                            </div>
+                          </div>
+                          <div>
+                            <label htmlFor={`corr-reason-${sh.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">סיבת התיקון</label>
+                            <textarea
+                              id={`corr-reason-${sh.id}`}
+                              rows={2}
+                              value={correctionForm.reason}
+                              onChange={(e) => setCorrectionForm((p) => ({ ...p, reason: e.target.value }))}
+                              placeholder="לדוגמה: שכחתי לצאת מהמשמרת בזמן"
+                              className="glass-input w-full resize-none"
+                              dir="rtl"
+                            />
+                          </div>
+                          <div className="flex gap-2">
+                            <button type="submit" disabled={busy} className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50">
+                              {busy ? <Loader2 size={14} className="animate-spin" /> : 'שלח בקשת תיקון'}
+                            </button>
+                            <button type="button" onClick={() => setCorrectionShiftId(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                              ביטול
+                            </button>
+                          </div>
+                        </form>
+                      )}
                     </div>
-                  </div>
-                ))
+                  );
+                })
             )}
 
             {/* Manual Logs */}
@@ -609,6 +1346,130 @@ export default function Dashboard({ profile, onLogout }) {
                       )}
                     </div>
                   </div>
+
+                  {l.status === 'rejected' && l.rejection_reason && (
+                    <p className="text-red-400/70 text-xs mt-3">סיבת הדחייה: {l.rejection_reason}</p>
+                  )}
+                  {l.status !== 'rejected' && l.approved_minutes != null && (
+                    <div className="text-amber-300/70 text-xs mt-3 space-y-0.5">
+                      <p>אושרו {fmtDur(parseFloat(l.approved_minutes))} מתוך {fmtDur(l.duration_minutes)}</p>
+                      {l.approval_note && <p className="text-blue-200/45">הערת המאשר/ת: {l.approval_note}</p>}
+                    </div>
+                  )}
+                  <div className="flex items-center gap-4 mt-2">
+                    <button
+                      onClick={() => setThreadLogId(threadLogId === l.id ? null : l.id)}
+                      className="flex items-center gap-1 text-[11px] text-blue-200/40 hover:text-cyan-300 transition-colors"
+                      aria-expanded={threadLogId === l.id}
+                    >
+                      <MessageSquare size={11} aria-hidden="true" /> תגובות
+                    </button>
+                    {l.status === 'rejected' && (
+                      <button
+                        onClick={() => openResubmit(l)}
+                        className="flex items-center gap-1 text-[11px] text-blue-200/40 hover:text-cyan-300 transition-colors"
+                        aria-label={`ערוך ושלח מחדש את הדיווח ${l.description}`}
+                      >
+                        <Pencil size={11} aria-hidden="true" /> ערוך ושלח מחדש
+                      </button>
+                    )}
+                  </div>
+
+                  {/* Resubmit form (rejected logs) */}
+                  {resubmitLogId === l.id && (
+                    <form onSubmit={(e) => handleResubmit(e, l)} className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <div>
+                          <label htmlFor={`resubmit-date-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">תאריך</label>
+                          <input
+                            id={`resubmit-date-${l.id}`}
+                            type="date"
+                            required
+                            value={resubmitForm.date}
+                            onChange={(e) => setResubmitForm((p) => ({ ...p, date: e.target.value }))}
+                            className="glass-input w-full"
+                            dir="ltr"
+                          />
+                        </div>
+                        <div>
+                          <label htmlFor={`resubmit-category-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">קטגוריה</label>
+                          <select
+                            id={`resubmit-category-${l.id}`}
+                            value={resubmitForm.category}
+                            onChange={(e) => setResubmitForm((p) => ({ ...p, category: e.target.value }))}
+                            className="glass-input w-full appearance-none"
+                          >
+                            {Object.entries(CATEGORIES).map(([k, v]) => (
+                              <option key={k} value={k} style={{ background: '#111' }}>
+                                {v.icon} {v.label}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                      <div className="grid grid-cols-2 gap-3">
+                        <div>
+                          <label htmlFor={`resubmit-hours-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">שעות</label>
+                          <input
+                            id={`resubmit-hours-${l.id}`}
+                            type="number"
+                            min="0"
+                            max="24"
+                            value={resubmitForm.hours}
+                            onChange={(e) => setResubmitForm((p) => ({ ...p, hours: e.target.value }))}
+                            className="glass-input w-full"
+                            dir="ltr"
+                          />
+                        </div>
+                        <div>
+                          <label htmlFor={`resubmit-minutes-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">דקות</label>
+                          <input
+                            id={`resubmit-minutes-${l.id}`}
+                            type="number"
+                            min="0"
+                            max="59"
+                            value={resubmitForm.minutes}
+                            onChange={(e) => setResubmitForm((p) => ({ ...p, minutes: e.target.value }))}
+                            className="glass-input w-full"
+                            dir="ltr"
+                          />
+                        </div>
+                      </div>
+                      <div>
+                        <label htmlFor={`resubmit-desc-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">תיאור</label>
+                        <textarea
+                          id={`resubmit-desc-${l.id}`}
+                          rows={2}
+                          value={resubmitForm.description}
+                          onChange={(e) => setResubmitForm((p) => ({ ...p, description: e.target.value }))}
+                          className="glass-input w-full resize-none"
+                          dir="rtl"
+                        />
+                      </div>
+                      <div>
+                        <label htmlFor={`resubmit-note-${l.id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">הערה למאשר/ת (לא חובה)</label>
+                        <input
+                          id={`resubmit-note-${l.id}`}
+                          type="text"
+                          value={resubmitForm.note}
+                          onChange={(e) => setResubmitForm((p) => ({ ...p, note: e.target.value }))}
+                          placeholder="מה תוקן בדיווח?"
+                          className="glass-input w-full"
+                          dir="rtl"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <button type="submit" disabled={busy} className="px-4 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50">
+                          {busy ? <Loader2 size={14} className="animate-spin" /> : 'שלח מחדש'}
+                        </button>
+                        <button type="button" onClick={() => setResubmitLogId(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                          ביטול
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {threadLogId === l.id && <LogThread logId={l.id} onError={handleThreadError} />}
                 </div>
               ))
             )}
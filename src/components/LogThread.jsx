@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ShiftLogic } from '../lib/ShiftLogic';
+import { Loader2, MessageSquare, Send } from 'lucide-react';
+
+const fmtDateTime = (d) =>
+  new Date(d).toLocaleString('he-IL', {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+
+const KIND_LABELS = {
+  rejection:    { label: 'סיבת דחייה',  cls: 'text-red-400/70' },
+  resubmission: { label: 'נשלח מחדש',   cls: 'text-amber-400/70' },
+};
+
+const ROLE_LABELS = {
+  student:         'סטודנט/ית',
+  site_supervisor: 'מפקח/ת אתר',
+  admin:           'מנהל/ת',
+};
+
+// ═══════════════════════════════════════════
+// LOG THREAD — comments on a manual log
+// ═══════════════════════════════════════════
+// Shared by the student history, the supervisor queue and the admin
+// queue. Rejections and resubmissions show up as thread entries.
+export default function LogThread({ logId, onError }) {
+  const [comments, setComments] = useState(null);
+  const [body, setBody] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setComments(await ShiftLogic.getLogComments(logId));
+    } catch (err) {
+      setComments([]);
+      onError?.(err);
+    }
+  }, [logId, onError]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await ShiftLogic.addLogComment(logId, body);
+      setBody('');
+      await load();
+    } catch (err) {
+      onError?.(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+      {comments === null ? (
+        <div className="flex justify-center py-2">
+          <Loader2 size={16} className="animate-spin text-blue-200/40" />
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="text-blue-200/30 text-xs flex items-center gap-1.5">
+          <MessageSquare size={12} aria-hidden="true" /> אין תגובות עדיין
+        </p>
+      ) : (
+        <ul className="space-y-2" aria-label="תגובות">
+          {comments.map((c) => (
+            <li key={c.id} className="rounded-xl px-3 py-2" style={{ background: 'rgba(255,255,255,0.03)' }}>
+              <div className="flex items-center gap-2 text-[11px] text-blue-200/35 flex-wrap">
+                <span className="text-blue-200/70 font-medium">{c.author_name}</span>
+                {c.author_role && <span>{ROLE_LABELS[c.author_role] || c.author_role}</span>}
+                {KIND_LABELS[c.kind] && (
+                  <span className={KIND_LABELS[c.kind].cls}>{KIND_LABELS[c.kind].label}</span>
+                )}
+                <span className="mr-auto">{fmtDateTime(c.created_at)}</span>
+              </div>
+              <p className="text-white/80 text-sm mt-1 whitespace-pre-line">{c.body}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder="כתוב/י תגובה..."
+          aria-label="תגובה"
+          className="glass-input flex-1 text-sm"
+          dir="rtl"
+        />
+        <button
+          type="submit"
+          disabled={busy || !body.trim()}
+          className="flex items-center gap-1.5 px-3 py-2 rounded-xl text-white text-sm font-medium gradient-primary disabled:opacity-50"
+          aria-label="שלח תגובה"
+        >
+          {busy ? <Loader2 size={14} className="animate-spin" /> : <Send size={14} aria-hidden="true" />}
+        </button>
+      </form>
+    </div>
+  );
+}
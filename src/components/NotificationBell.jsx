@@ -0,0 +1,353 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { ShiftLogic } from '../lib/ShiftLogic';
+import { isPushSupported, getPushSubscription, subscribeToPush, unsubscribeFromPush } from '../lib/webPush';
+import { Bell, Loader2, Settings, CheckCheck, ArrowRight, Smartphone } from 'lucide-react';
+
+const POLL_MS = 60000;
+
+const fmtDay = (d) =>
+  new Date(d).toLocaleDateString('he-IL', { month: 'short', day: 'numeric' });
+const fmtTime = (d) =>
+  new Date(d).toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' });
+const fmtDateTime = (d) =>
+  new Date(d).toLocaleString('he-IL', {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+
+// Events each role may also receive by email (see migrations 033, 035).
+// Delegation notices are in-app only, so they have no toggle.
+const EMAIL_PREFS = {
+  student: [
+    { kind: 'log_approved',       l: 'דיווח אושר' },
+    { kind: 'log_rejected',       l: 'דיווח נדחה' },
+    { kind: 'milestone',          l: 'התקדמות ביעד השעות' },
+    { kind: 'placement_assigned', l: 'שיבוץ לאתר' },
+    { kind: 'checkout_reminder',  l: 'תזכורת ליציאה ממשמרת' },
+    { kind: 'shift_auto_closed',  l: 'משמרת שנסגרה אוטומטית' },
+  ],
+  site_supervisor: [
+    { kind: 'logs_waiting', l: 'דיווחים חדשים לאישור' },
+  ],
+  admin: [
+    { kind: 'logs_waiting', l: 'דיווחים חדשים לאישור סופי' },
+  ],
+};
+
+// { title, detail } for a notification row; data is filled by the triggers
+function notificationText(n) {
+  const d = n.data || {};
+  const place = d.site_name || d.event_name;
+  switch (n.kind) {
+    case 'log_approved':
+      return {
+        title: d.stage === 'supervisor'
+          ? `הדיווח מ-${fmtDay(d.date)} אושר על ידי מפקח/ת האתר`
+          : `הדיווח מ-${fmtDay(d.date)} אושר`,
+        detail: [place, d.note].filter(Boolean).join(' · '),
+      };
+    case 'log_rejected':
+      return {
+        title: `הדיווח מ-${fmtDay(d.date)} נדחה`,
+        detail: d.reason ? `סיבה: ${d.reason}` : place,
+      };
+    case 'milestone':
+      return {
+        title: d.percent === 100 ? 'השלמת את יעד השעות!' : `הגעת ל-${d.percent}% מיעד השעות`,
+        detail: `${d.hours} מתוך ${d.goal} שעות`,
+      };
+    case 'placement_assigned':
+      return {
+        title: `שובצת לאתר ${d.site_name || ''}`,
+        detail: d.academic_year ? `שנת הלימודים ${d.academic_year}` : '',
+      };
+    case 'logs_waiting': {
+      const count = d.count || 1;
+      const what = count === 1 ? 'דיווח חדש ממתין לאישור' : `${count} דיווחים חדשים ממתינים לאישור`;
+      return {
+        title: d.site_name ? `${what} באתר ${d.site_name}` : what,
+        detail: '',
+      };
+    }
+    case 'delegation_received':
+      return {
+        title: `${d.delegator_name || 'מפקח/ת'} מינה/תה אותך לממלא/ת מקום`,
+        detail: `${d.site_name || ''} · ${fmtDay(d.starts_on)}–${fmtDay(d.ends_on)}`,
+      };
+    case 'checkout_reminder':
+      return {
+        title: 'שכחת לצאת מהמשמרת?',
+        detail: `נכנסת ב-${fmtTime(d.start_time)}${d.site_name ? ` · ${d.site_name}` : ''}${
+          d.closing_at ? ` · האתר נסגר ב-${fmtTime(d.closing_at)}` : ''
+        }`,
+      };
+    case 'shift_auto_closed':
+      return {
+        title: 'המשמרת נסגרה אוטומטית — נא לתקן את שעת היציאה',
+        detail: `${fmtDateTime(d.start_time)}–${fmtTime(d.end_time)}${d.site_name ? ` · ${d.site_name}` : ''}`,
+      };
+    default:
+      return { title: n.kind, detail: '' };
+  }
+}
+
+// ═══════════════════════════════════════════
+// NOTIFICATION BELL — header menu for every role
+// ═══════════════════════════════════════════
+// tabs maps a notification kind to the panel tab it opens; onNavigate
+// switches the panel to it.
+export default function NotificationBell({ profile, tabs = {}, onNavigate, onError }) {
+  const [items, setItems] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [showPrefs, setShowPrefs] = useState(false);
+  const [prefs, setPrefs] = useState(null);
+  const [push, setPush] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const rootRef = useRef(null);
+
+  const prefOptions = EMAIL_PREFS[profile.role] || [];
+  const pushSupported = isPushSupported();
+  const unread = (items || []).filter((n) => !n.read_at).length;
+
+  const load = useCallback(async () => {
+    try {
+      setItems(await ShiftLogic.getNotifications(profile.id));
+    } catch (err) {
+      setItems((prev) => prev || []);
+      onError?.(err);
+    }
+  }, [profile.id, onError]);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, POLL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  // Close on a click outside or Escape
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => { if (e.key === 'Escape') setOpen(false); };
+    document.addEventListener('mousedown', onClick);
+    document.addEventListener('keydown', onKey);
+    return () => {
+      document.removeEventListener('mousedown', onClick);
+      document.removeEventListener('keydown', onKey);
+    };
+  }, [open]);
+
+  const handleToggle = () => {
+    if (!open) {
+      setShowPrefs(false);
+      load();
+    }
+    setOpen(!open);
+  };
+
+  const handleOpenItem = async (n) => {
+    setOpen(false);
+    if (tabs[n.kind]) onNavigate?.(tabs[n.kind]);
+    if (n.read_at) return;
+    setItems((prev) => prev.map((x) => (x.id === n.id ? { ...x, read_at: new Date().toISOString() } : x)));
+    try {
+      await ShiftLogic.markNotificationsRead([n.id]);
+    } catch (err) {
+      onError?.(err);
+    }
+  };
+
+  const handleMarkAll = async () => {
+    setBusy(true);
+    try {
+      await ShiftLogic.markNotificationsRead();
+      const now = new Date().toISOString();
+      setItems((prev) => prev.map((x) => (x.read_at ? x : { ...x, read_at: now })));
+    } catch (err) {
+      onError?.(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleShowPrefs = async () => {
+    setShowPrefs(true);
+    try {
+      const [saved, subscription] = await Promise.all([
+        ShiftLogic.getNotificationPreferences(profile.id),
+        pushSupported ? getPushSubscription() : null,
+      ]);
+      setPrefs(saved);
+      setPush(!!subscription);
+    } catch (err) {
+      setPrefs((prev) => prev || {});
+      onError?.(err);
+    }
+  };
+
+  // Push is per device: this browser subscribes or drops its subscription
+  const handleTogglePush = async () => {
+    setBusy(true);
+    try {
+      if (push) {
+        const endpoint = await unsubscribeFromPush();
+        if (endpoint) await ShiftLogic.deletePushSubscription(endpoint);
+        setPush(false);
+      } else {
+        await ShiftLogic.savePushSubscription(await subscribeToPush());
+        setPush(true);
+      }
+    } catch (err) {
+      onError?.(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTogglePref = async (kind) => {
+    const email = prefs[kind] === false;
+    setPrefs((prev) => ({ ...prev, [kind]: email }));
+    try {
+      await ShiftLogic.setNotificationPreference(kind, email);
+    } catch (err) {
+      setPrefs((prev) => ({ ...prev, [kind]: !email }));
+      onError?.(err);
+    }
+  };
+
+  return (
+    <div className="relative" ref={rootRef}>
+      <button
+        onClick={handleToggle}
+        className="relative text-blue-200/35 hover:text-white p-2 rounded-lg hover:bg-white/5 transition-colors touch-target"
+        title="התראות"
+        aria-label={unread ? `התראות (${unread} חדשות)` : 'התראות'}
+        aria-expanded={open}
+        aria-haspopup="true"
+      >
+        <Bell size={17} />
+        {unread > 0 && (
+          <span
+            className="absolute top-1 left-1 min-w-[16px] h-4 px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center"
+            aria-hidden="true"
+          >
+            {unread > 9 ? '9+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          className="absolute left-0 top-full mt-2 w-80 max-w-[calc(100vw-2rem)] rounded-2xl border border-white/[0.08] shadow-2xl z-50 animate-tab-enter"
+          style={{ background: 'rgba(12,18,48,0.97)', backdropFilter: 'blur(20px)' }}
+          role="dialog"
+          aria-label="התראות"
+        >
+          <div className="flex items-center justify-between px-4 py-3 border-b border-white/[0.06]">
+            {showPrefs ? (
+              <button
+                onClick={() => setShowPrefs(false)}
+                className="flex items-center gap-1.5 text-white text-sm font-semibold"
+              >
+                <ArrowRight size={14} aria-hidden="true" /> שליחה במייל
+              </button>
+            ) : (
+              <h2 className="text-white text-sm font-semibold">התראות</h2>
+            )}
+            {!showPrefs && (
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={handleMarkAll}
+                  disabled={busy || unread === 0}
+                  className="flex items-center gap-1 text-xs text-cyan-300 hover:text-cyan-200 disabled:opacity-40 px-1.5 py-1"
+                >
+                  <CheckCheck size={13} aria-hidden="true" /> סמן הכל כנקרא
+                </button>
+                {prefOptions.length > 0 && (
+                  <button
+                    onClick={handleShowPrefs}
+                    className="text-blue-200/40 hover:text-white p-1.5 rounded-lg hover:bg-white/5"
+                    title="הגדרות התראות"
+                    aria-label="הגדרות התראות"
+                  >
+                    <Settings size={14} />
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {showPrefs ? (
+            <div className="p-4 space-y-3">
+              {pushSupported && (
+                <div className="flex items-center justify-between gap-3 pb-3 border-b border-white/[0.06]">
+                  <span className="flex items-center gap-1.5 text-sm text-white/80">
+                    <Smartphone size={14} aria-hidden="true" /> התראות במכשיר זה
+                  </span>
+                  <button
+                    onClick={handleTogglePush}
+                    disabled={busy || push === null}
+                    className="text-xs text-cyan-300 hover:text-cyan-200 disabled:opacity-40 px-2 py-1 rounded-lg bg-white/[0.04]"
+                  >
+                    {push ? 'כיבוי' : 'הפעלה'}
+                  </button>
+                </div>
+              )}
+              <p className="text-blue-200/40 text-xs">ההתראות מופיעות תמיד כאן. סמנו אילו יישלחו גם במייל:</p>
+              {prefs === null ? (
+                <div className="flex justify-center py-2">
+                  <Loader2 size={16} className="animate-spin text-blue-200/40" />
+                </div>
+              ) : (
+                prefOptions.map((o) => (
+                  <label key={o.kind} className="flex items-center justify-between gap-3 text-sm text-white/80 cursor-pointer">
+                    {o.l}
+                    <input
+                      type="checkbox"
+                      checked={prefs[o.kind] !== false}
+                      onChange={() => handleTogglePref(o.kind)}
+                      className="accent-cyan-400 w-4 h-4"
+                    />
+                  </label>
+                ))
+              )}
+            </div>
+          ) : items === null ? (
+            <div className="flex justify-center py-6">
+              <Loader2 size={16} className="animate-spin text-blue-200/40" />
+            </div>
+          ) : items.length === 0 ? (
+            <p className="text-blue-200/30 text-xs text-center py-6">אין התראות</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-white/[0.04]" aria-label="רשימת התראות">
+              {items.map((n) => {
+                const { title, detail } = notificationText(n);
+                return (
+                  <li key={n.id}>
+                    <button
+                      onClick={() => handleOpenItem(n)}
+                      className={`w-full text-right px-4 py-3 flex gap-2.5 hover:bg-white/[0.04] transition-colors ${
+                        n.read_at ? 'opacity-60' : ''
+                      }`}
+                    >
+                      <span
+                        className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${n.read_at ? 'bg-transparent' : 'bg-cyan-400'}`}
+                        aria-label={n.read_at ? undefined : 'לא נקראה'}
+                      />
+                      <span className="flex-1 min-w-0">
+                        <span className="block text-white/85 text-sm">{title}</span>
+                        {detail && <span className="block text-blue-200/40 text-xs mt-0.5 truncate">{detail}</span>}
+                        <span className="block text-blue-200/25 text-[11px] mt-1">{fmtDateTime(n.created_at)}</span>
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,22 @@
 import { useState, useEffect, useCallback } from 'react';
+import QRCode from 'qrcode';
 import { ShiftLogic } from '../lib/ShiftLogic';
 import {
   LogOut, Shield, Check, X, Users, BarChart3,
   Award, AlertCircle, ClipboardList, Calendar,
-  Timer, ChevronLeft, Loader2, RefreshCw, MapPin
+  Timer, ChevronLeft, Loader2, RefreshCw, MapPin, QrCode,
+  FileText, Download, PenLine, Lock, MessageSquare, Scissors, UserCheck
 } from 'lucide-react';
+import { downloadTimesheetPdf } from '../lib/timesheetPdf';
+import LogThread from './LogThread';
+import NotificationBell from './NotificationBell';
 
 const fmtDate = (d) =>
   new Date(d).toLocaleDateString('he-IL', {
     year: 'numeric', month: 'short', day: 'numeric',
   });
+const fmtTime = (d) =>
+  new Date(d).toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' });
 const fmtDur = (m) => {
   const h = Math.floor(m / 60);
   const r = Math.round(m % 60);
@@ -27,6 +34,28 @@ const CATEGORIES = {
   other:             { label: 'אחר',              icon: '📋' },
 };
 
+const CATEGORY_LABELS = Object.fromEntries(Object.entries(CATEGORIES).map(([k, c]) => [k, c.label]));
+
+// 'YYYY-MM' of the current month (local time)
+const currentMonth = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// ─── Student history (migration 031) ───
+const HISTORY_STATUS_LABELS = {
+  shift:  { active: 'פעילה', completed: 'נספרה', needs_review: 'ממתינה לאישור', rejected: 'נדחתה' },
+  manual: { pending: 'ממתין לאישור', approved: 'אושר', rejected: 'נדחה' },
+};
+
+const HISTORY_FILTERS = { all: 'הכל', shift: 'משמרות', manual: 'דיווחים ידניים' };
+
+// ─── Delegation form (migration 028) ───
+const EMPTY_DELEGATION_FORM = { siteId: '', delegateId: '', startsOn: '', endsOn: '' };
+
+// ─── Tab each notification opens (migration 033) ───
+const NOTIFICATION_TABS = { logs_waiting: 'pending', delegation_received: 'delegations' };
+
 const pColor = (p) =>
   p >= 100 ? '#10b981' : p >= 60 ? '#06b6d4' : p >= 30 ? '#3b82f6' : '#8b5cf6';
 
@@ -114,6 +143,75 @@ function Toast({ msg, type = 'success', onClose }) {
   );
 }
 
+// ─── Site QR (rotates before the 90s token expires) ───
+const QR_ROTATE_MS = 60000;
+
+function SiteQrDisplay({ site, onError }) {
+  const [token, setToken] = useState(null);
+  const [image, setImage] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const rotate = async () => {
+      try {
+        const next = await ShiftLogic.createSiteCheckinToken(site.id);
+        if (cancelled || !next) return;
+        const url = await QRCode.toDataURL(
+          `${window.location.origin}/?checkin=${next.token}`,
+          { width: 320, margin: 1 }
+        );
+        if (cancelled) return;
+        setToken(next);
+        setImage(url);
+      } catch (err) {
+        if (!cancelled) onError(err);
+      }
+    };
+    rotate();
+    const timer = setInterval(rotate, QR_ROTATE_MS);
+    return () => { cancelled = true; clearInterval(timer); };
+  }, [site.id, onError]);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    const tick = () =>
+      setSecondsLeft(Math.max(0, Math.round((new Date(token.expires_at) - Date.now()) / 1000)));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [token]);
+
+  if (!token) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 size={28} className="animate-spin text-amber-400" aria-label="טוען קוד" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col items-center gap-4 py-2">
+      {image && (
+        <img
+          src={image}
+          alt={`קוד QR לכניסה למשמרת ב${site.name}`}
+          className="w-64 h-64 rounded-2xl bg-white p-3"
+        />
+      )}
+      <div className="text-center">
+        <p className="text-blue-200/40 text-xs mb-1">או הזנת קוד ידנית</p>
+        <p className="text-white text-4xl font-bold tracking-[0.3em] tabular-nums" dir="ltr">
+          {token.code}
+        </p>
+      </div>
+      <p className="text-blue-200/35 text-xs">
+        הקוד מתחלף אוטומטית · בתוקף עוד {secondsLeft} שניות
+      </p>
+    </div>
+  );
+}
+
 // ─── Skeleton Loading ───
 function LoadingSkeleton() {
   return (
@@ -160,25 +258,47 @@ function LoadingSkeleton() {
 export default function SupervisorPanel({ profile, onLogout }) {
   const [students, setStudents] = useState([]);
   const [pendingLogs, setPendingLogs] = useState([]);
+  const [pendingCorrections, setPendingCorrections] = useState([]);
+  const [reviewShifts, setReviewShifts] = useState([]);
   const [sites, setSites] = useState([]);
   const [tab, setTab] = useState('overview');
+  const [qrSiteId, setQrSiteId] = useState(null);
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [toast, setToast] = useState(null);
   const [initialLoad, setInitialLoad] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [timesheetMonth, setTimesheetMonth] = useState(currentMonth);
+  const [timesheet, setTimesheet] = useState(null);
+  const [timesheetBusy, setTimesheetBusy] = useState(false);
+  const [studentHistory, setStudentHistory] = useState(null);
+  const [historyFilter, setHistoryFilter] = useState('all');
+  const [rejecting, setRejecting] = useState(null); // { id, reason }
+  const [rejectingCorrection, setRejectingCorrection] = useState(null); // { id, reason }
+  const [partial, setPartial] = useState(null); // { id, hours, minutes, note }
+  const [threadLogId, setThreadLogId] = useState(null);
+  const [delegations, setDelegations] = useState({ given: [], received: [] });
+  const [delegateCandidates, setDelegateCandidates] = useState([]);
+  const [delegationForm, setDelegationForm] = useState(EMPTY_DELEGATION_FORM);
+  const [delegationBusy, setDelegationBusy] = useState(false);
 
   // ─── Load data ───
   const loadData = useCallback(async (showRefresh = false) => {
     if (showRefresh) setRefreshing(true);
     try {
-      const [studentsData, pending, sitesData] = await Promise.all([
+      const [studentsData, pending, sitesData, corrections, reviewData, delegationsData] = await Promise.all([
         ShiftLogic.getSupervisorStudents(profile.id),
         ShiftLogic.getSupervisorPendingLogs(profile.id),
         ShiftLogic.getSupervisorSites(profile.id),
+        ShiftLogic.getSupervisorPendingCorrections(profile.id),
+        ShiftLogic.getSupervisorReviewShifts(profile.id),
+        ShiftLogic.getMyDelegations(profile.id),
       ]);
       setStudents(studentsData || []);
       setPendingLogs(pending || []);
+      setPendingCorrections(corrections || []);
+      setReviewShifts(reviewData || []);
       setSites(sitesData || []);
+      setDelegations(delegationsData || { given: [], received: [] });
     } catch (err) {
       console.error('Supervisor load error:', err);
       setToast({ m: 'שגיאה בטעינת נתונים: ' + err.message, t: 'error' });
@@ -203,17 +323,189 @@ export default function SupervisorPanel({ profile, onLogout }) {
     }
   };
 
-  // ─── Reject ───
-  const handleReject = async (logId) => {
+  // ─── Partial approval (fewer minutes than reported, note required) ───
+  const handlePartialApprove = async (e, log) => {
+    e.preventDefault();
+    const approvedMinutes = (parseInt(partial?.hours, 10) || 0) * 60 + (parseInt(partial?.minutes, 10) || 0);
+    if (approvedMinutes <= 0 || approvedMinutes >= log.duration_minutes) {
+      setToast({ m: `נא להזין פחות מ-${fmtDur(log.duration_minutes)}`, t: 'error' });
+      return;
+    }
     try {
-      await ShiftLogic.supervisorRejectLog(logId);
+      await ShiftLogic.supervisorApproveLog(log.log_id, { approvedMinutes, note: partial.note });
+      setPendingLogs((prev) => prev.filter((l) => l.log_id !== log.log_id));
+      setPartial(null);
+      const updated = await ShiftLogic.getSupervisorStudents(profile.id);
+      setStudents(updated || []);
+      setToast({ m: `אושרו ${fmtDur(approvedMinutes)} מתוך ${fmtDur(log.duration_minutes)}`, t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  // ─── Reject (reason required, shown to the student) ───
+  const handleReject = async (e, logId) => {
+    e.preventDefault();
+    try {
+      await ShiftLogic.supervisorRejectLog(logId, rejecting?.reason);
       setPendingLogs((prev) => prev.filter((l) => l.log_id !== logId));
+      setRejecting(null);
       setToast({ m: 'הדיווח נדחה', t: 'error' });
     } catch (err) {
       setToast({ m: err.message, t: 'error' });
     }
   };
 
+  // ─── Approve / Reject Shift Correction ───
+  const handleApproveCorrection = async (correctionId) => {
+    try {
+      await ShiftLogic.supervisorApproveCorrection(correctionId);
+      setPendingCorrections((prev) => prev.filter((c) => c.correction_id !== correctionId));
+      setToast({ m: 'התיקון אושר והועבר למנהל', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  const handleRejectCorrection = async (e, correctionId) => {
+    e.preventDefault();
+    try {
+      await ShiftLogic.supervisorRejectCorrection(correctionId, rejectingCorrection?.reason);
+      setPendingCorrections((prev) => prev.filter((c) => c.correction_id !== correctionId));
+      setRejectingCorrection(null);
+      setToast({ m: 'בקשת התיקון נדחתה', t: 'error' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  // ─── Review shift (outside the site radius, or the site confirms every shift) ───
+  const handleReviewShift = async (shiftId, approve) => {
+    try {
+      await ShiftLogic.supervisorReviewShift(shiftId, approve);
+      setReviewShifts((prev) => prev.filter((s) => s.shift_id !== shiftId));
+      if (approve) {
+        const updated = await ShiftLogic.getSupervisorStudents(profile.id);
+        setStudents(updated || []);
+      }
+      setToast(approve
+        ? { m: 'המשמרת אושרה ונספרה', t: 'success' }
+        : { m: 'המשמרת נדחתה', t: 'error' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  // ─── Delegations (a colleague approves for me over a date range) ───
+  useEffect(() => {
+    if (tab !== 'delegations') return;
+    ShiftLogic.getDelegateCandidates(profile.id)
+      .then((data) => setDelegateCandidates(data || []))
+      .catch((err) => setToast({ m: 'שגיאה בטעינת המפקחים: ' + err.message, t: 'error' }));
+  }, [tab, profile.id]);
+
+  const handleCreateDelegation = async (e) => {
+    e.preventDefault();
+    setDelegationBusy(true);
+    try {
+      await ShiftLogic.createDelegation({
+        ...delegationForm,
+        siteId: delegationForm.siteId || (sites.length === 1 ? sites[0].id : ''),
+      });
+      setDelegationForm(EMPTY_DELEGATION_FORM);
+      setDelegations(await ShiftLogic.getMyDelegations(profile.id));
+      setToast({ m: 'ההאצלה נשמרה', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setDelegationBusy(false);
+    }
+  };
+
+  const handleRevokeDelegation = async (delegation) => {
+    try {
+      await ShiftLogic.revokeDelegation(delegation.id);
+      setDelegations((prev) => ({ ...prev, given: prev.given.filter((d) => d.id !== delegation.id) }));
+      setToast({ m: `ההאצלה ל${delegation.delegate_name} בוטלה`, t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    }
+  };
+
+  // ─── Monthly timesheet of the selected student ───
+  const selectedStudentId = selectedStudent?.student_id;
+  const selectedSiteId = selectedStudent?.site_id;
+
+  const loadTimesheet = useCallback(async () => {
+    if (!selectedStudentId || !selectedSiteId || !timesheetMonth) return;
+    setTimesheet(null);
+    try {
+      setTimesheet(await ShiftLogic.getMonthlyTimesheet(selectedStudentId, selectedSiteId, timesheetMonth));
+    } catch (err) {
+      setToast({ m: 'שגיאה בטעינת הדוח החודשי: ' + err.message, t: 'error' });
+    }
+  }, [selectedStudentId, selectedSiteId, timesheetMonth]);
+
+  useEffect(() => { loadTimesheet(); }, [loadTimesheet]);
+
+  // ─── Shifts and logs of the selected student at my sites ───
+  useEffect(() => {
+    setStudentHistory(null);
+    setHistoryFilter('all');
+    if (!selectedStudentId) return undefined;
+    let cancelled = false;
+    ShiftLogic.getSupervisorStudentHistory(selectedStudentId)
+      .then((rows) => { if (!cancelled) setStudentHistory(rows); })
+      .catch((err) => { if (!cancelled) setToast({ m: 'שגיאה בטעינת ההיסטוריה: ' + err.message, t: 'error' }); });
+    return () => { cancelled = true; };
+  }, [selectedStudentId]);
+
+  const handleSignTimesheet = async () => {
+    setTimesheetBusy(true);
+    try {
+      await ShiftLogic.signMonthlyTimesheet(selectedStudentId, selectedSiteId, timesheetMonth);
+      await loadTimesheet();
+      setToast({ m: 'הדוח החודשי נחתם', t: 'success' });
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setTimesheetBusy(false);
+    }
+  };
+
+  const handleDownloadTimesheet = async () => {
+    setTimesheetBusy(true);
+    try {
+      await downloadTimesheetPdf({
+        ...timesheet,
+        studentName: selectedStudent.full_name,
+        siteName: selectedStudent.site_name,
+        month: timesheetMonth,
+      }, CATEGORY_LABELS);
+    } catch (err) {
+      setToast({ m: err.message, t: 'error' });
+    } finally {
+      setTimesheetBusy(false);
+    }
+  };
+
+  const handleQrError = useCallback((err) => {
+    setToast({ m: err.message, t: 'error' });
+  }, []);
+
+  const handleThreadError = useCallback((err) => {
+    setToast({ m: err.message, t: 'error' });
+  }, []);
+
+  const handleNotificationError = useCallback((err) => {
+    setToast({ m: err.message, t: 'error' });
+  }, []);
+
+  const handleNotificationNavigate = useCallback((t) => {
+    setTab(t);
+    setSelectedStudent(null);
+  }, []);
+
   // ─── Aggregate stats ───
   const totalStudents = students.length;
   const avgProgress =
@@ -224,9 +516,13 @@ export default function SupervisorPanel({ profile, onLogout }) {
 
   const siteNames = sites.map(s => s.name).join(', ');
 
+  const qrSite = sites.find((s) => s.id === qrSiteId) || (sites.length === 1 ? sites[0] : null);
+
   const TABS = [
     { id: 'overview', l: 'הסטודנטים שלי',                         I: Users },
-    { id: 'pending',  l: `אישור שעות (${pendingLogs.length})`,    I: ClipboardList },
+    { id: 'pending',  l: `אישור שעות (${pendingLogs.length + pendingCorrections.length + reviewShifts.length})`, I: ClipboardList },
+    { id: 'qr',       l: 'QR כניסה',                              I: QrCode },
+    { id: 'delegations', l: 'האצלת סמכויות',                       I: UserCheck },
   ];
 
   if (initialLoad) return <LoadingSkeleton />;
@@ -265,6 +561,12 @@ export default function SupervisorPanel({ profile, onLogout }) {
             >
               <RefreshCw size={16} className={refreshing ? 'animate-spin' : ''} />
             </button>
+            <NotificationBell
+              profile={profile}
+              tabs={NOTIFICATION_TABS}
+              onNavigate={handleNotificationNavigate}
+              onError={handleNotificationError}
+            />
             <button
               onClick={onLogout}
               className="text-blue-200/35 hover:text-red-400 p-2 rounded-lg hover:bg-white/5 transition-colors touch-target"
@@ -331,6 +633,12 @@ export default function SupervisorPanel({ profile, onLogout }) {
             id="tabpanel-overview"
             aria-labelledby="tab-overview"
           >
+            {delegations.received.map((d) => (
+              <div key={d.id} className="glass px-5 py-3 flex items-center gap-2 text-sm text-blue-200/60">
+                <UserCheck size={15} className="text-amber-400 shrink-0" aria-hidden="true" />
+                ממלא/ת מקום של {d.delegator_name} ב{d.site_name} · {fmtDate(d.starts_on)}–{fmtDate(d.ends_on)}
+              </div>
+            ))}
             {students.length === 0 ? (
               <div className="glass p-12 text-center">
                 <Users size={40} className="text-blue-200/20 mx-auto mb-3" aria-hidden="true" />
@@ -385,6 +693,9 @@ export default function SupervisorPanel({ profile, onLogout }) {
                                 {pending} ממתינים
                               </span>
                             )}
+                            {s.requirements_met === false && (
+                              <span className="block text-amber-300/60 text-xs">דרישות קטגוריה חסרות</span>
+                            )}
                           </div>
                         </div>
                         <span className="col-span-2 text-blue-200/60 text-sm flex items-center gap-1">
@@ -485,6 +796,157 @@ export default function SupervisorPanel({ profile, onLogout }) {
                   </div>
                 </div>
               </div>
+              {s.requirements?.length > 0 && (
+                <div className="glass p-5">
+                  <h3 className="text-white font-bold text-sm mb-3">דרישות יעד לפי קטגוריה</h3>
+                  <ul className="space-y-2">
+                    {s.requirements.map((r) => (
+                      <li key={r.category} className="flex items-center justify-between text-sm">
+                        <span className="text-blue-200/70">
+                          {CATEGORIES[r.category]?.icon || '📋'} {CATEGORIES[r.category]?.label || r.category}
+                        </span>
+                        <span className={r.met ? 'text-emerald-400' : 'text-amber-300'}>
+                          {parseFloat(r.hours).toFixed(1)}
+                          {r.min_hours != null && ` / ${r.min_hours}`}
+                          {r.max_hours != null && ` (עד ${r.max_hours})`}
+                          {' '}שעות {r.met ? '✓' : '✗'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <div className="glass p-5">
+                <div className="flex items-center justify-between gap-3 mb-3 flex-wrap">
+                  <h3 className="text-white font-bold text-sm flex items-center gap-2">
+                    <FileText size={15} className="text-amber-300" /> דוח שעות חודשי
+                  </h3>
+                  <label className="flex items-center gap-2 text-blue-200/50 text-xs">
+                    חודש
+                    <input
+                      type="month"
+                      value={timesheetMonth}
+                      max={currentMonth()}
+                      onChange={(e) => setTimesheetMonth(e.target.value)}
+                      className="px-3 py-1.5 rounded-lg bg-white/5 border border-white/10 text-white text-sm"
+                    />
+                  </label>
+                </div>
+                {!timesheet ? (
+                  <div className="flex justify-center py-4">
+                    <Loader2 size={18} className="animate-spin text-blue-200/40" />
+                  </div>
+                ) : (
+                  <>
+                    {timesheet.records.length === 0 ? (
+                      <p className="text-blue-200/35 text-sm text-center py-3">אין משמרות או דיווחים מאושרים באתר בחודש זה</p>
+                    ) : (
+                      <ul className="space-y-1.5 mb-3">
+                        {timesheet.records.map((r) => (
+                          <li key={r.record_id} className="flex items-center justify-between text-sm">
+                            <span className="text-blue-200/70">
+                              {fmtDate(r.work_date)}
+                              {r.start_time && r.end_time && ` · ${fmtTime(r.start_time)}–${fmtTime(r.end_time)}`}
+                              {' · '}{CATEGORIES[r.category]?.label || r.category || '—'}
+                              {r.record_type === 'manual' && ' (ידני)'}
+                            </span>
+                            <span className="text-cyan-300">{fmtDur(parseFloat(r.duration_minutes || 0))}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <p className="text-white text-sm font-bold mb-3">סה"כ: {fmtDur(timesheet.totalMinutes)}</p>
+                    {timesheet.signoff ? (
+                      <p className="text-emerald-400 text-xs flex items-center gap-1.5 mb-3">
+                        <Lock size={12} />
+                        נחתם על ידי {timesheet.signoff.signed_by_name || '—'} · {fmtDate(timesheet.signoff.signed_at)} {fmtTime(timesheet.signoff.signed_at)}
+                      </p>
+                    ) : (
+                      <p className="text-amber-300/70 text-xs mb-3">הדוח טרם נחתם. לאחר החתימה לא ניתן לשנות את רשומות האתר בחודש זה.</p>
+                    )}
+                    <div className="flex gap-2 flex-wrap">
+                      {!timesheet.signoff && (
+                        <button
+                          onClick={handleSignTimesheet}
+                          disabled={timesheetBusy}
+                          className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-white text-sm font-medium transition-all hover:shadow-lg hover:shadow-emerald-500/20 gradient-success disabled:opacity-50 touch-target"
+                        >
+                          <PenLine size={15} aria-hidden="true" /> חתום על הדוח
+                        </button>
+                      )}
+                      <button
+                        onClick={handleDownloadTimesheet}
+                        disabled={timesheetBusy}
+                        className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-amber-300 text-sm font-medium border border-amber-400/20 hover:bg-amber-400/10 transition-all disabled:opacity-50 touch-target"
+                      >
+                        <Download size={15} aria-hidden="true" /> הורדת PDF
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+              <div className="glass p-5">
+                <div className="flex items-center justify-between gap-3 mb-3 flex-wrap">
+                  <h3 className="text-white font-bold text-sm flex items-center gap-2">
+                    <ClipboardList size={15} className="text-amber-300" /> משמרות ודיווחים באתרים שלי
+                  </h3>
+                  <div className="flex gap-1.5">
+                    {Object.entries(HISTORY_FILTERS).map(([id, label]) => (
+                      <button
+                        key={id}
+                        onClick={() => setHistoryFilter(id)}
+                        aria-pressed={historyFilter === id}
+                        className={`px-3 py-1 rounded-lg text-xs border transition-all ${
+                          historyFilter === id
+                            ? 'bg-amber-500/12 text-amber-300 border-amber-400/40'
+                            : 'text-blue-200/50 border-white/[0.06] hover:text-blue-200/70'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {!studentHistory ? (
+                  <div className="flex justify-center py-4">
+                    <Loader2 size={18} className="animate-spin text-blue-200/40" />
+                  </div>
+                ) : (() => {
+                  const rows = studentHistory.filter((r) => historyFilter === 'all' || r.record_type === historyFilter);
+                  return rows.length === 0 ? (
+                    <p className="text-blue-200/35 text-sm text-center py-3">אין רשומות בשנה זו</p>
+                  ) : (
+                    <ul className="divide-y divide-white/[0.04]">
+                      {rows.map((r) => (
+                        <li key={r.record_id} className="py-2.5 text-sm">
+                          <div className="flex items-center justify-between gap-3">
+                            <span className="text-blue-200/70">
+                              {fmtDate(r.work_date)}
+                              {r.start_time && ` · ${fmtTime(r.start_time)}–${r.end_time ? fmtTime(r.end_time) : '...'}`}
+                              {' · '}{CATEGORIES[r.category]?.label || r.category || '—'}
+                              {r.record_type === 'manual' && ' (ידני)'}
+                            </span>
+                            <span className="text-cyan-300 shrink-0">
+                              {r.approved_minutes != null
+                                ? `${fmtDur(parseFloat(r.approved_minutes))} מתוך ${fmtDur(parseFloat(r.duration_minutes))}`
+                                : r.duration_minutes != null ? fmtDur(parseFloat(r.duration_minutes)) : '—'}
+                            </span>
+                          </div>
+                          <div className="flex items-center gap-3 mt-1 text-xs text-blue-200/35 flex-wrap">
+                            <span>{HISTORY_STATUS_LABELS[r.record_type]?.[r.status] || r.status}</span>
+                            <span className="flex items-center gap-1 text-amber-400/50">
+                              <MapPin size={11} aria-hidden="true" /> {r.site_name}
+                            </span>
+                            {parseFloat(r.break_minutes || 0) > 0 && <span>הפסקה {fmtDur(parseFloat(r.break_minutes))}</span>}
+                            {r.outside_geofence && <span className="text-amber-400/60">מחוץ לרדיוס האתר</span>}
+                          </div>
+                          {r.description && <p className="text-blue-200/50 text-xs mt-1">{r.description}</p>}
+                        </li>
+                      ))}
+                    </ul>
+                  );
+                })()}
+              </div>
             </div>
           );
         })()}
@@ -497,6 +959,146 @@ export default function SupervisorPanel({ profile, onLogout }) {
             id="tabpanel-pending"
             aria-labelledby="tab-pending"
           >
+            {/* ── Shifts awaiting confirmation ── */}
+            {reviewShifts.length > 0 && (
+              <>
+                <h3 className="text-white font-bold mb-1">משמרות לאישור</h3>
+                {reviewShifts.map((sh) => (
+                  <div key={sh.shift_id} className="glass p-5">
+                    <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                      <div className="flex items-start gap-3 flex-1 min-w-0">
+                        <div
+                          className="w-10 h-10 rounded-xl flex items-center justify-center shrink-0"
+                          style={{ background: 'rgba(245,158,11,0.08)' }}
+                          aria-hidden="true"
+                        >
+                          <MapPin size={17} className="text-amber-400" />
+                        </div>
+                        <div className="min-w-0">
+                          <p className="text-white text-sm font-bold">{sh.student_name}</p>
+                          <p className="text-blue-200/60 text-sm mt-1 truncate">{sh.task_description || 'ללא תיאור'}</p>
+                          <div className="flex items-center gap-3 mt-1.5 text-xs text-blue-200/35 flex-wrap">
+                            <span className="flex items-center gap-1">
+                              <Calendar size={11} aria-hidden="true" /> {fmtDate(sh.start_time)} · {fmtTime(sh.start_time)}–{fmtTime(sh.end_time)}
+                            </span>
+                            <span className="flex items-center gap-1">
+                              <Timer size={11} aria-hidden="true" /> {fmtDur(parseFloat(sh.duration_minutes || 0))}
+                            </span>
+                            {sh.outside_geofence === false ? (
+                              <span className="text-blue-200/50">{sh.site_name} · דורש אישור מפקח</span>
+                            ) : (
+                              <span className="text-amber-400/60">
+                                {sh.check_in_distance_m != null
+                                  ? `${Math.round(sh.check_in_distance_m)} מ' מהאתר (רדיוס ${sh.geofence_radius_m} מ')`
+                                  : 'ללא מיקום'}
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 shrink-0 mr-auto md:mr-0">
+                        <button
+                          onClick={() => handleReviewShift(sh.shift_id, false)}
+                          className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10 transition-all touch-target"
+                          aria-label={`דחה משמרת של ${sh.student_name}`}
+                        >
+                          <X size={15} aria-hidden="true" /> דחה
+                        </button>
+                        <button
+                          onClick={() => handleReviewShift(sh.shift_id, true)}
+                          className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-white text-sm font-medium transition-all hover:shadow-lg hover:shadow-emerald-500/20 gradient-success touch-target"
+                          aria-label={`אשר משמרת של ${sh.student_name}`}
+                        >
+                          <Check size={15} aria-hidden="true" /> אשר
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+                <h3 className="text-white font-bold mt-5 mb-1">בקשות ודיווחים</h3>
+              </>
+            )}
+
+            {/* ── Shift correction requests ── */}
+            {pendingCorrections.length > 0 && (
+              <>
+                <h3 className="text-white font-bold mb-1">בקשות תיקון משמרת</h3>
+                {pendingCorrections.map((c) => (
+                  <div key={c.correction_id} className="glass p-5">
+                    <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                      <div className="flex items-start gap-3 flex-1 min-w-0">
+                        <div
+                          className="w-10 h-10 rounded-xl flex items-center justify-center shrink-0"
+                          style={{ background: 'rgba(6,182,212,0.08)' }}
+                          aria-hidden="true"
+                        >
+                          <Timer size={17} className="text-cyan-300" />
+                        </div>
+                        <div className="min-w-0">
+                          <p className="text-white text-sm font-bold">{c.student_name}</p>
+                          <p className="text-blue-200/60 text-sm mt-1 truncate">{c.reason}</p>
+                          <div className="flex items-center gap-3 mt-1.5 text-xs text-blue-200/35 flex-wrap">
+                            <span className="line-through">
+                              {fmtDate(c.original_start_time)} · {fmtTime(c.original_start_time)}–{fmtTime(c.original_end_time)}
+                            </span>
+                            <span className="text-cyan-300/70">
+                              {fmtDate(c.proposed_start_time)} · {fmtTime(c.proposed_start_time)}–{fmtTime(c.proposed_end_time)}
+                            </span>
+                            <span className="flex items-center gap-1 text-amber-400/50">
+                              <MapPin size={11} aria-hidden="true" /> {c.site_name}
+                            </span>
+                          </div>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 shrink-0 mr-auto md:mr-0">
+                        <button
+                          onClick={() => setRejectingCorrection({ id: c.correction_id, reason: '' })}
+                          className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10 transition-all touch-target"
+                          aria-label={`דחה בקשת תיקון של ${c.student_name}`}
+                        >
+                          <X size={15} aria-hidden="true" /> דחה
+                        </button>
+                        <button
+                          onClick={() => handleApproveCorrection(c.correction_id)}
+                          className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-white text-sm font-medium transition-all hover:shadow-lg hover:shadow-emerald-500/20 gradient-success touch-target"
+                          aria-label={`אשר בקשת תיקון של ${c.student_name}`}
+                        >
+                          <Check size={15} aria-hidden="true" /> אשר
+                        </button>
+                      </div>
+                    </div>
+
+                    {/* Rejection reason */}
+                    {rejectingCorrection?.id === c.correction_id && (
+                      <form onSubmit={(e) => handleRejectCorrection(e, c.correction_id)} className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+                        <div>
+                          <label htmlFor={`reject-correction-reason-${c.correction_id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">סיבת הדחייה</label>
+                          <textarea
+                            id={`reject-correction-reason-${c.correction_id}`}
+                            rows={2}
+                            value={rejectingCorrection.reason}
+                            onChange={(e) => setRejectingCorrection((p) => ({ ...p, reason: e.target.value }))}
+                            placeholder="הסטודנט/ית יראו את הסיבה"
+                            className="glass-input w-full resize-none"
+                            dir="rtl"
+                          />
+                        </div>
+                        <div className="flex gap-2">
+                          <button type="submit" className="px-4 py-2 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10">
+                            אישור דחייה
+                          </button>
+                          <button type="button" onClick={() => setRejectingCorrection(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                            ביטול
+                          </button>
+                        </div>
+                      </form>
+                    )}
+                  </div>
+                ))}
+                <h3 className="text-white font-bold mt-5 mb-1">דיווחים ידניים</h3>
+              </>
+            )}
+
             {pendingLogs.length === 0 ? (
               <div className="glass p-12 text-center">
                 <Check size={44} className="text-emerald-400 mx-auto mb-3 opacity-40" aria-hidden="true" />
@@ -534,12 +1136,33 @@ export default function SupervisorPanel({ profile, onLogout }) {
                           <span className="flex items-center gap-1 text-amber-400/50">
                             <MapPin size={11} aria-hidden="true" /> {l.site_name}
                           </span>
+                          {l.on_behalf_of_name && (
+                            <span className="text-blue-200/50">בשם {l.on_behalf_of_name}</span>
+                          )}
+                          {l.supervisor_due_at && new Date(l.supervisor_due_at) <= new Date() && (
+                            <span className="text-red-400/70">עבר את זמן האישור · הועבר גם למנהל</span>
+                          )}
                         </div>
                       </div>
                     </div>
                     <div className="flex items-center gap-2 shrink-0 mr-auto md:mr-0">
                       <button
-                        onClick={() => handleReject(l.log_id)}
+                        onClick={() => setThreadLogId(threadLogId === l.log_id ? null : l.log_id)}
+                        className="flex items-center gap-1.5 px-3 py-2.5 rounded-xl text-blue-200/50 text-sm border border-white/10 hover:bg-white/5 transition-all touch-target"
+                        aria-label={`הערות לדיווח של ${l.student_name}`}
+                        aria-expanded={threadLogId === l.log_id}
+                      >
+                        <MessageSquare size={15} aria-hidden="true" />
+                      </button>
+                      <button
+                        onClick={() => setPartial({ id: l.log_id, hours: '', minutes: '', note: '' })}
+                        className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-amber-400 text-sm font-medium border border-amber-400/20 hover:bg-amber-400/10 transition-all touch-target"
+                        aria-label={`אישור חלקי לדיווח של ${l.student_name}`}
+                      >
+                        <Scissors size={15} aria-hidden="true" /> חלקי
+                      </button>
+                      <button
+                        onClick={() => setRejecting({ id: l.log_id, reason: '' })}
                         className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10 transition-all touch-target"
                         aria-label={`דחה דיווח של ${l.student_name}`}
                       >
@@ -554,11 +1177,254 @@ export default function SupervisorPanel({ profile, onLogout }) {
                       </button>
                     </div>
                   </div>
+
+                  {/* Partial approval */}
+                  {partial?.id === l.log_id && (
+                    <form onSubmit={(e) => handlePartialApprove(e, l)} className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+                      <p className="text-blue-200/45 text-xs">דווחו {fmtDur(l.duration_minutes)} · כמה לאשר?</p>
+                      <div className="grid grid-cols-2 gap-3">
+                        <div>
+                          <label htmlFor={`partial-hours-${l.log_id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">שעות מאושרות</label>
+                          <input
+                            id={`partial-hours-${l.log_id}`}
+                            type="number"
+                            min="0"
+                            value={partial.hours}
+                            onChange={(e) => setPartial((p) => ({ ...p, hours: e.target.value }))}
+                            className="glass-input w-full"
+                          />
+                        </div>
+                        <div>
+                          <label htmlFor={`partial-minutes-${l.log_id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">דקות מאושרות</label>
+                          <input
+                            id={`partial-minutes-${l.log_id}`}
+                            type="number"
+                            min="0"
+                            max="59"
+                            value={partial.minutes}
+                            onChange={(e) => setPartial((p) => ({ ...p, minutes: e.target.value }))}
+                            className="glass-input w-full"
+                          />
+                        </div>
+                      </div>
+                      <div>
+                        <label htmlFor={`partial-note-${l.log_id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">הערה לסטודנט/ית</label>
+                        <textarea
+                          id={`partial-note-${l.log_id}`}
+                          rows={2}
+                          value={partial.note}
+                          onChange={(e) => setPartial((p) => ({ ...p, note: e.target.value }))}
+                          placeholder="למשל: ההדרכה הסתיימה שעה לפני המדווח"
+                          className="glass-input w-full resize-none"
+                          dir="rtl"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <button type="submit" className="px-4 py-2 rounded-xl text-amber-400 text-sm font-medium border border-amber-400/20 hover:bg-amber-400/10">
+                          אשר חלקית
+                        </button>
+                        <button type="button" onClick={() => setPartial(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                          ביטול
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {/* Rejection reason */}
+                  {rejecting?.id === l.log_id && (
+                    <form onSubmit={(e) => handleReject(e, l.log_id)} className="mt-4 pt-4 border-t border-white/[0.06] space-y-3">
+                      <div>
+                        <label htmlFor={`reject-reason-${l.log_id}`} className="block text-blue-200/45 text-xs mb-1.5 font-medium">סיבת הדחייה</label>
+                        <textarea
+                          id={`reject-reason-${l.log_id}`}
+                          rows={2}
+                          value={rejecting.reason}
+                          onChange={(e) => setRejecting((p) => ({ ...p, reason: e.target.value }))}
+                          placeholder="הסטודנט/ית יראו את הסיבה ויוכלו לתקן ולשלוח מחדש"
+                          className="glass-input w-full resize-none"
+                          dir="rtl"
+                        />
+                      </div>
+                      <div className="flex gap-2">
+                        <button type="submit" className="px-4 py-2 rounded-xl text-red-400 text-sm font-medium border border-red-400/20 hover:bg-red-400/10">
+                          אישור דחייה
+                        </button>
+                        <button type="button" onClick={() => setRejecting(null)} className="px-4 py-2 rounded-xl text-blue-200/40 text-sm border border-white/10 hover:bg-white/5">
+                          ביטול
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {threadLogId === l.log_id && <LogThread logId={l.log_id} onError={handleThreadError} />}
                 </div>
               ))
             )}
           </div>
         )}
+
+        {/* ═══ SITE QR CHECK-IN ═══ */}
+        {tab === 'qr' && (
+          <div
+            className="space-y-4 animate-tab-enter"
+            role="tabpanel"
+            id="tabpanel-qr"
+            aria-labelledby="tab-qr"
+          >
+            {sites.length === 0 ? (
+              <div className="glass p-12 text-center">
+                <MapPin size={40} className="mx-auto text-blue-200/15 mb-3" aria-hidden="true" />
+                <p className="text-blue-200/40">לא שויכו אליך אתרים</p>
+              </div>
+            ) : (
+              <>
+                {sites.length > 1 && (
+                  <div className="flex flex-wrap gap-2">
+                    {sites.map((s) => (
+                      <button
+                        key={s.id}
+                        onClick={() => setQrSiteId(s.id)}
+                        aria-pressed={qrSite?.id === s.id}
+                        className={`px-4 py-2 rounded-xl text-sm font-medium border transition-all ${
+                          qrSite?.id === s.id
+                            ? 'bg-amber-500/12 text-amber-300 border-amber-400/40'
+                            : 'text-blue-200/50 border-white/[0.06] hover:text-blue-200/70'
+                        }`}
+                      >
+                        {s.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="glass p-6">
+                  {qrSite ? (
+                    <>
+                      <h2 className="text-white font-semibold text-center mb-1">{qrSite.name}</h2>
+                      <p className="text-blue-200/40 text-xs text-center mb-4">
+                        הסטודנטים סורקים את הקוד כדי להיכנס למשמרת באתר
+                      </p>
+                      <SiteQrDisplay key={qrSite.id} site={qrSite} onError={handleQrError} />
+                    </>
+                  ) : (
+                    <p className="text-blue-200/40 text-center py-8">בחר אתר להצגת קוד הכניסה</p>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* ═══ DELEGATIONS ═══ */}
+        {tab === 'delegations' && (
+          <div
+            className="space-y-4 animate-tab-enter"
+            role="tabpanel"
+            id="tabpanel-delegations"
+            aria-labelledby="tab-delegations"
+          >
+            {sites.length > 0 && (
+              <form onSubmit={handleCreateDelegation} className="glass p-5 space-y-3">
+                <h2 className="text-white font-semibold">ממלא/ת מקום לתקופה</h2>
+                <p className="text-blue-200/40 text-xs">
+                  בתקופה שתבחר/י ממלא/ת המקום יראה את הסטודנטים של האתר ויאשר דיווחים בשמך
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {sites.length > 1 && (
+                    <div>
+                      <label htmlFor="delegation-site" className="block text-blue-200/45 text-xs mb-1.5 font-medium">אתר</label>
+                      <select
+                        id="delegation-site"
+                        value={delegationForm.siteId}
+                        onChange={(e) => setDelegationForm((f) => ({ ...f, siteId: e.target.value }))}
+                        className="glass-input w-full"
+                      >
+                        <option value="">בחר אתר</option>
+                        {sites.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                      </select>
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="delegation-delegate" className="block text-blue-200/45 text-xs mb-1.5 font-medium">ממלא/ת מקום</label>
+                    <select
+                      id="delegation-delegate"
+                      value={delegationForm.delegateId}
+                      onChange={(e) => setDelegationForm((f) => ({ ...f, delegateId: e.target.value }))}
+                      className="glass-input w-full"
+                    >
+                      <option value="">בחר מפקח/ת</option>
+                      {delegateCandidates.map((c) => <option key={c.id} value={c.id}>{c.full_name}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="delegation-from" className="block text-blue-200/45 text-xs mb-1.5 font-medium">מתאריך</label>
+                    <input
+                      id="delegation-from"
+                      type="date"
+                      value={delegationForm.startsOn}
+                      onChange={(e) => setDelegationForm((f) => ({ ...f, startsOn: e.target.value }))}
+                      className="glass-input w-full"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="delegation-to" className="block text-blue-200/45 text-xs mb-1.5 font-medium">עד תאריך</label>
+                    <input
+                      id="delegation-to"
+                      type="date"
+                      value={delegationForm.endsOn}
+                      onChange={(e) => setDelegationForm((f) => ({ ...f, endsOn: e.target.value }))}
+                      className="glass-input w-full"
+                    />
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  disabled={delegationBusy}
+                  className="flex items-center gap-1.5 px-4 py-2.5 rounded-xl text-amber-400 text-sm font-medium border border-amber-400/20 hover:bg-amber-400/10 disabled:opacity-40"
+                >
+                  {delegationBusy ? <Loader2 size={15} className="animate-spin" aria-hidden="true" /> : <UserCheck size={15} aria-hidden="true" />}
+                  האצל סמכויות
+                </button>
+              </form>
+            )}
+
+            <div className="glass p-5">
+              <h3 className="text-white font-semibold mb-3">האצלות שנתתי</h3>
+              {delegations.given.length === 0 ? (
+                <p className="text-blue-200/40 text-sm">אין האצלות פעילות</p>
+              ) : (
+                <div className="space-y-2">
+                  {delegations.given.map((d) => (
+                    <div key={d.id} className="flex items-center justify-between gap-3 text-sm">
+                      <span className="text-blue-200/70">
+                        {d.delegate_name} · {d.site_name} · {fmtDate(d.starts_on)}–{fmtDate(d.ends_on)}
+                      </span>
+                      <button
+                        onClick={() => handleRevokeDelegation(d)}
+                        className="px-3 py-1.5 rounded-lg text-red-400 text-xs border border-red-400/20 hover:bg-red-400/10"
+                        aria-label={`בטל האצלה ל${d.delegate_name}`}
+                      >
+                        בטל
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {delegations.received.length > 0 && (
+              <div className="glass p-5">
+                <h3 className="text-white font-semibold mb-3">אני ממלא/ת מקום</h3>
+                <div className="space-y-2">
+                  {delegations.received.map((d) => (
+                    <p key={d.id} className="text-blue-200/70 text-sm">
+                      {d.delegator_name} · {d.site_name} · {fmtDate(d.starts_on)}–{fmtDate(d.ends_on)}
+                    </p>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
       </main>
     </div>
   );
@@ -6,6 +6,45 @@ import { supabase, supabaseFetch, supabaseRpc } from './supabase';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 
+// Academic year ('2025-2026') a date falls in; the year starts in September.
+// Same rule as public.academic_year_of (migration 018).
+const academicYearOf = (date = new Date()) => {
+  let year;
+  let month;
+  if (typeof date === 'string' && date.length === 10) {
+    // Plain 'YYYY-MM-DD' (manual_logs.date) is already a local day
+    [year, month] = date.split('-').map(Number);
+  } else {
+    // Read timestamps in Israel time, as academic_year_of does (migration 018)
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'Asia/Jerusalem', year: 'numeric', month: 'numeric',
+    }).formatToParts(new Date(date));
+    year = Number(parts.find((p) => p.type === 'year').value);
+    month = Number(parts.find((p) => p.type === 'month').value);
+  }
+  return month >= 9 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+};
+
+// Minutes a manual log counts for: the approver may approve less than
+// was reported (approved_minutes, migration 025); null = as reported.
+const countedLogMinutes = (log) =>
+  log.approved_minutes != null ? parseFloat(log.approved_minutes) : log.duration_minutes;
+
+// A shift closed automatically (migration 035) counts only once its
+// real check-out time is corrected or an admin reviews it.
+const countsTowardGoal = (shift) =>
+  shift.status === 'completed' && shift.duration_minutes && !shift.needs_correction;
+
+// The server checks the upper bound against the reported duration
+const validateApprovedMinutes = (approvedMinutes, note) => {
+  if (!Number.isFinite(approvedMinutes) || approvedMinutes <= 0) {
+    throw new Error('נא להזין משך מאושר תקין');
+  }
+  if (!note?.trim()) {
+    throw new Error('יש להוסיף הערה לסטודנט/ית על השעות שאושרו');
+  }
+};
+
 export const ShiftLogic = {
 
   // ─── Profile ───
@@ -18,14 +57,22 @@ export const ShiftLogic = {
 
   async getActiveShift(userId) {
     const data = await supabaseFetch(
-      `shifts?user_id=eq.${userId}&status=eq.active`
+      `shifts?user_id=eq.${userId}&status=eq.active&select=*,shift_breaks(id,start_time,end_time)`
     );
     return data?.[0] || null;
   },
 
-  // ─── Check In (updated: accepts optional siteId) ───
+  // ─── Close Stale Shifts (past the site / global cap) ───
+
+  async closeStaleShifts() {
+    return supabaseRpc('close_stale_shifts');
+  },
 
-  async checkIn(userId, category = 'other', taskDescription, siteId = null) {
+  // ─── Check In (updated: accepts optional siteId and location) ───
+  // location: { lat, lng, accuracy } from the browser; the geofence
+  // verdict (outside_geofence) is computed by the DB on insert.
+
+  async checkIn(userId, category = 'other', taskDescription, siteId = null, location = null) {
     const existing = await this.getActiveShift(userId);
     if (existing) {
       throw new Error('כבר יש לך משמרת פעילה. צא מהמשמרת הנוכחית לפני שתתחיל חדשה.');
@@ -40,6 +87,11 @@ export const ShiftLogic = {
     };
 
     if (siteId) body.site_id = siteId;
+    if (location) {
+      body.check_in_lat = location.lat;
+      body.check_in_lng = location.lng;
+      body.check_in_accuracy_m = location.accuracy;
+    }
 
     return supabaseFetch('shifts', {
       method: 'POST',
@@ -48,10 +100,60 @@ export const ShiftLogic = {
     });
   },
 
+  // ─── QR Check In (token validated and shift created server-side) ───
+
+  // A wrong code comes back empty (the server counts it toward a rate limit)
+  async qrCheckIn(code, taskDescription, category = 'other') {
+    const shift = await supabaseRpc('qr_check_in', {
+      p_code: code,
+      p_task_description: taskDescription,
+      p_category: category,
+    });
+    if (!shift?.id) {
+      throw new Error('הקוד אינו תקף, פג תוקפו, או שאינך משובץ/ת באתר זה');
+    }
+    return shift;
+  },
+
   // ─── Check Out ───
 
-  async checkOut(shiftId) {
+  async checkOut(shiftId, location = null) {
+    const body = { end_time: new Date().toISOString() };
+    if (location) {
+      body.check_out_lat = location.lat;
+      body.check_out_lng = location.lng;
+      body.check_out_accuracy_m = location.accuracy;
+    }
+
     return supabaseFetch(`shifts?id=eq.${shiftId}`, {
+      method: 'PATCH',
+      body,
+      single: true,
+    });
+  },
+
+  // ─── Change Category of the Running Shift ───
+
+  async updateShiftCategory(shiftId, category) {
+    return supabaseFetch(`shifts?id=eq.${shiftId}&status=eq.active`, {
+      method: 'PATCH',
+      body: { category },
+      single: true,
+    });
+  },
+
+  // ─── Breaks (an open break is closed by the DB on check-out) ───
+
+  async startBreak(shiftId) {
+    return supabaseFetch('shift_breaks', {
+      method: 'POST',
+      body: { shift_id: shiftId, start_time: new Date().toISOString() },
+      single: true,
+    });
+  },
+
+  async endBreak(breakId) {
+    return supabaseFetch(`shift_breaks?id=eq.${breakId}`, {
       method: 'PATCH',
       body: { end_time: new Date().toISOString() },
       single: true,
@@ -62,7 +164,38 @@ export const ShiftLogic = {
 
   async getShifts(userId) {
     const data = await supabaseFetch(
-      `shifts?user_id=eq.${userId}&order=start_time.desc`
+      `shifts?user_id=eq.${userId}&select=*,shift_breaks(id,start_time,end_time)&order=start_time.desc`
+    );
+    return data || [];
+  },
+
+  // ─── Shift Correction: Request (same supervisor → admin chain as manual logs) ───
+
+  // The original times, site and review chain are filled in from the
+  // shift by trg_prepare_shift_correction (migration 012).
+  async requestShiftCorrection(userId, shift, { startTime, endTime, reason }) {
+    if (new Date(endTime) <= new Date(startTime)) {
+      throw new Error('שעת הסיום חייבת להיות אחרי שעת ההתחלה');
+    }
+
+    return supabaseFetch('shift_corrections', {
+      method: 'POST',
+      body: {
+        shift_id: shift.id,
+        user_id: userId,
+        proposed_start_time: startTime,
+        proposed_end_time: endTime,
+        reason,
+      },
+      single: true,
+    });
+  },
+
+  // ─── Shift Correction: Get User's Requests ───
+
+  async getShiftCorrections(userId) {
+    const data = await supabaseFetch(
+      `shift_corrections?user_id=eq.${userId}&order=created_at.desc`
     );
     return data || [];
   },
@@ -108,66 +241,385 @@ export const ShiftLogic = {
     }));
   },
 
+  // ─── Manual Log: Resubmit after rejection (back to supervisor / admin) ───
+
+  async resubmitManualLog(logId, { date, durationMinutes, description, category, note }) {
+    if (!(durationMinutes > 0)) {
+      throw new Error('נא להזין משך זמן תקין');
+    }
+    if (!description?.trim()) {
+      throw new Error('נא להזין תיאור');
+    }
+    return supabaseRpc('resubmit_manual_log', {
+      p_log_id: logId,
+      p_date: date,
+      p_duration_minutes: durationMinutes,
+      p_description: description.trim(),
+      p_category: category,
+      p_note: note?.trim() || null,
+    });
+  },
+
+  // ─── Manual Log: Comment thread (rejections and resubmissions included) ───
+
+  async getLogComments(logId) {
+    const data = await supabaseFetch(
+      `manual_log_comments?log_id=eq.${logId}&select=*,profiles(full_name,role)&order=created_at.asc`
+    );
+    return (data || []).map(c => ({
+      ...c,
+      author_name: c.profiles?.full_name || 'לא ידוע',
+      author_role: c.profiles?.role || null,
+    }));
+  },
+
+  async addLogComment(logId, body) {
+    if (!body?.trim()) {
+      throw new Error('נא להזין תגובה');
+    }
+    return supabaseRpc('add_manual_log_comment', { p_log_id: logId, p_body: body.trim() });
+  },
+
   // ─── Progress Calculation ───
 
-  async calculateProgress(userId, goal = 150) {
-    const [shifts, logs] = await Promise.all([
+  // academicYear: only count that year's shifts/logs and use that year's
+  // goal (student_year_goals) when one is set; null = all time.
+
+  async calculateProgress(userId, goal = 150, academicYear = null) {
+    const [allShifts, allLogs, rules, yearGoal] = await Promise.all([
       this.getShifts(userId),
       this.getManualLogs(userId),
+      this.getStudentGoalRequirements(userId, academicYear),
+      academicYear ? this.getYearGoal(userId, academicYear) : null,
     ]);
 
+    const shifts = academicYear
+      ? allShifts.filter(s => academicYearOf(s.start_time) === academicYear)
+      : allShifts;
+    const logs = academicYear
+      ? allLogs.filter(l => academicYearOf(l.date) === academicYear)
+      : allLogs;
+    if (yearGoal) goal = yearGoal;
+
+    // duration_minutes is already net of breaks (see migration 014)
     const shiftMinutes = shifts
-      .filter(s => s.status === 'completed' && s.duration_minutes)
+      .filter(countsTowardGoal)
       .reduce((sum, s) => sum + parseFloat(s.duration_minutes), 0);
 
     const approvedMinutes = logs
       .filter(l => l.status === 'approved')
-      .reduce((sum, l) => sum + l.duration_minutes, 0);
+      .reduce((sum, l) => sum + countedLogMinutes(l), 0);
 
     const totalMinutes = shiftMinutes + approvedMinutes;
     const totalHours = totalMinutes / 60;
-    const progressPercent = Math.min((totalHours / goal) * 100, 100);
+    const byCategory = this.summarizeByCategory(shifts, logs);
+    const { countedHours, requirements, requirementsMet } = this.evaluateGoalRequirements(byCategory, rules);
+    const progressPercent = Math.min((countedHours / goal) * 100, 100);
 
     return {
       shiftHours: shiftMinutes / 60,
       approvedManualHours: approvedMinutes / 60,
       pendingLogs: logs.filter(l => l.status === 'pending').length,
       totalHours,
+      countedHours,
       progressPercent,
       goal,
+      byCategory,
+      requirements,
+      requirementsMet,
     };
   },
 
-  // ═══════════════════════════════════════════
-  // ADMIN OPERATIONS
-  // ═══════════════════════════════════════════
+  // ─── Goal Template Rules (mirrors student_goal_status, migration 017) ───
+  // Hours above a category max don't count toward the goal; the goal is
+  // complete only when every category min is met.
+
+  evaluateGoalRequirements(byCategory, rules) {
+    const ruleFor = Object.fromEntries(rules.map(r => [r.category, r]));
+
+    const countedHours = byCategory.reduce((sum, c) => {
+      const max = ruleFor[c.category]?.max_hours;
+      return sum + (max != null ? Math.min(c.totalHours, parseFloat(max)) : c.totalHours);
+    }, 0);
+
+    const requirements = rules.map(r => {
+      const hours = byCategory.find(c => c.category === r.category)?.totalHours || 0;
+      const minHours = r.min_hours != null ? parseFloat(r.min_hours) : null;
+      return {
+        category: r.category,
+        minHours,
+        maxHours: r.max_hours != null ? parseFloat(r.max_hours) : null,
+        hours,
+        met: hours >= (minHours || 0),
+      };
+    });
 
-  async approveLog(logId, adminId) {
-    return supabaseFetch(`manual_logs?id=eq.${logId}`, {
-      method: 'PATCH',
-      body: {
-        status: 'approved',
-        reviewed_by: adminId,
-        reviewed_at: new Date().toISOString(),
-      },
-      single: true,
+    return {
+      countedHours,
+      requirements,
+      requirementsMet: requirements.every(r => r.met),
+    };
+  },
+
+  async getStudentGoalRequirements(userId, academicYear = null) {
+    const data = await supabaseRpc('get_student_goal_requirements', {
+      p_student_id: userId,
+      p_academic_year: academicYear,
     });
+    return data || [];
   },
 
-  async rejectLog(logId, adminId) {
-    return supabaseFetch(`manual_logs?id=eq.${logId}`, {
-      method: 'PATCH',
+  // ─── Per-Year Goals ───
+
+  // Per-year goal; null when the profile's total_goal applies
+  async getYearGoal(userId, academicYear) {
+    const data = await supabaseFetch(
+      `student_year_goals?student_id=eq.${userId}&academic_year=eq.${academicYear}`,
+      { single: true }
+    );
+    return data?.total_goal || null;
+  },
+
+  async setYearGoal(studentId, academicYear, totalGoal) {
+    if (!(totalGoal > 0)) {
+      throw new Error('יעד השעות חייב להיות מספר חיובי');
+    }
+    return supabaseFetch('student_year_goals', {
+      method: 'POST',
       body: {
-        status: 'rejected',
-        reviewed_by: adminId,
-        reviewed_at: new Date().toISOString(),
+        student_id: studentId,
+        academic_year: academicYear,
+        total_goal: totalGoal,
+        updated_at: new Date().toISOString(),
       },
+      headers: { 'Prefer': 'resolution=merge-duplicates,return=representation' },
       single: true,
     });
   },
 
-  async getAllStudentsSummary() {
-    return await supabaseRpc('get_all_students_summary');
+  // ─── Hours Certificates (see migration 021) ───
+  // Issued once per student per year, only after the goal is complete;
+  // issuing again returns the same certificate.
+
+  async issueHoursCertificate(studentId, academicYear = null) {
+    return supabaseRpc('issue_hours_certificate', {
+      p_student_id: studentId,
+      p_academic_year: academicYear,
+    });
+  },
+
+  // Admin lookup; null when no certificate has that code
+  async verifyHoursCertificate(code) {
+    if (!code?.trim()) {
+      throw new Error('יש להזין קוד אימות');
+    }
+    const data = await supabaseRpc('verify_hours_certificate', { p_code: code.trim() });
+    return data?.[0] || null;
+  },
+
+  // ─── Hours per Category (same counting rules as calculateProgress) ───
+  // Returns [{ category, shiftHours, manualHours, totalHours }], largest first.
+
+  summarizeByCategory(shifts, logs) {
+    const buckets = {};
+    const bucket = (category) => {
+      const key = category || 'other';
+      if (!buckets[key]) buckets[key] = { category: key, shiftMinutes: 0, manualMinutes: 0 };
+      return buckets[key];
+    };
+
+    shifts
+      .filter(countsTowardGoal)
+      .forEach(s => { bucket(s.category).shiftMinutes += parseFloat(s.duration_minutes); });
+
+    logs
+      .filter(l => l.status === 'approved')
+      .forEach(l => { bucket(l.category).manualMinutes += countedLogMinutes(l); });
+
+    return Object.values(buckets)
+      .map(b => ({
+        category: b.category,
+        shiftHours: b.shiftMinutes / 60,
+        manualHours: b.manualMinutes / 60,
+        totalHours: (b.shiftMinutes + b.manualMinutes) / 60,
+      }))
+      .sort((a, b) => b.totalHours - a.totalHours);
+  },
+
+  async getCategoryBreakdown(userId, academicYear = null) {
+    const [shifts, logs] = await Promise.all([
+      this.getShifts(userId),
+      this.getManualLogs(userId),
+    ]);
+    if (!academicYear) return this.summarizeByCategory(shifts, logs);
+    return this.summarizeByCategory(
+      shifts.filter(s => academicYearOf(s.start_time) === academicYear),
+      logs.filter(l => academicYearOf(l.date) === academicYear),
+    );
+  },
+
+  // ─── Student timeline (admin, see migration 030) ───
+  // Newest first: { type, id, at, ...details } with type 'shift' | 'log' |
+  // 'placement' | 'placement_change' | 'account'.
+
+  async getStudentTimeline(studentId, academicYear = null) {
+    const data = await supabaseRpc('get_student_timeline', {
+      p_student_id: studentId,
+      p_academic_year: academicYear,
+    });
+    return (data || []).map(r => ({
+      ...r.details,
+      type: r.record_type,
+      id: r.record_id,
+      at: r.occurred_at,
+    }));
+  },
+
+  // Counted hours per week (weeks start on Sunday), oldest first, for
+  // the `weeks` weeks ending with the one containing `until`.
+  weeklyHours(timeline, { weeks = 12, until = new Date() } = {}) {
+    const weekStart = (d) => {
+      const day = new Date(d);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() - day.getDay());
+      return day;
+    };
+
+    const last = weekStart(until);
+    const buckets = Array.from({ length: weeks }, (_, i) => {
+      const start = new Date(last);
+      start.setDate(last.getDate() - (weeks - 1 - i) * 7);
+      return { weekStart: start.toLocaleDateString('en-CA'), minutes: 0 };
+    });
+    const byWeek = Object.fromEntries(buckets.map(b => [b.weekStart, b]));
+
+    timeline.forEach(item => {
+      let minutes = 0;
+      if (item.type === 'shift' && countsTowardGoal(item)) minutes = parseFloat(item.duration_minutes);
+      if (item.type === 'log' && item.status === 'approved') minutes = countedLogMinutes(item);
+      if (!minutes) return;
+      // A log's date is a local day, not UTC midnight
+      const day = item.type === 'log' && item.date ? `${item.date}T12:00:00` : item.at;
+      const bucket = byWeek[weekStart(day).toLocaleDateString('en-CA')];
+      if (bucket) bucket.minutes += minutes;
+    });
+
+    return buckets.map(b => ({ weekStart: b.weekStart, hours: b.minutes / 60 }));
+  },
+
+  // ═══════════════════════════════════════════
+  // ADMIN OPERATIONS
+  // ═══════════════════════════════════════════
+
+  // approvedMinutes below the reported duration = partial approval; the
+  // note is shown to the student. Without it a supervisor's adjustment stays.
+  async approveLog(logId, { approvedMinutes, note } = {}) {
+    if (approvedMinutes != null) {
+      validateApprovedMinutes(approvedMinutes, note);
+    }
+    return supabaseRpc('approve_manual_log', {
+      p_log_id: logId,
+      p_approved_minutes: approvedMinutes ?? null,
+      p_note: note?.trim() || null,
+    });
+  },
+
+  // The reason is shown to the student and posted to the log's thread
+  async rejectLog(logId, reason) {
+    if (!reason?.trim()) {
+      throw new Error('יש לציין סיבת דחייה');
+    }
+    return supabaseRpc('reject_manual_log', { p_log_id: logId, p_reason: reason.trim() });
+  },
+
+  // ─── Bulk review (see migration 024) ───
+  // One transaction; logs reviewed meanwhile come back as 'already_reviewed',
+  // site logs the supervisor may still review as 'awaiting_supervisor'.
+
+  async reviewLogsBulk(logIds, approve, reason = null) {
+    if (logIds.length === 0) {
+      throw new Error('לא נבחרו דיווחים');
+    }
+    if (!approve && !reason?.trim()) {
+      throw new Error('יש לציין סיבת דחייה');
+    }
+    const data = await supabaseRpc('review_manual_logs_bulk', {
+      p_log_ids: logIds,
+      p_approve: approve,
+      p_reason: approve ? null : reason.trim(),
+    });
+    const results = data || [];
+    const applied = results.filter(r => r.result === 'approved' || r.result === 'rejected');
+    // Still within the site supervisor's SLA (migration 027): stays pending
+    const awaitingSupervisor = results.filter(r => r.result === 'awaiting_supervisor').length;
+    return {
+      results,
+      applied: applied.length,
+      awaitingSupervisor,
+      skipped: results.length - applied.length - awaitingSupervisor,
+    };
+  },
+
+  async getAllPendingCorrections() {
+    const data = await supabaseFetch(
+      `shift_corrections?status=eq.pending&select=*,profiles!shift_corrections_user_id_fkey(full_name),sites(name)&order=created_at.asc`
+    );
+    return (data || []).map(c => ({
+      ...c,
+      user_name: c.profiles?.full_name || 'לא ידוע',
+      site_name: c.sites?.name || null,
+    }));
+  },
+
+  async approveShiftCorrection(correctionId) {
+    return supabaseRpc('approve_shift_correction', { p_correction_id: correctionId });
+  },
+
+  async rejectShiftCorrection(correctionId, reason) {
+    if (!reason?.trim()) {
+      throw new Error('יש לציין סיבת דחייה');
+    }
+    return supabaseRpc('reject_shift_correction', { p_correction_id: correctionId, p_reason: reason.trim() });
+  },
+
+  async getAutoClosedShifts() {
+    const data = await supabaseRpc('get_auto_closed_shifts');
+    return data || [];
+  },
+
+  async reviewAutoClosedShift(shiftId) {
+    return supabaseRpc('review_auto_closed_shift', { p_shift_id: shiftId });
+  },
+
+  // academicYear = null → current year (server-side)
+  async getAllStudentsSummary(academicYear = null) {
+    return await supabaseRpc('get_all_students_summary', { p_academic_year: academicYear });
+  },
+
+  // ─── Hours Export (see migration 020) ───
+  // Overview totals for the year, optionally narrowed to a date range
+  // ('YYYY-MM-DD', inclusive) and a placement site; detailed adds every
+  // shift and manual log behind them.
+
+  async getHoursExport({ academicYear = null, from = null, to = null, siteId = null, detailed = false } = {}) {
+    if (from && to && from > to) {
+      throw new Error('תאריך ההתחלה חייב להיות לפני תאריך הסיום');
+    }
+    const [summary, detail] = await Promise.all([
+      supabaseRpc('get_all_students_summary', { p_academic_year: academicYear, p_from: from, p_to: to }),
+      detailed
+        ? supabaseRpc('get_hours_export_detail', {
+          p_academic_year: academicYear,
+          p_from: from,
+          p_to: to,
+          p_site_id: siteId,
+        })
+        : null,
+    ]);
+    return {
+      summary: (summary || []).filter(s => !siteId || s.site_id === siteId),
+      detail: detail || [],
+    };
   },
 
   async toggleStudentActive(studentId, isActive) {
@@ -180,13 +632,15 @@ export const ShiftLogic = {
 
   async getAllPendingLogs() {
     const data = await supabaseFetch(
-      `manual_logs?status=eq.pending&select=*,profiles!manual_logs_user_id_fkey(full_name),sites(name),general_events(name)&order=created_at.asc`
+      `manual_logs?status=eq.pending&select=*,profiles!manual_logs_user_id_fkey(full_name),sites(name),general_events(name),supervisor:profiles!manual_logs_supervisor_reviewed_by_fkey(full_name),on_behalf:profiles!manual_logs_supervisor_on_behalf_of_fkey(full_name)&order=created_at.asc`
     );
     return (data || []).map(log => ({
       ...log,
       user_name: log.profiles?.full_name || 'לא ידוע',
       site_name: log.sites?.name || null,
       event_name: log.general_events?.name || null,
+      supervisor_name: log.supervisor?.full_name || null,
+      on_behalf_of_name: log.on_behalf?.full_name || null,
     }));
   },
 
@@ -204,10 +658,27 @@ export const ShiftLogic = {
     return data || [];
   },
 
-  async createSite({ name, address, description }) {
+  async createSite({
+    name, address, description, expectedShiftMinutes, maxShiftMinutes,
+    latitude, longitude, geofenceRadiusM, requireShiftConfirmation, supervisorSlaDays,
+    closesAt, autoCloseEnd,
+  }) {
+    const body = { name, address, description };
+    if (expectedShiftMinutes) body.expected_shift_minutes = expectedShiftMinutes;
+    if (maxShiftMinutes) body.max_shift_minutes = maxShiftMinutes;
+    if (latitude != null && longitude != null) {
+      body.latitude = latitude;
+      body.longitude = longitude;
+    }
+    if (geofenceRadiusM) body.geofence_radius_m = geofenceRadiusM;
+    if (requireShiftConfirmation) body.require_shift_confirmation = true;
+    if (supervisorSlaDays) body.supervisor_sla_days = supervisorSlaDays;
+    if (closesAt) body.closes_at = closesAt;
+    if (autoCloseEnd) body.auto_close_end = autoCloseEnd;
+
     return supabaseFetch('sites', {
       method: 'POST',
-      body: { name, address, description },
+      body,
       single: true,
     });
   },
@@ -224,6 +695,164 @@ export const ShiftLogic = {
     return this.updateSite(siteId, { is_active: false });
   },
 
+  // Shifts at the site complete as 'needs_review' until its supervisor confirms
+  async setSiteShiftConfirmation(siteId, required) {
+    return this.updateSite(siteId, { require_shift_confirmation: required });
+  },
+
+  // ═══════════════════════════════════════════
+  // GLOBAL SETTINGS
+  // ═══════════════════════════════════════════
+
+  async getShiftSettings() {
+    return supabaseFetch('app_settings?id=eq.true', { single: true });
+  },
+
+  async updateShiftSettings({
+    defaultExpectedShiftMinutes, defaultMaxShiftMinutes, defaultSupervisorSlaDays, autoCloseGraceMinutes,
+  }) {
+    const body = {
+      default_expected_shift_minutes: defaultExpectedShiftMinutes,
+      default_max_shift_minutes: defaultMaxShiftMinutes,
+      updated_at: new Date().toISOString(),
+    };
+    if (defaultSupervisorSlaDays) body.default_supervisor_sla_days = defaultSupervisorSlaDays;
+    if (autoCloseGraceMinutes != null) body.auto_close_grace_minutes = autoCloseGraceMinutes;
+    return supabaseFetch('app_settings?id=eq.true', {
+      method: 'PATCH',
+      body,
+      single: true,
+    });
+  },
+
+  // ─── Supervisor backlog (logs waiting in pending_supervisor, see migration 027) ───
+
+  async getSupervisorBacklog() {
+    const data = await supabaseRpc('get_supervisor_backlog');
+    return data || [];
+  },
+
+  // Emails supervisors with overdue logs; each log at most once a day
+  async sendSupervisorReminders() {
+    const { data: { session } } = await supabase.auth.getSession();
+    const token = session?.access_token;
+
+    const resp = await fetch(`${supabaseUrl}/functions/v1/send-supervisor-reminders`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!resp.ok) {
+      const err = await resp.json().catch(() => ({ error: resp.statusText }));
+      throw new Error(err.error || `HTTP ${resp.status}`);
+    }
+
+    return resp.json();
+  },
+
+  // ─── Audit log (see migration 029) ───
+  // entity: table name; from / to: 'YYYY-MM-DD', inclusive. Newest first.
+
+  async getAuditLog({ entity = null, actorId = null, from = null, to = null } = {}) {
+    if (from && to && from > to) {
+      throw new Error('תאריך ההתחלה חייב להיות לפני תאריך הסיום');
+    }
+    const data = await supabaseRpc('get_audit_log', {
+      p_table: entity || null,
+      p_actor_id: actorId || null,
+      p_from: from || null,
+      p_to: to || null,
+    });
+    return data || [];
+  },
+
+  // Everyone who may appear as an actor, for the activity filter
+  async getAuditActors() {
+    const data = await supabaseFetch('profiles?select=id,full_name,role&order=full_name.asc');
+    return data || [];
+  },
+
+  // ═══════════════════════════════════════════
+  // GOAL TEMPLATES (Admin)
+  // ═══════════════════════════════════════════
+
+  async getGoalTemplates() {
+    const data = await supabaseFetch(
+      'goal_templates?select=*,goal_template_requirements(id,category,min_hours,max_hours)&order=created_at.asc'
+    );
+    return data || [];
+  },
+
+  // requirements: [{ category, minHours, maxHours }]; null = no limit
+  async createGoalTemplate({ name, academicYear, requirements }) {
+    if (requirements.length === 0) {
+      throw new Error('יש להגדיר לפחות דרישה אחת');
+    }
+    if (requirements.some(r => r.minHours == null && r.maxHours == null)) {
+      throw new Error('לכל קטגוריה יש להגדיר מינימום או מקסימום');
+    }
+    if (requirements.some(r => r.minHours != null && r.maxHours != null && r.maxHours < r.minHours)) {
+      throw new Error('המקסימום חייב להיות לפחות המינימום');
+    }
+    if (new Set(requirements.map(r => r.category)).size !== requirements.length) {
+      throw new Error('כל קטגוריה יכולה להופיע פעם אחת בלבד');
+    }
+
+    const template = await supabaseFetch('goal_templates', {
+      method: 'POST',
+      body: { name, academic_year: academicYear || null },
+      single: true,
+    });
+
+    try {
+      await supabaseFetch('goal_template_requirements', {
+        method: 'POST',
+        body: requirements.map(r => ({
+          template_id: template.id,
+          category: r.category,
+          min_hours: r.minHours,
+          max_hours: r.maxHours,
+        })),
+      });
+    } catch (err) {
+      // Don't leave an empty template behind
+      await this.deleteGoalTemplate(template.id).catch(() => {});
+      throw err;
+    }
+
+    return template;
+  },
+
+  async deleteGoalTemplate(templateId) {
+    return supabaseFetch(`goal_templates?id=eq.${templateId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Override for one academic year; templateId = null → fall back to the cohort template
+  async assignGoalTemplate(studentId, academicYear, templateId) {
+    if (!templateId) {
+      return supabaseFetch(
+        `student_goal_templates?student_id=eq.${studentId}&academic_year=eq.${academicYear}`,
+        { method: 'DELETE' }
+      );
+    }
+    return supabaseFetch('student_goal_templates', {
+      method: 'POST',
+      body: {
+        student_id: studentId,
+        academic_year: academicYear,
+        template_id: templateId,
+        updated_at: new Date().toISOString(),
+      },
+      headers: { 'Prefer': 'resolution=merge-duplicates,return=representation' },
+      single: true,
+    });
+  },
+
   // ═══════════════════════════════════════════
   // SITE SUPERVISOR OPERATIONS (Admin)
   // ═══════════════════════════════════════════
@@ -266,7 +895,7 @@ export const ShiftLogic = {
 
   async getStudentPlacement(studentId) {
     const data = await supabaseFetch(
-      `student_placements?student_id=eq.${studentId}&status=eq.active&select=*,sites(id,name)`,
+      `student_placements?student_id=eq.${studentId}&status=eq.active&select=*,sites(id,name,expected_shift_minutes,max_shift_minutes)`,
       { single: true }
     );
     return data;
@@ -304,6 +933,40 @@ export const ShiftLogic = {
     });
   },
 
+  // ─── Year Rollover (see migration 019) ───
+  // decisions: [{ placementId, action: 'continue' | 'move' | 'complete', siteId }]
+
+  // Preview counts, same rules as rollover_academic_year
+  summarizeRollover(decisions, events, fromYear) {
+    const count = (action) => decisions.filter(d => d.action === action).length;
+    return {
+      continued: count('continue'),
+      moved: count('move'),
+      completed: count('complete'),
+      newPlacements: count('continue') + count('move'),
+      closedPlacements: decisions.length,
+      archivedEvents: events.filter(e =>
+        e.is_active && academicYearOf(e.event_date || e.created_at) === fromYear
+      ).length,
+    };
+  },
+
+  async rolloverAcademicYear(fromYear, toYear, decisions) {
+    if (decisions.some(d => d.action === 'move' && !d.siteId)) {
+      throw new Error('יש לבחור אתר חדש לכל סטודנט שעובר אתר');
+    }
+    const data = await supabaseRpc('rollover_academic_year', {
+      p_from_year: fromYear,
+      p_to_year: toYear,
+      p_decisions: decisions.map(d => ({
+        placement_id: d.placementId,
+        action: d.action,
+        site_id: d.action === 'move' ? d.siteId : null,
+      })),
+    });
+    return data?.[0] || { created_placements: 0, completed_placements: 0, archived_events: 0 };
+  },
+
   // ═══════════════════════════════════════════
   // GENERAL EVENT OPERATIONS (Admin)
   // ═══════════════════════════════════════════
@@ -349,24 +1012,160 @@ export const ShiftLogic = {
   // SUPERVISOR PANEL OPERATIONS
   // ═══════════════════════════════════════════
 
-  async getSupervisorStudents(supervisorId) {
+  async getSupervisorStudents(supervisorId, academicYear = null) {
     return supabaseRpc('get_supervisor_students', {
       p_supervisor_id: supervisorId,
+      p_academic_year: academicYear,
     });
   },
 
+  // Shifts and manual logs of one student at the caller's sites only (migration 031)
+  async getSupervisorStudentHistory(studentId, academicYear = null) {
+    const data = await supabaseRpc('get_supervisor_student_history', {
+      p_student_id: studentId,
+      p_academic_year: academicYear,
+    });
+    return data || [];
+  },
+
   async getSupervisorPendingLogs(supervisorId) {
     return supabaseRpc('get_supervisor_pending_logs', {
       p_supervisor_id: supervisorId,
     });
   },
 
-  async supervisorApproveLog(logId) {
-    return supabaseRpc('supervisor_approve_log', { p_log_id: logId });
+  async supervisorApproveLog(logId, { approvedMinutes, note } = {}) {
+    if (approvedMinutes == null) {
+      return supabaseRpc('supervisor_approve_log', { p_log_id: logId });
+    }
+    validateApprovedMinutes(approvedMinutes, note);
+    return supabaseRpc('supervisor_approve_log', {
+      p_log_id: logId,
+      p_approved_minutes: approvedMinutes,
+      p_note: note?.trim() || null,
+    });
+  },
+
+  async supervisorRejectLog(logId, reason) {
+    if (!reason?.trim()) {
+      throw new Error('יש לציין סיבת דחייה');
+    }
+    return supabaseRpc('supervisor_reject_log', { p_log_id: logId, p_reason: reason.trim() });
   },
 
-  async supervisorRejectLog(logId) {
-    return supabaseRpc('supervisor_reject_log', { p_log_id: logId });
+  async getSupervisorPendingCorrections(supervisorId) {
+    return supabaseRpc('get_supervisor_pending_corrections', {
+      p_supervisor_id: supervisorId,
+    });
+  },
+
+  async supervisorApproveCorrection(correctionId) {
+    return supabaseRpc('supervisor_approve_correction', { p_correction_id: correctionId });
+  },
+
+  async supervisorRejectCorrection(correctionId, reason) {
+    if (!reason?.trim()) {
+      throw new Error('יש לציין סיבת דחייה');
+    }
+    return supabaseRpc('supervisor_reject_correction', {
+      p_correction_id: correctionId,
+      p_reason: reason.trim(),
+    });
+  },
+
+  // ─── Shift review (outside the site radius, or the site confirms every shift) ───
+
+  async getSupervisorReviewShifts(supervisorId) {
+    const data = await supabaseRpc('get_supervisor_review_shifts', { p_supervisor_id: supervisorId });
+    return data || [];
+  },
+
+  async supervisorReviewShift(shiftId, approve) {
+    return supabaseRpc('supervisor_review_shift', { p_shift_id: shiftId, p_approve: approve });
+  },
+
+  // ─── Delegations (migration 028) ───
+  // A supervisor hands a site's log approvals to a colleague for a date range.
+
+  async getMyDelegations(supervisorId) {
+    const today = new Date().toLocaleDateString('en-CA');
+    const data = await supabaseFetch(
+      `supervisor_delegations?or=(delegator_id.eq.${supervisorId},delegate_id.eq.${supervisorId})&revoked_at=is.null&ends_on=gte.${today}&select=*,sites(name),delegator:profiles!supervisor_delegations_delegator_id_fkey(full_name),delegate:profiles!supervisor_delegations_delegate_id_fkey(full_name)&order=starts_on.asc`
+    );
+    const rows = (data || []).map(d => ({
+      ...d,
+      site_name: d.sites?.name || null,
+      delegator_name: d.delegator?.full_name || 'לא ידוע',
+      delegate_name: d.delegate?.full_name || 'לא ידוע',
+    }));
+    return {
+      given: rows.filter(d => d.delegator_id === supervisorId),
+      received: rows.filter(d => d.delegate_id === supervisorId),
+    };
+  },
+
+  async getDelegateCandidates(supervisorId) {
+    const data = await supabaseFetch(
+      `profiles?role=eq.site_supervisor&is_active=eq.true&id=neq.${supervisorId}&select=id,full_name&order=full_name.asc`
+    );
+    return data || [];
+  },
+
+  async createDelegation({ siteId, delegateId, startsOn, endsOn }) {
+    if (!siteId || !delegateId) {
+      throw new Error('נא לבחור אתר וממלא/ת מקום');
+    }
+    if (!startsOn || !endsOn) {
+      throw new Error('נא לבחור תאריכי התחלה וסיום');
+    }
+    if (endsOn < startsOn) {
+      throw new Error('תאריך הסיום חייב להיות אחרי תאריך ההתחלה');
+    }
+    return supabaseRpc('create_supervisor_delegation', {
+      p_site_id: siteId,
+      p_delegate_id: delegateId,
+      p_starts_on: startsOn,
+      p_ends_on: endsOn,
+    });
+  },
+
+  async revokeDelegation(delegationId) {
+    return supabaseRpc('revoke_supervisor_delegation', { p_delegation_id: delegationId });
+  },
+
+  // ─── Monthly timesheet (month: 'YYYY-MM') ───
+
+  // One timesheet and one sign-off per site the student is placed at
+  async getMonthlyTimesheet(studentId, siteId, month) {
+    const [records, signoff] = await Promise.all([
+      supabaseRpc('get_monthly_timesheet', { p_student_id: studentId, p_month: `${month}-01` }),
+      supabaseFetch(
+        `timesheet_signoffs?student_id=eq.${studentId}&site_id=eq.${siteId}&month=eq.${month}-01&select=*,profiles!timesheet_signoffs_signed_by_fkey(full_name)`,
+        { single: true }
+      ),
+    ]);
+    const siteRecords = (records || []).filter((r) => r.site_id === siteId);
+    return {
+      records: siteRecords,
+      totalMinutes: siteRecords.reduce((a, r) => a + parseFloat(r.duration_minutes || 0), 0),
+      signoff: signoff ? { ...signoff, signed_by_name: signoff.profiles?.full_name || null } : null,
+    };
+  },
+
+  // Locks the month's shifts and approved logs at the site against further changes
+  async signMonthlyTimesheet(studentId, siteId, month) {
+    return supabaseRpc('sign_monthly_timesheet', {
+      p_student_id: studentId,
+      p_site_id: siteId,
+      p_month: `${month}-01`,
+    });
+  },
+
+  // ─── QR check-in token for a site (rotated by the panel) ───
+
+  async createSiteCheckinToken(siteId) {
+    const data = await supabaseRpc('create_site_checkin_token', { p_site_id: siteId });
+    return data?.[0] || null;
   },
 
   async getSupervisorSites(supervisorId) {
@@ -420,6 +1219,50 @@ export const ShiftLogic = {
     return resp.json();
   },
 
+  // ═══════════════════════════════════════════
+  // NOTIFICATIONS (all roles, see migration 033)
+  // ═══════════════════════════════════════════
+
+  async getNotifications(userId, limit = 30) {
+    const data = await supabaseFetch(
+      `notifications?user_id=eq.${userId}&order=created_at.desc&limit=${limit}`
+    );
+    return data || [];
+  },
+
+  // ids omitted = mark all of mine as read
+  async markNotificationsRead(ids = null) {
+    return supabaseRpc('mark_notifications_read', { p_ids: ids });
+  },
+
+  // { kind: sendsEmail } — kinds without a row send email
+  async getNotificationPreferences(userId) {
+    const data = await supabaseFetch(
+      `notification_preferences?user_id=eq.${userId}&select=kind,email`
+    );
+    return Object.fromEntries((data || []).map(p => [p.kind, p.email]));
+  },
+
+  async setNotificationPreference(kind, email) {
+    return supabaseRpc('set_notification_preference', { p_kind: kind, p_email: !!email });
+  },
+
+  // ─── Web Push (see migration 034 and lib/webPush) ───
+
+  async savePushSubscription(subscription) {
+    const { endpoint, keys } = subscription.toJSON ? subscription.toJSON() : subscription;
+    return supabaseRpc('save_push_subscription', {
+      p_endpoint: endpoint,
+      p_p256dh: keys?.p256dh,
+      p_auth: keys?.auth,
+      p_user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+    });
+  },
+
+  async deletePushSubscription(endpoint) {
+    return supabaseRpc('delete_push_subscription', { p_endpoint: endpoint });
+  },
+
   // ═══════════════════════════════════════════
   // APPROVED SCHOLARS (Registration Allowlist)
   // ═══════════════════════════════════════════
@@ -0,0 +1,106 @@
+import QRCode from 'qrcode';
+
+// ═══════════════════════════════════════════
+// HOURS CERTIFICATE — Hebrew PDF for the scholarship fund
+// ═══════════════════════════════════════════
+// jsPDF has no bidi support, so the page is drawn on a canvas (the
+// browser lays out the RTL text in Heebo) and embedded as an image.
+
+const PAGE = { w: 1240, h: 1754 }; // A4 portrait at 150 dpi
+
+const ROLE_LABELS = {
+  site_supervisor: 'אחראי/ת אתר',
+  admin:           'מנהל/ת המלגה',
+};
+
+const fmtHours = (h) => `${parseFloat(h || 0).toFixed(1)} שעות`;
+
+const fmtDate = (d) =>
+  new Date(d).toLocaleDateString('he-IL', { year: 'numeric', month: 'long', day: 'numeric' });
+
+// ─── Certificate text (top to bottom) ───
+
+export function certificateSections(certificate, categoryLabels = {}) {
+  const s = certificate.snapshot;
+  return {
+    title: 'אישור שעות התנדבות',
+    subtitle: 'מלגאי מרכז קזז',
+    body: [
+      `הרינו לאשר כי ${s.full_name}`,
+      `השלים/ה את יעד שעות ההתנדבות לשנת הלימודים ${s.academic_year}`,
+      s.site_name ? `באתר ${s.site_name}` : null,
+      `סה"כ ${fmtHours(s.counted_hours)} מתוך יעד של ${s.goal} שעות`,
+    ].filter(Boolean),
+    categories: (s.categories || []).map((c) => [categoryLabels[c.category] || c.category, fmtHours(c.hours)]),
+    approvals: (s.approvals || []).map((a) => `${a.name} · ${ROLE_LABELS[a.role] || a.role}`),
+    issued: `הונפק בתאריך ${fmtDate(certificate.issued_at)}`,
+    code: certificate.verification_code,
+  };
+}
+
+// ─── Drawing ───
+
+async function drawCertificate(sections) {
+  await document.fonts?.ready;
+  const canvas = document.createElement('canvas');
+  canvas.width = PAGE.w;
+  canvas.height = PAGE.h;
+  const ctx = canvas.getContext('2d');
+  const right = PAGE.w - 120;
+  let y = 220;
+
+  const text = (value, { size = 34, weight = 400, color = '#1e293b', align = 'right', x = right } = {}) => {
+    ctx.font = `${weight} ${size}px Heebo, Arial, sans-serif`;
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.fillText(value, x, y);
+  };
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, PAGE.w, PAGE.h);
+  ctx.strokeStyle = '#0891b2';
+  ctx.lineWidth = 8;
+  ctx.strokeRect(60, 60, PAGE.w - 120, PAGE.h - 120);
+  ctx.direction = 'rtl';
+
+  text(sections.title, { size: 72, weight: 700, color: '#0e7490', align: 'center', x: PAGE.w / 2 });
+  y += 70;
+  text(sections.subtitle, { size: 36, color: '#64748b', align: 'center', x: PAGE.w / 2 });
+
+  y += 140;
+  sections.body.forEach((line) => { text(line, { size: 40 }); y += 70; });
+
+  y += 50;
+  text('פילוח שעות לפי קטגוריה', { size: 36, weight: 700 });
+  sections.categories.forEach(([label, hours]) => {
+    y += 58;
+    text(label);
+    text(hours, { align: 'left', x: 500 });
+  });
+
+  if (sections.approvals.length > 0) {
+    y += 110;
+    text('השעות אושרו על ידי', { size: 36, weight: 700 });
+    sections.approvals.forEach((line) => { y += 58; text(line); });
+  }
+
+  y = PAGE.h - 200;
+  text(sections.issued, { size: 30, color: '#64748b' });
+  y += 50;
+  text(`קוד אימות: ${sections.code}`, { size: 30, weight: 700 });
+
+  const qr = new Image();
+  qr.src = await QRCode.toDataURL(sections.code, { margin: 1, width: 220 });
+  await qr.decode();
+  ctx.drawImage(qr, 120, PAGE.h - 360, 220, 220);
+
+  return canvas;
+}
+
+export async function downloadCertificatePdf(certificate, categoryLabels) {
+  const canvas = await drawCertificate(certificateSections(certificate, categoryLabels));
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, 210, 297);
+  pdf.save(`hours-certificate-${certificate.academic_year}-${certificate.verification_code}.pdf`);
+}
@@ -0,0 +1,109 @@
+// ═══════════════════════════════════════════
+// HOURS EXPORT — CSV / XLSX for the finance department
+// ═══════════════════════════════════════════
+
+const STATUS_LABELS = {
+  completed:    'הושלם',
+  needs_review: 'ממתין לבדיקה',
+  approved:     'מאושר',
+  pending:      'ממתין',
+  rejected:     'נדחה',
+};
+
+const round2 = (n) => Math.round(parseFloat(n || 0) * 100) / 100;
+
+// Names, sites and descriptions are typed by students. Excel runs a cell
+// starting with = + - @ (or tab / CR) as a formula, so quote it as text.
+const safeText = (v) => {
+  const s = v == null ? '' : String(v);
+  return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+};
+
+const fmtTime = (d) =>
+  d ? new Date(d).toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' }) : '';
+
+// ─── Sheets (header row + one row per record) ───
+
+export function summarySheet(students) {
+  return [
+    ['שם', 'אימייל', 'אתר', 'שעות משמרת', 'שעות ידניות מאושרות', 'דיווחים ממתינים', 'סה"כ שעות', 'יעד', 'אחוז התקדמות'],
+    ...students.map((s) => [
+      safeText(s.full_name),
+      safeText(s.email),
+      safeText(s.site_name),
+      round2(s.shift_hours),
+      round2(s.approved_manual_hours),
+      Number(s.pending_logs || 0),
+      round2(s.total_hours),
+      Number(s.total_goal || 0),
+      round2(s.progress_percent),
+    ]),
+  ];
+}
+
+export function detailSheet(records, categoryLabels = {}) {
+  return [
+    ['סוג', 'שם', 'אימייל', 'אתר', 'תאריך', 'התחלה', 'סיום', 'שעות', 'קטגוריה', 'תיאור', 'סטטוס'],
+    ...records.map((r) => [
+      r.record_type === 'shift' ? 'משמרת' : 'דיווח ידני',
+      safeText(r.full_name),
+      safeText(r.email),
+      safeText(r.site_name),
+      r.work_date,
+      fmtTime(r.start_time),
+      fmtTime(r.end_time),
+      round2((r.duration_minutes || 0) / 60),
+      safeText(categoryLabels[r.category] || r.category),
+      safeText(r.description),
+      STATUS_LABELS[r.status] || r.status,
+    ]),
+  ];
+}
+
+// ─── CSV ───
+
+const csvCell = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// ─── Download ───
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// format: 'csv' | 'xlsx'. CSV has no sheets, so the detail goes to a second file.
+export async function exportHours(format, { summary, detail = null, fileName, categoryLabels }) {
+  const sheets = [{ name: 'סיכום', rows: summarySheet(summary) }];
+  if (detail) sheets.push({ name: 'פירוט', rows: detailSheet(detail, categoryLabels) });
+
+  if (format === 'csv') {
+    sheets.forEach((sheet, i) => {
+      // BOM so Excel opens the Hebrew text as UTF-8
+      const blob = new Blob(['\uFEFF' + toCsv(sheet.rows)], { type: 'text/csv;charset=utf-8' });
+      saveBlob(blob, i === 0 ? `${fileName}.csv` : `${fileName}-detail.csv`);
+    });
+    return;
+  }
+
+  const { default: writeExcelFile } = await import('write-excel-file/browser');
+  const blob = await writeExcelFile(sheets.map((sheet) => ({
+    data: sheet.rows.map((row, i) => row.map((value) => (i === 0 ? { value, fontWeight: 'bold' } : { value }))),
+    sheet: sheet.name,
+    rightToLeft: true,
+    stickyRowsCount: 1,
+  }))).toBlob();
+  saveBlob(blob, `${fileName}.xlsx`);
+}
@@ -0,0 +1,114 @@
+// ═══════════════════════════════════════════
+// MONTHLY TIMESHEET — printable Hebrew PDF per student
+// ═══════════════════════════════════════════
+// Drawn on canvases like the hours certificate (jsPDF has no bidi
+// support): one canvas per A4 page, each embedded as an image.
+
+const PAGE = { w: 1240, h: 1754 }; // A4 portrait at 150 dpi
+const ROWS_PER_PAGE = 30;
+const ROW_H = 44;
+
+// Right-to-left: x is the right edge of each column
+const COLUMNS = [
+  { key: 'date',     title: 'תאריך',    x: 1140 },
+  { key: 'hours',    title: 'שעות',     x: 960 },
+  { key: 'break',    title: 'הפסקה',    x: 760 },
+  { key: 'duration', title: 'משך',      x: 640 },
+  { key: 'category', title: 'קטגוריה',  x: 500 },
+  { key: 'type',     title: 'סוג',      x: 260 },
+];
+
+const fmtDate = (d) =>
+  new Date(d).toLocaleDateString('he-IL', { year: 'numeric', month: '2-digit', day: '2-digit' });
+const fmtTime = (d) =>
+  new Date(d).toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' });
+const fmtHours = (m) => `${(parseFloat(m || 0) / 60).toFixed(2)}`;
+
+export const fmtMonth = (month) =>
+  new Date(`${month}-01T12:00:00`).toLocaleDateString('he-IL', { year: 'numeric', month: 'long' });
+
+// ─── Table rows + header/footer text ───
+
+export function timesheetSections({ studentName, siteName, month, records, totalMinutes, signoff }, categoryLabels = {}) {
+  return {
+    title: `דוח שעות חודשי · ${fmtMonth(month)}`,
+    subtitle: [studentName, siteName].filter(Boolean).join(' · '),
+    rows: records.map((r) => ({
+      date: fmtDate(r.work_date),
+      hours: r.start_time && r.end_time ? `${fmtTime(r.start_time)}–${fmtTime(r.end_time)}` : '—',
+      break: r.break_minutes > 0 ? `${Math.round(r.break_minutes)} דק'` : '—',
+      duration: fmtHours(r.duration_minutes),
+      category: categoryLabels[r.category] || r.category || '—',
+      type: r.record_type === 'shift' ? 'משמרת' : 'דיווח ידני',
+    })),
+    total: `סה"כ: ${fmtHours(totalMinutes)} שעות`,
+    signature: signoff
+      ? `נחתם על ידי ${signoff.signed_by_name || 'האחראי/ת באתר'} בתאריך ${fmtDate(signoff.signed_at)}`
+      : 'טרם נחתם על ידי האחראי/ת באתר',
+  };
+}
+
+// ─── Drawing ───
+
+function drawPage(sections, rows, pageNo, pageCount, isLast) {
+  const canvas = document.createElement('canvas');
+  canvas.width = PAGE.w;
+  canvas.height = PAGE.h;
+  const ctx = canvas.getContext('2d');
+  let y = 160;
+
+  const text = (value, x, { size = 26, weight = 400, color = '#1e293b', align = 'right' } = {}) => {
+    ctx.font = `${weight} ${size}px Heebo, Arial, sans-serif`;
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.fillText(value, x, y);
+  };
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, PAGE.w, PAGE.h);
+  ctx.direction = 'rtl';
+
+  text(sections.title, 1140, { size: 48, weight: 700, color: '#0e7490' });
+  y += 56;
+  text(sections.subtitle, 1140, { size: 30, color: '#64748b' });
+
+  y += 90;
+  ctx.fillStyle = '#ecfeff';
+  ctx.fillRect(100, y - 32, PAGE.w - 200, ROW_H);
+  COLUMNS.forEach((c) => text(c.title, c.x, { weight: 700 }));
+
+  rows.forEach((row) => {
+    y += ROW_H;
+    COLUMNS.forEach((c) => text(row[c.key], c.x));
+  });
+
+  if (isLast) {
+    y += ROW_H * 1.5;
+    text(sections.total, 1140, { size: 32, weight: 700 });
+    y += 80;
+    text(sections.signature, 1140, { size: 28, color: '#334155' });
+  }
+
+  y = PAGE.h - 80;
+  text(`עמוד ${pageNo} מתוך ${pageCount}`, PAGE.w / 2, { size: 22, color: '#94a3b8', align: 'center' });
+
+  return canvas;
+}
+
+export async function downloadTimesheetPdf(timesheet, categoryLabels) {
+  await document.fonts?.ready;
+  const sections = timesheetSections(timesheet, categoryLabels);
+  const pages = [];
+  for (let i = 0; i < sections.rows.length || pages.length === 0; i += ROWS_PER_PAGE) {
+    pages.push(sections.rows.slice(i, i + ROWS_PER_PAGE));
+  }
+
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  pages.forEach((rows, i) => {
+    if (i > 0) pdf.addPage();
+    const canvas = drawPage(sections, rows, i + 1, pages.length, i === pages.length - 1);
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, 210, 297);
+  });
+  pdf.save(`timesheet-${timesheet.month}-${timesheet.studentName}.pdf`);
+}
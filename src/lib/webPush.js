@@ -0,0 +1,55 @@
+// ═══════════════════════════════════════════
+// WEB PUSH — device subscription through the PWA service worker
+// ═══════════════════════════════════════════
+// The subscription is saved with ShiftLogic.savePushSubscription; the
+// service worker side lives in public/push-sw.js (migration 034).
+
+const vapidPublicKey = () => import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+export function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+export function isPushSupported() {
+  return Boolean(
+    vapidPublicKey() &&
+    typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+    typeof window !== 'undefined' && 'PushManager' in window && 'Notification' in window
+  );
+}
+
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+// Asks for permission (must run from a click) and subscribes this device
+export async function subscribeToPush() {
+  if (!isPushSupported()) {
+    throw new Error('הדפדפן אינו תומך בהתראות');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('ההרשאה להתראות נחסמה בדפדפן');
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(vapidPublicKey()),
+  });
+}
+
+// Returns the endpoint that was dropped, or null when not subscribed
+export async function unsubscribeFromPush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return null;
+  await subscription.unsubscribe();
+  return subscription.endpoint;
+}
@@ -0,0 +1,201 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import webpush from "npm:web-push@3.6.7";
+
+// Sends the Web Push notifications queued in push_notifications
+// (migration 034) to every subscribed device of the user: new logs
+// waiting for a supervisor, and check-out reminders for students.
+// Poked by the database once per transaction that queues pushes and
+// every 5 minutes by pg_cron (service role key); admins can also call it.
+// Needs VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (the public key is also the
+// app's VITE_VAPID_PUBLIC_KEY); without them the pushes are only logged.
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+type PushRow = {
+  id: string;
+  kind: "logs_waiting" | "checkout_reminder";
+  payload: Record<string, any>;
+  subscription_id: string;
+  endpoint: string;
+  p256dh: string;
+  auth: string;
+};
+
+const formatTime = (d: string) =>
+  new Date(d).toLocaleTimeString("he-IL", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: "Asia/Jerusalem",
+  });
+
+// What the service worker (public/push-sw.js) shows
+function renderPush(row: PushRow) {
+  const p = row.payload || {};
+  switch (row.kind) {
+    case "logs_waiting":
+      return {
+        title: "דיווח חדש ממתין לאישור",
+        body: p.site_name ? `באתר ${p.site_name}` : "",
+        tag: `logs_waiting-${p.site_id || "all"}`,
+        url: "/",
+      };
+    case "checkout_reminder":
+      return {
+        title: "שכחת לצאת מהמשמרת?",
+        body: `נכנסת ב-${formatTime(p.start_time)}${p.site_name ? ` ב${p.site_name}` : ""}. אל תשכח/י לצאת מהמשמרת.`,
+        tag: `checkout_reminder-${p.shift_id}`,
+        url: "/",
+      };
+    default:
+      throw new Error(`Unknown push kind: ${row.kind}`);
+  }
+}
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const vapidPublicKey = Deno.env.get("VAPID_PUBLIC_KEY");
+    const vapidPrivateKey = Deno.env.get("VAPID_PRIVATE_KEY");
+    const vapidSubject =
+      Deno.env.get("VAPID_SUBJECT") || "mailto:noreply@kazzaz-app.vercel.app";
+    const transport = vapidPublicKey && vapidPrivateKey ? "webpush" : "log";
+
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return new Response(JSON.stringify({ error: "Missing authorization" }), {
+        status: 401,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const supabase = createClient(supabaseUrl, serviceRoleKey);
+
+    // The database calls with the service role key; anyone else must be an admin
+    const token = authHeader.replace("Bearer ", "");
+    if (token !== serviceRoleKey) {
+      const {
+        data: { user },
+        error: authError,
+      } = await supabase.auth.getUser(token);
+
+      if (authError || !user) {
+        return new Response(JSON.stringify({ error: "Unauthorized" }), {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
+      const { data: callerProfile } = await supabase
+        .from("profiles")
+        .select("role")
+        .eq("id", user.id)
+        .single();
+
+      if (callerProfile?.role !== "admin") {
+        return new Response(
+          JSON.stringify({ error: "Only admins can send notifications" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+    }
+
+    if (transport === "webpush") {
+      webpush.setVapidDetails(vapidSubject, vapidPublicKey!, vapidPrivateKey!);
+    } else {
+      console.warn("VAPID keys not set — logging pushes only");
+    }
+
+    // Claimed rows are marked sent; a push no device received is put back below
+    const { data: rows, error: claimError } = await supabase.rpc(
+      "claim_push_notifications"
+    );
+    if (claimError) throw claimError;
+
+    const delivered = new Map<string, boolean>();
+    const errors = new Map<string, string>();
+    const expired: string[] = [];
+    const used: string[] = [];
+
+    for (const row of (rows || []) as PushRow[]) {
+      if (!delivered.has(row.id)) delivered.set(row.id, false);
+      const message = renderPush(row);
+
+      if (transport === "log") {
+        console.log(
+          `[send-push-notifications] ${row.kind} → ${row.endpoint}: ${JSON.stringify(message)}`
+        );
+        delivered.set(row.id, true);
+        continue;
+      }
+
+      try {
+        await webpush.sendNotification(
+          { endpoint: row.endpoint, keys: { p256dh: row.p256dh, auth: row.auth } },
+          JSON.stringify(message),
+          { TTL: 60 * 60 }
+        );
+        delivered.set(row.id, true);
+        used.push(row.subscription_id);
+      } catch (sendErr) {
+        // 404 / 410: the browser dropped the subscription
+        if (sendErr.statusCode === 404 || sendErr.statusCode === 410) {
+          expired.push(row.subscription_id);
+        } else {
+          console.error(`send-push-notifications: ${row.id} failed:`, sendErr);
+          errors.set(row.id, String(sendErr.body || sendErr.message || sendErr));
+        }
+      }
+    }
+
+    if (expired.length) {
+      await supabase.from("push_subscriptions").delete().in("id", expired);
+    }
+    if (used.length) {
+      await supabase
+        .from("push_subscriptions")
+        .update({ last_used_at: new Date().toISOString() })
+        .in("id", used);
+    }
+
+    const results = [];
+    for (const [id, ok] of delivered) {
+      if (!ok && errors.has(id)) {
+        await supabase
+          .from("push_notifications")
+          .update({ sent_at: null, error: errors.get(id) })
+          .eq("id", id);
+      }
+      results.push({ id, ok });
+    }
+
+    return new Response(
+      JSON.stringify({ transport, sent: results, expired: expired.length }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  } catch (err) {
+    console.error("send-push-notifications error:", err);
+    return new Response(
+      JSON.stringify({ error: err.message || "Internal error" }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+});
@@ -0,0 +1,279 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+
+// Sends the student emails queued in email_notifications (migration 032):
+// log approved / rejected, goal milestone reached, new placement (033),
+// forgotten check-out reminder / shift auto-closed (035), account
+// deactivated — and the admins' "new logs waiting for final approval".
+// Poked by the database once per transaction that queues emails and
+// every 5 minutes by pg_cron (service role key); admins can also call it.
+// EMAIL_TRANSPORT=log (or no RESEND_API_KEY) only prints the emails, so
+// the flow can be exercised locally without Resend.
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+type Notification = {
+  id: string;
+  kind:
+    | "log_approved"
+    | "log_rejected"
+    | "milestone"
+    | "placement_assigned"
+    | "logs_waiting"
+    | "checkout_reminder"
+    | "shift_auto_closed"
+    | "account_deactivated";
+  payload: Record<string, any>;
+  recipient_email: string | null;
+  recipient_name: string | null;
+  attempts: number;
+};
+
+const formatDate = (d: string) => {
+  const [y, m, day] = String(d).slice(0, 10).split("-");
+  return `${day}/${m}/${y}`;
+};
+
+const formatTime = (d: string) =>
+  new Date(d).toLocaleTimeString("he-IL", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: "Asia/Jerusalem",
+  });
+
+const formatHours = (minutes: number) =>
+  `${Math.round(((minutes || 0) / 60) * 10) / 10}`;
+
+const escapeHtml = (s: string) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function renderEmail(n: Notification, appUrl: string) {
+  const p = n.payload || {};
+  const name = escapeHtml(n.recipient_name || "סטודנט/ית");
+  const place = p.site_name || p.event_name;
+  const logLine = p.date
+    ? `הדיווח מתאריך <strong>${formatDate(p.date)}</strong>${place ? ` (${escapeHtml(place)})` : ""} — ${formatHours(p.duration_minutes)} שעות`
+    : "";
+
+  let subject: string;
+  let title: string;
+  let color = "#d97706";
+  let body: string;
+
+  switch (n.kind) {
+    case "log_approved":
+      if (p.stage === "supervisor") {
+        subject = "הדיווח שלך אושר על ידי מפקח/ת האתר";
+        title = "אושר על ידי מפקח/ת האתר";
+        body = `<p>${logLine} אושר על ידי מפקח/ת האתר ועבר לאישור סופי של מנהל/ת התוכנית.</p>`;
+      } else {
+        subject = "הדיווח שלך אושר";
+        title = "הדיווח אושר";
+        color = "#059669";
+        body = `<p>${logLine} אושר ונספר ביעד השעות שלך.</p>${
+          p.note ? `<p><strong>הערה:</strong> ${escapeHtml(p.note)}</p>` : ""
+        }`;
+      }
+      break;
+    case "log_rejected":
+      subject = "הדיווח שלך נדחה";
+      title = "הדיווח נדחה";
+      color = "#dc2626";
+      body = `<p>${logLine} נדחה על ידי ${p.by === "supervisor" ? "מפקח/ת האתר" : "מנהל/ת התוכנית"}.</p>${
+        p.reason ? `<p><strong>סיבת הדחייה:</strong> ${escapeHtml(p.reason)}</p>` : ""
+      }<p>ניתן לתקן את הדיווח ולהגיש אותו מחדש.</p>`;
+      break;
+    case "milestone":
+      subject =
+        p.percent === 100
+          ? "כל הכבוד! השלמת את יעד השעות"
+          : `הגעת ל-${p.percent}% מיעד השעות`;
+      title = p.percent === 100 ? "השלמת את יעד השעות 🎉" : `${p.percent}% מהיעד`;
+      color = "#059669";
+      body = `<p>צברת <strong>${p.hours}</strong> שעות מתוך <strong>${p.goal}</strong> בשנת הלימודים ${escapeHtml(p.academic_year || "")}.</p>`;
+      break;
+    case "placement_assigned":
+      subject = `שובצת לאתר ${p.site_name || ""}`;
+      title = "שיבוץ חדש";
+      body = `<p>שובצת לאתר <strong>${escapeHtml(p.site_name || "")}</strong> לשנת הלימודים ${escapeHtml(p.academic_year || "")}. מעכשיו ניתן לדווח שעות באתר.</p>`;
+      break;
+    case "logs_waiting":
+      subject = "דיווחים חדשים ממתינים לאישור סופי";
+      title = "דיווחים חדשים לאישור";
+      body = `<p>יש דיווחי שעות חדשים שממתינים לאישור הסופי שלך.</p>`;
+      break;
+    case "checkout_reminder":
+      subject = "שכחת לצאת מהמשמרת?";
+      title = "המשמרת עדיין פתוחה";
+      body = `<p>נכנסת למשמרת בשעה <strong>${formatTime(p.start_time)}</strong>${
+        p.site_name ? ` ב${escapeHtml(p.site_name)}` : ""
+      } והיא עדיין פתוחה${p.closing_at ? ` — האתר נסגר בשעה ${formatTime(p.closing_at)}` : ""}.</p><p>אם סיימת, נא לצאת מהמשמרת במערכת. משמרת שנשארת פתוחה תיסגר אוטומטית ותסומן לתיקון.</p>`;
+      break;
+    case "shift_auto_closed":
+      subject = "המשמרת שלך נסגרה אוטומטית";
+      title = "המשמרת נסגרה אוטומטית";
+      color = "#dc2626";
+      body = `<p>המשמרת מתאריך <strong>${formatDate(p.start_time)}</strong>${
+        p.site_name ? ` (${escapeHtml(p.site_name)})` : ""
+      } נשארה פתוחה ונסגרה אוטומטית בשעה ${formatTime(p.end_time)}.</p><p>נא להיכנס להיסטוריית המשמרות ולבקש תיקון עם שעת היציאה האמיתית.</p>`;
+      break;
+    case "account_deactivated":
+      subject = "החשבון שלך במערכת קזז הושבת";
+      title = "החשבון הושבת";
+      color = "#6b7280";
+      body = `<p>החשבון שלך במערכת קזז הושבת על ידי מנהל/ת התוכנית, ולא ניתן עוד להתחבר אליו.</p><p>אם לדעתך מדובר בטעות, נא לפנות למנהל/ת התוכנית.</p>`;
+      break;
+    default:
+      throw new Error(`Unknown notification kind: ${n.kind}`);
+  }
+
+  const button =
+    n.kind === "account_deactivated"
+      ? ""
+      : `<a href="${appUrl}" style="display: inline-block; background: #d97706; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+            כניסה למערכת
+          </a>`;
+
+  const html = `
+        <div dir="rtl" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: ${color};">${title} — קזז</h2>
+          <p>שלום ${name},</p>
+          ${body}
+          ${button}
+          <p style="color: #6b7280; font-size: 14px; margin-top: 24px;">הודעה זו נשלחה אוטומטית ממערכת קזז.</p>
+        </div>
+      `;
+
+  return { subject, html };
+}
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const resendApiKey = Deno.env.get("RESEND_API_KEY");
+    const appUrl = Deno.env.get("APP_URL") || "https://kazzaz-app.vercel.app";
+    const transport =
+      Deno.env.get("EMAIL_TRANSPORT") === "log" || !resendApiKey
+        ? "log"
+        : "resend";
+
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return new Response(JSON.stringify({ error: "Missing authorization" }), {
+        status: 401,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const supabase = createClient(supabaseUrl, serviceRoleKey);
+
+    // The database calls with the service role key; anyone else must be an admin
+    const token = authHeader.replace("Bearer ", "");
+    if (token !== serviceRoleKey) {
+      const {
+        data: { user },
+        error: authError,
+      } = await supabase.auth.getUser(token);
+
+      if (authError || !user) {
+        return new Response(JSON.stringify({ error: "Unauthorized" }), {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
+      const { data: callerProfile } = await supabase
+        .from("profiles")
+        .select("role")
+        .eq("id", user.id)
+        .single();
+
+      if (callerProfile?.role !== "admin") {
+        return new Response(
+          JSON.stringify({ error: "Only admins can send notifications" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+    }
+
+    // Rows are marked sent only once the email went out; failures release
+    // the claim, and the claims of a run that dies expire after 10 minutes
+    const { data: notifications, error: claimError } = await supabase.rpc(
+      "claim_email_notifications"
+    );
+    if (claimError) throw claimError;
+
+    const results = [];
+    for (const n of (notifications || []) as Notification[]) {
+      try {
+        if (!n.recipient_email) throw new Error("Recipient has no email");
+
+        const { subject, html } = renderEmail(n, appUrl);
+
+        if (transport === "log") {
+          console.log(
+            `[send-student-notifications] ${n.kind} → ${n.recipient_email}: ${subject}\n${html}`
+          );
+        } else {
+          const res = await fetch("https://api.resend.com/emails", {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${resendApiKey}`,
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+              from: "Kazzaz <noreply@kazzaz-app.vercel.app>",
+              to: [n.recipient_email],
+              subject,
+              html,
+            }),
+          });
+          if (!res.ok) throw new Error(`Resend ${res.status}: ${await res.text()}`);
+        }
+
+        await supabase
+          .from("email_notifications")
+          .update({ sent_at: new Date().toISOString() })
+          .eq("id", n.id);
+        results.push({ id: n.id, kind: n.kind, ok: true });
+      } catch (sendErr) {
+        console.error(`send-student-notifications: ${n.id} failed:`, sendErr);
+        await supabase
+          .from("email_notifications")
+          .update({ claimed_at: null, error: String(sendErr.message || sendErr) })
+          .eq("id", n.id);
+        results.push({ id: n.id, kind: n.kind, ok: false });
+      }
+    }
+
+    return new Response(JSON.stringify({ transport, sent: results }), {
+      status: 200,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  } catch (err) {
+    console.error("send-student-notifications error:", err);
+    return new Response(
+      JSON.stringify({ error: err.message || "Internal error" }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+});
@@ -100,11 +100,20 @@ serve(async (req) => {
       );
     }
 
+    // Supervisors who turned this email off in their notification settings
+    const { data: optedOut } = await supabase
+      .from("notification_preferences")
+      .select("user_id")
+      .eq("kind", "logs_waiting")
+      .eq("email", false)
+      .in("user_id", supervisorLinks.map((l) => l.supervisor_id));
+    const optedOutIds = new Set((optedOut || []).map((p) => p.user_id));
+
     // Send email to each supervisor
     const results = [];
     for (const link of supervisorLinks) {
       const profile = (link as any).profiles;
-      if (!profile?.email) continue;
+      if (!profile?.email || optedOutIds.has(link.supervisor_id)) continue;
 
       const emailHtml = `
         <div dir="rtl" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
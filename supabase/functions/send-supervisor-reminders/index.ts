@@ -0,0 +1,140 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+
+// Reminds site supervisors of logs past their approval SLA (migration 027).
+// Meant to run once a day from a schedule (called with the service role
+// key); admins can also trigger it from the supervisor backlog.
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const resendApiKey = Deno.env.get("RESEND_API_KEY");
+    const appUrl = Deno.env.get("APP_URL") || "https://kazzaz-app.vercel.app";
+
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) {
+      return new Response(JSON.stringify({ error: "Missing authorization" }), {
+        status: 401,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    const supabase = createClient(supabaseUrl, serviceRoleKey);
+
+    // The schedule calls with the service role key; anyone else must be an admin
+    const token = authHeader.replace("Bearer ", "");
+    if (token !== serviceRoleKey) {
+      const {
+        data: { user },
+        error: authError,
+      } = await supabase.auth.getUser(token);
+
+      if (authError || !user) {
+        return new Response(JSON.stringify({ error: "Unauthorized" }), {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+
+      const { data: callerProfile } = await supabase
+        .from("profiles")
+        .select("role")
+        .eq("id", user.id)
+        .single();
+
+      if (callerProfile?.role !== "admin") {
+        return new Response(
+          JSON.stringify({ error: "Only admins can send reminders" }),
+          {
+            status: 403,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
+          }
+        );
+      }
+    }
+
+    if (!resendApiKey) {
+      console.warn("RESEND_API_KEY not set — skipping reminders");
+      return new Response(
+        JSON.stringify({ message: "Email skipped — no API key" }),
+        {
+          status: 200,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    // Stamps the overdue logs, so a second run the same day sends nothing
+    const { data: reminders, error: claimError } = await supabase.rpc(
+      "claim_supervisor_reminders"
+    );
+    if (claimError) throw claimError;
+
+    const results = [];
+    for (const r of reminders || []) {
+      if (!r.supervisor_email) continue;
+
+      const days = Math.floor(
+        (Date.now() - new Date(r.oldest_pending_at).getTime()) / 86400000
+      );
+
+      const emailHtml = `
+        <div dir="rtl" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #dc2626;">תזכורת: שעות ממתינות לאישורך — קזז</h2>
+          <p>שלום ${r.supervisor_name || "מפקח/ת"},</p>
+          <p><strong>${r.overdue_count}</strong> דיווחים ממתינים לאישורך מעבר לזמן שהוקצב. הוותיק ביותר ממתין <strong>${days}</strong> ימים.</p>
+          <p>דיווחים שלא יאושרו יועברו לטיפול מנהל/ת התוכנית.</p>
+          <a href="${appUrl}" style="display: inline-block; background: #d97706; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+            כניסה לאישור שעות
+          </a>
+          <p style="color: #6b7280; font-size: 14px; margin-top: 24px;">הודעה זו נשלחה אוטומטית ממערכת קזז.</p>
+        </div>
+      `;
+
+      const res = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${resendApiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          from: "Kazzaz <noreply@kazzaz-app.vercel.app>",
+          to: [r.supervisor_email],
+          subject: `תזכורת: ${r.overdue_count} דיווחים ממתינים לאישורך`,
+          html: emailHtml,
+        }),
+      });
+
+      results.push({
+        email: r.supervisor_email,
+        status: res.status,
+        ok: res.ok,
+      });
+    }
+
+    return new Response(JSON.stringify({ sent: results }), {
+      status: 200,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  } catch (err) {
+    console.error("send-supervisor-reminders error:", err);
+    return new Response(
+      JSON.stringify({ error: err.message || "Internal error" }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      }
+    );
+  }
+});
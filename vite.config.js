@@ -8,6 +8,10 @@ export default defineConfig({
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['favicon.ico', 'apple-touch-icon.png', 'mask-icon.svg'],
+      workbox: {
+        // Web Push handlers (see public/push-sw.js)
+        importScripts: ['push-sw.js'],
+      },
       manifest: {
         name: 'Kazzaz Hours Log',
         short_name: 'Kazzaz',